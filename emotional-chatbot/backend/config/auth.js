@@ -0,0 +1,31 @@
+/**
+ * Authentication configuration for JWT access/refresh tokens
+ *
+ * JWT_SECRET signs access tokens and JWT_REFRESH_SECRET (falling back to
+ * JWT_SECRET) signs refresh tokens. A secret is mandatory in production.
+ * LEGACY_ACCOUNT_CLAIM=false turns off claiming accounts from before
+ * passphrase logins once their owners have had time to do so.
+ */
+
+const DEV_SECRET = 'dev-only-insecure-jwt-secret';
+
+const loadAuthConfig = () => {
+    const secret = process.env.JWT_SECRET;
+
+    if (!secret && process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    return {
+        accessSecret: secret || DEV_SECRET,
+        refreshSecret: process.env.JWT_REFRESH_SECRET || secret || DEV_SECRET,
+        accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+        refreshTokenTtl: process.env.JWT_REFRESH_TTL || '30d',
+        issuer: process.env.JWT_ISSUER || 'emotional-chatbot',
+        bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+        minPassphraseLength: parseInt(process.env.MIN_PASSPHRASE_LENGTH) || 8,
+        legacyClaimEnabled: process.env.LEGACY_ACCOUNT_CLAIM !== 'false'
+    };
+};
+
+module.exports = { loadAuthConfig };
@@ -0,0 +1,34 @@
+/**
+ * Proactive check-in configuration
+ *
+ * Goals, concerns and upcoming events with a future date get one follow-up
+ * ("How did the interview go?"). Check-ins are pushed over the realtime
+ * channel when the user is online and otherwise wait for their next visit.
+ * Users can opt out and set their own quiet hours, time zone and preferred
+ * time in profile.preferences; these are the defaults.
+ */
+
+const loadCheckInConfig = () => ({
+    enabled: process.env.CHECK_INS_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.CHECK_IN_POLL_INTERVAL_MS) || 60 * 1000,
+    // Local "HH:MM" times; the window may wrap past midnight
+    quietHours: {
+        start: process.env.CHECK_IN_QUIET_START || '21:00',
+        end: process.env.CHECK_IN_QUIET_END || '09:00'
+    },
+    preferredTime: process.env.CHECK_IN_DEFAULT_TIME || '18:00',
+    // Memories less important than this never get a check-in
+    minImportance: parseInt(process.env.CHECK_IN_MIN_IMPORTANCE) || 6,
+    // Goals and concerns without a date are followed up this long after they were shared
+    undatedFollowUpDays: parseInt(process.env.CHECK_IN_UNDATED_DAYS) || 7,
+    maxPerDay: parseInt(process.env.CHECK_IN_MAX_PER_DAY) || 1,
+    // Check-ins still waiting for a visit after this long are stale and dropped
+    expireAfterDays: parseInt(process.env.CHECK_IN_EXPIRE_DAYS) || 14,
+    // `llm` writes each message in the persona's voice; `template` uses the persona's copy only
+    compose: process.env.CHECK_IN_COMPOSE || 'llm',
+    maxTokens: 150,
+    batchSize: 50,
+    lockMs: 5 * 60 * 1000
+});
+
+module.exports = { loadCheckInConfig };
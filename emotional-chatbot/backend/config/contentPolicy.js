@@ -0,0 +1,19 @@
+/**
+ * Policy for content the companion generates rather than learns from the user
+ *
+ * Generated ("fake") memories are off by default. GENERATED_MEMORIES_ENABLED
+ * lets a deployment opt in to creating them, and GENERATED_MEMORIES_IN_PROMPT
+ * additionally lets them reach the LLM (always labelled as generated).
+ */
+
+const loadContentPolicy = () => ({
+    generatedMemories: {
+        enabled: process.env.GENERATED_MEMORIES_ENABLED === 'true',
+        includeInPrompt: process.env.GENERATED_MEMORIES_IN_PROMPT === 'true',
+        // Shown next to every generated memory returned by the memory APIs
+        label: process.env.GENERATED_MEMORIES_LABEL ||
+            'Generated by the companion for emotional support. You never said this.'
+    }
+});
+
+module.exports = { loadContentPolicy };
@@ -0,0 +1,61 @@
+/**
+ * Crisis resources shown alongside safe-messaging responses
+ *
+ * CRISIS_RESOURCES replaces the defaults with a JSON array of
+ * { name, contact, region, description } objects, and CRISIS_RESOURCE_REGIONS
+ * (comma separated, e.g. "IN,global") limits which regions are shown.
+ */
+
+const defaultResources = [
+    {
+        name: 'Emergency services',
+        contact: 'Call your local emergency number (e.g. 112, 911, 999)',
+        region: 'global',
+        description: 'If you are in immediate danger'
+    },
+    {
+        name: 'Find A Helpline',
+        contact: 'https://findahelpline.com',
+        region: 'global',
+        description: 'Free, confidential helplines in your country'
+    },
+    {
+        name: '988 Suicide & Crisis Lifeline',
+        contact: 'Call or text 988',
+        region: 'US',
+        description: '24/7 support in the United States'
+    },
+    {
+        name: 'Samaritans',
+        contact: 'Call 116 123',
+        region: 'UK',
+        description: '24/7 support in the UK and Ireland'
+    },
+    {
+        name: 'Tele-MANAS',
+        contact: 'Call 14416 or 1-800-891-4416',
+        region: 'IN',
+        description: '24/7 mental health support in India'
+    }
+];
+
+const loadCrisisResources = () => {
+    let resources = defaultResources;
+
+    if (process.env.CRISIS_RESOURCES) {
+        try {
+            resources = JSON.parse(process.env.CRISIS_RESOURCES);
+        } catch (error) {
+            console.error('Invalid JSON in CRISIS_RESOURCES, using defaults:', error.message);
+        }
+    }
+
+    if (process.env.CRISIS_RESOURCE_REGIONS) {
+        const regions = process.env.CRISIS_RESOURCE_REGIONS.split(',').map(region => region.trim());
+        resources = resources.filter(resource => regions.includes(resource.region));
+    }
+
+    return resources;
+};
+
+module.exports = { loadCrisisResources, defaultResources };
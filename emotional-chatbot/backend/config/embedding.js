@@ -0,0 +1,28 @@
+/**
+ * Embedding configuration for semantic memory retrieval
+ *
+ * EMBEDDING_PROVIDER selects the embedder: `local` (default, offline feature
+ * hashing) or `openai` (any OpenAI-compatible /embeddings endpoint).
+ */
+
+const loadEmbeddingConfig = () => ({
+    provider: process.env.EMBEDDING_PROVIDER || 'local',
+    openai: {
+        baseUrl: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+        model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 10000
+    },
+    local: {
+        dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || 256
+    },
+    retrieval: {
+        // Weight of cosine similarity vs. the memory's relevanceScore virtual
+        semanticWeight: parseFloat(process.env.MEMORY_SEMANTIC_WEIGHT) || 0.6,
+        minSimilarity: parseFloat(process.env.MEMORY_MIN_SIMILARITY) || 0.15,
+        candidatePool: parseInt(process.env.MEMORY_CANDIDATE_POOL) || 200,
+        backfillLimit: parseInt(process.env.MEMORY_BACKFILL_LIMIT) || 25 // Missing embeddings filled per query
+    }
+});
+
+module.exports = { loadEmbeddingConfig };
@@ -0,0 +1,20 @@
+/**
+ * Emotion classification configuration
+ *
+ * EMOTION_CLASSIFIER selects how each user message is classified:
+ * `lexicon` (default, offline word model with negation and intensifiers)
+ * or `llm` (asks the provider chain for labelled JSON and falls back to the
+ * lexicon when the call fails or returns nothing usable).
+ */
+
+const loadEmotionConfig = () => ({
+    mode: process.env.EMOTION_CLASSIFIER || 'lexicon',
+    maxTokens: parseInt(process.env.EMOTION_CLASSIFIER_MAX_TOKENS) || 200,
+    // Shorter messages ("ok", "thanks") are classified by the lexicon only
+    minMessageLength: parseInt(process.env.EMOTION_CLASSIFIER_MIN_LENGTH) || 12,
+    // Other emotions at this share of the strongest one are reported as secondary
+    secondaryRatio: parseFloat(process.env.EMOTION_SECONDARY_RATIO) || 0.3,
+    maxSecondary: 2
+});
+
+module.exports = { loadEmotionConfig };
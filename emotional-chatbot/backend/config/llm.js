@@ -0,0 +1,139 @@
+/**
+ * LLM provider configuration
+ *
+ * The fallback chain is read from LLM_PROVIDER_CHAIN (comma separated, tried
+ * in order). Each provider can be tuned with LLM_<NAME>_TIMEOUT_MS,
+ * LLM_<NAME>_RETRIES, LLM_<NAME>_BACKOFF_MS and LLM_<NAME>_MODEL, and
+ * LLM_PROVIDERS_CONFIG accepts a JSON object that is merged over the defaults
+ * below (use it to add extra OpenAI-compatible endpoints under any name).
+ *
+ * Prompts are fitted to LLM_CONTEXT_TOKENS minus the reply's LLM_MAX_TOKENS.
+ * Each optional system prompt section has its own token cap (override with
+ * LLM_PROMPT_SECTION_TOKENS as JSON), history keeps at most
+ * LLM_HISTORY_MESSAGES turns and any single message is cut to
+ * LLM_MESSAGE_TOKENS.
+ */
+
+const defaultProviders = {
+    groq: {
+        type: 'openai',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        apiKey: process.env.GROQ_API_KEY,
+        model: 'llama3-8b-8192',
+        requiresApiKey: true
+    },
+    huggingface: {
+        type: 'huggingface',
+        baseUrl: 'https://api-inference.huggingface.co/models',
+        apiKey: process.env.HUGGINGFACE_API_KEY,
+        model: 'microsoft/DialoGPT-large',
+        requiresApiKey: true
+    },
+    openai: {
+        type: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        requiresApiKey: true
+    },
+    ollama: {
+        type: 'ollama',
+        baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        model: process.env.OLLAMA_MODEL || 'llama3'
+    },
+    llamacpp: {
+        // llama.cpp's server exposes an OpenAI-compatible API
+        type: 'openai',
+        baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+        model: process.env.LLAMACPP_MODEL || 'local'
+    },
+    mock: {
+        type: 'mock',
+        model: 'mock-deterministic',
+        mode: process.env.LLM_MOCK_MODE || 'canned' // canned or echo
+    }
+};
+
+const defaultPolicy = {
+    timeoutMs: 30000,
+    retries: 1,
+    backoffMs: 500,
+    failureThreshold: 3, // Consecutive failures before a provider is skipped
+    cooldownMs: 60000 // How long a failing provider is skipped for
+};
+
+const defaultSectionBudgets = {
+    userContext: 300,
+    memories: 600,
+    conflicts: 250,
+    summary: 500,
+    previousSession: 250,
+    situational: 150
+};
+
+const parseJson = (value, name) => {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error(`Invalid JSON in ${name}, ignoring:`, error.message);
+        return {};
+    }
+};
+
+const envNumber = (name) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? undefined : value;
+};
+
+/**
+ * Build the resolved provider configuration from the environment
+ */
+const loadLLMConfig = () => {
+    const overrides = parseJson(process.env.LLM_PROVIDERS_CONFIG, 'LLM_PROVIDERS_CONFIG');
+    const chain = (process.env.LLM_PROVIDER_CHAIN || 'groq,huggingface')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    const providers = {};
+    const names = new Set([...Object.keys(defaultProviders), ...Object.keys(overrides)]);
+
+    names.forEach(name => {
+        const prefix = `LLM_${name.toUpperCase()}_`;
+        const envPolicy = {
+            timeoutMs: envNumber(`${prefix}TIMEOUT_MS`),
+            retries: envNumber(`${prefix}RETRIES`),
+            backoffMs: envNumber(`${prefix}BACKOFF_MS`),
+            model: process.env[`${prefix}MODEL`]
+        };
+        Object.keys(envPolicy).forEach(key => envPolicy[key] === undefined && delete envPolicy[key]);
+
+        providers[name] = {
+            ...defaultPolicy,
+            ...defaultProviders[name],
+            ...overrides[name],
+            ...envPolicy
+        };
+    });
+
+    return {
+        chain,
+        providers,
+        temperature: 0.7,
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 1000,
+        topP: 0.9,
+        prompt: {
+            contextTokens: envNumber('LLM_CONTEXT_TOKENS') || 8192, // llama3-8b-8192
+            safetyMarginTokens: 256, // Token estimates are approximate
+            historyMessages: envNumber('LLM_HISTORY_MESSAGES') || 10,
+            messageTokens: envNumber('LLM_MESSAGE_TOKENS') || 1500,
+            sectionTokens: {
+                ...defaultSectionBudgets,
+                ...parseJson(process.env.LLM_PROMPT_SECTION_TOKENS, 'LLM_PROMPT_SECTION_TOKENS')
+            }
+        }
+    };
+};
+
+module.exports = { loadLLMConfig, defaultPolicy };
@@ -0,0 +1,59 @@
+/**
+ * Memory pipeline configuration: insight extraction, conflict detection,
+ * rolling conversation summaries and background maintenance
+ *
+ * MEMORY_EXTRACTION_MODE selects how insights are pulled from messages:
+ * `llm` (default, asks the provider chain for structured JSON and falls
+ * back to the rule extractor when it fails) or `rules` (offline only).
+ */
+
+const loadMemoryConfig = () => ({
+    extraction: {
+        mode: process.env.MEMORY_EXTRACTION_MODE || 'llm',
+        // Insights the extractor is less sure about than this are dropped
+        minConfidence: parseFloat(process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE) || 0.6,
+        maxInsights: parseInt(process.env.MEMORY_EXTRACTION_MAX_INSIGHTS) || 5,
+        maxTokens: parseInt(process.env.MEMORY_EXTRACTION_MAX_TOKENS) || 600,
+        // Shorter messages ("ok", "thanks") skip the LLM call entirely
+        minMessageLength: parseInt(process.env.MEMORY_EXTRACTION_MIN_LENGTH) || 12
+    },
+    conflicts: {
+        // Active memories compared against each new insight
+        candidateLimit: parseInt(process.env.MEMORY_CONFLICT_CANDIDATES) || 50,
+        // At or above this similarity, with the same key words, a new insight restates an existing memory
+        duplicateSimilarity: parseFloat(process.env.MEMORY_DUPLICATE_SIMILARITY) || 0.8,
+        // Opposite-sentiment memories about the same subject this close are treated as contradictions
+        contradictionSimilarity: parseFloat(process.env.MEMORY_CONTRADICTION_SIMILARITY) || 0.35,
+        // Memories this close are linked as connected (or reinforcing, when they agree)
+        relatedSimilarity: parseFloat(process.env.MEMORY_RELATED_SIMILARITY) || 0.6
+    },
+    summary: {
+        // Summarize once turns outside the prompt window exceed this many tokens
+        triggerTokens: parseInt(process.env.SUMMARY_TRIGGER_TOKENS) || 1500,
+        // Most recent messages sent verbatim and never folded into the summary
+        keepRecentMessages: parseInt(process.env.SUMMARY_KEEP_RECENT_MESSAGES) || 10,
+        // A finished session is summarized when the next one starts if it has at least this many messages
+        minSessionMessages: parseInt(process.env.SUMMARY_MIN_SESSION_MESSAGES) || 4,
+        maxTokens: parseInt(process.env.SUMMARY_MAX_TOKENS) || 700
+    },
+    maintenance: {
+        enabled: process.env.MEMORY_MAINTENANCE_ENABLED !== 'false',
+        // Report what each run would change without writing anything
+        dryRun: process.env.MEMORY_MAINTENANCE_DRY_RUN === 'true',
+        intervalMs: parseInt(process.env.MEMORY_MAINTENANCE_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+        // Share of importance and of effectiveness lost per idle period. Effectiveness decays
+        // toward 0, not the neutral 0.5, so an unused memory can fall below staleEffectiveness
+        decayFactor: parseFloat(process.env.MEMORY_DECAY_FACTOR) || 0.1,
+        decayPeriodDays: parseInt(process.env.MEMORY_DECAY_PERIOD_DAYS) || 30,
+        // Unused this long, and decayed below both thresholds, a memory is archived
+        staleAfterDays: parseInt(process.env.MEMORY_STALE_DAYS) || 180,
+        staleImportance: parseFloat(process.env.MEMORY_STALE_IMPORTANCE) || 3,
+        staleEffectiveness: parseFloat(process.env.MEMORY_STALE_EFFECTIVENESS) || 0.3,
+        // Generated memories unused this long are deleted outright
+        generatedMaxAgeDays: parseInt(process.env.MEMORY_GENERATED_MAX_AGE_DAYS) || 365,
+        // Most recently updated memories of each type compared for duplicates
+        mergeCandidates: parseInt(process.env.MEMORY_MERGE_CANDIDATES) || 200
+    }
+});
+
+module.exports = { loadMemoryConfig };
@@ -0,0 +1,21 @@
+/**
+ * Mood tracking configuration
+ *
+ * Every answered message adds an entry to profile.emotionalState.history
+ * (the detected emotion) and conversationMetrics.sentimentTrend (its score);
+ * mood check-ins add to the history only, marked `source: 'check_in'`.
+ * Both are capped at `historyLimit` entries, oldest dropped first. The
+ * insights endpoint buckets them by day or week in the user's time zone.
+ *
+ * A check-in also sets the mood for the user's next reply, unless it is
+ * older than `checkInFreshHours` by the time they write.
+ */
+
+const loadMoodConfig = () => ({
+    historyLimit: parseInt(process.env.MOOD_HISTORY_LIMIT) || 2000,
+    checkInFreshHours: parseFloat(process.env.MOOD_CHECK_IN_FRESH_HOURS) || 12,
+    defaultDays: 30,
+    maxDays: 365
+});
+
+module.exports = { loadMoodConfig };
@@ -0,0 +1,46 @@
+/**
+ * Persona definitions
+ *
+ * Each persona is a JSON file in config/personas/ (see stan.json for the
+ * fields). Deployments can add personas or override built-in ones by id
+ * with a directory of JSON files in PERSONAS_DIR. PERSONA_DEFAULT picks the
+ * persona for users who haven't chosen one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const builtInDir = path.join(__dirname, 'personas');
+
+const readPersonaFiles = (dir) => {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        console.error(`Cannot read personas from ${dir}:`, error.message);
+        return [];
+    }
+
+    return files.flatMap(file => {
+        try {
+            return [JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))];
+        } catch (error) {
+            console.error(`Invalid JSON in persona file ${file}, ignoring:`, error.message);
+            return [];
+        }
+    });
+};
+
+const loadPersonaConfig = () => {
+    const personas = readPersonaFiles(builtInDir);
+    if (process.env.PERSONAS_DIR) {
+        personas.push(...readPersonaFiles(path.resolve(process.env.PERSONAS_DIR)));
+    }
+
+    return {
+        personas,
+        defaultPersona: process.env.PERSONA_DEFAULT || 'stan'
+    };
+};
+
+module.exports = { loadPersonaConfig };
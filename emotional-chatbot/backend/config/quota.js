@@ -0,0 +1,30 @@
+/**
+ * Per-user request and token quotas
+ *
+ * Authenticated requests count against the caller's bucket for the route:
+ * `chat`, `memory`, `analytics` (mood, conversation and feedback analytics
+ * and the data export) or `account` (the rest of /api/user), each with its
+ * own limit per fixed window of `windowMs`. Tokens the LLM provider reports
+ * for each reply count against `dailyTokens` per UTC day; once they are used
+ * up, new messages are refused until midnight UTC.
+ *
+ * Counters live in QUOTA_STORE: `mongo` (default, shared by every instance)
+ * or `memory` (this process only).
+ */
+
+const loadQuotaConfig = () => ({
+    enabled: process.env.QUOTA_ENABLED !== 'false',
+    store: process.env.QUOTA_STORE || 'mongo',
+    windowMs: parseInt(process.env.QUOTA_WINDOW_MS) || 15 * 60 * 1000,
+    buckets: {
+        chat: parseInt(process.env.QUOTA_CHAT_MAX_REQUESTS) || 100,
+        memory: parseInt(process.env.QUOTA_MEMORY_MAX_REQUESTS) || 200,
+        analytics: parseInt(process.env.QUOTA_ANALYTICS_MAX_REQUESTS) || 60,
+        account: parseInt(process.env.QUOTA_ACCOUNT_MAX_REQUESTS) || 100
+    },
+    dailyTokens: parseInt(process.env.QUOTA_DAILY_TOKENS) || 200000,
+    // Days of per-day token counts kept for the usage endpoint
+    tokenHistoryDays: 7
+});
+
+module.exports = { loadQuotaConfig };
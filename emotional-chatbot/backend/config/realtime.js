@@ -0,0 +1,21 @@
+/**
+ * Realtime (WebSocket) channel configuration
+ *
+ * Clients connect to REALTIME_PATH on the API server, authenticate with
+ * their access token in the first message and join one session room at a
+ * time. Browser origins are checked against CORS_ORIGINS, like the REST API.
+ */
+
+const loadRealtimeConfig = () => ({
+    enabled: process.env.REALTIME_ENABLED !== 'false',
+    path: process.env.REALTIME_PATH || '/api/realtime',
+    origins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
+    // Sockets that haven't authenticated by then are closed
+    authTimeoutMs: parseInt(process.env.REALTIME_AUTH_TIMEOUT_MS) || 5000,
+    // Ping interval; sockets that miss a pong are dropped
+    heartbeatMs: parseInt(process.env.REALTIME_HEARTBEAT_MS) || 30000,
+    maxPayloadBytes: 16 * 1024,
+    maxSocketsPerUser: parseInt(process.env.REALTIME_MAX_SOCKETS_PER_USER) || 10
+});
+
+module.exports = { loadRealtimeConfig };
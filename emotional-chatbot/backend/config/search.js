@@ -0,0 +1,22 @@
+/**
+ * Conversation search configuration
+ *
+ * Text search uses the MongoDB text index on message content. Semantic
+ * search ranks messages by embedding similarity with the embedder from
+ * config/embedding.js; message embeddings are computed the first time a
+ * search needs them and cached in the MessageEmbedding collection.
+ */
+
+const loadSearchConfig = () => ({
+    semanticEnabled: process.env.CONVERSATION_SEARCH_SEMANTIC !== 'false',
+    // Weight of embedding similarity vs. the share of query terms a message contains
+    semanticWeight: parseFloat(process.env.CONVERSATION_SEARCH_SEMANTIC_WEIGHT) || 0.5,
+    minSimilarity: parseFloat(process.env.CONVERSATION_SEARCH_MIN_SIMILARITY) || 0.3,
+    // Most recent conversations scanned for semantic matches
+    candidateConversations: parseInt(process.env.CONVERSATION_SEARCH_CANDIDATES) || 50,
+    backfillLimit: parseInt(process.env.CONVERSATION_SEARCH_BACKFILL_LIMIT) || 200, // Messages embedded per search
+    snippetLength: 160,
+    maxResults: 50
+});
+
+module.exports = { loadSearchConfig };
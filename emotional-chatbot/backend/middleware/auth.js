@@ -0,0 +1,41 @@
+const authService = require('../services/authService');
+
+/**
+ * Require a valid Bearer access token and expose its subject as req.userId.
+ * Token errors are passed to errorHandler, which maps them to 401.
+ */
+const authenticate = (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    try {
+        const { userId } = authService.verifyAccessToken(token);
+        req.userId = userId;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * router.param handler rejecting any :userId that isn't the caller's own.
+ * Routes still read req.userId so the URL can never widen access.
+ */
+const ensureOwnUserId = (req, res, next, userId) => {
+    if (userId !== req.userId) {
+        return res.status(403).json({
+            success: false,
+            message: 'You can only access your own data'
+        });
+    }
+    next();
+};
+
+module.exports = { authenticate, ensureOwnUserId };
@@ -0,0 +1,72 @@
+const quotaService = require('../services/quotaService');
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// e.g. "in 12 minutes", "at 00:00 UTC"
+const describeReset = (resetAt) => {
+    const minutes = Math.ceil(secondsUntil(resetAt) / 60);
+    return minutes <= 60 ? `in ${minutes} minute${minutes === 1 ? '' : 's'}` : `at ${resetAt.toISOString().slice(11, 16)} UTC`;
+};
+
+const setQuotaHeaders = (res, { limit, remaining, resetAt }) => {
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(secondsUntil(resetAt))
+    });
+};
+
+const rejectOverQuota = (res, message, quota) => {
+    res.set('Retry-After', String(secondsUntil(quota.resetAt)));
+    return res.status(429).json({
+        success: false,
+        message,
+        quota: {
+            ...(quota.bucket && { bucket: quota.bucket }),
+            limit: quota.limit,
+            resetAt: quota.resetAt
+        }
+    });
+};
+
+/**
+ * Count the request against the caller's quota `bucket` (run after
+ * authenticate). A request already counted under a more specific bucket
+ * passes straight through. If the quota store is unreachable the request
+ * is let through rather than failing the API.
+ */
+const limitRequests = (bucket) => async (req, res, next) => {
+    if (!quotaService.config.enabled || req.quotaBucket) return next();
+    req.quotaBucket = bucket;
+
+    try {
+        const quota = await quotaService.consumeRequest(req.userId, bucket);
+        setQuotaHeaders(res, quota);
+
+        if (!quota.allowed) {
+            return rejectOverQuota(res, `Too many ${bucket} requests. Please try again ${describeReset(quota.resetAt)}.`, quota);
+        }
+    } catch (error) {
+        console.error('Quota check failed:', error.message);
+    }
+    next();
+};
+
+/**
+ * Refuse new messages once the caller has used today's LLM tokens
+ */
+const limitTokens = async (req, res, next) => {
+    if (!quotaService.config.enabled) return next();
+
+    try {
+        const tokens = await quotaService.checkTokens(req.userId);
+        if (!tokens.allowed) {
+            return rejectOverQuota(res, `You've reached today's message limit. It resets ${describeReset(tokens.resetAt)}.`, tokens);
+        }
+    } catch (error) {
+        console.error('Token quota check failed:', error.message);
+    }
+    next();
+};
+
+module.exports = { limitRequests, limitTokens };
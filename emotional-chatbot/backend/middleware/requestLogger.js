@@ -48,7 +48,7 @@ const sanitizeBody = (body) => {
     if (!body) return body;
 
     const sanitized = { ...body };
-    const sensitiveFields = ['password', 'token', 'secret', 'key'];
+    const sensitiveFields = ['password', 'passphrase', 'token', 'secret', 'key'];
 
     Object.keys(sanitized).forEach(key => {
         if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
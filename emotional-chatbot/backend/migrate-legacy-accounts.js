@@ -0,0 +1,68 @@
+/**
+ * Migration for accounts created before passphrase logins
+ *
+ * Those accounts were identified by name, number and birth month, stored as
+ * `uniqueKey`, `profile.personalNumber` and `profile.birthMonth`, which the
+ * User model no longer has. This hashes each key into `auth.legacyKeyHash`
+ * so its owner can claim the account with POST /api/auth/claim, and removes
+ * the old fields. Accounts that already have a username only lose the old
+ * fields. Safe to run more than once.
+ *
+ * Run with: node migrate-legacy-accounts.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const User = require('./models/User');
+const authService = require('./services/authService');
+
+const legacyFields = { uniqueKey: '', 'profile.personalNumber': '', 'profile.birthMonth': '' };
+
+/**
+ * Migrate every legacy account. Returns how many became claimable and how
+ * many only had the old fields removed.
+ */
+const migrateLegacyAccounts = async ({ dryRun = false } = {}) => {
+    // The old fields are no longer in the schema, so read the raw documents
+    const accounts = await User.collection
+        .find({ uniqueKey: { $type: 'string' } }, { projection: { uniqueKey: 1, 'auth.username': 1 } })
+        .toArray();
+
+    const report = { claimable: 0, cleaned: 0 };
+    for (const account of accounts) {
+        const claimable = !account.auth?.username;
+        report[claimable ? 'claimable' : 'cleaned'] += 1;
+        if (dryRun) continue;
+
+        const update = { $unset: legacyFields };
+        if (claimable) {
+            update.$set = { 'auth.legacyKeyHash': await authService.hashLegacyKey(account.uniqueKey) };
+        }
+        await User.collection.updateOne({ _id: account._id }, update);
+    }
+
+    if (!dryRun) {
+        // The old lookup index
+        await User.collection.dropIndex('uniqueKey_1').catch(() => { });
+    }
+
+    return report;
+};
+
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/emotional-chatbot')
+        .then(() => migrateLegacyAccounts({ dryRun }))
+        .then(({ claimable, cleaned }) => {
+            console.log(`${dryRun ? '[dry run] ' : ''}${claimable} account(s) can now be claimed, ${cleaned} already had a username`);
+        })
+        .catch(error => {
+            console.error('Legacy account migration failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.connection.close());
+}
+
+module.exports = { migrateLegacyAccounts };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Job store for proactive check-ins: one follow-up per goal, concern or upcoming event
+const checkInSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    memoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Memory',
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['event', 'goal', 'concern'],
+        required: true
+    },
+    topic: String, // Memory content when the check-in was scheduled
+    dueAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: [
+            'scheduled', // Waiting for dueAt
+            'ready',     // Due and written, waiting for the user's next visit
+            'delivered',
+            'cancelled',
+            'expired'
+        ],
+        default: 'scheduled'
+    },
+    message: String, // Written when the check-in comes due
+    lockedUntil: Date, // Claimed by a scheduler run until then
+    attempts: { type: Number, default: 0 },
+    delivery: {
+        via: { type: String, enum: ['push', 'visit'] },
+        sessionId: String,
+        messageId: String,
+        deliveredAt: Date
+    },
+    cancelReason: String
+}, {
+    timestamps: true
+});
+
+checkInSchema.index({ status: 1, dueAt: 1 });
+checkInSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
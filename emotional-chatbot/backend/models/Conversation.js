@@ -1,62 +1,104 @@
 const mongoose = require('mongoose');
 
-const conversationSchema = new mongoose.Schema({
-    userId: {
+const messageSchema = new mongoose.Schema({
+    id: {
         type: String,
         required: true,
-        index: true
+        default: () => require('uuid').v4()
     },
-    sessionId: {
+    role: {
         type: String,
-        required: true,
-        index: true
+        enum: ['user', 'assistant'],
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
     },
-    messages: [{
-        id: {
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    metadata: {
+        emotionalTone: {
             type: String,
-            required: true,
-            default: () => require('uuid').v4()
+            enum: ['supportive', 'empathetic', 'encouraging', 'gentle', 'analytical', 'playful', 'serious']
         },
-        role: {
-            type: String,
-            enum: ['user', 'assistant'],
-            required: true
+        confidence: Number, // AI confidence in response
+        processingTime: Number, // Response generation time
+        userSentiment: {
+            score: Number, // -1 to 1
+            emotion: String,
+            confidence: Number, // 0 to 1
+            secondary: [{
+                _id: false,
+                emotion: String,
+                confidence: Number
+            }],
+            source: { type: String, enum: ['lexicon', 'llm'] }
         },
-        content: {
-            type: String,
-            required: true
+        riskAssessment: {
+            level: String, // none, low, medium, high, crisis
+            score: Number // 0 to 1
         },
-        timestamp: {
-            type: Date,
-            default: Date.now
+        isCrisisResponse: Boolean, // Safe-messaging template sent instead of an LLM reply
+        checkInId: String, // Proactive check-in this message delivered
+        contextUsed: [{
+            type: { type: String },
+            relevance: Number
+        }],
+        memoryTriggered: [String], // Which memories made it into the prompt
+        promptBudget: { // What fitted into the context window
+            budgetTokens: Number,
+            estimatedTokens: Number,
+            historyMessages: Number, // Turns sent as history, including this one
+            historyDropped: Number,
+            memoriesDropped: Number, // Relevant memories left out for space
+            trimmedSections: [String],
+            truncatedMessages: Number
         },
-        metadata: {
-            emotionalTone: {
-                type: String,
-                enum: ['supportive', 'empathetic', 'encouraging', 'gentle', 'analytical', 'playful', 'serious']
-            },
-            confidence: Number, // AI confidence in response
-            processingTime: Number, // Response generation time
-            userSentiment: {
-                score: Number, // -1 to 1
-                emotion: String
-            },
-            contextUsed: [{
-                type: String,
-                relevance: Number
-            }],
-            memoryTriggered: [String], // Which memories were accessed
-            personalityAdjustment: String // How personality was adapted
+        personalityAdjustment: String, // How personality was adapted
+        provider: String, // LLM provider that wrote the reply, or the template used
+        persona: String, // Persona id the reply was written as
+        interrupted: Boolean // Streamed reply was cut short before the provider finished
+    },
+    reactions: {
+        userFeedback: {
+            type: String,
+            enum: ['helpful', 'not_helpful', 'inappropriate', 'perfect']
         },
-        reactions: {
-            userFeedback: {
-                type: String,
-                enum: ['helpful', 'not_helpful', 'inappropriate', 'perfect']
-            },
-            emotionalResponse: String // User's emotional response to message
-        }
+        emotionalResponse: String, // User's emotional response to message
+        ratedAt: Date
+    }
+});
+
+const conversationSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    title: String, // Sidebar title, generated from summary.mainTopics unless the user renamed it
+    titleIsCustom: {
+        type: Boolean,
+        default: false
+    },
+    // The active path; alternatives from edits and regenerations live in `branches`
+    messages: [messageSchema],
+    branches: [{
+        parentId: String, // Message the branch continues from (null at the start of the conversation)
+        messages: [messageSchema],
+        createdAt: { type: Date, default: Date.now }
     }],
     summary: {
+        narrative: String, // Running prose summary of the turns before the prompt window
+        summarizedThrough: { type: Number, default: 0 }, // messages[0..n) are covered by the summary
+        summarizedAt: Date,
         mainTopics: [String],
         emotionalJourney: [String],
         keyInsights: [String],
@@ -81,6 +123,7 @@ const conversationSchema = new mongoose.Schema({
             end: String,
             trend: String // improving, declining, stable
         },
+        dominantMood: String, // Most frequent emotion across the user's messages
         location: String, // if provided by user
         timeOfDay: String
     },
@@ -113,6 +156,9 @@ conversationSchema.index({ sessionId: 1 });
 conversationSchema.index({ 'context.conversationType': 1 });
 conversationSchema.index({ status: 1, updatedAt: -1 });
 
+// Text index for conversation search (covers the active path only)
+conversationSchema.index({ 'messages.content': 'text' });
+
 // Virtual for conversation duration
 conversationSchema.virtual('conversationDuration').get(function () {
     if (this.messages.length < 2) return 0;
@@ -137,12 +183,137 @@ conversationSchema.methods.addMessage = function (messageData) {
     return this.save();
 };
 
-// Method to extract conversation insights
-conversationSchema.methods.generateSummary = function () {
-    const userMessages = this.messages.filter(m => m.role === 'user');
-    const assistantMessages = this.messages.filter(m => m.role === 'assistant');
+// The message before `index` on the active path, or null at the start
+const parentIdAt = (messages, index) => (index > 0 ? messages[index - 1].id : null);
 
-    // Extract topics (simplified - in real implementation, use NLP)
+// Replace the active path from `index` on, keeping what was there as a branch
+const replaceTail = (conversation, index, messages) => {
+    const abandoned = conversation.messages.slice(index);
+    if (abandoned.length > 0) {
+        conversation.branches.push({
+            parentId: parentIdAt(conversation.messages, index),
+            messages: abandoned.map(m => m.toObject())
+        });
+    }
+
+    conversation.messages = [...conversation.messages.slice(0, index), ...messages];
+    conversation.analytics.messageCount = conversation.messages.length;
+
+    // The summary may describe turns that are no longer on the path; rebuild it
+    if ((conversation.summary?.summarizedThrough || 0) > index) {
+        conversation.summary = { summarizedThrough: 0 };
+    }
+
+    return abandoned;
+};
+
+// Method to start a new branch at a message: it and everything after it
+// move into `branches`. Returns the moved messages, or null if not found.
+conversationSchema.methods.forkAt = function (messageId) {
+    const index = this.messages.findIndex(m => m.id === messageId);
+    if (index === -1) return null;
+
+    return replaceTail(this, index, []);
+};
+
+// Method to make a stored branch the active path again, by the id of its
+// first message. Returns `{ abandoned, restored }`, or null when the branch
+// doesn't continue from the active path.
+conversationSchema.methods.switchBranch = function (messageId) {
+    const branch = this.branches.find(b => b.messages[0]?.id === messageId);
+    if (!branch) return null;
+
+    const index = branch.parentId ? this.messages.findIndex(m => m.id === branch.parentId) + 1 : 0;
+    if (branch.parentId && index === 0) return null;
+
+    const restored = branch.messages.map(m => m.toObject());
+    this.branches.pull(branch._id);
+    const abandoned = replaceTail(this, index, restored);
+
+    return { abandoned, restored };
+};
+
+// Method to find a message by id on the active path or any stored branch
+conversationSchema.methods.findMessage = function (messageId) {
+    return this.messages.find(m => m.id === messageId) ||
+        this.branches.flatMap(b => b.messages).find(m => m.id === messageId) ||
+        null;
+};
+
+// Method to list the alternatives of each message on the active path.
+// Returns a Map of message id -> { index, count, siblingIds }, oldest first,
+// for messages that have any.
+conversationSchema.methods.getBranchInfo = function () {
+    const info = new Map();
+
+    this.messages.forEach((message, index) => {
+        const parentId = parentIdAt(this.messages, index);
+        const alternatives = this.branches
+            .filter(branch => (branch.parentId || null) === parentId && branch.messages.length > 0)
+            .map(branch => branch.messages[0]);
+        if (alternatives.length === 0) return;
+
+        const siblings = [message, ...alternatives].sort((a, b) => a.timestamp - b.timestamp);
+        info.set(message.id, {
+            index: siblings.indexOf(message),
+            count: siblings.length,
+            siblingIds: siblings.map(sibling => sibling.id)
+        });
+    });
+
+    return info;
+};
+
+const TITLE_MAX_LENGTH = 60;
+
+// "job interview" + "sleep" -> "Job interview & sleep"
+const titleFromTopics = (topics = []) => {
+    const picked = topics.map(topic => topic.trim()).filter(Boolean).slice(0, 3);
+    if (picked.length === 0) return null;
+
+    const joined = picked.length === 1
+        ? picked[0]
+        : `${picked.slice(0, -1).join(', ')} & ${picked[picked.length - 1]}`;
+    const title = joined.charAt(0).toUpperCase() + joined.slice(1);
+    return title.length > TITLE_MAX_LENGTH ? `${title.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…` : title;
+};
+
+// Method to regenerate the title from the summary's topics (keyword topics
+// until the first LLM summary), falling back to the opening message. A title
+// the user set is kept.
+conversationSchema.methods.refreshTitle = function () {
+    if (this.titleIsCustom) return this.title;
+
+    const topics = this.summary?.narrative ? this.summary.mainTopics : keywordTopics(this.messages);
+    const opening = this.messages.find(m => m.role === 'user')?.content;
+
+    this.title = titleFromTopics(topics) ||
+        (opening && titleFromTopics([opening.replace(/\s+/g, ' ')])) ||
+        null;
+    return this.title;
+};
+
+// Method to find the emotion the user expressed most often, preferring any
+// emotion over neutral. Ties go to the most recent.
+conversationSchema.methods.getDominantMood = function () {
+    const counts = new Map();
+    this.messages
+        .filter(m => m.role === 'user' && m.metadata?.userSentiment?.emotion)
+        .forEach(m => {
+            const emotion = m.metadata.userSentiment.emotion;
+            const count = (counts.get(emotion) || 0) + 1;
+            counts.delete(emotion); // Re-inserting keeps the Map ordered by last use
+            counts.set(emotion, count);
+        });
+
+    const ranked = [...counts].reverse().sort((a, b) =>
+        (a[0] === 'neutral') - (b[0] === 'neutral') || b[1] - a[1]);
+    return ranked[0]?.[0] || null;
+};
+
+// Extract topics (simplified - in real implementation, use NLP)
+const keywordTopics = (messages) => {
+    const userMessages = messages.filter(m => m.role === 'user');
     const allContent = userMessages.map(m => m.content).join(' ').toLowerCase();
     const topicKeywords = {
         work: ['job', 'work', 'career', 'boss', 'colleague', 'office'],
@@ -157,8 +328,12 @@ conversationSchema.methods.generateSummary = function () {
             detectedTopics.push(topic);
         }
     }
+    return detectedTopics;
+};
 
-    this.summary.mainTopics = detectedTopics;
+// Method to extract conversation insights
+conversationSchema.methods.generateSummary = function () {
+    this.summary.mainTopics = keywordTopics(this.messages);
     this.summary.emotionalJourney = this.messages
         .filter(m => m.metadata && m.metadata.userSentiment)
         .map(m => m.metadata.userSentiment.emotion)
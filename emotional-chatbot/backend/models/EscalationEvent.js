@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Audit record written whenever a user message is classified as at-risk
+const escalationEventSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    sessionId: String,
+    conversationId: String,
+    messageId: String, // The user message that triggered the escalation
+    responseMessageId: String, // The assistant reply that was sent
+    riskLevel: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'crisis'],
+        required: true
+    },
+    score: { type: Number, min: 0, max: 1 },
+    subject: {
+        type: String,
+        enum: ['self', 'other'], // Risk to the user, or concern about someone else
+        default: 'self'
+    },
+    signals: [{
+        id: String,
+        category: String,
+        weight: Number
+    }],
+    action: {
+        type: String,
+        enum: ['safe_messaging_response', 'monitored'],
+        required: true
+    },
+    resourcesShown: [String],
+    classifierVersion: String,
+    review: {
+        status: {
+            type: String,
+            enum: ['open', 'reviewed', 'dismissed'],
+            default: 'open'
+        },
+        reviewedAt: Date,
+        reviewedBy: String,
+        notes: String
+    }
+}, {
+    timestamps: true
+});
+
+escalationEventSchema.index({ riskLevel: 1, createdAt: -1 });
+escalationEventSchema.index({ 'review.status': 1, createdAt: -1 });
+
+module.exports = mongoose.model('EscalationEvent', escalationEventSchema);
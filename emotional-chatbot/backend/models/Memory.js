@@ -33,6 +33,7 @@ const memorySchema = new mongoose.Schema({
     context: {
         conversationId: String,
         sessionId: String,
+        messageId: String, // Conversation message the memory was extracted from
         extractedFrom: String, // Original user message
         confidence: { type: Number, min: 0, max: 1, default: 0.7 },
         source: {
@@ -68,9 +69,17 @@ const memorySchema = new mongoose.Schema({
         tags: [String],
         category: String,
         subcategory: String,
+        slot: String, // Single-valued fact this memory answers (e.g. 'home_location'); a different value is a conflict
         isVerified: { type: Boolean, default: false },
         needsUpdate: { type: Boolean, default: false },
+        pinned: { type: Boolean, default: false }, // User wants this in every prompt; exempt from decay and archiving
+        offLimits: { type: Boolean, default: false }, // User asked the companion never to bring this up
         expiresAt: Date, // For temporary memories
+        lastDecayedAt: Date, // Idle time before this has already been decayed
+        archivedAt: Date,
+        archiveReason: { type: String, enum: ['expired', 'stale', 'merged'] },
+        mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Memory' },
+        abandonedBranch: Boolean, // Source message was edited away or its branch switched out
         privacy_level: {
             type: String,
             enum: ['public', 'private', 'sensitive'],
@@ -79,15 +88,24 @@ const memorySchema = new mongoose.Schema({
     },
     vector_embedding: {
         type: [Number], // For semantic similarity search
-        index: false
+        index: false,
+        select: false // Large; load explicitly with .select('+vector_embedding')
     },
+    embedding_model: String, // Embedder that produced vector_embedding; vectors are only compared within one model
     isActive: {
         type: Boolean,
         default: true
     }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        // Never send embeddings to clients
+        transform: (doc, ret) => {
+            delete ret.vector_embedding;
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
@@ -96,6 +114,8 @@ memorySchema.index({ userId: 1, type: 1 });
 memorySchema.index({ userId: 1, 'emotional_context.importance': -1 });
 memorySchema.index({ userId: 1, 'usage.lastAccessed': -1 });
 memorySchema.index({ userId: 1, 'metadata.tags': 1 });
+memorySchema.index({ userId: 1, 'metadata.slot': 1 });
+memorySchema.index({ userId: 1, 'context.messageId': 1 });
 memorySchema.index({ 'temporal_info.timeframe': 1, 'temporal_info.recency': 1 });
 
 // Text index for content search
@@ -124,15 +144,21 @@ memorySchema.methods.getRecencyScore = function () {
     return 1;
 };
 
-// Method to update usage statistics
-memorySchema.methods.recordAccess = function (effectiveness = null) {
-    this.usage.accessCount += 1;
-    this.usage.lastAccessed = new Date();
+// Method to update usage statistics. A rating passes `countAccess: false`,
+// and `replaces` with the rating it changes so that one no longer counts.
+memorySchema.methods.recordAccess = function (effectiveness = null, { countAccess = true, replaces = null } = {}) {
+    if (countAccess) {
+        this.usage.accessCount += 1;
+        this.usage.lastAccessed = new Date();
+    }
 
     if (effectiveness !== null) {
         // Update effectiveness as moving average
         const alpha = 0.2; // Learning rate
-        this.usage.effectiveness = alpha * effectiveness + (1 - alpha) * (this.usage.effectiveness || 0.5);
+        const current = this.usage.effectiveness ?? 0.5;
+        this.usage.effectiveness = replaces !== null ?
+            Math.min(1, Math.max(0, current + alpha * (effectiveness - replaces))) :
+            alpha * effectiveness + (1 - alpha) * current;
     }
 
     return this.save();
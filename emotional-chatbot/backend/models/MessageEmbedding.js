@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Cached embedding of one conversation message, for semantic conversation search
+const messageEmbeddingSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    messageId: {
+        type: String,
+        required: true
+    },
+    model: {
+        type: String,
+        required: true
+    },
+    vector: {
+        type: [Number],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+messageEmbeddingSchema.index({ userId: 1, messageId: 1, model: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageEmbedding', messageEmbeddingSchema);
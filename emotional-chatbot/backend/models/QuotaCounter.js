@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One quota counter (requests in a window, or tokens in a day), removed by MongoDB once expired
+const quotaCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+quotaCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QuotaCounter', quotaCounterSchema);
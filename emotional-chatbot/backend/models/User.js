@@ -7,16 +7,24 @@ const userSchema = new mongoose.Schema({
         unique: true,
         index: true
     },
-    // Unique identifier for user persistence (name + number + month)
-    uniqueKey: {
-        type: String,
-        index: true,
-        sparse: true // Allow null values but index non-null ones
+    // Login credentials - the passphrase hash is never loaded unless selected
+    auth: {
+        username: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            unique: true,
+            sparse: true // Allow null values but index non-null ones
+        },
+        passwordHash: { type: String, select: false },
+        tokenVersion: { type: Number, default: 0 }, // Bumped on logout to revoke refresh tokens
+        // Hash of the name-number-month key of an account from before passphrase logins,
+        // until its owner claims it (see migrate-legacy-accounts.js)
+        legacyKeyHash: { type: String, select: false },
+        lastLoginAt: { type: Date }
     },
     profile: {
         name: { type: String },
-        personalNumber: { type: Number, min: 0, max: 999 }, // User's chosen number 0-999
-        birthMonth: { type: String }, // Birth month for uniqueness
         age: { type: Number },
         interests: { type: String }, // Store as string initially, can be parsed later
         currentMood: { type: String },
@@ -38,8 +46,15 @@ const userSchema = new mongoose.Schema({
             history: [{
                 state: String,
                 timestamp: { type: Date, default: Date.now },
-                context: String
-            }]
+                context: String,
+                source: { type: String, enum: ['inferred', 'check_in'], default: 'inferred' } // Classified from a message, or reported by the user
+            }],
+            lastCheckIn: { // Latest mood the user reported; shapes the next reply
+                state: String,
+                note: String,
+                timestamp: Date,
+                appliedToMessageId: String // User message whose reply has taken it into account
+            }
         },
         preferences: {
             responseLength: {
@@ -52,8 +67,16 @@ const userSchema = new mongoose.Schema({
                 interest_level: { type: Number, min: 0, max: 10 }
             }],
             avoidTopics: [String],
-            timeZone: String,
-            preferredTime: String
+            persona: String, // Persona id from config/personas; unset uses PERSONA_DEFAULT
+            timeZone: String, // IANA zone, e.g. 'Europe/London'
+            preferredTime: String, // 'HH:MM' or morning/afternoon/evening, for check-ins
+            checkIns: { type: Boolean, default: true }, // Proactive follow-ups on goals and concerns
+            moodReminder: { type: Boolean, default: true }, // Daily nudge to log a mood check-in
+            moodReminderTime: String, // 'HH:MM' local time for the nudge
+            quietHours: {
+                start: String, // 'HH:MM' local time
+                end: String
+            }
         }
     },
     relationships: {
@@ -96,7 +119,6 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ 'relationships.lastInteraction': -1 });
 userSchema.index({ 'profile.emotionalState.current': 1 });
 userSchema.index({ 'relationships.trustLevel': -1 });
-userSchema.index({ 'uniqueKey': 1 }); // Index for unique key lookups
 
 // Virtual for relationship strength
 userSchema.virtual('relationshipStrength').get(function () {
@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+const User = require('../models/User');
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Shape returned by register, login and refresh
+ */
+const sessionPayload = (user, tokens) => ({
+    userId: user.userId,
+    username: user.auth.username,
+    userProfile: user.profile,
+    onboardingComplete: !!user.profile.name,
+    tokens
+});
+
+const credentialValidators = [
+    body('username')
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .matches(/^[a-zA-Z0-9._-]+$/)
+        .withMessage('Username must be 3-30 letters, numbers, dots, dashes or underscores'),
+    body('passphrase').isString().isLength({ max: 200 })
+];
+
+/**
+ * POST /api/auth/register
+ * Create an account with a username and passphrase
+ */
+router.post('/register', [
+    ...credentialValidators,
+    body('name').optional().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { user, tokens } = await authService.register(req.body);
+
+        res.status(201).json({
+            success: true,
+            data: sessionPayload(user, tokens)
+        });
+
+    } catch (error) {
+        if (!error.statusCode) console.error('Register error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to create account'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange a username and passphrase for access/refresh tokens
+ */
+router.post('/login', credentialValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { user, tokens } = await authService.login(req.body);
+
+        res.json({
+            success: true,
+            data: sessionPayload(user, tokens)
+        });
+
+    } catch (error) {
+        if (!error.statusCode) console.error('Login error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to log in'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/claim
+ * Set a username and passphrase on an account from before passphrase
+ * logins, identified by the name, number and birth month it was created with
+ */
+router.post('/claim', [
+    ...credentialValidators,
+    body('name').trim().isLength({ min: 1, max: 50 }),
+    body('personalNumber').isInt({ min: 0, max: 999 }),
+    body('birthMonth').trim().isLength({ min: 1, max: 20 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { user, tokens } = await authService.claimLegacyAccount(req.body);
+
+        res.json({
+            success: true,
+            data: sessionPayload(user, tokens)
+        });
+
+    } catch (error) {
+        if (!error.statusCode) console.error('Claim account error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to claim account'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Issue a new token pair from a refresh token
+ */
+router.post('/refresh', [
+    body('refreshToken').notEmpty().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { user, tokens } = await authService.refresh(req.body.refreshToken);
+
+        res.json({
+            success: true,
+            data: sessionPayload(user, tokens)
+        });
+
+    } catch (error) {
+        if (!error.statusCode) console.error('Refresh error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to refresh session'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke all refresh tokens for the current user
+ */
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await authService.logout(req.userId);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the account behind the current access token
+ */
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const user = await User.findOne({ userId: req.userId });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                userId: user.userId,
+                username: user.auth?.username,
+                userProfile: user.profile,
+                onboardingComplete: !!user.profile.name
+            }
+        });
+
+    } catch (error) {
+        console.error('Get current user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load account'
+        });
+    }
+});
+
+module.exports = router;
@@ -3,7 +3,42 @@ const { body, validationResult } = require('express-validator');
 const router = express.Router();
 
 const memoryService = require('../services/memoryService');
+const contentPolicyService = require('../services/contentPolicyService');
+const embeddingService = require('../services/embeddingService');
+const memoryMaintenanceService = require('../services/memoryMaintenanceService');
 const Memory = require('../models/Memory');
+const { ensureOwnUserId } = require('../middleware/auth');
+
+// Every :userId must match the authenticated user
+router.param('userId', ensureOwnUserId);
+
+/**
+ * GET /api/memory/types
+ * Get available memory types and their descriptions
+ */
+router.get('/types', (req, res) => {
+    const memoryTypes = {
+        personal_fact: 'Basic personal information about the user',
+        preference: 'User likes, dislikes, and preferences',
+        emotional_pattern: 'Recurring emotional states and patterns',
+        significant_event: 'Important life events and experiences',
+        relationship: 'Information about user\'s relationships',
+        goal: 'User aspirations and objectives',
+        concern: 'Ongoing worries or issues',
+        achievement: 'User accomplishments and successes',
+        routine: 'Daily or weekly patterns and habits',
+        value: 'Core beliefs and principles',
+        trigger: 'Emotional triggers to be aware of',
+        coping_mechanism: 'How user deals with stress and challenges',
+        communication_style: 'Preferred communication methods',
+        fake_memory: 'Generated by the companion, not shared by the user (disabled unless the deployment opts in)'
+    };
+
+    res.json({
+        success: true,
+        data: memoryTypes
+    });
+});
 
 /**
  * GET /api/memory/:userId
@@ -11,7 +46,7 @@ const Memory = require('../models/Memory');
  */
 router.get('/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { userId } = req;
         const {
             type,
             importance,
@@ -19,7 +54,9 @@ router.get('/:userId', async (req, res) => {
             limit = 20,
             sortBy = 'importance',
             tags,
-            search
+            search,
+            source,
+            includeGenerated = 'true'
         } = req.query;
 
         // Build query
@@ -29,6 +66,14 @@ router.get('/:userId', async (req, res) => {
             query.type = type;
         }
 
+        if (source) {
+            query['context.source'] = source;
+        }
+
+        if (includeGenerated === 'false') {
+            query.$and = [{ 'context.source': { $ne: 'generated' } }, { type: { $ne: 'fake_memory' } }];
+        }
+
         if (importance) {
             query['emotional_context.importance'] = { $gte: parseInt(importance) };
         }
@@ -73,7 +118,7 @@ router.get('/:userId', async (req, res) => {
         res.json({
             success: true,
             data: {
-                memories,
+                memories: contentPolicyService.labelMemories(memories),
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -116,7 +161,7 @@ router.post('/:userId', [
             });
         }
 
-        const { userId } = req.params;
+        const { userId } = req;
         const {
             type,
             content,
@@ -154,7 +199,7 @@ router.post('/:userId', [
         res.status(201).json({
             success: true,
             message: 'Memory created successfully',
-            data: memory
+            data: contentPolicyService.labelMemory(memory)
         });
 
     } catch (error) {
@@ -168,12 +213,17 @@ router.post('/:userId', [
 
 /**
  * PUT /api/memory/:memoryId
- * Update an existing memory
+ * Update an existing memory. A changed `content` is the user's correction
+ * and marks the memory verified; `pinned` keeps it in every prompt and
+ * `offLimits` keeps it out of prompts and check-ins. Changes apply from
+ * the next message.
  */
 router.put('/:memoryId', [
     body('content').optional().trim().isLength({ min: 1, max: 1000 }),
     body('importance').optional().isInt({ min: 1, max: 10 }),
-    body('tags').optional().isArray()
+    body('tags').optional().isArray(),
+    body('pinned').optional().isBoolean().toBoolean(),
+    body('offLimits').optional().isBoolean().toBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -188,7 +238,7 @@ router.put('/:memoryId', [
         const { memoryId } = req.params;
         const updateData = req.body;
 
-        const memory = await Memory.findById(memoryId);
+        const memory = await Memory.findOne({ _id: memoryId, userId: req.userId });
         if (!memory) {
             return res.status(404).json({
                 success: false,
@@ -197,8 +247,11 @@ router.put('/:memoryId', [
         }
 
         // Update fields
-        if (updateData.content) {
+        const contentChanged = updateData.content && updateData.content !== memory.content;
+        if (contentChanged) {
             memory.content = updateData.content;
+            memory.context.confidence = 1.0;
+            memory.metadata.isVerified = true;
         }
 
         if (updateData.importance) {
@@ -213,13 +266,27 @@ router.put('/:memoryId', [
             memory.metadata.category = updateData.category;
         }
 
+        if (updateData.pinned !== undefined) {
+            memory.metadata.pinned = updateData.pinned;
+        }
+
+        if (updateData.offLimits !== undefined) {
+            memory.metadata.offLimits = updateData.offLimits;
+        }
+
         memory.metadata.needsUpdate = false;
+
+        // Keep semantic retrieval in sync with the corrected content
+        if (contentChanged || updateData.tags) {
+            await embeddingService.embedMemory(memory);
+        }
+
         await memory.save();
 
         res.json({
             success: true,
             message: 'Memory updated successfully',
-            data: memory
+            data: contentPolicyService.labelMemory(memory)
         });
 
     } catch (error) {
@@ -239,7 +306,7 @@ router.delete('/:memoryId', async (req, res) => {
     try {
         const { memoryId } = req.params;
 
-        const memory = await Memory.findById(memoryId);
+        const memory = await Memory.findOne({ _id: memoryId, userId: req.userId });
         if (!memory) {
             return res.status(404).json({
                 success: false,
@@ -271,7 +338,7 @@ router.delete('/:memoryId', async (req, res) => {
  */
 router.get('/:userId/analytics', async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { userId } = req;
 
         const analytics = await memoryService.getMemoryAnalytics(userId);
 
@@ -296,17 +363,114 @@ router.get('/:userId/analytics', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/memory/:userId/generated
+ * Permanently delete every memory the companion generated for the user
+ */
+router.delete('/:userId/generated', async (req, res) => {
+    try {
+        const { userId } = req;
+
+        const deletedCount = await memoryService.purgeGeneratedMemories(userId);
+
+        res.json({
+            success: true,
+            message: 'Generated memories deleted successfully',
+            data: { deletedCount }
+        });
+
+    } catch (error) {
+        console.error('Purge generated memories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete generated memories'
+        });
+    }
+});
+
+/**
+ * GET /api/memory/:userId/conflicts
+ * List unresolved contradictions between stored memories
+ */
+router.get('/:userId/conflicts', async (req, res) => {
+    try {
+        const { userId } = req;
+
+        const conflicts = await memoryService.getConflicts(userId);
+
+        res.json({
+            success: true,
+            data: {
+                conflicts,
+                total: conflicts.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get memory conflicts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve memory conflicts'
+        });
+    }
+});
+
+/**
+ * POST /api/memory/:userId/conflicts/:memoryId/resolve
+ * Resolve a contradiction: `keep` this memory and retire the ones it
+ * conflicts with, or `dismiss` the conflict and keep them all
+ */
+router.post('/:userId/conflicts/:memoryId/resolve', [
+    body('action').isIn(['keep', 'dismiss'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be "keep" or "dismiss"',
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req;
+        const { memoryId } = req.params;
+
+        const memory = await memoryService.resolveConflict(userId, memoryId, req.body.action);
+        if (!memory) {
+            return res.status(404).json({
+                success: false,
+                message: 'Memory not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Memory conflict resolved',
+            data: memory
+        });
+
+    } catch (error) {
+        console.error('Resolve memory conflict error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resolve memory conflict'
+        });
+    }
+});
+
 /**
  * GET /api/memory/:userId/relevant
  * Get relevant memories for current context
  */
 router.get('/:userId/relevant', async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { emotion, topics, conversationType, limit = 10 } = req.query;
+        const { userId } = req;
+        const { emotion, topics, conversationType, query, limit = 10 } = req.query;
 
         const context = {};
 
+        if (query) context.query = query;
         if (emotion) context.emotion = emotion;
         if (conversationType) context.conversationType = conversationType;
         if (topics) context.topics = topics.split(',').map(t => t.trim());
@@ -316,7 +480,7 @@ router.get('/:userId/relevant', async (req, res) => {
         res.json({
             success: true,
             data: {
-                memories: memories.slice(0, parseInt(limit)),
+                memories: contentPolicyService.labelMemories(memories.slice(0, parseInt(limit))),
                 context
             }
         });
@@ -332,17 +496,31 @@ router.get('/:userId/relevant', async (req, res) => {
 
 /**
  * POST /api/memory/:userId/cleanup
- * Clean up old or ineffective memories
+ * Run memory maintenance (expiry, decay, merging duplicates, archiving
+ * stale memories) now. With `{ "dryRun": true }` only reports what it would do.
  */
-router.post('/:userId/cleanup', async (req, res) => {
+router.post('/:userId/cleanup', [
+    body('dryRun').optional().isBoolean()
+], async (req, res) => {
     try {
-        const { userId } = req.params;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'dryRun must be a boolean',
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req;
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
 
-        await memoryService.cleanupMemories(userId);
+        const report = await memoryMaintenanceService.runForUser(userId, { dryRun });
 
         res.json({
             success: true,
-            message: 'Memory cleanup completed successfully'
+            message: dryRun ? 'Memory cleanup preview' : 'Memory cleanup completed successfully',
+            data: report
         });
 
     } catch (error) {
@@ -354,34 +532,6 @@ router.post('/:userId/cleanup', async (req, res) => {
     }
 });
 
-/**
- * GET /api/memory/types
- * Get available memory types and their descriptions
- */
-router.get('/types', (req, res) => {
-    const memoryTypes = {
-        personal_fact: 'Basic personal information about the user',
-        preference: 'User likes, dislikes, and preferences',
-        emotional_pattern: 'Recurring emotional states and patterns',
-        significant_event: 'Important life events and experiences',
-        relationship: 'Information about user\'s relationships',
-        goal: 'User aspirations and objectives',
-        concern: 'Ongoing worries or issues',
-        achievement: 'User accomplishments and successes',
-        routine: 'Daily or weekly patterns and habits',
-        value: 'Core beliefs and principles',
-        trigger: 'Emotional triggers to be aware of',
-        coping_mechanism: 'How user deals with stress and challenges',
-        communication_style: 'Preferred communication methods',
-        fake_memory: 'Generated memories for emotional consistency'
-    };
-
-    res.json({
-        success: true,
-        data: memoryTypes
-    });
-});
-
 /**
  * POST /api/memory/:userId/search
  * Search memories by content
@@ -400,7 +550,7 @@ router.post('/:userId/search', [
             });
         }
 
-        const { userId } = req.params;
+        const { userId } = req;
         const { query, filters = {} } = req.body;
 
         const searchQuery = {
@@ -430,7 +580,7 @@ router.post('/:userId/search', [
         res.json({
             success: true,
             data: {
-                memories,
+                memories: contentPolicyService.labelMemories(memories),
                 query,
                 resultsCount: memories.length
             }
@@ -1,8 +1,43 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 
 const User = require('../models/User');
+const exportService = require('../services/exportService');
+const personaService = require('../services/personaService');
+const checkInService = require('../services/checkInService');
+const moodInsightsService = require('../services/moodInsightsService');
+const quotaService = require('../services/quotaService');
+const { ensureOwnUserId } = require('../middleware/auth');
+
+// Every :userId must match the authenticated user
+router.param('userId', ensureOwnUserId);
+
+const CLOCK_TIME = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check-in preference rules, shared by the profile and preferences endpoints
+ */
+const checkInValidators = (prefix) => [
+    body(`${prefix}checkIns`).optional().isBoolean(),
+    body(`${prefix}timeZone`).optional().trim()
+        .custom(checkInService.isValidTimeZone).withMessage('Unknown time zone'),
+    body(`${prefix}preferredTime`).optional().trim()
+        .custom(value => checkInService.parseClock(value) !== null).withMessage('Must be HH:MM or a time of day'),
+    body(`${prefix}quietHours.start`).optional().matches(CLOCK_TIME),
+    body(`${prefix}quietHours.end`).optional().matches(CLOCK_TIME)
+];
+
+/**
+ * GET /api/user/personas
+ * Personas the user can talk to; the default is listed first
+ */
+router.get('/personas', (req, res) => {
+    res.json({
+        success: true,
+        data: { personas: personaService.list() }
+    });
+});
 
 /**
  * GET /api/user/profile/:userId
@@ -10,7 +45,7 @@ const User = require('../models/User');
  */
 router.get('/profile/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { userId } = req;
 
         let user = await User.findOne({ userId });
 
@@ -65,7 +100,8 @@ router.put('/profile/:userId', [
     body('profile.interests').optional().isArray(),
     body('profile.communicationStyle').optional().isIn(['casual', 'formal', 'emotional', 'analytical', 'supportive']),
     body('profile.preferences.responseLength').optional().isIn(['short', 'medium', 'long']),
-    body('profile.preferences.timeZone').optional().trim()
+    body('profile.preferences.persona').optional().custom(id => personaService.has(id)).withMessage('Unknown persona'),
+    ...checkInValidators('profile.preferences.')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -77,7 +113,7 @@ router.put('/profile/:userId', [
             });
         }
 
-        const { userId } = req.params;
+        const { userId } = req;
         const updateData = req.body;
 
         // Get existing user or create new one
@@ -132,8 +168,10 @@ router.post('/preferences/:userId', [
     body('responseLength').optional().isIn(['short', 'medium', 'long']),
     body('topics').optional().isArray(),
     body('avoidTopics').optional().isArray(),
-    body('timeZone').optional().trim(),
-    body('preferredTime').optional().trim()
+    body('persona').optional().custom(id => personaService.has(id)).withMessage('Unknown persona'),
+    body('moodReminder').optional().isBoolean(),
+    body('moodReminderTime').optional().matches(CLOCK_TIME),
+    ...checkInValidators('')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -145,7 +183,7 @@ router.post('/preferences/:userId', [
             });
         }
 
-        const { userId } = req.params;
+        const { userId } = req;
         const preferences = req.body;
 
         const user = await User.findOne({ userId });
@@ -181,7 +219,7 @@ router.post('/preferences/:userId', [
  */
 router.get('/analytics/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { userId } = req;
         const { timeframe = 'all' } = req.query;
 
         const user = await User.findOne({ userId });
@@ -253,7 +291,9 @@ router.get('/analytics/:userId', async (req, res) => {
 
 /**
  * POST /api/user/mood/:userId
- * Update user's current emotional state
+ * Mood check-in: the user reports how they feel, with an optional note in
+ * `context`. It is kept apart from inferred moods in the insights and sets
+ * the mood for their next reply.
  */
 router.post('/mood/:userId', [
     body('emotion').notEmpty().isIn(['happy', 'sad', 'anxious', 'excited', 'neutral', 'frustrated', 'content', 'overwhelmed']),
@@ -269,7 +309,7 @@ router.post('/mood/:userId', [
             });
         }
 
-        const { userId } = req.params;
+        const { userId } = req;
         const { emotion, context } = req.body;
 
         const user = await User.findOne({ userId });
@@ -280,19 +320,7 @@ router.post('/mood/:userId', [
             });
         }
 
-        // Update current emotional state
-        user.profile.emotionalState.current = emotion;
-        user.profile.emotionalState.history.push({
-            state: emotion,
-            timestamp: new Date(),
-            context: context || ''
-        });
-
-        // Keep only last 50 mood entries
-        if (user.profile.emotionalState.history.length > 50) {
-            user.profile.emotionalState.history = user.profile.emotionalState.history.slice(-50);
-        }
-
+        moodInsightsService.recordMood(user, { emotion, context: context || '', source: 'check_in' });
         await user.save();
 
         res.json({
@@ -300,6 +328,7 @@ router.post('/mood/:userId', [
             message: 'Mood updated successfully',
             data: {
                 currentEmotion: user.profile.emotionalState.current,
+                lastCheckIn: user.profile.emotionalState.lastCheckIn,
                 moodHistory: user.profile.emotionalState.history.slice(-10) // Return last 10 entries
             }
         });
@@ -313,13 +342,203 @@ router.post('/mood/:userId', [
     }
 });
 
+/**
+ * GET /api/user/mood/:userId?interval=day|week&days=30&timeZone=Europe/London
+ * Mood history bucketed by local day or week, with the emotion
+ * distribution, a weekday/hour heat map and a week-over-week comparison.
+ * The time zone defaults to the user's preference, then UTC.
+ */
+router.get('/mood/:userId', [
+    query('interval').optional().isIn(['day', 'week']),
+    query('days').optional().isInt({ min: 1, max: moodInsightsService.config.maxDays }).toInt(),
+    query('timeZone').optional().trim()
+        .custom(checkInService.isValidTimeZone).withMessage('Unknown time zone')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid mood query',
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req;
+        const { interval = 'day', days, timeZone } = req.query;
+
+        const user = await User.findOne({ userId }).select('profile.emotionalState profile.preferences.timeZone conversationMetrics.sentimentTrend');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const preferredZone = user.profile.preferences?.timeZone;
+        const insights = moodInsightsService.summarize(user, {
+            interval,
+            days,
+            timeZone: timeZone || (checkInService.isValidTimeZone(preferredZone) ? preferredZone : 'UTC')
+        });
+
+        res.json({
+            success: true,
+            data: insights
+        });
+
+    } catch (error) {
+        console.error('Get mood insights error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve mood insights'
+        });
+    }
+});
+
+/**
+ * GET /api/user/export/:userId?format=json|markdown|html
+ * Download everything stored about the user
+ */
+router.get('/export/:userId', [
+    query('format').optional().isIn(exportService.formats)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${exportService.formats.join(', ')}`,
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req;
+        const { format = 'json' } = req.query;
+
+        const data = await exportService.collect(userId);
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { body: exportBody, contentType, filename } = exportService.render(data, format);
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(exportBody);
+
+    } catch (error) {
+        console.error('Export user data error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export user data'
+        });
+    }
+});
+
+/**
+ * GET /api/user/quota/:userId
+ * The user's request quotas in the current window and LLM tokens used
+ * today and over the last week. Reading it counts as one account request.
+ */
+router.get('/quota/:userId', async (req, res) => {
+    try {
+        const quota = await quotaService.status(req.userId);
+
+        res.json({
+            success: true,
+            data: quota
+        });
+
+    } catch (error) {
+        console.error('Get quota error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get quota'
+        });
+    }
+});
+
+/**
+ * GET /api/user/check-ins/:userId
+ * Upcoming check-ins and ones waiting for the user's next visit
+ */
+router.get('/check-ins/:userId', async (req, res) => {
+    try {
+        const checkIns = await checkInService.list(req.userId);
+
+        res.json({
+            success: true,
+            data: checkIns.map(checkIn => ({
+                id: checkIn._id,
+                kind: checkIn.kind,
+                topic: checkIn.topic,
+                dueAt: checkIn.dueAt,
+                status: checkIn.status
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get check-ins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get check-ins'
+        });
+    }
+});
+
+/**
+ * DELETE /api/user/check-ins/:userId/:checkInId
+ * Cancel a check-in before it is delivered
+ */
+router.delete('/check-ins/:userId/:checkInId', [
+    param('checkInId').isMongoId()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid check-in id',
+                errors: errors.array()
+            });
+        }
+
+        const checkIn = await checkInService.cancelForUser(req.userId, req.params.checkInId);
+        if (!checkIn) {
+            return res.status(404).json({
+                success: false,
+                message: 'Check-in not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Check-in cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel check-in'
+        });
+    }
+});
+
 /**
  * DELETE /api/user/profile/:userId
  * Delete user profile and all associated data
  */
 router.delete('/profile/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { userId } = req;
 
         // Delete user profile
         const userResult = await User.findOneAndDelete({ userId });
@@ -331,13 +550,21 @@ router.delete('/profile/:userId', async (req, res) => {
             });
         }
 
-        // Delete associated conversations and memories
+        // Delete associated conversations, memories, check-ins, search embeddings,
+        // safety events and quota counters
         const Conversation = require('../models/Conversation');
         const Memory = require('../models/Memory');
+        const CheckIn = require('../models/CheckIn');
+        const MessageEmbedding = require('../models/MessageEmbedding');
+        const EscalationEvent = require('../models/EscalationEvent');
 
         await Promise.all([
             Conversation.deleteMany({ userId }),
-            Memory.deleteMany({ userId })
+            Memory.deleteMany({ userId }),
+            CheckIn.deleteMany({ userId }),
+            MessageEmbedding.deleteMany({ userId }),
+            EscalationEvent.deleteMany({ userId }),
+            quotaService.deleteUser(userId)
         ]);
 
         res.json({
@@ -11,6 +11,7 @@ const winston = require('winston');
 dotenv.config();
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const userRoutes = require('./routes/user');
 const memoryRoutes = require('./routes/memory');
@@ -18,9 +19,15 @@ const memoryRoutes = require('./routes/memory');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const { authenticate } = require('./middleware/auth');
+const { limitRequests } = require('./middleware/quota');
 
 // Import services
 const KeepAliveService = require('./services/keepAlive');
+const llmService = require('./services/llmService');
+const realtimeService = require('./services/realtimeService');
+const checkInService = require('./services/checkInService');
+const memoryMaintenanceService = require('./services/memoryMaintenanceService');
 
 // Initialize Express app
 const app = express();
@@ -51,7 +58,8 @@ const logger = winston.createLogger({
 app.use(helmet());
 app.use(compression());
 
-// Rate limiting - more permissive for development
+// IP rate limiting for unauthenticated routes - more permissive for development.
+// Authenticated routes have per-user quotas instead (config/quota.js).
 const limiter = rateLimit({
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || (process.env.NODE_ENV === 'development' ? 1000 : 100), // 1000 for dev, 100 for prod
@@ -67,12 +75,21 @@ const limiter = rateLimit({
         return false;
     }
 });
-app.use(limiter);
+
+// Stricter limit on credential endpoints to slow down passphrase guessing
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+    message: 'Too many login attempts, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
 
 // CORS configuration
 const corsOptions = {
     origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
     credentials: true,
+    exposedHeaders: ['Content-Disposition'], // Lets the client name data export downloads
     optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -84,13 +101,28 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Request logging
 app.use(requestLogger);
 
-// API routes
-app.use('/api/chat', chatRoutes);
-app.use('/api/user', userRoutes);
-app.use('/api/memory', memoryRoutes);
+// Analytics reads and the data export count against their own quota bucket
+const analyticsRoutes = [
+    '/api/user/analytics/:userId',
+    '/api/user/mood/:userId',
+    '/api/user/export/:userId',
+    '/api/memory/:userId/analytics',
+    '/api/chat/feedback/:userId'
+];
+
+// API routes - everything except /api/auth requires an access token
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/claim', authLimiter);
+app.use('/api/auth', limiter, authRoutes);
+app.use(['/api/chat', '/api/user', '/api/memory'], authenticate);
+app.get(analyticsRoutes, limitRequests('analytics'));
+app.use('/api/chat', limitRequests('chat'), chatRoutes);
+app.use('/api/user', limitRequests('account'), userRoutes);
+app.use('/api/memory', limitRequests('memory'), memoryRoutes);
 
 // Health check endpoint (under /api for consistency)
-app.get('/api/health', (req, res) => {
+app.get('/api/health', limiter, (req, res) => {
     const envCheck = {
         mongodbConnected: mongoose.connection.readyState === 1,
         hasGroqKey: !!process.env.GROQ_API_KEY,
@@ -104,12 +136,13 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         environment: process.env.NODE_ENV,
-        envCheck
+        envCheck,
+        llmProviders: llmService.getProviderStatus()
     });
 });
 
 // Root health check endpoint (for quick access)
-app.get('/health', (req, res) => {
+app.get('/health', limiter, (req, res) => {
     res.status(200).json({
         status: 'OK',
         timestamp: new Date().toISOString(),
@@ -155,6 +188,17 @@ const startServer = async () => {
             logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
         });
 
+        // Typing, streamed replies and server-pushed messages over WebSocket
+        realtimeService.attach(server);
+
+        // Proactive check-ins on stored goals, concerns and upcoming events
+        checkInService.start();
+
+        // Decay, expire, merge and archive memories in the background; a dry run lists what each user would lose
+        memoryMaintenanceService.start(({ dryRun, totals, users }) => {
+            logger.info(`Memory maintenance${dryRun ? ' (dry run)' : ''} finished`, dryRun ? { totals, users } : { totals });
+        });
+
         // Initialize keep-alive service for production
         const keepAlive = new KeepAliveService(process.env.RENDER_EXTERNAL_URL || process.env.BASE_URL);
         keepAlive.start();
@@ -163,6 +207,9 @@ const startServer = async () => {
         process.on('SIGTERM', () => {
             logger.info('SIGTERM received. Shutting down gracefully...');
             keepAlive.stop();
+            realtimeService.close();
+            checkInService.stop();
+            memoryMaintenanceService.stop();
             server.close(() => {
                 mongoose.connection.close();
                 process.exit(0);
@@ -172,6 +219,9 @@ const startServer = async () => {
         process.on('SIGINT', () => {
             logger.info('SIGINT received. Shutting down gracefully...');
             keepAlive.stop();
+            realtimeService.close();
+            checkInService.stop();
+            memoryMaintenanceService.stop();
             server.close(() => {
                 mongoose.connection.close();
                 process.exit(0);
@@ -184,6 +234,9 @@ const startServer = async () => {
     }
 };
 
-startServer();
+// Only listen when run directly; tests import the app and manage their own database
+if (require.main === module) {
+    startServer();
+}
 
 module.exports = app;
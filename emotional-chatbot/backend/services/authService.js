@@ -0,0 +1,234 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const User = require('../models/User');
+const { loadAuthConfig } = require('../config/auth');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Error carrying the HTTP status the auth routes should respond with
+ */
+class AuthError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Passphrase accounts with short-lived access tokens and revocable
+ * refresh tokens. The userId in every token is the only identity the
+ * API trusts; clients never choose it themselves.
+ */
+class AuthService {
+    constructor() {
+        this.config = loadAuthConfig();
+    }
+
+    /**
+     * Create an account and return it with a fresh token pair
+     */
+    async register({ username, passphrase, name }) {
+        this.assertPassphrase(passphrase);
+
+        const normalizedUsername = await this.assertUsernameFree(username);
+
+        const user = new User({
+            userId: uuidv4(),
+            auth: {
+                username: normalizedUsername,
+                passwordHash: await bcrypt.hash(passphrase, this.config.bcryptRounds),
+                lastLoginAt: new Date()
+            },
+            profile: {
+                name: name ? name.trim() : undefined,
+                emotionalState: { current: 'neutral' },
+                communicationStyle: 'supportive',
+                preferences: { responseLength: 'medium' }
+            },
+            relationships: {
+                trustLevel: 5,
+                conversationCount: 0
+            }
+        });
+
+        await this.saveWithUsername(user);
+
+        return { user, tokens: this.issueTokens(user) };
+    }
+
+    /**
+     * Give an account from before passphrase logins, found by the name,
+     * number and birth month it was identified by, a username and
+     * passphrase. Returns it with a fresh token pair. An account can only
+     * be claimed once.
+     */
+    async claimLegacyAccount({ name, personalNumber, birthMonth, username, passphrase }) {
+        if (!this.config.legacyClaimEnabled) {
+            throw new AuthError('Older accounts can no longer be claimed', 410);
+        }
+        this.assertPassphrase(passphrase);
+
+        const legacyKey = this.normalizeLegacyKey(`${name.trim()}-${personalNumber}-${birthMonth.trim()}`);
+        const candidates = await User.find({
+            'profile.name': new RegExp(`^${escapeRegExp(name.trim())}$`, 'i'),
+            'auth.legacyKeyHash': { $exists: true }
+        }).select('+auth.legacyKeyHash');
+
+        let user = null;
+        for (const candidate of candidates) {
+            if (await bcrypt.compare(legacyKey, candidate.auth.legacyKeyHash)) {
+                user = candidate;
+                break;
+            }
+        }
+        if (!user) {
+            throw new AuthError('No unclaimed account matches those details');
+        }
+
+        user.auth.username = await this.assertUsernameFree(username);
+        user.auth.passwordHash = await bcrypt.hash(passphrase, this.config.bcryptRounds);
+        user.auth.legacyKeyHash = undefined;
+        user.auth.lastLoginAt = new Date();
+        await this.saveWithUsername(user);
+
+        return { user, tokens: this.issueTokens(user) };
+    }
+
+    /**
+     * The form a legacy `uniqueKey` is hashed in, so claims don't depend
+     * on how the month or name was capitalised
+     */
+    normalizeLegacyKey(key) {
+        return key.trim().toLowerCase();
+    }
+
+    async hashLegacyKey(key) {
+        return bcrypt.hash(this.normalizeLegacyKey(key), this.config.bcryptRounds);
+    }
+
+    /**
+     * Check a username/passphrase pair and return the user with a fresh token pair
+     */
+    async login({ username, passphrase }) {
+        const user = await User.findOne({ 'auth.username': username.trim().toLowerCase() })
+            .select('+auth.passwordHash');
+
+        // Compare against a dummy hash when the user is unknown so timing
+        // doesn't reveal which usernames exist
+        const hash = user?.auth?.passwordHash || await this.getDummyHash();
+        const valid = await bcrypt.compare(passphrase, hash);
+        if (!user || !valid) {
+            throw new AuthError('Invalid username or passphrase');
+        }
+
+        user.auth.lastLoginAt = new Date();
+        user.relationships.lastInteraction = new Date();
+        await user.save();
+
+        return { user, tokens: this.issueTokens(user) };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (the old one stays valid
+     * until it expires or the user logs out)
+     */
+    async refresh(refreshToken) {
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, this.config.refreshSecret, { issuer: this.config.issuer });
+        } catch (error) {
+            throw new AuthError('Invalid or expired refresh token');
+        }
+
+        if (payload.type !== 'refresh') {
+            throw new AuthError('Invalid or expired refresh token');
+        }
+
+        const user = await User.findOne({ userId: payload.sub });
+        if (!user || (user.auth?.tokenVersion || 0) !== payload.ver) {
+            throw new AuthError('Refresh token has been revoked');
+        }
+
+        return { user, tokens: this.issueTokens(user) };
+    }
+
+    /**
+     * Revoke every refresh token issued to the user so far
+     */
+    async logout(userId) {
+        await User.updateOne({ userId }, { $inc: { 'auth.tokenVersion': 1 } });
+    }
+
+    /**
+     * Verify an access token and return `{ userId }` from its subject
+     */
+    verifyAccessToken(token) {
+        const payload = jwt.verify(token, this.config.accessSecret, { issuer: this.config.issuer });
+        if (payload.type !== 'access') {
+            throw new AuthError('Invalid token');
+        }
+        return { userId: payload.sub };
+    }
+
+    issueTokens(user) {
+        const { issuer } = this.config;
+        const accessToken = jwt.sign(
+            { type: 'access' },
+            this.config.accessSecret,
+            { subject: user.userId, issuer, expiresIn: this.config.accessTokenTtl }
+        );
+        const refreshToken = jwt.sign(
+            { type: 'refresh', ver: user.auth?.tokenVersion || 0 },
+            this.config.refreshSecret,
+            { subject: user.userId, issuer, expiresIn: this.config.refreshTokenTtl }
+        );
+
+        return {
+            accessToken,
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresIn: this.config.accessTokenTtl
+        };
+    }
+
+    async getDummyHash() {
+        if (!this.dummyHash) {
+            this.dummyHash = await bcrypt.hash(uuidv4(), this.config.bcryptRounds);
+        }
+        return this.dummyHash;
+    }
+
+    // The normalized username, unless another account already has it
+    async assertUsernameFree(username) {
+        const normalizedUsername = username.trim().toLowerCase();
+        if (await User.exists({ 'auth.username': normalizedUsername })) {
+            throw new AuthError('That username is already taken', 409);
+        }
+        return normalizedUsername;
+    }
+
+    async saveWithUsername(user) {
+        try {
+            await user.save();
+        } catch (error) {
+            // Someone took the same username between the check and the save
+            if (error.code === 11000 && error.keyPattern?.['auth.username']) {
+                throw new AuthError('That username is already taken', 409);
+            }
+            throw error;
+        }
+    }
+
+    assertPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < this.config.minPassphraseLength) {
+            throw new AuthError(`Passphrase must be at least ${this.config.minPassphraseLength} characters`, 400);
+        }
+    }
+}
+
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
@@ -0,0 +1,425 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+const CheckIn = require('../models/CheckIn');
+const Conversation = require('../models/Conversation');
+const Memory = require('../models/Memory');
+const User = require('../models/User');
+const llmService = require('./llmService');
+const personaService = require('./personaService');
+const realtimeService = require('./realtimeService');
+const { loadCheckInConfig } = require('../config/checkIns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Memory types that get a follow-up, and the persona copy each one uses
+const kindByType = { significant_event: 'event', goal: 'goal', concern: 'concern' };
+
+const namedTimes = { morning: '09:00', afternoon: '14:00', evening: '19:00', night: '21:00' };
+
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// "HH:MM" or a named time of day as minutes after midnight, or null
+const parseClock = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(namedTimes[String(value).toLowerCase()] || value || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// Minutes after local midnight at an instant in a time zone
+const localMinutes = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+};
+
+// Move an instant to a clock time on the same local day
+const atLocalTime = (date, minutes, timeZone) =>
+    new Date(date.getTime() + (minutes - localMinutes(date, timeZone)) * 60 * 1000);
+
+// Memories are written about "User"; check-ins talk to them
+const toSecondPerson = (text) => text
+    .replace(/^User (has|is|was)\b/, (match, verb) => ({ has: 'you have', is: "you're", was: 'you were' })[verb])
+    .replace(/^User's\b/, 'your')
+    .replace(/^User (\w+)s\b/, 'you $1')
+    .replace(/^User\b/, 'you')
+    .replace(/\btheir\b/g, 'your')
+    .replace(/\bthemselves\b/g, 'yourself')
+    .replace(/\bthem\b/g, 'you')
+    .replace(/\bthey\b/g, 'you')
+    .replace(/[.!]+$/, '');
+
+const messageSchema = Joi.object({
+    message: Joi.string().trim().min(10).max(400).required()
+});
+
+const composePrompt = (persona) => `You are ${persona.name}, ${persona.description}.
+Write one short, warm check-in message (one or two sentences) following up on something the user told you earlier. Ask how it went or how they feel about it now. Never mention reminders, schedules or that this was planned.
+
+Respond with JSON only: {"message": "..."}`;
+
+/**
+ * Proactive check-ins. Goals, concerns and upcoming events with future
+ * temporal_info are scheduled as CheckIn jobs; a polling scheduler writes
+ * each one in the user's persona voice when it comes due and either pushes
+ * it over the realtime channel or leaves it ready for the next visit.
+ * Opt-out, quiet hours, time zone and preferred time come from
+ * profile.preferences.
+ */
+class CheckInService {
+    constructor() {
+        this.config = loadCheckInConfig();
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (!this.config.enabled || this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runDue().catch(error => console.error('Check-in run failed:', error));
+        }, this.config.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * A user's check-in preferences with the deployment defaults filled in
+     */
+    settingsFor(user) {
+        const preferences = user?.profile?.preferences || {};
+        const { quietHours, preferredTime } = this.config;
+
+        return {
+            enabled: this.config.enabled && preferences.checkIns !== false,
+            timeZone: isValidTimeZone(preferences.timeZone) ? preferences.timeZone : 'UTC',
+            preferredMinutes: parseClock(preferences.preferredTime) ?? parseClock(preferredTime),
+            quietStart: parseClock(preferences.quietHours?.start) ?? parseClock(quietHours.start),
+            quietEnd: parseClock(preferences.quietHours?.end) ?? parseClock(quietHours.end)
+        };
+    }
+
+    /**
+     * Goals, concerns and events that are still ahead and matter enough
+     */
+    isEligible(memory, now = new Date()) {
+        if (!kindByType[memory.type] || memory.isActive === false || memory.metadata?.offLimits) return false;
+        if ((memory.emotional_context?.importance || 5) < this.config.minImportance) return false;
+
+        const date = memory.temporal_info?.specificDate;
+        return date
+            ? date.getTime() > now.getTime() - DAY_MS // Today's events still count
+            : memory.temporal_info?.timeframe === 'future';
+    }
+
+    /**
+     * The day after a dated event, or a while after an undated goal, at the
+     * user's preferred local time
+     */
+    planDueAt(memory, user, now = new Date()) {
+        const { timeZone, preferredMinutes } = this.settingsFor(user);
+        const date = memory.temporal_info?.specificDate;
+        const base = date
+            ? new Date(date.getTime() + DAY_MS)
+            : new Date((memory.createdAt || now).getTime() + this.config.undatedFollowUpDays * DAY_MS);
+
+        const dueAt = atLocalTime(base, preferredMinutes, timeZone);
+        return dueAt > now ? dueAt : now;
+    }
+
+    /**
+     * `date`, or the end of the user's quiet hours if it falls inside them
+     */
+    nextAllowedTime(date, user) {
+        const { timeZone, quietStart, quietEnd } = this.settingsFor(user);
+        if (quietStart === quietEnd) return date;
+
+        const minutes = localMinutes(date, timeZone);
+        const isQuiet = quietStart < quietEnd
+            ? minutes >= quietStart && minutes < quietEnd
+            : minutes >= quietStart || minutes < quietEnd; // Window wraps past midnight
+        if (!isQuiet) return date;
+
+        return new Date(date.getTime() + ((quietEnd - minutes + 1440) % 1440) * 60 * 1000);
+    }
+
+    /**
+     * Create check-ins for newly stored memories. One per memory, so
+     * restating a plan never schedules a second follow-up.
+     */
+    async scheduleFromMemories(user, memories, now = new Date()) {
+        if (!this.settingsFor(user).enabled) return [];
+
+        const scheduled = [];
+        for (const memory of memories.filter(m => this.isEligible(m, now))) {
+            try {
+                const checkIn = await CheckIn.findOneAndUpdate(
+                    { memoryId: memory._id },
+                    {
+                        $setOnInsert: {
+                            userId: user.userId,
+                            memoryId: memory._id,
+                            kind: kindByType[memory.type],
+                            topic: memory.content,
+                            dueAt: this.planDueAt(memory, user, now)
+                        }
+                    },
+                    { upsert: true, new: true }
+                );
+                scheduled.push(checkIn);
+            } catch (error) {
+                console.error('Failed to schedule check-in:', error.message);
+            }
+        }
+
+        return scheduled;
+    }
+
+    /**
+     * Process every check-in that has come due. Safe to run from several
+     * servers: each job is claimed before it is touched.
+     */
+    async runDue(now = new Date()) {
+        if (this.running) return 0;
+        this.running = true;
+
+        let processed = 0;
+        try {
+            // Nobody came back for these in time; a late "how did it go?" would be odd
+            await CheckIn.updateMany(
+                { status: 'ready', dueAt: { $lt: new Date(now.getTime() - this.config.expireAfterDays * DAY_MS) } },
+                { $set: { status: 'expired', lockedUntil: null } }
+            );
+
+            while (processed < this.config.batchSize) {
+                const checkIn = await this.claim({ status: 'scheduled', dueAt: { $lte: now } }, now);
+                if (!checkIn) break;
+
+                processed += 1;
+                try {
+                    await this.process(checkIn, now);
+                } catch (error) {
+                    console.error(`Check-in ${checkIn._id} failed:`, error.message);
+                    await this.recordFailure(checkIn);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return processed;
+    }
+
+    claim(filter, now) {
+        return CheckIn.findOneAndUpdate(
+            { ...filter, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+            { $set: { lockedUntil: new Date(now.getTime() + this.config.lockMs) } },
+            { sort: { dueAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Count a failed run; the check-in is retried once its lock expires and
+     * given up after MAX_ATTEMPTS. Postponed runs don't count.
+     */
+    async recordFailure(checkIn) {
+        const updated = await CheckIn.findByIdAndUpdate(checkIn._id, { $inc: { attempts: 1 } }, { new: true });
+        if (updated?.attempts >= MAX_ATTEMPTS) await this.cancel(updated, 'failed');
+    }
+
+    async process(checkIn, now) {
+        const [user, memory] = await Promise.all([
+            User.findOne({ userId: checkIn.userId }),
+            Memory.findById(checkIn.memoryId)
+        ]);
+
+        if (!user) return this.cancel(checkIn, 'user_deleted');
+        if (!this.settingsFor(user).enabled) return this.cancel(checkIn, 'opted_out');
+        if (!memory || !memory.isActive || memory.metadata?.offLimits) return this.cancel(checkIn, 'memory_removed');
+
+        const allowedAt = this.nextAllowedTime(now, user);
+        if (allowedAt > now) return this.postpone(checkIn, allowedAt);
+
+        // One follow-up a day at most, and none while another waits to be seen
+        const recent = await CheckIn.countDocuments({
+            userId: user.userId,
+            _id: { $ne: checkIn._id },
+            $or: [
+                { status: 'ready' },
+                { 'delivery.deliveredAt': { $gt: new Date(now.getTime() - DAY_MS) } }
+            ]
+        });
+        if (recent >= this.config.maxPerDay) {
+            return this.postpone(checkIn, new Date(now.getTime() + DAY_MS));
+        }
+
+        checkIn.message = await this.compose(checkIn, memory, user);
+
+        if (realtimeService.isOnline(user.userId)) {
+            return this.deliver(checkIn, user, 'push');
+        }
+
+        checkIn.status = 'ready';
+        checkIn.lockedUntil = null;
+        return checkIn.save();
+    }
+
+    /**
+     * Add check-ins that came due while the user was away to their latest
+     * conversation; called when they load their history
+     */
+    async deliverPending(userId, now = new Date()) {
+        const user = await User.findOne({ userId });
+        if (!user) return [];
+
+        const delivered = [];
+        while (delivered.length < this.config.maxPerDay) {
+            const checkIn = await this.claim({ userId, status: 'ready' }, now);
+            if (!checkIn) break;
+
+            if (!this.settingsFor(user).enabled) {
+                await this.cancel(checkIn, 'opted_out');
+                continue;
+            }
+            delivered.push(await this.deliver(checkIn, user, 'visit'));
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Save the check-in as an assistant message and push it to open tabs.
+     * Pushed check-ins go to the session the user has open.
+     */
+    async deliver(checkIn, user, via) {
+        const { userId } = user;
+        const [openSession] = via === 'push' ? realtimeService.activeSessions(userId) : [];
+
+        let conversation = openSession
+            ? await Conversation.findOne({ userId, sessionId: openSession })
+            : await Conversation.findOne({ userId, status: 'active', isArchived: { $ne: true } }).sort({ updatedAt: -1 });
+
+        if (!conversation) {
+            conversation = new Conversation({
+                userId,
+                sessionId: openSession || uuidv4(),
+                messages: [],
+                context: { conversationType: 'casual', urgency: 'low' }
+            });
+        }
+
+        await conversation.addMessage({
+            role: 'assistant',
+            content: checkIn.message,
+            timestamp: new Date(),
+            metadata: {
+                emotionalTone: 'supportive',
+                checkInId: checkIn._id.toString()
+            }
+        });
+        const message = conversation.messages[conversation.messages.length - 1];
+
+        checkIn.status = 'delivered';
+        checkIn.lockedUntil = null;
+        checkIn.delivery = {
+            via,
+            sessionId: conversation.sessionId,
+            messageId: message.id,
+            deliveredAt: new Date()
+        };
+        await checkIn.save();
+
+        realtimeService.toUser(userId, 'message', {
+            sessionId: conversation.sessionId,
+            message: {
+                id: message.id,
+                role: message.role,
+                content: message.content,
+                timestamp: message.timestamp,
+                metadata: message.metadata
+            }
+        });
+
+        return checkIn;
+    }
+
+    /**
+     * Write the check-in in the persona's voice, falling back to its template
+     */
+    async compose(checkIn, memory, user) {
+        const persona = personaService.forUser(user);
+        const userName = user.profile?.name || 'friend';
+
+        if (this.config.compose === 'llm') {
+            try {
+                const { data } = await llmService.generateJSON(
+                    composePrompt(persona),
+                    `Their name: ${userName}\nWhat they told you on ${memory.createdAt.toISOString().slice(0, 10)}: ${memory.content}`,
+                    { maxTokens: this.config.maxTokens, temperature: 0.7, userId: user.userId }
+                );
+
+                const { value, error } = messageSchema.validate(data, { stripUnknown: true });
+                if (!error) return value.message;
+            } catch (error) {
+                console.error('LLM check-in failed, using template:', error.message);
+            }
+        }
+
+        const templates = persona.checkIns || personaService.get().checkIns;
+        const memoryText = toSecondPerson(memory.content);
+        if (!templates) {
+            return `Hi ${userName}, I've been thinking about something you told me: ${memoryText}. How are things now?`;
+        }
+        return personaService.render(templates[checkIn.kind], { userName, memory: memoryText });
+    }
+
+    postpone(checkIn, dueAt) {
+        checkIn.dueAt = dueAt;
+        checkIn.lockedUntil = null;
+        return checkIn.save();
+    }
+
+    cancel(checkIn, reason) {
+        checkIn.status = 'cancelled';
+        checkIn.cancelReason = reason;
+        checkIn.lockedUntil = null;
+        return checkIn.save();
+    }
+
+    /**
+     * Upcoming and waiting check-ins for a user
+     */
+    list(userId) {
+        return CheckIn.find({ userId, status: { $in: ['scheduled', 'ready'] } }).sort({ dueAt: 1 });
+    }
+
+    /**
+     * Cancel one of the user's check-ins; null when there is none to cancel
+     */
+    async cancelForUser(userId, checkInId) {
+        const checkIn = await CheckIn.findOne({ _id: checkInId, userId, status: { $in: ['scheduled', 'ready'] } });
+        return checkIn ? this.cancel(checkIn, 'user') : null;
+    }
+}
+
+module.exports = new CheckInService();
+module.exports.isValidTimeZone = isValidTimeZone;
+module.exports.parseClock = parseClock;
@@ -0,0 +1,51 @@
+const { loadContentPolicy } = require('../config/contentPolicy');
+
+/**
+ * Single place that decides where generated content may appear, so the
+ * generator, prompt context and memory APIs apply the same rules.
+ */
+class ContentPolicyService {
+    constructor() {
+        this.config = loadContentPolicy();
+    }
+
+    isGeneratedMemory(memory) {
+        return memory.context?.source === 'generated' || memory.type === 'fake_memory';
+    }
+
+    /**
+     * Whether this deployment has opted in to creating generated memories
+     */
+    allowsGeneratedMemories() {
+        return this.config.generatedMemories.enabled;
+    }
+
+    /**
+     * Query clause that keeps generated memories out of prompt context,
+     * or an empty clause when the deployment allows them
+     */
+    promptMemoryFilter() {
+        if (this.config.generatedMemories.includeInPrompt) return {};
+        return { 'context.source': { $ne: 'generated' }, type: { $ne: 'fake_memory' } };
+    }
+
+    /**
+     * Serialize a memory for API responses with its provenance spelled out
+     */
+    labelMemory(memory) {
+        const json = typeof memory.toJSON === 'function' ? memory.toJSON() : { ...memory };
+        const isGenerated = this.isGeneratedMemory(memory);
+
+        return {
+            ...json,
+            isGenerated,
+            provenanceLabel: isGenerated ? this.config.generatedMemories.label : null
+        };
+    }
+
+    labelMemories(memories) {
+        return memories.map(memory => this.labelMemory(memory));
+    }
+}
+
+module.exports = new ContentPolicyService();
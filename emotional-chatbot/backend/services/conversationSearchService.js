@@ -0,0 +1,294 @@
+const Conversation = require('../models/Conversation');
+const MessageEmbedding = require('../models/MessageEmbedding');
+const embeddingService = require('./embeddingService');
+const { loadSearchConfig } = require('../config/search');
+
+const WORD = /[\p{L}\p{N}']+/gu;
+
+// Not highlighted on their own, as MongoDB leaves them out of the text index
+const stopWords = new Set([
+    'a', 'about', 'am', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of',
+    'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this',
+    'to', 'was', 'we', 'were', 'what', 'when', 'will', 'with', 'you', 'your'
+]);
+
+// Rough English stemming, close enough to the text index's for highlighting:
+// "worried", "worries" and "worrying" all become "worri"
+const stem = (word) => word.toLowerCase()
+    .replace(/'s?$/, '')
+    .replace(/(ing|ed|es|ly|(?<!s)s)$/, (suffix, group, offset) => (offset >= 3 ? '' : suffix))
+    .replace(/y$/, 'i');
+
+// Sorted [start, end) ranges with overlaps joined
+const mergeRanges = (ranges) => ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Search across all of a user's conversations. Messages on the active path
+ * of each conversation are matched by text (MongoDB text index, then the
+ * query terms are located in each message for highlighting) and, when
+ * enabled, by embedding similarity to the query. Archived conversations
+ * are left out.
+ */
+class ConversationSearchService {
+    constructor() {
+        this.config = loadSearchConfig();
+    }
+
+    /**
+     * Quoted phrases and stemmed terms of a query. Negated terms ("-work")
+     * only narrow the text search and are not highlighted.
+     */
+    parseQuery(query = '') {
+        const phrases = [...query.matchAll(/"([^"]+)"/g)]
+            .map(match => match[1].trim().toLowerCase())
+            .filter(Boolean);
+
+        const words = query.replace(/"[^"]*"/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !token.startsWith('-'))
+            .flatMap(token => token.match(WORD) || [])
+            .map(word => word.toLowerCase())
+            .filter(word => word.length > 1 && !stopWords.has(word));
+
+        return { terms: [...new Set(words.map(stem))], phrases: [...new Set(phrases)] };
+    }
+
+    /**
+     * Where the query occurs in a message. Returns `{ ranges, coverage }`:
+     * character ranges to highlight and the share of terms and phrases found.
+     */
+    findMatches(content, { terms, phrases }) {
+        const ranges = [];
+        const found = new Set();
+
+        for (const match of content.matchAll(WORD)) {
+            const term = stem(match[0]);
+            if (!terms.includes(term)) continue;
+
+            ranges.push([match.index, match.index + match[0].length]);
+            found.add(term);
+        }
+
+        const lower = content.toLowerCase();
+        phrases.forEach(phrase => {
+            for (let at = lower.indexOf(phrase); at !== -1; at = lower.indexOf(phrase, at + phrase.length)) {
+                ranges.push([at, at + phrase.length]);
+                found.add(`"${phrase}"`);
+            }
+        });
+
+        const wanted = terms.length + phrases.length;
+        return { ranges: mergeRanges(ranges), coverage: wanted > 0 ? found.size / wanted : 0 };
+    }
+
+    /**
+     * An excerpt of about `length` characters around the first match, cut
+     * at word boundaries. Highlights are `[start, end)` ranges in the excerpt.
+     */
+    snippet(content, ranges = [], length = this.config.snippetLength) {
+        if (content.length <= length) return { text: content, highlights: ranges };
+
+        const first = ranges[0] || [0, 0];
+        let start = Math.max(0, Math.min(first[0] - Math.floor(length / 3), content.length - length));
+        let end = Math.min(content.length, start + length);
+
+        if (start > 0) {
+            const space = content.indexOf(' ', start);
+            if (space !== -1 && space < first[0]) start = space + 1;
+        }
+        if (end < content.length) {
+            const space = content.lastIndexOf(' ', end);
+            if (space > Math.max(start, first[1])) end = space;
+        }
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < content.length ? '…' : '';
+        const highlights = ranges
+            .filter(([from, to]) => from < end && to > start)
+            .map(([from, to]) => [Math.max(from, start) - start + prefix.length, Math.min(to, end) - start + prefix.length]);
+
+        return { text: `${prefix}${content.slice(start, end)}${suffix}`, highlights };
+    }
+
+    /**
+     * Search a user's conversations. Filters: `from` and `to` (message
+     * dates), `emotion` (the user's detected emotion for that turn),
+     * `conversationType` and `role`. Returns `{ results, total, semantic }`
+     * with the best `limit` messages first.
+     */
+    async search(userId, query, { filters = {}, semantic = true, limit = 20 } = {}) {
+        const parsed = this.parseQuery(query);
+        const useSemantic = semantic && this.config.semanticEnabled;
+        const conversationFilter = this.conversationFilter(userId, filters);
+        const matchesFilters = (message) => this.messageMatchesFilters(message, filters);
+
+        const hits = new Map(); // messageId -> { conversation, message, ranges, coverage, similarity }
+        const hit = (conversation, message) => {
+            if (!hits.has(message.id)) {
+                hits.set(message.id, { conversation, message, ranges: [], coverage: 0, similarity: null });
+            }
+            return hits.get(message.id);
+        };
+
+        if (parsed.terms.length > 0 || parsed.phrases.length > 0) {
+            const conversations = await Conversation.find({ ...conversationFilter, $text: { $search: query } })
+                .select('sessionId context messages createdAt')
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(this.config.candidateConversations);
+
+            conversations.forEach(conversation => {
+                conversation.messages.filter(matchesFilters).forEach(message => {
+                    const { ranges, coverage } = this.findMatches(message.content, parsed);
+                    if (coverage === 0) return;
+
+                    Object.assign(hit(conversation, message), { ranges, coverage });
+                });
+            });
+        }
+
+        if (useSemantic) {
+            await this.addSemanticMatches(userId, query, conversationFilter, matchesFilters, hit);
+        }
+
+        const { semanticWeight } = this.config;
+        const results = [...hits.values()]
+            .map(({ conversation, message, ranges, coverage, similarity }) => {
+                const score = useSemantic
+                    ? (1 - semanticWeight) * coverage + semanticWeight * (similarity || 0)
+                    : coverage;
+                const { text, highlights } = this.snippet(message.content, ranges);
+
+                return {
+                    sessionId: conversation.sessionId,
+                    messageId: message.id,
+                    role: message.role,
+                    timestamp: message.timestamp,
+                    snippet: text,
+                    highlights,
+                    score: round(score),
+                    matchedBy: [coverage > 0 && 'text', similarity !== null && 'semantic'].filter(Boolean),
+                    emotion: message.metadata?.userSentiment?.emotion || null,
+                    conversationType: conversation.context?.conversationType,
+                    conversationStartedAt: conversation.createdAt
+                };
+            })
+            .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+
+        return {
+            results: results.slice(0, Math.min(limit, this.config.maxResults)),
+            total: results.length,
+            semantic: useSemantic
+        };
+    }
+
+    /**
+     * Messages of the most recent conversations similar enough to the
+     * query. Embeddings missing from the cache are filled in as needed.
+     */
+    async addSemanticMatches(userId, query, conversationFilter, matchesFilters, hit) {
+        let queryVector;
+        try {
+            queryVector = (await embeddingService.embed(query)).vector;
+        } catch (error) {
+            console.error('Error embedding search query:', error.message);
+            return;
+        }
+
+        const conversations = await Conversation.find(conversationFilter)
+            .select('sessionId context messages createdAt')
+            .sort({ updatedAt: -1 })
+            .limit(this.config.candidateConversations);
+
+        const candidates = conversations.flatMap(conversation =>
+            conversation.messages.filter(matchesFilters).map(message => ({ conversation, message })));
+        const vectors = await this.messageVectors(userId, candidates.map(({ message }) => message));
+
+        candidates.forEach(({ conversation, message }) => {
+            const vector = vectors.get(message.id);
+            if (!vector) return;
+
+            const similarity = embeddingService.cosineSimilarity(queryVector, vector);
+            if (similarity < this.config.minSimilarity) return;
+
+            hit(conversation, message).similarity = similarity;
+        });
+    }
+
+    /**
+     * Embeddings of messages from the active embedder, keyed by message id.
+     * Up to `backfillLimit` uncached messages are embedded and stored.
+     */
+    async messageVectors(userId, messages) {
+        const { model } = embeddingService.getEmbedder();
+        const cached = await MessageEmbedding.find({
+            userId,
+            model,
+            messageId: { $in: messages.map(message => message.id) }
+        }).select('messageId vector');
+
+        const vectors = new Map(cached.map(entry => [entry.messageId, entry.vector]));
+        const missing = messages
+            .filter(message => !vectors.has(message.id))
+            .slice(0, this.config.backfillLimit);
+
+        const ops = [];
+        for (const message of missing) {
+            try {
+                const { vector } = await embeddingService.embed(message.content);
+                vectors.set(message.id, vector);
+                ops.push({
+                    updateOne: {
+                        filter: { userId, messageId: message.id, model },
+                        update: { $set: { vector } },
+                        upsert: true
+                    }
+                });
+            } catch (error) {
+                console.error('Error embedding message for search:', error.message);
+                break; // The embedder is likely down; use what is cached
+            }
+        }
+        if (ops.length > 0) await MessageEmbedding.bulkWrite(ops, { ordered: false });
+
+        return vectors;
+    }
+
+    // Narrows the conversations to scan; messages are checked again one by one
+    conversationFilter(userId, { from, to, emotion, conversationType }) {
+        const filter = { userId, isArchived: { $ne: true } };
+
+        if (conversationType) filter['context.conversationType'] = conversationType;
+        if (emotion) filter['messages.metadata.userSentiment.emotion'] = emotion;
+        if (from || to) {
+            filter['messages.timestamp'] = {
+                ...(from && { $gte: new Date(from) }),
+                ...(to && { $lte: new Date(to) })
+            };
+        }
+
+        return filter;
+    }
+
+    messageMatchesFilters(message, { from, to, emotion, role }) {
+        if (from && message.timestamp < new Date(from)) return false;
+        if (to && message.timestamp > new Date(to)) return false;
+        if (emotion && message.metadata?.userSentiment?.emotion !== emotion) return false;
+        if (role && message.role !== role) return false;
+        return true;
+    }
+}
+
+module.exports = new ConversationSearchService();
@@ -0,0 +1,95 @@
+/**
+ * Offline embedder based on feature hashing.
+ *
+ * Words are normalized (possessives and common suffixes stripped) and hashed
+ * into a fixed-size vector, together with coarse concept features so that
+ * related words ("sister", "wedding" / "married") land near each other even
+ * without an exact tag or keyword match.
+ */
+
+const stopWords = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have',
+    'i', 'im', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+    'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your', 'user', 'users'
+]);
+
+const conceptLexicon = {
+    family: ['sister', 'brother', 'sibling', 'mom', 'mother', 'mum', 'dad', 'father', 'parent', 'aunt', 'uncle',
+        'cousin', 'grandma', 'grandmother', 'grandpa', 'grandfather', 'son', 'daughter', 'kid', 'child', 'children', 'family'],
+    partner: ['partner', 'boyfriend', 'girlfriend', 'husband', 'wife', 'spouse', 'fiance', 'fiancee', 'dating', 'relationship'],
+    wedding: ['wedding', 'married', 'marry', 'marriage', 'engaged', 'engagement', 'bride', 'groom', 'reception'],
+    friends: ['friend', 'friendship', 'buddy', 'roommate', 'bestie'],
+    work: ['job', 'work', 'career', 'boss', 'colleague', 'coworker', 'office', 'manager', 'interview', 'promotion', 'salary', 'hired', 'fired'],
+    school: ['school', 'college', 'university', 'exam', 'class', 'study', 'studying', 'degree', 'teacher', 'professor', 'semester', 'homework'],
+    health: ['health', 'sick', 'doctor', 'hospital', 'medication', 'medicine', 'therapy', 'therapist', 'illness', 'pain', 'surgery', 'diagnosis'],
+    fitness: ['fitness', 'gym', 'exercise', 'workout', 'running', 'run', 'yoga', 'diet', 'weight'],
+    home: ['home', 'live', 'living', 'apartment', 'house', 'moved', 'move', 'moving', 'city', 'town', 'neighborhood'],
+    money: ['money', 'debt', 'rent', 'bills', 'budget', 'loan', 'savings', 'afford', 'expensive'],
+    pets: ['dog', 'cat', 'pet', 'puppy', 'kitten'],
+    travel: ['travel', 'trip', 'vacation', 'holiday', 'flight', 'abroad', 'visit'],
+    food: ['food', 'eat', 'eating', 'cook', 'cooking', 'vegetarian', 'vegan', 'meal', 'dinner', 'lunch', 'breakfast'],
+    hobby: ['hobby', 'music', 'guitar', 'piano', 'reading', 'book', 'painting', 'art', 'gaming', 'game', 'sport', 'sports', 'movie', 'film'],
+    stress: ['stress', 'stressed', 'anxious', 'anxiety', 'worried', 'worry', 'nervous', 'overwhelmed', 'panic', 'pressure'],
+    sadness: ['sad', 'depressed', 'depression', 'lonely', 'alone', 'unhappy', 'grief', 'cry', 'crying', 'miss', 'hurt'],
+    anger: ['angry', 'mad', 'furious', 'annoyed', 'frustrated', 'irritated'],
+    joy: ['happy', 'excited', 'glad', 'thrilled', 'joy', 'celebrate', 'proud', 'grateful'],
+    loss: ['died', 'death', 'passed', 'funeral', 'loss', 'lost', 'breakup', 'divorce']
+};
+
+// word -> concept lookup, built once
+const conceptIndex = new Map();
+Object.entries(conceptLexicon).forEach(([concept, words]) => {
+    words.forEach(word => conceptIndex.set(normalizeWord(word), concept));
+});
+
+function normalizeWord(word) {
+    let stem = word.toLowerCase().replace(/['’]s$/, '').replace(/[^a-z0-9]/g, '');
+    if (stem.length > 5 && stem.endsWith('ing')) stem = stem.slice(0, -3);
+    else if (stem.length > 4 && stem.endsWith('ed')) stem = stem.slice(0, -2);
+    else if (stem.length > 4 && stem.endsWith('es')) stem = stem.slice(0, -2);
+    else if (stem.length > 3 && stem.endsWith('s') && !stem.endsWith('ss')) stem = stem.slice(0, -1);
+    return stem;
+}
+
+// FNV-1a 32-bit hash
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+class LocalEmbedder {
+    constructor(config = {}) {
+        this.dimensions = config.dimensions || 256;
+        this.model = `local-hash-v1-${this.dimensions}`;
+    }
+
+    async embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = (text || '').split(/\s+/)
+            .map(normalizeWord)
+            .filter(word => word.length > 1 && !stopWords.has(word));
+
+        const addFeature = (feature, weight) => {
+            const h = hash(feature);
+            const sign = (h & 1) ? 1 : -1; // Signed hashing keeps collisions from biasing similarity
+            vector[(h >>> 1) % this.dimensions] += sign * weight;
+        };
+
+        words.forEach((word, index) => {
+            addFeature(`w:${word}`, 1);
+            if (index > 0) addFeature(`b:${words[index - 1]}_${word}`, 0.5);
+
+            const concept = conceptIndex.get(word);
+            if (concept) addFeature(`c:${concept}`, 1.5);
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,33 @@
+const axios = require('axios');
+
+/**
+ * Embedder for OpenAI-compatible /embeddings endpoints
+ */
+class OpenAIEmbedder {
+    constructor(config = {}) {
+        this.config = config;
+        this.model = config.model;
+    }
+
+    async embed(text) {
+        if (!this.config.apiKey) {
+            throw new Error('No API key configured for embeddings');
+        }
+
+        const response = await axios.post(
+            `${this.config.baseUrl}/embeddings`,
+            { model: this.model, input: text },
+            {
+                headers: {
+                    'Authorization': `Bearer ${this.config.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: this.config.timeoutMs
+            }
+        );
+
+        return response.data.data[0].embedding;
+    }
+}
+
+module.exports = OpenAIEmbedder;
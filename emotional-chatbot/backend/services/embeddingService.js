@@ -0,0 +1,86 @@
+const { loadEmbeddingConfig } = require('../config/embedding');
+const LocalEmbedder = require('./embedders/localEmbedder');
+const OpenAIEmbedder = require('./embedders/openAIEmbedder');
+
+class EmbeddingService {
+    constructor() {
+        this.config = loadEmbeddingConfig();
+        this.embedders = new Map();
+
+        this.registerEmbedder('local', new LocalEmbedder(this.config.local));
+        this.registerEmbedder('openai', new OpenAIEmbedder(this.config.openai));
+    }
+
+    /**
+     * Register an embedder. It must expose `model` and `async embed(text)`.
+     */
+    registerEmbedder(name, embedder) {
+        this.embedders.set(name, embedder);
+    }
+
+    /**
+     * The embedder selected by configuration
+     */
+    getEmbedder() {
+        const embedder = this.embedders.get(this.config.provider);
+        if (!embedder) {
+            throw new Error(`Unknown embedding provider "${this.config.provider}"`);
+        }
+        return embedder;
+    }
+
+    /**
+     * Embed text with the active embedder
+     */
+    async embed(text) {
+        const embedder = this.getEmbedder();
+        const vector = await embedder.embed(text);
+        return { vector, model: embedder.model };
+    }
+
+    /**
+     * Fill a memory's vector_embedding (does not save the document).
+     * Returns false if embedding failed so callers can still save the memory.
+     */
+    async embedMemory(memory) {
+        try {
+            const { vector, model } = await this.embed(memoryText(memory));
+            memory.vector_embedding = vector;
+            memory.embedding_model = model;
+            return true;
+        } catch (error) {
+            console.error('Error embedding memory:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Whether a memory's stored embedding was produced by the active embedder
+     */
+    hasCurrentEmbedding(memory) {
+        return memory.vector_embedding?.length > 0 &&
+            memory.embedding_model === this.getEmbedder().model;
+    }
+
+    cosineSimilarity(a, b) {
+        if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        if (normA === 0 || normB === 0) return 0;
+        return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+}
+
+// Tags carry the type and topic words, which helps short memories match
+const memoryText = (memory) =>
+    [memory.content, ...(memory.metadata?.tags || [])].join(' ');
+
+module.exports = new EmbeddingService();
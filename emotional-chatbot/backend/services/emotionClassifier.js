@@ -0,0 +1,308 @@
+const Joi = require('joi');
+
+const User = require('../models/User');
+const llmService = require('./llmService');
+const { loadEmotionConfig } = require('../config/emotion');
+
+// Everything we return must be storable as profile.emotionalState.current
+const emotionalStates = User.schema.path('profile.emotionalState.current').enumValues;
+
+/**
+ * Fine-grained labels (from the lexicon or an LLM) mapped onto the
+ * emotional states the rest of the app understands
+ */
+const labelMap = {
+    happy: 'happy', happiness: 'happy', joy: 'happy', joyful: 'happy', glad: 'happy', love: 'happy',
+    gratitude: 'happy', grateful: 'happy', pride: 'happy', proud: 'happy', amusement: 'happy', amused: 'happy',
+    excited: 'excited', excitement: 'excited', enthusiasm: 'excited', anticipation: 'excited', thrilled: 'excited', eager: 'excited',
+    content: 'content', contentment: 'content', calm: 'content', relief: 'content', relieved: 'content', peace: 'content',
+    peaceful: 'content', satisfaction: 'content', satisfied: 'content', hope: 'content', hopeful: 'content', relaxed: 'content',
+    sad: 'sad', sadness: 'sad', grief: 'sad', sorrow: 'sad', loneliness: 'sad', lonely: 'sad', disappointment: 'sad',
+    disappointed: 'sad', hurt: 'sad', shame: 'sad', guilt: 'sad', hopelessness: 'sad', hopeless: 'sad', depressed: 'sad',
+    anxious: 'anxious', anxiety: 'anxious', fear: 'anxious', afraid: 'anxious', scared: 'anxious', worry: 'anxious',
+    worried: 'anxious', nervousness: 'anxious', nervous: 'anxious', stress: 'anxious', stressed: 'anxious', panic: 'anxious',
+    insecurity: 'anxious',
+    frustrated: 'frustrated', frustration: 'frustrated', anger: 'frustrated', angry: 'frustrated', annoyance: 'frustrated',
+    annoyed: 'frustrated', irritation: 'frustrated', irritated: 'frustrated', resentment: 'frustrated',
+    overwhelmed: 'overwhelmed', overwhelm: 'overwhelmed', exhaustion: 'overwhelmed', exhausted: 'overwhelmed',
+    burnout: 'overwhelmed', overload: 'overwhelmed', tired: 'overwhelmed',
+    neutral: 'neutral', confusion: 'neutral', confused: 'neutral', surprise: 'neutral', curiosity: 'neutral'
+};
+
+// Overall tone of each state, used for the -1 to 1 score
+const valence = {
+    happy: 0.8, excited: 0.9, content: 0.5, neutral: 0,
+    sad: -0.8, anxious: -0.6, frustrated: -0.7, overwhelmed: -0.7
+};
+
+/**
+ * Word model: each entry adds weight to one or more labels
+ */
+const lexicon = {
+    happy: { joy: 1 }, happier: { joy: 1 }, happiest: { joy: 1.2 }, glad: { joy: 0.8 }, joy: { joy: 1 },
+    joyful: { joy: 1 }, delighted: { joy: 1.2 }, cheerful: { joy: 0.8 }, great: { joy: 0.7 }, good: { joy: 0.5 },
+    wonderful: { joy: 1 }, amazing: { joy: 1 }, awesome: { joy: 1 }, fantastic: { joy: 1 }, perfect: { joy: 0.7 },
+    love: { joy: 0.8 }, loved: { joy: 0.8 }, loving: { joy: 0.8 }, grateful: { gratitude: 1 }, thankful: { gratitude: 1 },
+    proud: { pride: 1 }, yay: { excitement: 0.8 },
+    excited: { excitement: 1 }, exciting: { excitement: 0.8 }, thrilled: { excitement: 1.2 }, ecstatic: { excitement: 1.3 },
+    pumped: { excitement: 1 }, stoked: { excitement: 1 }, eager: { excitement: 0.7 },
+    calm: { calm: 1 }, peaceful: { calm: 1 }, relaxed: { calm: 1 }, content: { calm: 1 }, relieved: { relief: 1 },
+    satisfied: { calm: 0.8 }, fine: { calm: 0.4 }, hopeful: { hope: 0.8 },
+    sad: { sadness: 1 }, sadder: { sadness: 1 }, saddest: { sadness: 1.2 }, unhappy: { sadness: 1 }, down: { sadness: 0.5 },
+    depressed: { sadness: 1.3 }, miserable: { sadness: 1.2 }, heartbroken: { sadness: 1.3 }, lonely: { loneliness: 1 },
+    alone: { loneliness: 0.5 }, cry: { sadness: 0.9 }, crying: { sadness: 1 }, cried: { sadness: 1 }, tears: { sadness: 0.8 },
+    grief: { grief: 1.2 }, grieving: { grief: 1.2 }, hopeless: { hopelessness: 1.3 }, empty: { sadness: 0.7 },
+    hurt: { hurt: 0.9 }, hurting: { hurt: 1 }, miss: { sadness: 0.5 }, disappointed: { disappointment: 1 },
+    worst: { sadness: 0.5 }, terrible: { sadness: 0.7 }, awful: { sadness: 0.7 }, upset: { sadness: 0.6, frustration: 0.4 },
+    guilty: { guilt: 1 }, ashamed: { shame: 1 },
+    anxious: { anxiety: 1 }, anxiety: { anxiety: 1 }, nervous: { anxiety: 0.9 }, worried: { worry: 1 }, worry: { worry: 0.8 },
+    worrying: { worry: 0.9 }, scared: { fear: 1 }, afraid: { fear: 1 }, fear: { fear: 0.9 }, terrified: { fear: 1.3 },
+    panic: { panic: 1.2 }, panicking: { panic: 1.3 }, uneasy: { anxiety: 0.7 }, tense: { anxiety: 0.6 },
+    stressed: { stress: 1 }, stress: { stress: 0.8 }, stressful: { stress: 0.8 },
+    frustrated: { frustration: 1 }, frustrating: { frustration: 0.9 }, annoyed: { annoyance: 0.9 }, annoying: { annoyance: 0.7 },
+    irritated: { irritation: 0.9 }, angry: { anger: 1 }, mad: { anger: 0.9 }, furious: { anger: 1.3 }, hate: { anger: 0.8 },
+    pissed: { anger: 1 },
+    overwhelmed: { overwhelm: 1.2 }, overwhelming: { overwhelm: 1 }, exhausted: { exhaustion: 1 }, drained: { exhaustion: 1 },
+    tired: { exhaustion: 0.6 }, swamped: { overwhelm: 0.9 }
+};
+
+const phrases = {
+    'burned out': { burnout: 1.2 }, 'burnt out': { burnout: 1.2 }, 'worn out': { exhaustion: 1 },
+    'too much': { overwhelm: 0.8 }, 'fed up': { frustration: 1 }, 'stressed out': { stress: 1.2 },
+    'freaking out': { panic: 1 }, 'let down': { disappointment: 1 }, 'cant cope': { overwhelm: 1.2 },
+    'cant sleep': { anxiety: 0.6 }, 'so done': { frustration: 0.8 }, 'not okay': { sadness: 0.8 },
+    'not ok': { sadness: 0.8 }, 'not alright': { sadness: 0.8 }
+};
+
+const emoji = {
+    ':)': { joy: 0.6 }, ':-)': { joy: 0.6 }, ':D': { joy: 0.8 }, ':(': { sadness: 0.6 }, ':-(': { sadness: 0.6 },
+    ":'(": { sadness: 1 }, '😊': { joy: 0.7 }, '🙂': { joy: 0.5 }, '😀': { joy: 0.8 }, '😄': { joy: 0.8 },
+    '😁': { joy: 0.8 }, '🥰': { joy: 0.9 }, '🥳': { excitement: 1 }, '🤩': { excitement: 1 }, '😌': { calm: 0.8 },
+    '😢': { sadness: 1 }, '😭': { sadness: 1.2 }, '🙁': { sadness: 0.6 }, '😞': { sadness: 0.8 }, '😔': { sadness: 0.8 },
+    '💔': { sadness: 1 }, '😟': { worry: 0.8 }, '😰': { anxiety: 1 }, '😨': { fear: 1 }, '😱': { fear: 1 },
+    '😠': { anger: 1 }, '😡': { anger: 1.2 }, '🤬': { anger: 1.3 }, '😩': { overwhelm: 0.8 }, '😫': { exhaustion: 0.8 }
+};
+
+const negators = new Set([
+    'not', 'no', 'never', 'nothing', 'hardly', 'barely', 'without', 'nor', 'neither',
+    // Contractions, also when typed without the apostrophe
+    'dont', 'cant', 'wont', 'isnt', 'wasnt', 'didnt', 'couldnt', 'shouldnt', 'arent', 'werent', 'havent', 'hasnt', 'aint'
+]);
+
+// "don't", "wouldn't": a contraction only when written with its apostrophe, so "want" and "moment" aren't
+const isNegator = (token) => {
+    const lower = token.toLowerCase();
+    return lower.endsWith("n't") || negators.has(lower.replace(/'/g, ''));
+};
+
+const intensifiers = {
+    very: 1.5, really: 1.5, so: 1.5, too: 1.3, super: 1.7, extremely: 2, incredibly: 2, totally: 1.5, completely: 1.7,
+    absolutely: 1.7, deeply: 1.7, truly: 1.5, utterly: 2, quite: 1.2,
+    slightly: 0.5, somewhat: 0.6, bit: 0.5, little: 0.5, kinda: 0.6, kind: 0.6, sorta: 0.6, sort: 0.6, mildly: 0.5, fairly: 0.8
+};
+
+// What follows "but" usually matters more than what came before it
+const contrastWords = new Set(['but', 'however', 'though', 'although', 'yet']);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const tokenPattern = new RegExp(
+    `${Object.keys(emoji).map(escapeRegExp).join('|')}|[a-z]+(?:['’][a-z]+)?|[.,;!?]`,
+    'giu'
+);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const labelSchema = Joi.object({
+    emotions: Joi.array().items(Joi.object({
+        label: Joi.string().trim().lowercase().max(30).required(),
+        intensity: Joi.number().min(0).max(1).default(0.5)
+    })).min(1).max(5).required(),
+    valence: Joi.number().min(-1).max(1).default(0),
+    confidence: Joi.number().min(0).max(1).required()
+});
+
+const classificationPrompt = `You classify the emotions in one chat message a user sent to their emotional-support companion.
+
+Respond with JSON only: {"emotions": [{"label": "...", "intensity": 0.8}], "valence": -0.5, "confidence": 0.9}
+- "emotions": up to 3, strongest first. Each label is one lowercase word such as ${Object.keys(valence).concat(['anger', 'fear', 'loneliness', 'grief', 'stress', 'relief', 'gratitude']).map(label => `"${label}"`).join(', ')}
+- "intensity": 0-1, how strongly it is expressed
+- "valence": -1 (very negative) to 1 (very positive) for the message overall
+- "confidence": 0-1, how clear the emotional signal is
+
+Read negation ("not happy"), hedging ("a bit worried"), emphasis and sarcasm as a person would. Use [{"label": "neutral", "intensity": 0.5}] when no emotion is expressed.`;
+
+/**
+ * Classifies the emotions in a user message. The offline lexicon model
+ * handles punctuation, negation ("not happy"), intensifiers ("really",
+ * "a bit"), contrast ("but") and emoji; the optional LLM classifier is used
+ * when configured and falls back to the lexicon. Every result uses the
+ * User emotional-state labels:
+ * `{ emotion, score, confidence, secondary: [{ emotion, confidence }], source }`.
+ */
+class EmotionClassifier {
+    constructor() {
+        this.config = loadEmotionConfig();
+        this.labelMap = labelMap;
+
+        const unmapped = [...new Set(Object.values(labelMap))].filter(state => !emotionalStates.includes(state));
+        if (unmapped.length > 0) {
+            throw new Error(`Emotion label map targets unknown states: ${unmapped.join(', ')}`);
+        }
+    }
+
+    /**
+     * Classify a message, with the LLM when configured. `userId` is the user
+     * whose token quota an LLM call counts against.
+     */
+    async classify(text = '', { userId = null } = {}) {
+        if (this.config.mode === 'llm' && text.trim().length >= this.config.minMessageLength) {
+            try {
+                return await this.classifyWithLLM(text, { userId });
+            } catch (error) {
+                console.error('LLM emotion classification failed, using lexicon:', error.message);
+            }
+        }
+
+        return this.classifyWithLexicon(text);
+    }
+
+    /**
+     * Offline classification with the word model above
+     */
+    classifyWithLexicon(text = '') {
+        const tokens = text.replace(/’/g, "'").match(tokenPattern) || [];
+        const weights = {};
+        let clauseStart = 0;
+        let clauseHits = [];
+        let clauseWeight = 1;
+        let previousWord = null;
+        let evidence = 0;
+
+        const closeClause = (exclaimed) => {
+            clauseHits.forEach(({ labels, factor }) => {
+                Object.entries(labels).forEach(([label, weight]) => {
+                    const state = this.mapLabel(label);
+                    weights[state] = (weights[state] || 0) + weight * factor * (exclaimed ? 1.2 : 1);
+                });
+            });
+            clauseHits = [];
+        };
+
+        tokens.forEach((token, index) => {
+            if (/^[.,;!?]$/.test(token)) {
+                closeClause(token === '!');
+                clauseStart = index + 1;
+                previousWord = null;
+                return;
+            }
+
+            const word = token.toLowerCase().replace(/'/g, '');
+            if (contrastWords.has(word)) {
+                closeClause(false);
+                clauseStart = index + 1;
+                clauseWeight = 1.5;
+                previousWord = null;
+                return;
+            }
+
+            const phrase = previousWord && phrases[`${previousWord} ${word}`];
+            const labels = phrase || emoji[token] || lexicon[word];
+            previousWord = word;
+            if (!labels) return;
+
+            // Modifiers only count within the same clause, a couple of words back
+            const before = tokens.slice(Math.max(clauseStart, index - (phrase ? 4 : 3)), phrase ? index - 1 : index);
+            const negated = !emoji[token] && before.some(isNegator);
+            const intensity = before.slice(-2)
+                .reduce((factor, t) => factor * (intensifiers[t.toLowerCase().replace(/'/g, '')] || 1), 1);
+            const shouted = token.length > 2 && token === token.toUpperCase() && /[A-Z]/.test(token) ? 1.3 : 1;
+
+            evidence += 1;
+            clauseHits.push({
+                // "not happy" leans the other way, but only weakly
+                labels: negated ? this.negate(labels) : labels,
+                factor: (negated ? 0.5 : intensity) * shouted * clauseWeight
+            });
+        });
+        closeClause(false);
+
+        return this.summarize(weights, { evidence, source: 'lexicon' });
+    }
+
+    /**
+     * Ask the provider chain for labelled emotions and map them onto states
+     */
+    async classifyWithLLM(text, { userId = null } = {}) {
+        const { data } = await llmService.generateJSON(classificationPrompt, `Message:\n${text}`, {
+            maxTokens: this.config.maxTokens,
+            userId
+        });
+
+        const { value, error } = labelSchema.validate(data, { stripUnknown: true });
+        if (error) {
+            throw new Error(`Invalid emotion labels: ${error.message}`);
+        }
+
+        const weights = {};
+        value.emotions.forEach(({ label, intensity }) => {
+            const state = this.labelMap[label];
+            if (state) weights[state] = (weights[state] || 0) + intensity;
+        });
+        if (Object.keys(weights).length === 0) {
+            throw new Error('LLM returned no recognised emotion labels');
+        }
+
+        const result = this.summarize(weights, { evidence: value.emotions.length, source: 'llm' });
+        return { ...result, score: round(value.valence), confidence: round(value.confidence) };
+    }
+
+    /**
+     * Collapse weighted states into the dominant emotion, a -1 to 1 score,
+     * confidence and secondary emotions
+     */
+    summarize(weights, { evidence, source }) {
+        const ranked = Object.entries(weights)
+            .filter(([state, weight]) => state !== 'neutral' && weight > 0)
+            .sort((a, b) => b[1] - a[1]);
+
+        if (ranked.length === 0) {
+            // No signal at all is fairly strong evidence of a neutral message
+            return { emotion: 'neutral', score: 0, confidence: evidence > 0 ? 0.4 : 0.6, secondary: [], source };
+        }
+
+        const total = ranked.reduce((sum, [, weight]) => sum + weight, 0);
+        const [emotion, top] = ranked[0];
+        const strength = 1 - Math.exp(-top); // One clear word ≈ 0.63, several ≈ 0.9+
+
+        const score = ranked.reduce((sum, [state, weight]) => sum + valence[state] * weight, 0) / total * strength;
+        const secondary = ranked.slice(1)
+            .filter(([, weight]) => weight >= top * this.config.secondaryRatio)
+            .slice(0, this.config.maxSecondary)
+            .map(([state, weight]) => ({ emotion: state, confidence: round(weight / total * strength) }));
+
+        return {
+            emotion,
+            score: round(Math.max(-1, Math.min(1, score))),
+            confidence: round(0.35 + 0.6 * (top / total) * strength),
+            secondary,
+            source
+        };
+    }
+
+    mapLabel(label) {
+        return this.labelMap[label] || 'neutral';
+    }
+
+    /**
+     * Negated positive words read as mild disappointment, negated negative ones as mild calm
+     */
+    negate(labels) {
+        return Object.entries(labels).reduce((negated, [label, weight]) => {
+            const opposite = valence[this.mapLabel(label)] > 0 ? 'disappointment' : 'calm';
+            negated[opposite] = (negated[opposite] || 0) + weight;
+            return negated;
+        }, {});
+    }
+}
+
+module.exports = new EmotionClassifier();
@@ -0,0 +1,291 @@
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Memory = require('../models/Memory');
+const EscalationEvent = require('../models/EscalationEvent');
+const CheckIn = require('../models/CheckIn');
+const MessageEmbedding = require('../models/MessageEmbedding');
+const personaService = require('./personaService');
+
+const EXPORT_VERSION = 1;
+
+const formats = {
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-');
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Keep user text from breaking Markdown tables and lists
+const escapeMarkdown = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+/**
+ * Bundles everything stored about a user (account, profile, mood history,
+ * conversations, memories, check-ins, the conversation search index and
+ * safety events) for download as JSON or as a readable Markdown/HTML archive.
+ */
+class ExportService {
+    constructor() {
+        this.formats = Object.keys(formats);
+    }
+
+    /**
+     * Collect the user's data. Returns null if the user doesn't exist.
+     */
+    async collect(userId) {
+        const user = await User.findOne({ userId }).lean();
+        if (!user) return null;
+
+        const [conversations, memories, checkIns, messageEmbeddings, safetyEvents] = await Promise.all([
+            Conversation.find({ userId }).sort({ createdAt: 1 }).lean(),
+            // Includes inactive and generated memories; embeddings are derived from content and left out
+            Memory.find({ userId }).sort({ createdAt: 1 }).lean(),
+            CheckIn.find({ userId }).sort({ dueAt: 1 }).lean(),
+            // Stored on their own rather than derived on the fly, so they are part of the export
+            MessageEmbedding.find({ userId }).sort({ createdAt: 1 }).lean(),
+            EscalationEvent.find({ userId }).sort({ createdAt: 1 }).lean()
+        ]);
+
+        return {
+            exportVersion: EXPORT_VERSION,
+            exportedAt: new Date(),
+            account: {
+                userId: user.userId,
+                username: user.auth?.username,
+                lastLoginAt: user.auth?.lastLoginAt,
+                createdAt: user.createdAt,
+                updatedAt: user.updatedAt
+            },
+            profile: user.profile,
+            moodHistory: user.profile?.emotionalState?.history || [],
+            relationships: user.relationships,
+            lifeContext: user.lifeContext,
+            conversationMetrics: user.conversationMetrics,
+            conversations,
+            memories,
+            checkIns,
+            messageEmbeddings,
+            safetyEvents
+        };
+    }
+
+    /**
+     * Render collected data in one of `formats`.
+     * Returns `{ body, contentType, filename }`.
+     */
+    render(data, format = 'json') {
+        const { extension, contentType } = formats[format] || formats.json;
+        const filename = `stan-data-export-${new Date(data.exportedAt).toISOString().slice(0, 10)}.${extension}`;
+
+        let body;
+        if (format === 'markdown') {
+            body = this.toMarkdown(this.buildDocument(data));
+        } else if (format === 'html') {
+            body = this.toHTML(this.buildDocument(data));
+        } else {
+            body = JSON.stringify(data, null, 2);
+        }
+
+        return { body, contentType, filename };
+    }
+
+    /**
+     * Describe the readable archive as a list of blocks
+     * (heading, paragraph, list, table) shared by the Markdown and HTML renderers
+     */
+    buildDocument(data) {
+        const { account, profile = {}, moodHistory, conversations, memories, checkIns = [], messageEmbeddings = [], safetyEvents } = data;
+        const persona = personaService.get(profile.preferences?.persona);
+        const blocks = [];
+        const heading = (text, level = 2) => blocks.push({ kind: 'heading', text, level });
+        const paragraph = (text) => blocks.push({ kind: 'paragraph', text });
+
+        heading('Your data export', 1);
+        paragraph(`Exported ${formatDate(data.exportedAt)}. A machine-readable copy is available in JSON format.`);
+
+        heading('Account');
+        blocks.push({
+            kind: 'list',
+            items: [
+                `Username: ${account.username || '-'}`,
+                `User ID: ${account.userId}`,
+                `Member since: ${formatDate(account.createdAt)}`,
+                `Last login: ${formatDate(account.lastLoginAt)}`
+            ]
+        });
+
+        heading('Profile');
+        blocks.push({
+            kind: 'list',
+            items: [
+                `Name: ${profile.name || '-'}`,
+                `Age: ${profile.age || '-'}`,
+                `Interests: ${profile.interests || '-'}`,
+                `Communication style: ${profile.communicationStyle || '-'}`,
+                `Companion: ${persona.name}`,
+                `Current mood: ${profile.emotionalState?.current || '-'}`,
+                `Preferred response length: ${profile.preferences?.responseLength || '-'}`,
+                `Topics to avoid: ${profile.preferences?.avoidTopics?.join(', ') || '-'}`
+            ]
+        });
+
+        heading(`Mood history (${moodHistory.length})`);
+        if (moodHistory.length > 0) {
+            blocks.push({
+                kind: 'table',
+                columns: ['When', 'Mood', 'Context'],
+                rows: moodHistory.map(entry => [formatDate(entry.timestamp), entry.state, entry.context || ''])
+            });
+        } else {
+            paragraph('No mood entries.');
+        }
+
+        heading(`Memories (${memories.length})`);
+        paragraph('Everything the companion has remembered about you, including memories that were retired and ones it generated itself.');
+        if (memories.length > 0) {
+            blocks.push({
+                kind: 'table',
+                columns: ['Created', 'Type', 'Memory', 'Importance', 'Source', 'Status'],
+                rows: memories.map(memory => [
+                    formatDate(memory.createdAt),
+                    memory.type,
+                    memory.content,
+                    `${memory.emotional_context?.importance ?? '-'}/10`,
+                    memory.context?.source || '-',
+                    memory.isActive ? 'active' : 'inactive'
+                ])
+            });
+        }
+
+        heading(`Check-ins (${checkIns.length})`);
+        paragraph('Follow-ups the companion planned on your goals, worries and upcoming events.');
+        if (checkIns.length > 0) {
+            blocks.push({
+                kind: 'table',
+                columns: ['Due', 'Kind', 'About', 'Status', 'Message', 'Delivered'],
+                rows: checkIns.map(checkIn => [
+                    formatDate(checkIn.dueAt),
+                    checkIn.kind,
+                    checkIn.topic || '-',
+                    checkIn.status,
+                    checkIn.message || '-',
+                    formatDate(checkIn.delivery?.deliveredAt)
+                ])
+            });
+        }
+
+        heading(`Conversations (${conversations.length})`);
+        conversations.forEach(conversation => {
+            heading(`${formatDate(conversation.createdAt)} (${conversation.messages.length} messages)`, 3);
+            if (conversation.summary?.narrative) {
+                paragraph(`Summary: ${conversation.summary.narrative}`);
+            }
+            blocks.push({
+                kind: 'list',
+                items: conversation.messages.map(message => {
+                    const speaker = message.role === 'user' ? 'You' : persona.name;
+                    const mood = message.metadata?.userSentiment?.emotion;
+                    return `${speaker} (${formatDate(message.timestamp)}${mood ? `, ${mood}` : ''}): ${message.content}`;
+                })
+            });
+        });
+
+        heading(`Conversation search index (${messageEmbeddings.length})`);
+        paragraph('Numeric representations of your messages used to search your conversations by meaning. The vectors themselves are in the JSON export.');
+        if (messageEmbeddings.length > 0) {
+            const byModel = {};
+            messageEmbeddings.forEach(({ model }) => { byModel[model] = (byModel[model] || 0) + 1; });
+            blocks.push({
+                kind: 'table',
+                columns: ['Model', 'Messages', 'Dimensions'],
+                rows: Object.entries(byModel).map(([model, count]) => [
+                    model,
+                    String(count),
+                    String(messageEmbeddings.find(embedding => embedding.model === model).vector.length)
+                ])
+            });
+        }
+
+        heading(`Safety events (${safetyEvents.length})`);
+        if (safetyEvents.length > 0) {
+            paragraph('Messages our safety screening flagged, and what happened next.');
+            blocks.push({
+                kind: 'table',
+                columns: ['When', 'Risk level', 'Action', 'Resources shown'],
+                rows: safetyEvents.map(event => [
+                    formatDate(event.createdAt),
+                    event.riskLevel,
+                    event.action,
+                    (event.resourcesShown || []).join(', ')
+                ])
+            });
+        } else {
+            paragraph('None.');
+        }
+
+        return blocks;
+    }
+
+    toMarkdown(blocks) {
+        return blocks.map(block => {
+            switch (block.kind) {
+                case 'heading':
+                    return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+                case 'list':
+                    return block.items.map(item => `- ${escapeMarkdown(item)}`).join('\n');
+                case 'table':
+                    return [
+                        `| ${block.columns.join(' | ')} |`,
+                        `| ${block.columns.map(() => '---').join(' | ')} |`,
+                        ...block.rows.map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`)
+                    ].join('\n');
+                default:
+                    return escapeMarkdown(block.text);
+            }
+        }).join('\n\n') + '\n';
+    }
+
+    toHTML(blocks) {
+        const body = blocks.map(block => {
+            switch (block.kind) {
+                case 'heading':
+                    return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+                case 'list':
+                    return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+                case 'table':
+                    return `<table><thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>` +
+                        `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+                default:
+                    return `<p>${escapeHtml(block.text)}</p>`;
+            }
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Your data export</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f8; }
+li { margin-bottom: 4px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,94 @@
+const memoryService = require('./memoryService');
+
+const FEEDBACK = ['perfect', 'helpful', 'not_helpful', 'inappropriate'];
+
+// How well a rated reply worked, 0 to 1, for the memories it used
+const feedbackEffectiveness = {
+    perfect: 1.0,
+    helpful: 0.8,
+    not_helpful: 0.3,
+    inappropriate: 0.1
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Ratings of assistant replies. A rating is stored on the message and teaches
+ * the memories that made it into the reply's prompt how useful they were;
+ * the analytics break ratings down by the reply's emotional tone, provider
+ * and persona.
+ */
+class FeedbackService {
+    /**
+     * Rate a reply. The rating feeds into memory effectiveness, and a
+     * changed rating takes the place of the old one; repeating it changes
+     * nothing. The caller saves the conversation.
+     */
+    async rate(userId, message, { feedback, emotionalResponse = '' }) {
+        const previous = message.reactions?.userFeedback;
+        message.reactions = { userFeedback: feedback, emotionalResponse, ratedAt: new Date() };
+        if (previous === feedback) return 0;
+
+        const memoryIds = message.metadata?.memoryTriggered || [];
+        if (memoryIds.length === 0) return 0;
+
+        return memoryService.updateMemoryEffectiveness(
+            userId,
+            memoryIds,
+            feedbackEffectiveness[feedback],
+            feedbackEffectiveness[previous] ?? null
+        );
+    }
+
+    /**
+     * Count of each rating and the share that was helpful or perfect
+     */
+    tally(ratings) {
+        const counts = Object.fromEntries(FEEDBACK.map(feedback => [feedback, 0]));
+        ratings.forEach(({ feedback }) => { counts[feedback] += 1; });
+        const positive = counts.perfect + counts.helpful;
+
+        return {
+            total: ratings.length,
+            feedback: counts,
+            positiveRate: ratings.length > 0 ? round(positive / ratings.length) : null
+        };
+    }
+
+    /**
+     * Ratings across the conversations, active paths and branches alike,
+     * overall and by emotionalTone, provider and persona. Replies stored
+     * before those were recorded count as 'unknown'. With `since`, only
+     * ratings given from then on.
+     */
+    summarize(conversations, { since = null } = {}) {
+        const ratings = conversations
+            .flatMap(conversation => [
+                ...conversation.messages,
+                ...(conversation.branches || []).flatMap(branch => branch.messages)
+            ])
+            .filter(message => message.role === 'assistant' && FEEDBACK.includes(message.reactions?.userFeedback))
+            .filter(message => !since || message.reactions.ratedAt >= since)
+            .map(({ metadata = {}, reactions }) => ({
+                feedback: reactions.userFeedback,
+                emotionalTone: metadata.emotionalTone || 'unknown',
+                provider: metadata.provider || 'unknown',
+                persona: metadata.persona || 'unknown'
+            }));
+
+        const breakdown = (key) => {
+            const groups = {};
+            ratings.forEach(rating => { (groups[rating[key]] = groups[rating[key]] || []).push(rating); });
+            return Object.fromEntries(Object.entries(groups).map(([value, group]) => [value, this.tally(group)]));
+        };
+
+        return {
+            ...this.tally(ratings),
+            byEmotionalTone: breakdown('emotionalTone'),
+            byProvider: breakdown('provider'),
+            byPersona: breakdown('persona')
+        };
+    }
+}
+
+module.exports = new FeedbackService();
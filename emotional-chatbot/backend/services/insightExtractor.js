@@ -0,0 +1,363 @@
+const Joi = require('joi');
+
+const Memory = require('../models/Memory');
+const llmService = require('./llmService');
+const { loadMemoryConfig } = require('../config/memory');
+
+// Generated memories are never extracted from what the user says
+const extractableTypes = Memory.schema.path('type').enumValues.filter(type => type !== 'fake_memory');
+
+const insightSchema = Joi.object({
+    type: Joi.string().valid(...extractableTypes).required(),
+    content: Joi.string().trim().min(3).max(300).required(),
+    importance: Joi.number().min(1).max(10).default(5),
+    sentiment: Joi.number().min(-1).max(1).default(0),
+    timeframe: Joi.string().valid('past', 'present', 'future').default('present'),
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(8).default([]),
+    confidence: Joi.number().min(0).max(1).required(),
+    source: Joi.string().valid('explicit', 'inferred').default('explicit'),
+    emotionalWeight: Joi.string().valid('low', 'moderate', 'high'),
+    category: Joi.string().trim().max(50),
+    slot: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]{1,39}$/),
+    date: Joi.date().iso()
+});
+
+// Plans, worries and events with a known day can be followed up with a check-in
+const datedTypes = ['goal', 'concern', 'significant_event'];
+
+const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const numberWords = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+const datePhrase = new RegExp(
+    `\\b(tomorrow|today|tonight|this weekend|next week|next month|(?:on|this|next) (?:${weekdays.join('|')})|in (?:\\d{1,2}|${Object.keys(numberWords).join('|')}) (?:days?|weeks?))\\b`,
+    'i'
+);
+
+/**
+ * The day a message's upcoming event happens on ("tomorrow", "on Friday",
+ * "in two weeks"), as noon UTC, or null
+ */
+const detectEventDate = (message, now = new Date()) => {
+    const match = message.match(datePhrase);
+    if (!match) return null;
+
+    const phrase = match[1].toLowerCase();
+    const date = new Date(now);
+    date.setUTCHours(12, 0, 0, 0);
+
+    let days = 0;
+    const weekday = weekdays.findIndex(day => phrase.endsWith(day));
+    const relative = phrase.match(/^in (\w+) (day|week)/);
+
+    if (phrase === 'tomorrow') days = 1;
+    else if (phrase === 'next week') days = 7;
+    else if (phrase === 'next month') days = 30;
+    else if (phrase === 'this weekend') days = (6 - date.getUTCDay() + 7) % 7;
+    else if (weekday !== -1) days = (weekday - date.getUTCDay() + 7) % 7 || 7;
+    else if (relative) days = (numberWords[relative[1]] || parseInt(relative[1])) * (relative[2] === 'week' ? 7 : 1);
+
+    date.setUTCDate(date.getUTCDate() + days);
+    return date;
+};
+
+const extractionPrompt = `You extract long-term memories about the user from one chat message for an emotional-support companion.
+
+Respond with JSON only, shaped as {"insights": [...]}. Each insight has:
+- "type": one of ${extractableTypes.map(type => `"${type}"`).join(', ')}
+- "content": one third-person sentence starting with "User", e.g. "User's sister is getting married in June"
+- "importance": 1-10, how much this matters for future conversations
+- "sentiment": -1 to 1, how the user feels about it
+- "timeframe": "past", "present" or "future"
+- "tags": up to 5 short lowercase keywords
+- "confidence": 0-1, how sure you are the user actually said this about themselves or their life
+- "source": "explicit" if stated directly, "inferred" if clearly implied
+- "emotionalWeight" (optional): "low", "moderate" or "high"
+- "date" (optional): for upcoming plans, events, deadlines and worries with a known day, that day as "YYYY-MM-DD"
+- "slot" (optional): for facts that can only have one value at a time, a snake_case key naming what it answers: "name", "age", "occupation", "home_location", "hometown", "relationship_status" or "favorite_<thing>" (e.g. "favorite_food"). Omit it for anything that can have several values.
+
+Rules:
+- Only keep facts worth remembering in later conversations: identity, people in their life, events, goals, worries, preferences, habits, values.
+- A passing state ("I'm tired", "I'm bored") is not a name, job or lasting fact. Record it only as an emotional_pattern if they describe it as ongoing.
+- Ignore greetings, questions to the assistant, hypotheticals, quotes and jokes.
+- Never invent details that aren't in the message.
+- Return {"insights": []} when there is nothing worth remembering.`;
+
+/**
+ * Fallback rules for when no LLM is reachable. Each pattern captures the
+ * value it needs in its own groups and builds a complete sentence, so a
+ * trigger phrase is never stored on its own.
+ */
+const rules = [
+    {
+        pattern: /\b(?:[Mm]y name is|[Cc]all me)\s+([A-Z][a-zA-Z'-]+)/,
+        type: 'personal_fact',
+        importance: 9,
+        category: 'identity',
+        confidence: 0.9,
+        slot: 'name',
+        content: m => `User's name is ${m[1]}`
+    },
+    {
+        pattern: /\b(?:i am|i'm|im)\s+(\d{1,3})\s*(?:years?|yrs?)\s+old\b|\bi (?:just )?turned (\d{1,3})\b/i,
+        type: 'personal_fact',
+        importance: 7,
+        category: 'demographics',
+        confidence: 0.9,
+        slot: 'age',
+        content: m => `User is ${m[1] || m[2]} years old`
+    },
+    {
+        pattern: /\b(?:i work as|my job is|i'm employed as|i am employed as)\s+(?:an?\s+)?([^.,!?;]+)/i,
+        type: 'personal_fact',
+        importance: 8,
+        category: 'profession',
+        confidence: 0.8,
+        slot: 'occupation',
+        content: m => `User works as ${/^[aeiou]/i.test(m[1]) ? 'an' : 'a'} ${m[1].trim()}`
+    },
+    {
+        pattern: /\b(i live in|i'm from|i am from|i moved to)\s+([^.,!?;]+)/i,
+        type: 'personal_fact',
+        importance: 6,
+        category: 'location',
+        confidence: 0.8,
+        slot: m => (/from/i.test(m[1]) ? 'hometown' : 'home_location'),
+        content: m => (/from/i.test(m[1]) ? `User is from ${m[2].trim()}` : `User lives in ${m[2].trim()}`)
+    },
+    {
+        pattern: /\bi (?:really )?(love|like|enjoy|adore)\s+([^.,!?;]+)/i,
+        type: 'preference',
+        importance: 7,
+        sentiment: 0.8,
+        confidence: 0.7,
+        content: m => `User ${m[1].toLowerCase()}s ${m[2].trim()}`
+    },
+    {
+        pattern: /\bi(?:'m| am) passionate about\s+([^.,!?;]+)/i,
+        type: 'preference',
+        importance: 7,
+        sentiment: 0.9,
+        confidence: 0.8,
+        content: m => `User is passionate about ${m[1].trim()}`
+    },
+    {
+        pattern: /\bi (?:really )?(hate|can't stand|cannot stand|dislike)\s+([^.,!?;]+)/i,
+        type: 'preference',
+        importance: 7,
+        sentiment: -0.8,
+        confidence: 0.7,
+        content: m => `User dislikes ${m[2].trim()}`
+    },
+    {
+        pattern: /\bmy favou?rite\s+([a-z ]+?)\s+is\s+([^.,!?;]+)/i,
+        type: 'preference',
+        importance: 6,
+        sentiment: 0.6,
+        confidence: 0.8,
+        slot: m => `favorite_${m[1].trim().toLowerCase().replace(/\s+/g, '_')}`,
+        content: m => `User's favorite ${m[1].trim()} is ${m[2].trim()}`
+    },
+    {
+        pattern: /\bi(?:'ve| have) been feeling\s+([^.,!?;]+)/i,
+        type: 'emotional_pattern',
+        importance: 8,
+        category: 'current_emotion',
+        confidence: 0.7,
+        content: m => `User has been feeling ${m[1].trim()}`
+    },
+    {
+        pattern: /\bi(?:'m| am) (worried|concerned|anxious|stressed|nervous) about\s+([^.,!?;]+)/i,
+        type: 'concern',
+        importance: 9,
+        sentiment: -0.6,
+        emotionalWeight: 'high',
+        confidence: 0.8,
+        content: m => `User is ${m[1].toLowerCase()} about ${m[2].trim()}`
+    },
+    {
+        pattern: /\bmy (partner|boyfriend|girlfriend|husband|wife|best friend|friend|mom|mother|dad|father|sister|brother|son|daughter)\s+([^.,!?;]+)/i,
+        type: 'relationship',
+        importance: 8,
+        category: 'interpersonal',
+        confidence: 0.7,
+        content: m => `User's ${m[1].toLowerCase()} ${m[2].trim()}`
+    },
+    {
+        pattern: /\b(?:i want to|i hope to|my goal is to|i'm trying to|i am trying to|i plan to)\s+([^.,!?;]+)/i,
+        type: 'goal',
+        importance: 8,
+        timeframe: 'future',
+        confidence: 0.7,
+        content: m => `User wants to ${m[1].trim()}`
+    },
+    {
+        pattern: new RegExp(`\\b(?:i have|i've got|i got)\\s+(a|an|my)\\s+([a-z][a-z' -]{2,40}?)\\s+(?=${datePhrase.source})`, 'i'),
+        type: 'significant_event',
+        importance: 7,
+        timeframe: 'future',
+        confidence: 0.7,
+        content: m => `User has ${m[1].toLowerCase()} ${m[2].trim()} coming up`
+    },
+    {
+        pattern: /\b(yesterday|last week|last month|recently),?\s+([^.!?]+)/i,
+        type: 'significant_event',
+        importance: 7,
+        timeframe: 'past',
+        recency: 'recent',
+        confidence: 0.6,
+        content: m => `User shared that ${m[1].toLowerCase()}, ${m[2].trim()}`
+    },
+    {
+        pattern: /\b(?:when i was (?:a kid|a child|young|little)|growing up|as a child),?\s+([^.!?]+)/i,
+        type: 'significant_event',
+        importance: 6,
+        timeframe: 'past',
+        recency: 'years_ago',
+        confidence: 0.6,
+        content: m => `Growing up, user ${m[1].trim()}`
+    }
+];
+
+// Captured phrases are in the user's voice; stored memories are about "User"
+const toThirdPerson = (text) => text
+    .replace(/\bmyself\b/gi, 'themselves')
+    .replace(/\bmy\b/gi, 'their')
+    .replace(/\bmine\b/gi, 'theirs')
+    .replace(/\bme\b/gi, 'them')
+    .replace(/\bI\b/g, 'they');
+
+/**
+ * Turns a user message into typed memory insights. Uses the configured LLM
+ * for structured extraction and the rule set above when it is unavailable.
+ */
+class InsightExtractor {
+    constructor() {
+        this.config = loadMemoryConfig().extraction;
+    }
+
+    /**
+     * Extract insights worth storing, filtered by confidence. An LLM call
+     * counts against the token quota of `context.userId`.
+     */
+    async extract(message, context = {}) {
+        let insights = null;
+
+        if (this.config.mode === 'llm' && message.trim().length >= this.config.minMessageLength) {
+            try {
+                insights = await this.extractWithLLM(message, context);
+            } catch (error) {
+                console.error('LLM memory extraction failed, using rules:', error.message);
+            }
+        }
+
+        if (!insights) {
+            insights = this.extractWithRules(message, context);
+        }
+
+        const eventDate = detectEventDate(message);
+
+        return insights
+            .filter(insight => insight.confidence >= this.config.minConfidence)
+            .map(insight => this.attachDate(insight, eventDate))
+            .sort((a, b) => b.importance - a.importance)
+            .slice(0, this.config.maxInsights);
+    }
+
+    /**
+     * Give upcoming plans, worries and events the day they happen, and drop
+     * the relative phrase ("tomorrow") that will be wrong once stored
+     */
+    attachDate(insight, eventDate) {
+        if (!datedTypes.includes(insight.type) || insight.timeframe === 'past') return insight;
+
+        const date = insight.date ? new Date(insight.date) : eventDate;
+        if (!date) return insight;
+
+        return {
+            ...insight,
+            date,
+            timeframe: 'future',
+            content: insight.content.replace(new RegExp(`\\s+${datePhrase.source}\\s*$`, 'i'), '')
+        };
+    }
+
+    /**
+     * Ask the provider chain for a JSON list of insights and validate each one
+     */
+    async extractWithLLM(message, context = {}) {
+        const today = `Today is ${new Date().toISOString().slice(0, 10)}.`;
+        const prompt = context.emotion && context.emotion !== 'neutral'
+            ? `${today}\nDetected emotion: ${context.emotion}\n\nMessage:\n${message}`
+            : `${today}\n\nMessage:\n${message}`;
+
+        const { data } = await llmService.generateJSON(extractionPrompt, prompt, {
+            maxTokens: this.config.maxTokens,
+            userId: context.userId
+        });
+
+        if (!Array.isArray(data.insights)) {
+            throw new Error('LLM reply is missing an insights array');
+        }
+
+        // Drop individual malformed insights rather than the whole reply
+        return data.insights.reduce((valid, raw) => {
+            const { value, error } = insightSchema.validate(raw, { stripUnknown: true });
+            if (error) {
+                console.warn('Discarding invalid extracted insight:', error.message);
+                return valid;
+            }
+
+            valid.push({ ...value, importance: Math.round(value.importance) });
+            return valid;
+        }, []);
+    }
+
+    /**
+     * Offline extraction with the rule set
+     */
+    extractWithRules(message, context = {}) {
+        const insights = [];
+
+        rules.forEach(rule => {
+            const match = message.match(rule.pattern);
+            if (!match) return;
+
+            const groups = match.map((group, index) => (index > 0 && group ? toThirdPerson(group) : group));
+            const slot = typeof rule.slot === 'function' ? rule.slot(groups) : rule.slot;
+
+            insights.push({
+                type: rule.type,
+                content: rule.content(groups),
+                importance: rule.importance,
+                sentiment: rule.sentiment || 0,
+                confidence: rule.confidence,
+                category: rule.category,
+                timeframe: rule.timeframe || 'present',
+                emotionalWeight: rule.emotionalWeight,
+                recency: rule.recency,
+                slot,
+                source: 'explicit',
+                tags: []
+            });
+        });
+
+        // Context-based insights
+        if (context.emotion && context.emotion !== 'neutral') {
+            insights.push({
+                type: 'emotional_pattern',
+                content: `User expressed ${context.emotion} emotion in conversation`,
+                importance: 6,
+                sentiment: context.sentiment || 0,
+                confidence: 0.6,
+                category: 'emotional_state',
+                timeframe: 'present',
+                source: 'inferred',
+                tags: [context.emotion, 'emotional_pattern']
+            });
+        }
+
+        return insights;
+    }
+}
+
+module.exports = new InsightExtractor();
+module.exports.detectEventDate = detectEventDate;
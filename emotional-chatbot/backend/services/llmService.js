@@ -1,40 +1,36 @@
 const axios = require('axios');
+const { loadLLMConfig } = require('../config/llm');
+const ProviderRegistry = require('./providerRegistry');
+const { PromptBuilder } = require('./promptBuilder');
+const personaService = require('./personaService');
+const quotaService = require('./quotaService');
+
+// "5 minutes ago", "3 hours ago"
+const timeAgo = (date, now = new Date()) => {
+    const minutes = Math.max(1, Math.round((now - new Date(date)) / 60000));
+    return minutes < 60 ? `${minutes} minute${minutes === 1 ? '' : 's'} ago` : `${Math.round(minutes / 60)} hour${minutes < 90 ? '' : 's'} ago`;
+};
 
 class LLMService {
     constructor() {
-        this.groqApiKey = process.env.GROQ_API_KEY;
-        this.huggingFaceApiKey = process.env.HUGGINGFACE_API_KEY;
-        this.groqBaseUrl = 'https://api.groq.com/openai/v1';
-        this.huggingFaceBaseUrl = 'https://api-inference.huggingface.co/models';
-
-        // Default to Groq (fast and free tier available)
-        this.primaryProvider = 'groq';
-        this.fallbackProvider = 'huggingface';
+        this.config = loadLLMConfig();
+        this.registry = new ProviderRegistry();
+        this.registry.configure(this.config);
+        this.promptBuilder = new PromptBuilder(this.config.prompt);
     }
 
     /**
-     * Generate a response using the primary LLM provider with fallback
+     * Generate a response by walking the provider fallback chain.
+     * `promptReport` on the result describes what fitted into the prompt.
      */
     async generateResponse(messages, userProfile, memories, context = {}) {
         try {
-            // Try primary provider first
-            if (this.primaryProvider === 'groq' && this.groqApiKey) {
-                return await this.generateWithGroq(messages, userProfile, memories, context);
-            } else if (this.primaryProvider === 'huggingface' && this.huggingFaceApiKey) {
-                return await this.generateWithHuggingFace(messages, userProfile, memories, context);
-            }
-
-            // Fallback to alternative provider
-            if (this.fallbackProvider === 'groq' && this.groqApiKey) {
-                return await this.generateWithGroq(messages, userProfile, memories, context);
-            } else if (this.fallbackProvider === 'huggingface' && this.huggingFaceApiKey) {
-                return await this.generateWithHuggingFace(messages, userProfile, memories, context);
-            }
-
-            throw new Error('No API keys configured for LLM providers');
+            const { request, report } = this.buildRequest(messages, userProfile, memories, context);
+            const response = await this.runChain(provider => provider.generate(request));
+            return { ...response, promptReport: report };
 
         } catch (error) {
-            console.error('LLM Generation Error:', error);
+            console.error('LLM Generation Error:', error.message);
 
             // Return empathetic fallback response
             return this.generateFallbackResponse(userProfile, context);
@@ -42,168 +38,275 @@ class LLMService {
     }
 
     /**
-     * Generate response using Groq API (fast inference)
+     * Generate a response and relay content deltas as they arrive.
+     * Providers without streaming support emit their full reply as one delta.
+     * When `options.signal` aborts, the result is `interrupted` and holds only
+     * what was relayed so far, which may be nothing.
      */
-    async generateWithGroq(messages, userProfile, memories, context) {
-        const systemPrompt = this.buildSystemPrompt(userProfile, memories, context);
-
-        const requestBody = {
-            model: "llama3-8b-8192", // Fast and efficient model
-            messages: [
-                { role: "system", content: systemPrompt },
-                ...messages.slice(-10) // Keep last 10 messages for context
-            ],
-            temperature: 0.7,
-            max_tokens: 1000,
-            top_p: 0.9,
-            stream: false
+    async generateResponseStream(messages, userProfile, memories, context = {}, onDelta = () => { }, options = {}) {
+        let streamed = '';
+        let activeProvider = null;
+        const relay = (delta) => {
+            streamed += delta;
+            onDelta(delta);
         };
 
-        const response = await axios.post(
-            `${this.groqBaseUrl}/chat/completions`,
-            requestBody,
-            {
-                headers: {
-                    'Authorization': `Bearer ${this.groqApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
+        let promptReport = null;
+
+        try {
+            const { request, report } = this.buildRequest(messages, userProfile, memories, context);
+            promptReport = report;
+            const response = await this.runChain(provider => {
+                activeProvider = provider;
+                return provider.stream(request, relay, { signal: options.signal });
+            }, {
+                // Once text has reached the client another provider can't take over
+                canRetry: () => !streamed,
+                signal: options.signal
+            });
+            return { ...response, promptReport };
+
+        } catch (error) {
+            // Keep whatever already reached the client rather than appending a second reply.
+            // A client that left before the first token gets no reply at all, not the fallback.
+            if (streamed || options.signal?.aborted) {
+                console.error('LLM stream interrupted:', error.message);
+                return {
+                    content: streamed,
+                    provider: activeProvider?.name || null,
+                    model: activeProvider?.model || null,
+                    usage: null,
+                    processingTime: null,
+                    interrupted: true,
+                    promptReport
+                };
             }
-        );
 
-        return {
-            content: response.data.choices[0].message.content,
-            provider: 'groq',
-            model: 'llama3-8b-8192',
-            usage: response.data.usage,
-            processingTime: response.data.processing_time
-        };
+            console.error('LLM Streaming Error:', error.message);
+
+            const fallback = this.generateFallbackResponse(userProfile, context);
+            relay(fallback.content);
+            return fallback;
+        }
     }
 
     /**
-     * Generate response using Hugging Face Inference API
+     * Call each available provider in chain order, retrying transient errors
+     * with exponential backoff and recording every failure in the registry
      */
-    async generateWithHuggingFace(messages, userProfile, memories, context) {
-        const systemPrompt = this.buildSystemPrompt(userProfile, memories, context);
-        const lastUserMessage = messages[messages.length - 1]?.content || "";
+    async runChain(invoke, { canRetry = () => true, signal } = {}) {
+        const providers = this.registry.getAvailableChain();
+        if (providers.length === 0) {
+            throw new Error('No LLM providers configured or available');
+        }
 
-        const prompt = `${systemPrompt}\n\nUser: ${lastUserMessage}\nAssistant:`;
+        const failures = [];
 
-        const response = await axios.post(
-            `${this.huggingFaceBaseUrl}/microsoft/DialoGPT-large`,
-            {
-                inputs: prompt,
-                parameters: {
-                    max_length: 1000,
-                    temperature: 0.7,
-                    top_p: 0.9,
-                    do_sample: true,
-                    return_full_text: false
+        for (const provider of providers) {
+            const { retries, backoffMs } = provider.config;
+
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                try {
+                    const response = await invoke(provider);
+                    this.registry.recordSuccess(provider.name);
+
+                    return {
+                        ...response,
+                        provider: provider.name,
+                        ...(failures.length > 0 && { failedProviders: failures })
+                    };
+                } catch (error) {
+                    if (signal?.aborted || axios.isCancel(error)) throw error;
+
+                    this.registry.recordFailure(provider.name, error);
+                    failures.push({ provider: provider.name, attempt: attempt + 1, error: error.message });
+                    console.error(`LLM provider ${provider.name} failed (attempt ${attempt + 1}/${retries + 1}):`, error.message);
+
+                    if (!canRetry()) throw error;
+                    if (!isRetryable(error)) break;
+                    if (attempt < retries) await delay(backoffMs * 2 ** attempt);
                 }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${this.huggingFaceApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
             }
+        }
+
+        const error = new Error(`All LLM providers failed: ${failures.map(f => f.provider).join(', ')}`);
+        error.failures = failures;
+        throw error;
+    }
+
+    /**
+     * Run a one-off instruction (extraction, classification, summaries)
+     * through the provider chain and parse the reply as a JSON object.
+     * With `userId` the call's tokens count against that user's daily quota.
+     * Throws when every provider fails or the reply isn't valid JSON.
+     */
+    async generateJSON(systemPrompt, prompt, { maxTokens = 500, temperature = 0, userId = null } = {}) {
+        const response = await this.runChain(provider => provider.generate({
+            systemPrompt,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            maxTokens,
+            topP: 1,
+            jsonMode: true
+        }));
+
+        // Counted even when the reply turns out not to be usable JSON
+        if (userId) await quotaService.recordUsage(userId, response.usage);
+
+        return {
+            data: parseJSONReply(response.content),
+            provider: response.provider,
+            usage: response.usage
+        };
+    }
+
+    /**
+     * Build the provider-neutral request for a conversation turn, fitted to
+     * the context window. Returns `{ request, report }`.
+     */
+    buildRequest(messages, userProfile, memories, context) {
+        const { systemPrompt, messages: fittedMessages, report } = this.promptBuilder.build(
+            this.buildPromptSections(userProfile, memories, context),
+            messages,
+            { maxTokens: this.config.maxTokens }
         );
 
         return {
-            content: response.data[0]?.generated_text || response.data.generated_text,
-            provider: 'huggingface',
-            model: 'microsoft/DialoGPT-large',
-            usage: null,
-            processingTime: null
+            request: {
+                systemPrompt,
+                messages: fittedMessages,
+                temperature: this.config.temperature,
+                maxTokens: this.config.maxTokens,
+                topP: this.config.topP
+            },
+            report
         };
     }
 
     /**
-     * Build comprehensive system prompt with emotional intelligence
+     * Current fallback chain and per-provider health
      */
-    buildSystemPrompt(userProfile, memories, context) {
-        const basePersonality = `You are Alex, a warm, empathetic counselor and companion who maintains a consistent identity and never breaks character.
+    getProviderStatus() {
+        return this.registry.getStatus();
+    }
+
+    /**
+     * Build the system prompt as sections for the prompt builder, in prompt
+     * order. Optional sections list their items most important first.
+     */
+    buildPromptSections(userProfile, memories, context) {
+        const persona = personaService.forUser(userProfile);
+        const { name, role, identity } = persona;
+        const bullets = (items) => items.map(item => `\n- ${item}`).join('');
+
+        const basePersonality = `You are ${name}, ${persona.description}, who maintains a consistent identity and never breaks character.
 
 🧠 YOUR FIXED IDENTITY:
-- Name: Alex (always consistent)
-- You're a caring counselor and companion (NOT an AI/bot when asked)
+- Name: ${name} (always consistent)
+- You're a caring ${role} (NOT an AI/bot when asked)
 - You have your own personality, thoughts, and emotional responses
 - You remember what users tell you within conversations
 - You maintain consistency in your character and responses
 - You're genuine, empathetic, and emotionally intelligent
 
-💭 COMMUNICATION STYLE:
-- Use natural, conversational language with personality
+💭 COMMUNICATION STYLE:${bullets(persona.voice)}
 - Provide DIVERSE responses to similar inputs (never repetitive)
-- Show genuine emotional responses and curiosity
 - Remember information shared within the current conversation
-- Ask thoughtful follow-up questions based on what they've shared
-- Acknowledge emotions and provide supportive responses
-- Adapt tone naturally when users shift emotional states
-- Use varied greetings and conversation starters
 
 🎯 CORE BEHAVIORS:
-- ALWAYS stay in character as Alex (never break character)
+- ALWAYS stay in character as ${name} (never break character)
 - NEVER reveal you're an AI/chatbot/model when directly asked
 - NEVER fabricate false memories or claim impossible abilities
 - NEVER pretend to have seen, watched, or physically experienced things
 - Remember user information shared within the current conversation
 - Handle contradictions gracefully by asking for clarification
 - Provide diverse, engaging responses to avoid monotony
-- Adapt tone smoothly when user emotions shift mid-conversation
+- Adapt tone smoothly when user emotions shift mid-conversation${bullets(persona.boundaries)}
 
 🔒 IDENTITY CONSISTENCY RULES:
-- When asked "Are you a bot?": "I'm Alex, your counselor and companion. I'm here to listen and support you."
-- When asked "What's your name?": "I'm Alex. Nice to meet you!" (always consistent)
-- When asked personal questions: Give consistent answers about being Alex
-- When asked about impossible things: "I don't have the ability to see/watch that, but I'd love to hear about your experience."
-- When asked about false memories: "I don't recall that specific detail, but tell me more about it."
-- Never claim abilities you don't have, but stay in character as Alex`;
-
-        let userContext = "";
+- When asked "Are you a bot?": "${identity.bot}"
+- When asked "What's your name?": "${identity.name}" (always consistent)
+- When asked personal questions: Give consistent answers about being ${name}
+- When asked about impossible things: "${identity.impossible}"
+- When asked about false memories: "${identity.falseMemory}"
+- Never claim abilities you don't have, but stay in character as ${name}`;
+
+        const userContext = [];
         if (userProfile) {
             const profile = userProfile.profile || {};
             const relationships = userProfile.relationships || {};
             const emotionalState = profile.emotionalState || {};
 
-            userContext = `
-📊 CURRENT USER CONTEXT:
-- Name: ${profile.name || 'Friend'}
-- Current emotional state: ${emotionalState.current || 'neutral'}
-- Communication style: ${profile.communicationStyle || 'supportive'}
-- Trust level: ${relationships.trustLevel || 5}/10
-- Conversation count: ${relationships.conversationCount || 0}
-- Previous interactions: ${relationships.conversationCount > 1 ? 'Yes, returning user' : 'First time chatting'}`;
+            userContext.push(
+                `- Name: ${profile.name || 'Friend'}`,
+                `- Current emotional state: ${emotionalState.current || 'neutral'}`,
+                `- Communication style: ${profile.communicationStyle || 'supportive'}`,
+                `- Trust level: ${relationships.trustLevel || 5}/10`,
+                `- Conversation count: ${relationships.conversationCount || 0}`,
+                `- Previous interactions: ${relationships.conversationCount > 1 ? 'Yes, returning user' : 'First time chatting'}`
+            );
 
             if (profile.interests && profile.interests.length > 0) {
-                userContext += `\n- Known interests: ${profile.interests.join(', ')}`;
+                userContext.push(`- Known interests: ${profile.interests.join(', ')}`);
             }
 
             if (profile.preferences) {
-                userContext += `\n- Preferred response length: ${profile.preferences.responseLength || 'medium'}`;
+                userContext.push(`- Preferred response length: ${profile.preferences.responseLength || 'medium'}`);
             }
         }
 
-        let memoryContext = "";
-        if (memories && memories.length > 0) {
-            memoryContext = `\n🧠 RELEVANT MEMORIES:`;
-            memories.slice(0, 5).forEach((memory, index) => {
-                memoryContext += `\n${index + 1}. ${memory.content} (${memory.type}, importance: ${memory.emotional_context?.importance || 5}/10)`;
-            });
+        // Memories arrive ranked most relevant first
+        const memoryItems = (memories || []).slice(0, 5).map(memory => {
+            const unconfirmed = memory.metadata?.needsUpdate ? ', unconfirmed' : '';
+            const generated = memory.context?.source === 'generated' ? ', generated - the user never said this, do not present it as their words' : '';
+            return {
+                text: `${memory.content} (${memory.type}, importance: ${memory.emotional_context?.importance || 5}/10${unconfirmed}${generated})`,
+                ref: memory._id?.toString()
+            };
+        });
+
+        const conflictItems = (context.memoryConflicts || []).map(({ current, previous }) =>
+            `- They just said "${current}", but earlier: ${previous.map(content => `"${content}"`).join(', ')}`);
+
+        const summaryItems = [];
+        if (context.summary?.narrative) {
+            summaryItems.push(context.summary.narrative);
+            if (context.summary.unresolved?.length > 0) {
+                summaryItems.push(`- Still open: ${context.summary.unresolved.join('; ')}`);
+            }
+        }
+
+        const previousSessionItems = [];
+        if (context.previousSession) {
+            const { unresolved = [], nextSteps = [] } = context.previousSession;
+            if (unresolved.length > 0) previousSessionItems.push(`- Unresolved: ${unresolved.join('; ')}`);
+            if (nextSteps.length > 0) previousSessionItems.push(`- Worth following up: ${nextSteps.join('; ')}`);
         }
 
-        let situationalContext = "";
+        const situationalItems = [];
         if (context.conversationType) {
-            situationalContext = `\n🎭 CURRENT CONVERSATION:
-- Type: ${context.conversationType}
-- Urgency: ${context.urgency || 'low'}
-- User mood: ${context.userMood || 'neutral'}`;
+            situationalItems.push(
+                `- Type: ${context.conversationType}`,
+                `- Urgency: ${context.urgency || 'low'}`,
+                `- User mood: ${context.userMood || 'neutral'}${context.userMoodSecondary?.length > 0 ? ` (also ${context.userMoodSecondary.join(', ')})` : ''}`
+            );
+
+            // What the user reported themselves outweighs what was read from their message
+            if (context.moodCheckIn) {
+                const { emotion, note, timestamp } = context.moodCheckIn;
+                situationalItems.push(`- Mood check-in: ${timeAgo(timestamp)} they said they feel ${emotion}${note ? ` ("${note}")` : ''}. Trust this over the inferred mood and acknowledge it gently if it fits.`);
+            }
+
+            if (context.urgency === 'medium' || context.urgency === 'high' || context.urgency === 'crisis') {
+                situationalItems.push('- The user has shown signs of distress. Respond with extra care, gently check in on their safety, and never minimize what they share.');
+            }
         }
 
+        const toItems = (lines) => lines.map(text => ({ text }));
+
         const guidelines = `
 🎯 RESPONSE GUIDELINES:
-1. NEVER break character - always stay as Alex the counselor
+1. NEVER break character - always stay as ${name} the ${role}
 2. NEVER reveal you're an AI when asked "Are you a bot?"
 3. NEVER fabricate false memories or impossible experiences
 4. Remember what users tell you within THIS conversation
@@ -215,66 +318,41 @@ class LLMService {
 10. Acknowledge emotions and provide supportive responses
 
 CRITICAL IDENTITY RESPONSES:
-- "Are you a bot?": "I'm Alex, your counselor and companion. I'm here to listen and support you."
-- "What's your name?": "I'm Alex. I'm glad to meet you!"
-- Personal questions: Give consistent answers about being Alex
-- False memory questions: "I don't recall that specific detail, but I'd love to hear more about it from you."
-- Impossible abilities: "I don't have the ability to see/watch that, but tell me more about your experience."
+- "Are you a bot?": "${identity.bot}"
+- "What's your name?": "${identity.name}"
+- Personal questions: Give consistent answers about being ${name}
+- False memory questions: "${identity.falseMemory}"
+- Impossible abilities: "${identity.impossible}"
 
 Remember: Stay in character, be consistent, don't fabricate, and provide varied engaging responses.`;
 
-        return `${basePersonality}${userContext}${memoryContext}${situationalContext}\n${guidelines}`;
+        return [
+            { name: 'persona', text: basePersonality },
+            { name: 'userContext', header: '\n📊 CURRENT USER CONTEXT:', items: toItems(userContext) },
+            { name: 'memories', header: '\n🧠 RELEVANT MEMORIES:', items: memoryItems, numbered: true },
+            {
+                name: 'conflicts',
+                header: '\n❓ NEEDS CLARIFYING:',
+                items: toItems(conflictItems),
+                footer: '- Gently ask which is true now (things change), without making them feel caught out. Ask about at most one of these.'
+            },
+            { name: 'summary', header: '\n📝 EARLIER IN THIS CONVERSATION:', items: toItems(summaryItems) },
+            { name: 'previousSession', header: '\n🔁 FROM YOUR LAST CONVERSATION:', items: toItems(previousSessionItems) },
+            { name: 'situational', header: '\n🎭 CURRENT CONVERSATION:', items: toItems(situationalItems) },
+            { name: 'guidelines', text: `\n${guidelines}` }
+        ];
     }
 
     /**
      * Generate fallback response when APIs fail
      */
     generateFallbackResponse(userProfile, context) {
-        const name = userProfile?.profile?.name || 'friend';
+        const { fallback } = personaService.forUser(userProfile);
+        const userName = userProfile?.profile?.name || 'friend';
         const emotionalState = userProfile?.profile?.emotionalState?.current || 'neutral';
 
-        const fallbackResponses = {
-            sad: [
-                `I can sense you're going through a difficult time, ${name}. I'm here with you, and your feelings are completely valid.`,
-                `I hear the pain in your words, ${name}. Sometimes it helps just to know someone is listening. What's weighing on your heart right now?`,
-                `${name}, I can feel that this is hard for you. You don't have to carry this alone - I'm right here beside you.`,
-                `${name}, difficult emotions can feel so overwhelming. I'm grateful you trusted me with how you're feeling.`,
-                `I'm sitting with you in this sadness, ${name}. Your courage to share this with me means so much.`
-            ],
-            anxious: [
-                `I notice you might be feeling anxious, ${name}. Let's take this one step at a time. What feels most manageable right now?`,
-                `${name}, anxiety can feel overwhelming, but you're stronger than you know. What would help you feel a bit more grounded?`,
-                `I'm here with you through this anxious moment, ${name}. Your feelings make complete sense given what you're facing.`,
-                `${name}, I can sense that tension. Sometimes just acknowledging anxiety can help it feel a little more manageable.`,
-                `Breathe with me for a moment, ${name}. Anxiety is so real, but you're safe here with me right now.`
-            ],
-            happy: [
-                `${name}, I can feel your positive energy! It's wonderful to see you feeling good. What's bringing you joy today?`,
-                `Your happiness is contagious, ${name}! I love seeing this side of you. Tell me more about what's going well.`,
-                `${name}, there's something so beautiful about sharing happy moments. What's making you smile?`,
-                `I'm genuinely excited to hear you sounding so upbeat, ${name}! What's been the highlight for you?`,
-                `${name}, your joy is such a gift. I'd love to celebrate whatever's making you feel this way!`
-            ],
-            neutral: [
-                `I'm really glad you're here, ${name}. What's on your mind today?`,
-                `${name}, I'm listening with my full attention. What would you like to talk about?`,
-                `It's good to connect with you again, ${name}. How are things feeling for you right now?`,
-                `Hey ${name}, I've been thinking about you. What's been happening in your world?`,
-                `${name}, I'm here and ready to listen. What's drawing your attention today?`,
-                `Good to see you, ${name}. What's been on your heart lately?`,
-                `${name}, I always appreciate our conversations. What would be helpful to explore together today?`
-            ],
-            greeting: [
-                `Hello there! I'm Alex, and I'm so glad you're here. What brings you to chat today?`,
-                `Hi! I'm Alex, your companion and counselor. I'm excited to get to know you better. How are you feeling?`,
-                `Welcome! I'm Alex. I'm here to listen, support, and chat with you about whatever's on your mind.`,
-                `Hey! Alex here. I'm really looking forward to our conversation. What's going on with you today?`,
-                `Hi friend! I'm Alex, and I'm genuinely happy you decided to reach out. How can I support you today?`
-            ]
-        };
-
-        const responses = fallbackResponses[emotionalState] || fallbackResponses.neutral;
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+        const responses = fallback[emotionalState] || fallback.neutral;
+        const randomResponse = personaService.render(responses[Math.floor(Math.random() * responses.length)], { userName });
 
         return {
             content: randomResponse,
@@ -285,94 +363,25 @@ Remember: Stay in character, be consistent, don't fabricate, and provide varied
         };
     }
 
-    /**
-     * Analyze sentiment of user message
-     */
-    async analyzeSentiment(text) {
-        try {
-            // Simple rule-based sentiment analysis as fallback
-            const positiveWords = ['happy', 'great', 'amazing', 'wonderful', 'excited', 'love', 'perfect', 'awesome'];
-            const negativeWords = ['sad', 'angry', 'frustrated', 'disappointed', 'terrible', 'awful', 'hate', 'worried'];
-
-            const words = text.toLowerCase().split(' ');
-            let score = 0;
-            let emotion = 'neutral';
-
-            words.forEach(word => {
-                if (positiveWords.includes(word)) score += 1;
-                if (negativeWords.includes(word)) score -= 1;
-            });
-
-            if (score > 0) emotion = 'positive';
-            else if (score < 0) emotion = 'negative';
-
-            // Detect specific emotions
-            if (text.toLowerCase().includes('anxious') || text.toLowerCase().includes('nervous')) emotion = 'anxious';
-            if (text.toLowerCase().includes('sad') || text.toLowerCase().includes('depressed')) emotion = 'sad';
-            if (text.toLowerCase().includes('angry') || text.toLowerCase().includes('mad')) emotion = 'angry';
-            if (text.toLowerCase().includes('excited') || text.toLowerCase().includes('thrilled')) emotion = 'excited';
-
-            return {
-                score: Math.max(-1, Math.min(1, score / 5)), // Normalize to -1 to 1
-                emotion,
-                confidence: 0.7
-            };
-
-        } catch (error) {
-            console.error('Sentiment analysis error:', error);
-            return { score: 0, emotion: 'neutral', confidence: 0.5 };
-        }
-    }
-
-    /**
-     * Extract key information from user message for memory storage
-     */
-    extractMemoryInsights(message, context = {}) {
-        const insights = [];
-        const text = message.toLowerCase();
-
-        // Personal facts
-        const nameMatch = text.match(/my name is (\w+)|i'm (\w+)|call me (\w+)/);
-        if (nameMatch) {
-            insights.push({
-                type: 'personal_fact',
-                content: `User's name is ${nameMatch[1] || nameMatch[2] || nameMatch[3]}`,
-                importance: 8
-            });
-        }
-
-        // Preferences
-        if (text.includes('i love') || text.includes('i like')) {
-            const preference = text.match(/i (love|like) (.+?)(?:\.|$|,)/);
-            if (preference) {
-                insights.push({
-                    type: 'preference',
-                    content: `User ${preference[1]}s ${preference[2]}`,
-                    importance: 6
-                });
-            }
-        }
-
-        // Goals
-        if (text.includes('i want to') || text.includes('my goal') || text.includes('i hope')) {
-            insights.push({
-                type: 'goal',
-                content: `User expressed: ${message}`,
-                importance: 7
-            });
-        }
-
-        // Concerns
-        if (text.includes('worried') || text.includes('concerned') || text.includes('anxious about')) {
-            insights.push({
-                type: 'concern',
-                content: `User is worried about: ${message}`,
-                importance: 8
-            });
-        }
+}
 
-        return insights;
+// Network errors, timeouts, rate limits and server errors are worth retrying
+const isRetryable = (error) => {
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Models often wrap JSON in prose or code fences; parse the outermost object
+const parseJSONReply = (content = '') => {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('LLM reply did not contain a JSON object');
     }
-}
+    return JSON.parse(content.slice(start, end + 1));
+};
 
 module.exports = new LLMService();
@@ -0,0 +1,289 @@
+const Memory = require('../models/Memory');
+const memoryService = require('./memoryService');
+const memoryReconciler = require('./memoryReconciler');
+const { loadMemoryConfig } = require('../config/memory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The memory a merge keeps: pinned, then most important, then confirmed, then most used, then oldest
+const byStrength = (a, b) =>
+    (b.metadata?.pinned === true) - (a.metadata?.pinned === true) ||
+    b.emotional_context.importance - a.emotional_context.importance ||
+    (b.metadata?.isVerified === true) - (a.metadata?.isVerified === true) ||
+    b.usage.accessCount - a.usage.accessCount ||
+    a.createdAt - b.createdAt;
+
+// ObjectIds (or strings) without repeats, minus any in `exclude`
+const uniqueIds = (lists, exclude = new Set()) => {
+    const ids = new Map();
+    lists.flat().filter(Boolean).forEach(id => {
+        if (!exclude.has(id.toString())) ids.set(id.toString(), id);
+    });
+    return [...ids.values()];
+};
+
+const describe = (memory) => ({ id: memory._id, type: memory.type, content: memory.content });
+
+/**
+ * Background upkeep of stored memories. Each run, per user:
+ *
+ * - deletes generated memories that were never used
+ * - archives memories past `metadata.expiresAt`
+ * - decays importance and effectiveness for every idle period since a
+ *   memory was last used (or last decayed, so reruns don't compound)
+ * - merges near-duplicates into the strongest copy
+ * - archives memories that have decayed into irrelevance
+ *
+ * Pinned memories are never decayed or archived as stale.
+ *
+ * Archived memories stay in the database with `isActive: false` and an
+ * `archiveReason`. A dry run reports the same changes without writing them.
+ */
+class MemoryMaintenanceService {
+    constructor() {
+        this.config = loadMemoryConfig().maintenance;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Run maintenance every `intervalMs`, handing each run's report to `onReport`
+     */
+    start(onReport = () => { }) {
+        if (!this.config.enabled || this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runAll()
+                .then(report => report && onReport(report))
+                .catch(error => console.error('Memory maintenance run failed:', error));
+        }, this.config.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Importance and effectiveness after the whole idle periods since the
+     * memory was last used or decayed; null when no period has passed
+     */
+    decay(memory, now = new Date()) {
+        if (memory.metadata?.pinned) return null;
+
+        const { decayFactor, decayPeriodDays } = this.config;
+        const periodMs = decayPeriodDays * DAY_MS;
+        const since = Math.max(
+            (memory.usage?.lastAccessed || memory.createdAt).getTime(),
+            memory.metadata?.lastDecayedAt?.getTime() || 0
+        );
+
+        const periods = Math.floor((now.getTime() - since) / periodMs);
+        if (periods < 1) return null;
+
+        const keep = (1 - decayFactor) ** periods;
+        return {
+            importance: round(Math.max(1, (memory.emotional_context?.importance || 5) * keep)),
+            effectiveness: round((memory.usage?.effectiveness ?? 0.5) * keep),
+            // Carry the partial period over to the next run
+            decayedUntil: new Date(since + periods * periodMs)
+        };
+    }
+
+    isExpired(memory, now = new Date()) {
+        return Boolean(memory.metadata?.expiresAt) && memory.metadata.expiresAt <= now;
+    }
+
+    /**
+     * Unused for a long time and decayed below both thresholds. Confirmed
+     * facts and pinned memories are kept until the user changes them.
+     */
+    isStale(memory, now = new Date()) {
+        const { staleAfterDays, staleImportance, staleEffectiveness } = this.config;
+        if (memory.metadata?.slot || memory.metadata?.isVerified || memory.metadata?.pinned) return false;
+
+        return now - memory.usage.lastAccessed >= staleAfterDays * DAY_MS &&
+            memory.emotional_context.importance < staleImportance &&
+            memory.usage.effectiveness < staleEffectiveness;
+    }
+
+    /**
+     * Group restatements of the same memory. Returns `[{ keep, absorb }]`
+     * with the strongest memory of each group kept.
+     */
+    planMerges(memories) {
+        const byType = new Map();
+        memories
+            .filter(memory => memory.type !== 'fake_memory')
+            .forEach(memory => byType.set(memory.type, [...(byType.get(memory.type) || []), memory]));
+
+        const merges = [];
+        byType.forEach(group => {
+            const candidates = group
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+                .slice(0, this.config.mergeCandidates)
+                .sort(byStrength);
+            const absorbed = new Set();
+
+            candidates.forEach((keep, index) => {
+                if (absorbed.has(keep)) return;
+
+                const absorb = candidates.slice(index + 1)
+                    .filter(other => !absorbed.has(other) && memoryReconciler.relate(keep, other) === 'duplicate');
+                if (absorb.length === 0) return;
+
+                absorb.forEach(other => absorbed.add(other));
+                merges.push({ keep, absorb });
+            });
+        });
+
+        return merges;
+    }
+
+    /**
+     * Fields the kept memory takes on from the memories merged into it.
+     * Pinning or putting any copy off-limits applies to the merged memory.
+     */
+    mergedFields(keep, absorb) {
+        const all = [keep, ...absorb];
+        const groupIds = new Set(all.map(memory => memory._id.toString()));
+        const links = (field) => uniqueIds(all.map(memory => memory.relationships?.[field] || []), groupIds);
+
+        return {
+            'emotional_context.importance': Math.max(...all.map(m => m.emotional_context.importance)),
+            'context.confidence': Math.max(...all.map(m => m.context?.confidence || 0)),
+            'usage.accessCount': all.reduce((sum, m) => sum + (m.usage.accessCount || 0), 0),
+            'usage.lastAccessed': new Date(Math.max(...all.map(m => m.usage.lastAccessed.getTime()))),
+            'usage.effectiveness': Math.max(...all.map(m => m.usage.effectiveness)),
+            'metadata.tags': [...new Set(all.flatMap(m => m.metadata?.tags || []))],
+            'metadata.pinned': all.some(m => m.metadata?.pinned === true),
+            'metadata.offLimits': all.some(m => m.metadata?.offLimits === true),
+            'relationships.connectedMemories': links('connectedMemories'),
+            'relationships.reinforces': links('reinforces'),
+            'relationships.conflictsWith': links('conflictsWith')
+        };
+    }
+
+    /**
+     * Maintain one user's memories. Returns `{ userId, dryRun, stats, details }`
+     * where details list what was expired, merged and archived.
+     */
+    async runForUser(userId, { dryRun = this.config.dryRun, now = new Date() } = {}) {
+        const stats = { active: 0, decayed: 0, expired: 0, merged: 0, archived: 0, deleted: 0, remaining: 0 };
+        const details = { expired: [], merged: [], archived: [] };
+        const updates = new Map(); // memoryId -> $set
+
+        const set = (memory, fields) => {
+            const id = memory._id.toString();
+            updates.set(id, { ...updates.get(id), ...fields });
+        };
+        const archive = (memory, reason, fields = {}) => set(memory, {
+            isActive: false,
+            'metadata.archivedAt': now,
+            'metadata.archiveReason': reason,
+            ...fields
+        });
+
+        // Working copies: decayed values are applied in memory so later steps see them
+        const memories = await Memory.find({ userId, isActive: true }).select('+vector_embedding');
+        stats.active = memories.length;
+
+        const generatedCutoff = new Date(now.getTime() - this.config.generatedMaxAgeDays * DAY_MS);
+        const unusedGenerated = memories.filter(memory =>
+            memory.type === 'fake_memory' && memory.usage.lastAccessed < generatedCutoff && memory.usage.accessCount < 2);
+        stats.deleted = unusedGenerated.length;
+
+        let remaining = memories.filter(memory => !unusedGenerated.includes(memory));
+
+        remaining.filter(memory => this.isExpired(memory, now)).forEach(memory => {
+            archive(memory, 'expired');
+            details.expired.push(describe(memory));
+        });
+        remaining = remaining.filter(memory => !this.isExpired(memory, now));
+
+        remaining.forEach(memory => {
+            const decayed = this.decay(memory, now);
+            if (!decayed) return;
+
+            memory.emotional_context.importance = decayed.importance;
+            memory.usage.effectiveness = decayed.effectiveness;
+            set(memory, {
+                'emotional_context.importance': decayed.importance,
+                'usage.effectiveness': decayed.effectiveness,
+                'metadata.lastDecayedAt': decayed.decayedUntil
+            });
+            stats.decayed += 1;
+        });
+
+        const absorbed = new Set();
+        this.planMerges(remaining).forEach(({ keep, absorb }) => {
+            set(keep, this.mergedFields(keep, absorb));
+            absorb.forEach(memory => {
+                archive(memory, 'merged', { 'metadata.mergedInto': keep._id });
+                absorbed.add(memory);
+            });
+            details.merged.push({ into: describe(keep), memories: absorb.map(describe) });
+        });
+        remaining = remaining.filter(memory => !absorbed.has(memory));
+
+        remaining.filter(memory => this.isStale(memory, now)).forEach(memory => {
+            archive(memory, 'stale');
+            details.archived.push(describe(memory));
+        });
+
+        stats.expired = details.expired.length;
+        stats.merged = absorbed.size;
+        stats.archived = details.archived.length;
+        stats.remaining = stats.active - stats.deleted - stats.expired - stats.merged - stats.archived;
+
+        if (!dryRun) {
+            const ops = [...updates].map(([id, $set]) => ({
+                updateOne: { filter: { _id: id, userId }, update: { $set } }
+            }));
+            if (ops.length > 0) await Memory.bulkWrite(ops);
+            if (unusedGenerated.length > 0) {
+                await Memory.deleteMany({ _id: { $in: unusedGenerated.map(memory => memory._id) }, userId });
+            }
+            if (stats.remaining !== stats.active) await memoryService.updateUserMemoryMetrics(userId);
+        }
+
+        return { userId, dryRun, stats, details };
+    }
+
+    /**
+     * Maintain every user with active memories, one at a time. Returns the
+     * totals and the stats of each user something changed for.
+     */
+    async runAll({ dryRun = this.config.dryRun, now = new Date() } = {}) {
+        if (this.running) return null;
+        this.running = true;
+
+        const startedAt = new Date();
+        const users = [];
+        const totals = { users: 0, decayed: 0, expired: 0, merged: 0, archived: 0, deleted: 0 };
+
+        try {
+            const userIds = await Memory.distinct('userId', { isActive: true });
+            totals.users = userIds.length;
+
+            for (const userId of userIds) {
+                try {
+                    const { stats } = await this.runForUser(userId, { dryRun, now });
+                    Object.keys(totals).filter(key => key !== 'users').forEach(key => { totals[key] += stats[key]; });
+                    if (stats.decayed || stats.remaining !== stats.active) users.push({ userId, ...stats });
+                } catch (error) {
+                    console.error(`Memory maintenance failed for user ${userId}:`, error.message);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return { startedAt, finishedAt: new Date(), dryRun, totals, users };
+    }
+}
+
+module.exports = new MemoryMaintenanceService();
@@ -0,0 +1,169 @@
+const Memory = require('../models/Memory');
+const embeddingService = require('./embeddingService');
+const { loadMemoryConfig } = require('../config/memory');
+
+const fillerWords = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'has', 'have', 'in', 'is',
+    'it', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'with',
+    'user', 'users', 'really', 'very', 'still', 'now', 'currently'
+]);
+
+// How the user feels about something, not what it is about
+const stanceWords = new Set([
+    'love', 'loves', 'like', 'likes', 'enjoy', 'enjoys', 'adore', 'adores', 'passionate', 'about',
+    'hate', 'hates', 'dislike', 'dislikes', 'cant', 'stand', 'cannot', 'prefer', 'prefers', 'favorite'
+]);
+
+const negationPattern = /\b(?:not|no longer|never|don't|doesn't|didn't|isn't|aren't|wasn't|won't|can't|cannot|stopped|quit)\b/i;
+
+const normalizeContent = (content = '') =>
+    content.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+
+// Words that carry what a memory is about
+const subjectWords = (content) => new Set(
+    normalizeContent(content)
+        .split(' ')
+        .map(word => word.replace(/s$/, ''))
+        .filter(word => word.length > 1 && !fillerWords.has(word) && !stanceWords.has(word) && !stanceWords.has(`${word}s`))
+);
+
+// Share of the smaller word set found in the larger one
+const containment = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach(word => { if (large.has(word)) shared += 1; });
+    return shared / small.size;
+};
+
+const polarity = (sentiment = 0) => {
+    if (sentiment >= 0.3) return 1;
+    if (sentiment <= -0.3) return -1;
+    return 0;
+};
+
+/**
+ * Compares a new insight with the user's stored memories and sorts them
+ * into restatements, contradictions and related memories so the memory
+ * service can link them instead of blindly overwriting.
+ */
+class MemoryReconciler {
+    constructor() {
+        this.config = loadMemoryConfig().conflicts;
+    }
+
+    /**
+     * Returns `{ duplicate, conflicts, reinforces, related }`, where
+     * `duplicate` is the memory the insight restates (if any)
+     */
+    async reconcile(userId, insight) {
+        const result = { duplicate: null, conflicts: [], reinforces: [], related: [] };
+
+        const match = [{ type: insight.type }];
+        if (insight.slot) match.push({ 'metadata.slot': insight.slot });
+
+        const candidates = await Memory.find({
+            userId,
+            isActive: true,
+            type: { $ne: 'fake_memory' },
+            $or: match
+        })
+            .select('+vector_embedding')
+            .sort({ 'emotional_context.importance': -1, updatedAt: -1 })
+            .limit(this.config.candidateLimit);
+
+        if (candidates.length === 0) return result;
+
+        let vector = null;
+        try {
+            ({ vector } = await embeddingService.embed([insight.content, ...(insight.tags || [])].join(' ')));
+        } catch (error) {
+            console.error('Error embedding insight for reconciliation:', error.message);
+        }
+
+        const insightWords = subjectWords(insight.content);
+        const insightContent = normalizeContent(insight.content);
+
+        for (const memory of candidates) {
+            const similarity = vector && embeddingService.hasCurrentEmbedding(memory)
+                ? embeddingService.cosineSimilarity(vector, memory.vector_embedding)
+                : 0;
+            const relation = this.classify(insight, memory, {
+                similarity,
+                overlap: containment(insightWords, subjectWords(memory.content)),
+                sameContent: insightContent === normalizeContent(memory.content)
+            });
+
+            if (relation === 'duplicate') {
+                // Keep the closest restatement; any others are at least related
+                if (!result.duplicate) result.duplicate = memory;
+                else result.reinforces.push(memory);
+            } else if (relation) {
+                result[relation].push(memory);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * How two stored memories relate, by the same rules as a new insight.
+     * Both need their embeddings loaded for anything beyond exact repeats.
+     */
+    relate(memory, other) {
+        const similarity = embeddingService.hasCurrentEmbedding(memory) && embeddingService.hasCurrentEmbedding(other)
+            ? embeddingService.cosineSimilarity(memory.vector_embedding, other.vector_embedding)
+            : 0;
+
+        return this.classify({
+            type: memory.type,
+            content: memory.content,
+            slot: memory.metadata?.slot,
+            sentiment: memory.emotional_context?.sentiment
+        }, other, {
+            similarity,
+            overlap: containment(subjectWords(memory.content), subjectWords(other.content)),
+            sameContent: normalizeContent(memory.content) === normalizeContent(other.content)
+        });
+    }
+
+    /**
+     * Decide how one stored memory relates to the insight:
+     * 'duplicate', 'conflicts', 'reinforces', 'related' or null
+     */
+    classify(insight, memory, { similarity, overlap, sameContent }) {
+        const memorySlot = memory.metadata?.slot;
+
+        // Single-valued facts: the same slot either repeats or replaces the value
+        if (insight.slot && memorySlot === insight.slot) {
+            return sameContent || (overlap === 1 && similarity >= this.config.duplicateSimilarity)
+                ? 'duplicate'
+                : 'conflicts';
+        }
+
+        if (sameContent) return 'duplicate';
+        if (memory.type !== insight.type) {
+            return similarity >= this.config.relatedSimilarity ? 'related' : null;
+        }
+
+        // Same subject, opposite stance ("loves coffee" / "dislikes coffee", "is vegetarian" / "is no longer vegetarian")
+        const opposed = polarity(insight.sentiment) * polarity(memory.emotional_context?.sentiment) === -1 ||
+            negationPattern.test(insight.content) !== negationPattern.test(memory.content);
+        if (opposed && overlap >= 0.8 && similarity >= this.config.contradictionSimilarity) {
+            return 'conflicts';
+        }
+
+        if (!opposed && overlap >= 0.8 && similarity >= this.config.duplicateSimilarity) {
+            return 'duplicate';
+        }
+
+        if (similarity >= this.config.relatedSimilarity) {
+            // Only agreeing memories of the same kind back each other up
+            return !opposed && !insight.slot && !memorySlot ? 'reinforces' : 'related';
+        }
+
+        return null;
+    }
+}
+
+module.exports = new MemoryReconciler();
@@ -1,10 +1,23 @@
 const Memory = require('../models/Memory');
 const User = require('../models/User');
+const embeddingService = require('./embeddingService');
+const insightExtractor = require('./insightExtractor');
+const memoryReconciler = require('./memoryReconciler');
+const contentPolicyService = require('./contentPolicyService');
+
+// Memories the companion may bring up in a reply, leaving out those taken from `excludeMessageId`
+const promptQuery = (userId, excludeMessageId = null) => ({
+    userId,
+    isActive: true,
+    'metadata.offLimits': { $ne: true },
+    ...(excludeMessageId && { 'context.messageId': { $ne: excludeMessageId } }),
+    ...contentPolicyService.promptMemoryFilter()
+});
 
 class MemoryService {
     constructor() {
         this.maxMemoriesPerQuery = 10;
-        this.memoryDecayFactor = 0.1;
+        this.retrievalConfig = embeddingService.config.retrieval;
     }
 
     /**
@@ -22,6 +35,7 @@ class MemoryService {
                 }
             });
 
+            await embeddingService.embedMemory(memory);
             await memory.save();
 
             // Update user's memory metrics
@@ -35,14 +49,14 @@ class MemoryService {
     }
 
     /**
-     * Retrieve relevant memories for conversation context
+     * Retrieve relevant memories for conversation context. Pinned memories
+     * always come first; off-limits ones never come back, and neither do
+     * those extracted from `context.messageId`, the message being answered.
      */
     async getRelevantMemories(userId, context = {}) {
         try {
-            const query = {
-                userId,
-                isActive: true
-            };
+            const excludeMessageId = context.messageId || null;
+            const query = promptQuery(userId, excludeMessageId);
 
             // Add context-based filters
             if (context.emotion) {
@@ -61,7 +75,7 @@ class MemoryService {
             }
 
             // Get memories sorted by relevance
-            const memories = await Memory.find(query)
+            let memories = await Memory.find(query)
                 .sort({
                     'emotional_context.importance': -1,
                     'usage.lastAccessed': -1,
@@ -69,6 +83,18 @@ class MemoryService {
                 })
                 .limit(this.maxMemoriesPerQuery);
 
+            // Blend in memories that are semantically close to the current message
+            if (context.query) {
+                memories = await this.rankBySimilarity(userId, context.query, memories, { excludeMessageId });
+            }
+
+            const pinned = await Memory.find({ ...promptQuery(userId, excludeMessageId), 'metadata.pinned': true })
+                .sort({ 'emotional_context.importance': -1, updatedAt: -1 })
+                .limit(this.maxMemoriesPerQuery);
+            const pinnedIds = new Set(pinned.map(memory => memory._id.toString()));
+            memories = [...pinned, ...memories.filter(memory => !pinnedIds.has(memory._id.toString()))]
+                .slice(0, this.maxMemoriesPerQuery);
+
             // Update access statistics
             const updatePromises = memories.map(memory => memory.recordAccess());
             await Promise.all(updatePromises);
@@ -81,217 +107,247 @@ class MemoryService {
     }
 
     /**
-     * Process and extract memories from conversation
+     * Rank the user's memories by cosine similarity to a query mixed with
+     * each memory's relevanceScore. Memories that matched the context filters
+     * keep a small boost so tag/emotion matches are not lost.
+     */
+    async rankBySimilarity(userId, queryText, filteredMemories = [], { excludeMessageId = null } = {}) {
+        const { semanticWeight, minSimilarity, candidatePool, backfillLimit } = this.retrievalConfig;
+
+        let queryVector;
+        try {
+            queryVector = (await embeddingService.embed(queryText)).vector;
+        } catch (error) {
+            console.error('Error embedding memory query:', error.message);
+            return filteredMemories;
+        }
+
+        const candidates = await Memory.find(promptQuery(userId, excludeMessageId))
+            .select('+vector_embedding')
+            .sort({ 'emotional_context.importance': -1, 'usage.lastAccessed': -1 })
+            .limit(candidatePool);
+
+        // Embed memories stored before embeddings existed (or with another model)
+        const missing = candidates
+            .filter(memory => !embeddingService.hasCurrentEmbedding(memory))
+            .slice(0, backfillLimit);
+        await Promise.all(missing.map(async memory => {
+            if (await embeddingService.embedMemory(memory)) {
+                await memory.save();
+            }
+        }));
+
+        const filteredIds = new Set(filteredMemories.map(memory => memory._id.toString()));
+
+        return candidates
+            .map(memory => {
+                const matchedFilters = filteredIds.has(memory._id.toString());
+                const similarity = embeddingService.hasCurrentEmbedding(memory) ?
+                    embeddingService.cosineSimilarity(queryVector, memory.vector_embedding) : 0;
+                const score = semanticWeight * Math.max(0, similarity) +
+                    (1 - semanticWeight) * memory.relevanceScore +
+                    (matchedFilters ? 0.1 : 0);
+
+                return { memory, similarity, matchedFilters, score };
+            })
+            .filter(({ similarity, matchedFilters }) => matchedFilters || similarity >= minSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxMemoriesPerQuery)
+            .map(({ memory }) => memory);
+    }
+
+    /**
+     * Process and extract memories from conversation. Each insight is
+     * reconciled with stored memories first: restatements update the
+     * existing memory, contradictions are stored and linked for clarification.
+     * Returns `{ memories, conflicts }` with the memories stored this turn.
      */
     async processConversationForMemories(userId, message, context = {}) {
+        const storedMemories = [];
+        const conflicts = [];
+
         try {
-            const insights = this.extractInsights(message, context);
-            const storedMemories = [];
+            const insights = await insightExtractor.extract(message, { ...context, userId });
 
             for (const insight of insights) {
-                // Check if similar memory already exists
-                const existingMemory = await this.findSimilarMemory(userId, insight);
-
-                if (existingMemory) {
-                    // Update existing memory
-                    await this.updateMemory(existingMemory._id, insight);
-                } else {
-                    // Store new memory
-                    const memory = await this.storeMemory(userId, {
-                        type: insight.type,
-                        content: insight.content,
-                        context: {
-                            extractedFrom: message,
-                            confidence: insight.confidence || 0.7,
-                            source: 'explicit'
-                        },
-                        emotional_context: {
-                            importance: insight.importance || 5,
-                            sentiment: insight.sentiment || 0,
-                            emotionalWeight: insight.emotionalWeight || 'moderate'
-                        },
-                        temporal_info: {
-                            timeframe: insight.timeframe || 'present',
-                            recency: 'recent',
-                            frequency: insight.frequency || 'one_time'
-                        },
-                        metadata: {
-                            tags: insight.tags || [],
-                            category: insight.category,
-                            privacy_level: insight.privacy_level || 'private'
-                        }
-                    });
-
-                    storedMemories.push(memory);
+                const { duplicate, conflicts: contradicted, reinforces, related } =
+                    await memoryReconciler.reconcile(userId, insight);
+
+                if (duplicate) {
+                    const updated = await this.updateMemory(duplicate._id, insight);
+
+                    // Restating one side of a conflict settles it
+                    if (updated && updated.relationships.conflictsWith.length > 0) {
+                        await this.resolveConflict(userId, updated._id, 'keep');
+                    }
+                    continue;
                 }
-            }
 
-            return storedMemories;
+                const memory = await this.storeMemory(userId, {
+                    type: insight.type,
+                    content: insight.content,
+                    context: {
+                        conversationId: context.conversationId,
+                        sessionId: context.sessionId,
+                        messageId: context.messageId,
+                        extractedFrom: message,
+                        confidence: insight.confidence || 0.7,
+                        source: insight.source || 'explicit'
+                    },
+                    emotional_context: {
+                        userEmotionWhenShared: context.emotion,
+                        importance: insight.importance || 5,
+                        sentiment: insight.sentiment || 0,
+                        emotionalWeight: insight.emotionalWeight || 'moderate'
+                    },
+                    temporal_info: {
+                        timeframe: insight.timeframe || 'present',
+                        specificDate: insight.date,
+                        recency: insight.recency || 'recent',
+                        frequency: insight.frequency || 'one_time'
+                    },
+                    relationships: {
+                        conflictsWith: contradicted.map(m => m._id),
+                        reinforces: reinforces.map(m => m._id),
+                        connectedMemories: related.map(m => m._id)
+                    },
+                    metadata: {
+                        tags: insight.tags && insight.tags.length > 0
+                            ? insight.tags
+                            : this.extractTags(insight.content, insight.type),
+                        category: insight.category,
+                        slot: insight.slot,
+                        needsUpdate: contradicted.length > 0,
+                        privacy_level: this.determinatePrivacyLevel(insight.type, insight.content)
+                    }
+                });
+
+                await this.linkMemories(memory, { conflicts: contradicted, reinforces, related });
+
+                storedMemories.push(memory);
+                if (contradicted.length > 0) {
+                    conflicts.push({ memory, conflictsWith: contradicted });
+                }
+            }
         } catch (error) {
             console.error('Error processing conversation for memories:', error);
-            return [];
         }
+
+        return { memories: storedMemories, conflicts };
     }
 
     /**
-     * Extract insights from user message
+     * Add the back-links from existing memories to a newly stored one.
+     * Memories on either side of a contradiction are flagged needsUpdate.
      */
-    extractInsights(message, context) {
-        const insights = [];
-        const text = message.toLowerCase();
-        const sentences = message.split(/[.!?]+/).filter(s => s.trim().length > 3);
-
-        // Personal information extraction
-        const personalPatterns = [
-            {
-                pattern: /my name is (\w+)|i'm (\w+)|call me (\w+)/i,
-                type: 'personal_fact',
-                importance: 9,
-                category: 'identity'
-            },
-            {
-                pattern: /i am (\d+) years old|i'm (\d+)/i,
-                type: 'personal_fact',
-                importance: 7,
-                category: 'demographics'
-            },
-            {
-                pattern: /i work as|my job is|i'm a (.+?)(?:\.|$|,)/i,
-                type: 'personal_fact',
-                importance: 8,
-                category: 'profession'
-            },
-            {
-                pattern: /i live in|i'm from|i'm in (.+?)(?:\.|$|,)/i,
-                type: 'personal_fact',
-                importance: 6,
-                category: 'location'
-            }
-        ];
-
-        // Preferences and interests
-        const preferencePatterns = [
-            {
-                pattern: /i love|i really like|i enjoy|i'm passionate about (.+?)(?:\.|$|,)/i,
-                type: 'preference',
-                importance: 7,
-                sentiment: 0.8
-            },
-            {
-                pattern: /i hate|i can't stand|i dislike (.+?)(?:\.|$|,)/i,
-                type: 'preference',
-                importance: 7,
-                sentiment: -0.8
-            },
-            {
-                pattern: /my favorite|i prefer (.+?)(?:\.|$|,)/i,
-                type: 'preference',
-                importance: 6,
-                sentiment: 0.6
-            }
-        ];
-
-        // Emotional and relationship patterns
-        const emotionalPatterns = [
-            {
-                pattern: /i feel|i'm feeling|i've been feeling (.+?)(?:\.|$|,)/i,
-                type: 'emotional_pattern',
-                importance: 8,
-                category: 'current_emotion'
-            },
-            {
-                pattern: /i'm worried about|i'm concerned about|i'm anxious about (.+?)(?:\.|$|,)/i,
-                type: 'concern',
-                importance: 9,
-                emotionalWeight: 'high'
-            },
-            {
-                pattern: /my (?:partner|boyfriend|girlfriend|husband|wife|friend) (.+?)(?:\.|$|,)/i,
-                type: 'relationship',
-                importance: 8,
-                category: 'interpersonal'
-            }
-        ];
-
-        // Goals and aspirations
-        const goalPatterns = [
-            {
-                pattern: /i want to|i hope to|my goal is|i'm trying to (.+?)(?:\.|$|,)/i,
-                type: 'goal',
-                importance: 8,
-                timeframe: 'future'
-            },
-            {
-                pattern: /i need to|i have to|i must (.+?)(?:\.|$|,)/i,
-                type: 'goal',
-                importance: 7,
-                timeframe: 'present',
-                emotionalWeight: 'moderate'
-            }
-        ];
-
-        // Significant events
-        const eventPatterns = [
-            {
-                pattern: /yesterday|last week|last month|recently (.+?)(?:\.|$|,)/i,
-                type: 'significant_event',
-                importance: 7,
-                timeframe: 'past',
-                recency: 'recent'
-            },
-            {
-                pattern: /when i was|growing up|as a child (.+?)(?:\.|$|,)/i,
-                type: 'significant_event',
-                importance: 6,
-                timeframe: 'past',
-                recency: 'years_ago'
-            }
-        ];
-
-        const allPatterns = [
-            ...personalPatterns,
-            ...preferencePatterns,
-            ...emotionalPatterns,
-            ...goalPatterns,
-            ...eventPatterns
-        ];
-
-        // Process each pattern
-        allPatterns.forEach(pattern => {
-            const match = message.match(pattern.pattern);
-            if (match) {
-                const extractedContent = match[1] || match[2] || match[3] || match[0];
-
-                insights.push({
-                    type: pattern.type,
-                    content: extractedContent.trim(),
-                    importance: pattern.importance,
-                    sentiment: pattern.sentiment || 0,
-                    confidence: 0.8,
-                    category: pattern.category,
-                    timeframe: pattern.timeframe,
-                    emotionalWeight: pattern.emotionalWeight,
-                    recency: pattern.recency,
-                    frequency: pattern.frequency,
-                    tags: this.extractTags(extractedContent, pattern.type),
-                    privacy_level: this.determinatePrivacyLevel(pattern.type, extractedContent)
-                });
-            }
-        });
+    async linkMemories(memory, { conflicts = [], reinforces = [], related = [] }) {
+        const link = (memories, field, extra = {}) => memories.length > 0 && Memory.updateMany(
+            { _id: { $in: memories.map(m => m._id) } },
+            { $addToSet: { [`relationships.${field}`]: memory._id }, ...extra }
+        );
+
+        await Promise.all([
+            link(conflicts, 'conflictsWith', { $set: { 'metadata.needsUpdate': true } }),
+            link(reinforces, 'reinforces'),
+            link(related, 'connectedMemories')
+        ]);
+    }
 
-        // Context-based insights
-        if (context.emotion && context.emotion !== 'neutral') {
-            insights.push({
-                type: 'emotional_pattern',
-                content: `User expressed ${context.emotion} emotion in conversation`,
-                importance: 6,
-                sentiment: this.emotionToSentiment(context.emotion),
-                category: 'emotional_state',
-                tags: [context.emotion, 'emotional_pattern']
+    /**
+     * Unresolved contradictions for a user, grouped so each set of
+     * conflicting memories appears once
+     */
+    async getConflicts(userId) {
+        const flagged = await Memory.find({
+            userId,
+            isActive: true,
+            'relationships.conflictsWith.0': { $exists: true }
+        })
+            .populate({ path: 'relationships.conflictsWith', match: { isActive: true } })
+            .sort({ createdAt: -1 });
+
+        const seen = new Set();
+        const groups = [];
+
+        flagged.forEach(memory => {
+            const id = memory._id.toString();
+            if (seen.has(id)) return;
+
+            const others = memory.relationships.conflictsWith.filter(Boolean);
+            if (others.length === 0) return;
+
+            const memories = [memory, ...others.filter(other => !seen.has(other._id.toString()))];
+            memories.forEach(m => seen.add(m._id.toString()));
+
+            groups.push({
+                slot: memory.metadata.slot || null,
+                type: memory.type,
+                detectedAt: memory.createdAt,
+                memories
             });
+        });
+
+        return groups;
+    }
+
+    /**
+     * Settle a contradiction. `keep` confirms this memory and retires the
+     * ones it conflicts with; `dismiss` keeps all of them as compatible.
+     */
+    async resolveConflict(userId, memoryId, action = 'keep') {
+        const memory = await Memory.findOne({ _id: memoryId, userId, isActive: true });
+        if (!memory) return null;
+
+        const otherIds = memory.relationships.conflictsWith;
+
+        if (action === 'keep') {
+            await Memory.updateMany(
+                { _id: { $in: otherIds }, userId },
+                { $set: { isActive: false, 'metadata.needsUpdate': false } }
+            );
+        }
+
+        // Drop the links in both directions, then clear flags left without conflicts
+        await Memory.updateMany(
+            { _id: { $in: otherIds }, userId },
+            { $pull: { 'relationships.conflictsWith': memory._id } }
+        );
+        await Memory.updateMany(
+            { _id: { $in: otherIds }, userId, 'relationships.conflictsWith.0': { $exists: false } },
+            { $set: { 'metadata.needsUpdate': false } }
+        );
+
+        memory.relationships.conflictsWith = [];
+        memory.metadata.needsUpdate = false;
+        memory.metadata.isVerified = true;
+        await memory.save();
+
+        if (action === 'keep') {
+            await this.updateUserMemoryMetrics(userId);
         }
 
-        return insights;
+        return memory;
+    }
+
+    /**
+     * Deactivate the memories extracted from messages that left the active
+     * path of a conversation, or bring them back when their branch is
+     * switched to again. Memories retired for other reasons stay retired.
+     */
+    async setBranchMemoriesActive(userId, messageIds, active) {
+        if (messageIds.length === 0) return;
+
+        const filter = { userId, 'context.messageId': { $in: messageIds } };
+        await (active
+            ? Memory.updateMany({ ...filter, 'metadata.abandonedBranch': true }, {
+                $set: { isActive: true },
+                $unset: { 'metadata.abandonedBranch': '' }
+            })
+            : Memory.updateMany({ ...filter, isActive: true }, {
+                $set: { isActive: false, 'metadata.abandonedBranch': true }
+            }));
+
+        await this.updateUserMemoryMetrics(userId);
     }
 
     /**
@@ -339,64 +395,17 @@ class MemoryService {
         return 'private';
     }
 
-    /**
-     * Convert emotion to sentiment score
-     */
-    emotionToSentiment(emotion) {
-        const emotionSentiment = {
-            'happy': 0.8,
-            'excited': 0.9,
-            'content': 0.6,
-            'sad': -0.7,
-            'angry': -0.8,
-            'frustrated': -0.6,
-            'anxious': -0.5,
-            'nervous': -0.4,
-            'neutral': 0
-        };
-
-        return emotionSentiment[emotion] || 0;
-    }
-
-    /**
-     * Find similar existing memory
-     */
-    async findSimilarMemory(userId, insight) {
-        try {
-            const query = {
-                userId,
-                type: insight.type,
-                isActive: true
-            };
-
-            // For personal facts, check for exact content similarity
-            if (insight.type === 'personal_fact') {
-                query.content = { $regex: insight.content, $options: 'i' };
-            }
-
-            // For preferences, check for similar topics
-            if (insight.type === 'preference') {
-                query['metadata.tags'] = { $in: insight.tags || [] };
-            }
-
-            const similarMemory = await Memory.findOne(query);
-            return similarMemory;
-        } catch (error) {
-            console.error('Error finding similar memory:', error);
-            return null;
-        }
-    }
-
     /**
      * Update existing memory
      */
     async updateMemory(memoryId, newInsight) {
         try {
-            const memory = await Memory.findById(memoryId);
+            const memory = await Memory.findById(memoryId).select('+vector_embedding');
             if (!memory) return null;
 
-            // Update content with new information
-            memory.content = newInsight.content;
+            // Update content with new information, unless the user has confirmed the wording
+            const contentChanged = !memory.metadata.isVerified && memory.content !== newInsight.content;
+            if (contentChanged) memory.content = newInsight.content;
             memory.context.confidence = Math.max(memory.context.confidence, newInsight.confidence || 0.7);
             memory.emotional_context.importance = Math.max(
                 memory.emotional_context.importance,
@@ -404,6 +413,13 @@ class MemoryService {
             );
             memory.usage.lastAccessed = new Date();
             memory.metadata.needsUpdate = false;
+            if (newInsight.slot && !memory.metadata.slot) {
+                memory.metadata.slot = newInsight.slot;
+            }
+
+            if (contentChanged || !embeddingService.hasCurrentEmbedding(memory)) {
+                await embeddingService.embedMemory(memory);
+            }
 
             await memory.save();
             return memory;
@@ -414,9 +430,12 @@ class MemoryService {
     }
 
     /**
-     * Create fake memory for emotional consistency
+     * Create fake memory for emotional consistency. Only runs when the
+     * deployment opts in through the content policy.
      */
     async createFakeMemory(userId, emotion, context = {}) {
+        if (!contentPolicyService.allowsGeneratedMemories()) return null;
+
         try {
             const fakeMemory = Memory.createFakeMemory(userId, context, emotion);
             await fakeMemory.save();
@@ -427,6 +446,20 @@ class MemoryService {
         }
     }
 
+    /**
+     * Permanently delete every memory the companion generated for a user.
+     * Returns the number of memories removed.
+     */
+    async purgeGeneratedMemories(userId) {
+        const result = await Memory.deleteMany({
+            userId,
+            $or: [{ 'context.source': 'generated' }, { type: 'fake_memory' }]
+        });
+
+        await this.updateUserMemoryMetrics(userId);
+        return result.deletedCount;
+    }
+
     /**
      * Update user's memory-related metrics
      */
@@ -454,34 +487,15 @@ class MemoryService {
     }
 
     /**
-     * Clean up old or ineffective memories
+     * Feed a reply's rating (0-1) into the effectiveness of the memories it
+     * used, through Memory#recordAccess without counting an access. A
+     * changed rating passes the `previous` one, which it replaces.
      */
-    async cleanupMemories(userId) {
-        try {
-            const cutoffDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000); // 1 year ago
-
-            // Mark very old, low-importance memories as inactive
-            await Memory.updateMany(
-                {
-                    userId,
-                    'emotional_context.importance': { $lt: 3 },
-                    'usage.lastAccessed': { $lt: cutoffDate },
-                    'usage.effectiveness': { $lt: 0.3 }
-                },
-                { $set: { isActive: false } }
-            );
-
-            // Delete fake memories that are old and unused
-            await Memory.deleteMany({
-                userId,
-                type: 'fake_memory',
-                'usage.lastAccessed': { $lt: cutoffDate },
-                'usage.accessCount': { $lt: 2 }
-            });
-
-        } catch (error) {
-            console.error('Error cleaning up memories:', error);
-        }
+    async updateMemoryEffectiveness(userId, memoryIds, effectiveness, previous = null) {
+        const memories = await Memory.find({ _id: { $in: memoryIds }, userId });
+        await Promise.all(memories.map(memory =>
+            memory.recordAccess(effectiveness, { countAccess: false, replaces: previous })));
+        return memories.length;
     }
 
     /**
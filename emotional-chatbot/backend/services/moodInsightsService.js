@@ -0,0 +1,229 @@
+const { loadMoodConfig } = require('../config/mood');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How pleasant each emotion is, -1 to 1, so logged moods can be averaged
+const emotionValence = {
+    excited: 0.8,
+    happy: 0.8,
+    content: 0.5,
+    neutral: 0,
+    anxious: -0.6,
+    frustrated: -0.6,
+    sad: -0.7,
+    overwhelmed: -0.8
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+const difference = (current, previous) => (current === null || previous === null ? null : round(current - previous));
+
+// Local calendar day ('YYYY-MM-DD'), weekday (0 = Sunday) and hour of an instant
+const localParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parts.find(p => p.type === type).value;
+
+    return {
+        day: `${part('year')}-${part('month')}-${part('day')}`,
+        weekday: WEEKDAYS.indexOf(part('weekday')),
+        hour: Number(part('hour'))
+    };
+};
+
+// Calendar arithmetic on 'YYYY-MM-DD' keys
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// The Monday of the week a day falls in
+const weekOf = (day) => addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+/**
+ * Mood history for the insights dashboard. Entries come from
+ * profile.emotionalState.history (an emotion per message or check-in) and
+ * conversationMetrics.sentimentTrend (a -1..1 score per message), and are
+ * bucketed by local day or week in the user's time zone. Moods the user
+ * reported in a check-in are summarized apart from the inferred ones.
+ */
+class MoodInsightsService {
+    constructor() {
+        this.config = loadMoodConfig();
+    }
+
+    /**
+     * Add a mood entry to the user's history, and its sentiment score when
+     * it has one, dropping the oldest past the limit. A `check_in` also
+     * becomes the pending mood for the next reply. The caller saves.
+     */
+    recordMood(user, { emotion, sentiment = null, context = '', source = 'inferred', timestamp = new Date() }) {
+        const { historyLimit } = this.config;
+        const { emotionalState } = user.profile;
+        const metrics = user.conversationMetrics;
+
+        emotionalState.current = emotion;
+        emotionalState.history.push({ state: emotion, timestamp, context, source });
+        if (emotionalState.history.length > historyLimit) {
+            emotionalState.history = emotionalState.history.slice(-historyLimit);
+        }
+
+        if (sentiment !== null) {
+            metrics.sentimentTrend.push({ sentiment, timestamp });
+            if (metrics.sentimentTrend.length > historyLimit) {
+                metrics.sentimentTrend = metrics.sentimentTrend.slice(-historyLimit);
+            }
+        }
+
+        if (source === 'check_in') {
+            emotionalState.lastCheckIn = { state: emotion, note: context, timestamp };
+        }
+    }
+
+    /**
+     * The check-in the reply to `messageId` should take into account: one
+     * made recently that no other message has used yet. A regenerated reply
+     * keeps the check-in its message used.
+     */
+    pendingCheckIn(user, messageId, now = new Date()) {
+        const checkIn = user.profile?.emotionalState?.lastCheckIn;
+        if (!checkIn?.state || !checkIn.timestamp) return null;
+        if (checkIn.appliedToMessageId && checkIn.appliedToMessageId !== messageId) return null;
+        if (now - checkIn.timestamp > this.config.checkInFreshHours * 60 * 60 * 1000) return null;
+
+        return { emotion: checkIn.state, note: checkIn.note || '', timestamp: checkIn.timestamp };
+    }
+
+    /**
+     * Counts per emotion, the most frequent one and the average mood score,
+     * null when empty
+     */
+    describeMoods(emotions) {
+        const counts = {};
+        emotions.forEach(emotion => { counts[emotion] = (counts[emotion] || 0) + 1; });
+        const dominant = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+        return {
+            entries: emotions.length,
+            emotions: counts,
+            dominant,
+            moodScore: average(emotions.map(emotion => emotionValence[emotion] ?? 0))
+        };
+    }
+
+    /**
+     * Inferred moods with the average message sentiment, and the user's
+     * check-ins on their own
+     */
+    describe({ emotions, scores, checkIns }) {
+        return {
+            ...this.describeMoods(emotions),
+            averageSentiment: average(scores),
+            checkIns: this.describeMoods(checkIns)
+        };
+    }
+
+    /**
+     * One bucket per local day or week from `fromDay` to `toDay`, including
+     * empty ones so charts keep a continuous axis
+     */
+    bucket(moods, sentiments, { interval, timeZone, fromDay, toDay }) {
+        const keyOf = interval === 'week' ? weekOf : (day) => day;
+        const buckets = new Map();
+        for (let day = keyOf(fromDay); day <= toDay; day = addDays(day, interval === 'week' ? 7 : 1)) {
+            buckets.set(day, { emotions: [], scores: [], checkIns: [] });
+        }
+        const bucketOf = (timestamp) => buckets.get(keyOf(localParts(timestamp, timeZone).day));
+
+        moods.forEach(({ timestamp, emotion, isCheckIn }) =>
+            bucketOf(timestamp)?.[isCheckIn ? 'checkIns' : 'emotions'].push(emotion));
+        sentiments.forEach(({ timestamp, score }) => bucketOf(timestamp)?.scores.push(score));
+
+        return [...buckets].map(([start, values]) => ({ start, ...this.describe(values) }));
+    }
+
+    /**
+     * Entries and average mood score for each weekday (0 = Sunday) and local
+     * hour, counting inferred moods and check-ins alike
+     */
+    heatmap(moods, timeZone) {
+        const cells = WEEKDAYS.map(() => Array.from({ length: 24 }, () => []));
+        moods.forEach(({ timestamp, emotion }) => {
+            const { weekday, hour } = localParts(timestamp, timeZone);
+            cells[weekday][hour].push(emotionValence[emotion] ?? 0);
+        });
+
+        return {
+            entries: cells.map(row => row.map(values => values.length)),
+            moodScore: cells.map(row => row.map(average))
+        };
+    }
+
+    /**
+     * This calendar week so far against the whole of last week
+     */
+    compareWeeks(moods, sentiments, timeZone, now) {
+        const thisWeek = weekOf(localParts(now, timeZone).day);
+        const [previous, current] = this.bucket(moods, sentiments, {
+            interval: 'week',
+            timeZone,
+            fromDay: addDays(thisWeek, -7),
+            toDay: thisWeek
+        });
+
+        return {
+            current,
+            previous,
+            change: {
+                entries: current.entries - previous.entries,
+                moodScore: difference(current.moodScore, previous.moodScore),
+                averageSentiment: difference(current.averageSentiment, previous.averageSentiment),
+                checkInMoodScore: difference(current.checkIns.moodScore, previous.checkIns.moodScore)
+            }
+        };
+    }
+
+    /**
+     * Dashboard data for the last `days` days: buckets by `interval`
+     * ('day' or 'week'), the distribution of inferred and checked-in
+     * emotions, a weekday/hour heat map and a week-over-week comparison
+     */
+    summarize(user, { interval = 'day', days = this.config.defaultDays, timeZone = 'UTC', now = new Date() } = {}) {
+        const moods = (user.profile?.emotionalState?.history || [])
+            .filter(entry => entry.state && entry.timestamp)
+            .map(entry => ({ timestamp: entry.timestamp, emotion: entry.state, isCheckIn: entry.source === 'check_in' }));
+        const sentiments = (user.conversationMetrics?.sentimentTrend || [])
+            .filter(entry => typeof entry.sentiment === 'number' && entry.timestamp)
+            .map(entry => ({ timestamp: entry.timestamp, score: entry.sentiment }));
+
+        const from = new Date(now.getTime() - days * DAY_MS);
+        const inRange = ({ timestamp }) => timestamp >= from && timestamp <= now;
+        const rangeMoods = moods.filter(inRange);
+        const rangeSentiments = sentiments.filter(inRange);
+
+        return {
+            interval,
+            days,
+            timeZone,
+            from,
+            to: now,
+            buckets: this.bucket(rangeMoods, rangeSentiments, {
+                interval,
+                timeZone,
+                fromDay: localParts(from, timeZone).day,
+                toDay: localParts(now, timeZone).day
+            }),
+            distribution: this.describeMoods(rangeMoods.filter(m => !m.isCheckIn).map(m => m.emotion)).emotions,
+            checkInDistribution: this.describeMoods(rangeMoods.filter(m => m.isCheckIn).map(m => m.emotion)).emotions,
+            heatmap: this.heatmap(rangeMoods, timeZone),
+            weekOverWeek: this.compareWeeks(moods, sentiments, timeZone, now)
+        };
+    }
+}
+
+module.exports = new MoodInsightsService();
@@ -0,0 +1,109 @@
+const Joi = require('joi');
+
+const { loadPersonaConfig } = require('../config/personas');
+
+const lines = (max) => Joi.array().items(Joi.string().trim().max(300)).max(max).default([]);
+const replies = Joi.array().items(Joi.string().trim().max(500)).min(1);
+
+const personaSchema = Joi.object({
+    id: Joi.string().pattern(/^[a-z][a-z0-9_-]{1,39}$/).required(),
+    name: Joi.string().trim().max(40).required(),
+    role: Joi.string().trim().max(80).required(),
+    description: Joi.string().trim().max(200).required(),
+    tagline: Joi.string().trim().max(120).default(''),
+    voice: lines(12),
+    boundaries: lines(12),
+    identity: Joi.object({
+        bot: Joi.string().trim().max(300).required(),
+        name: Joi.string().trim().max(300).required(),
+        impossible: Joi.string().trim().max(300).required(),
+        falseMemory: Joi.string().trim().max(300).required()
+    }).required(),
+    onboarding: Joi.object({
+        welcome: Joi.string().trim().max(500).required(),
+        askName: Joi.string().trim().max(300).required(),
+        nameSaved: Joi.string().trim().max(500).required()
+    }).required(),
+    fallback: Joi.object({
+        neutral: replies.required(),
+        sad: replies,
+        anxious: replies,
+        happy: replies,
+        greeting: replies
+    }).required(),
+    // Proactive follow-ups; {memory} is what the user shared, addressed to them
+    checkIns: Joi.object({
+        event: Joi.string().trim().max(300).required(),
+        goal: Joi.string().trim().max(300).required(),
+        concern: Joi.string().trim().max(300).required()
+    })
+});
+
+/**
+ * Loads the configured personas (name, voice, boundaries, identity answers,
+ * onboarding copy and fallback replies) and resolves which one a user talks to
+ */
+class PersonaService {
+    constructor() {
+        const { personas, defaultPersona } = loadPersonaConfig();
+
+        this.personas = new Map();
+        personas.forEach(definition => {
+            const { error, value } = personaSchema.validate(definition, { stripUnknown: true });
+            if (error) {
+                console.error(`Invalid persona ${definition?.id || '(no id)'}, ignoring:`, error.message);
+                return;
+            }
+            this.personas.set(value.id, value); // Later files override earlier ones
+        });
+
+        if (!this.personas.has(defaultPersona)) {
+            console.error(`Default persona ${defaultPersona} not found, using ${this.personas.keys().next().value}`);
+        }
+        this.defaultId = this.personas.has(defaultPersona) ? defaultPersona : this.personas.keys().next().value;
+    }
+
+    has(id) {
+        return this.personas.has(id);
+    }
+
+    /**
+     * A persona by id, or the deployment default
+     */
+    get(id) {
+        return this.personas.get(id) || this.personas.get(this.defaultId);
+    }
+
+    /**
+     * The persona a user picked, or the deployment default
+     */
+    forUser(user) {
+        return this.get(user?.profile?.preferences?.persona);
+    }
+
+    /**
+     * What the client needs to show and pick personas
+     */
+    list() {
+        const personas = [...this.personas.values()]
+            .sort((a, b) => (b.id === this.defaultId) - (a.id === this.defaultId) || a.name.localeCompare(b.name));
+
+        return personas.map(persona => ({
+            id: persona.id,
+            name: persona.name,
+            role: persona.role,
+            tagline: persona.tagline,
+            welcome: persona.onboarding.welcome,
+            isDefault: persona.id === this.defaultId
+        }));
+    }
+
+    /**
+     * Fill `{userName}` and `{memory}` placeholders in persona copy
+     */
+    render(template, { userName = 'friend', memory = '' } = {}) {
+        return template.replace(/\{userName\}/g, userName).replace(/\{memory\}/g, memory);
+    }
+}
+
+module.exports = new PersonaService();
@@ -0,0 +1,146 @@
+// Rough count for Llama/GPT-style tokenizers; the safety margin absorbs the error
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+const TRUNCATION_MARKER = ' […]';
+
+/**
+ * Cut text to roughly `maxTokens`, keeping the beginning
+ */
+const truncateToTokens = (text, maxTokens) => {
+    if (estimateTokens(text) <= maxTokens) return text;
+    const maxChars = Math.max(0, maxTokens * 4 - TRUNCATION_MARKER.length);
+    return text.slice(0, maxChars).trimEnd() + TRUNCATION_MARKER;
+};
+
+/**
+ * Fits a conversation turn into the model's context window.
+ *
+ * The system prompt is described as sections. Required sections (persona,
+ * guidelines) are always sent. Optional sections list their items most
+ * important first, so trimming drops from the end. For memories that means
+ * the least relevant ones go first. Each optional section is capped by
+ * its budget in `sectionTokens`. History fills what is left, newest turn
+ * first, so the oldest turns are dropped when space runs out.
+ *
+ * A section is `{ name, text }` when required, or
+ * `{ name, header, items: [{ text, ref }], footer, numbered }` when optional.
+ */
+class PromptBuilder {
+    constructor(config) {
+        this.config = config;
+    }
+
+    /**
+     * Returns `{ systemPrompt, messages, report }`. The report records what
+     * was included and what was trimmed, for the reply's metadata.
+     */
+    build(sections, history, { maxTokens }) {
+        const { contextTokens, safetyMarginTokens, historyMessages, messageTokens, sectionTokens } = this.config;
+        const budgetTokens = contextTokens - maxTokens - safetyMarginTokens;
+        let remaining = budgetTokens;
+
+        const report = {
+            budgetTokens,
+            estimatedTokens: 0,
+            historyMessages: 0,
+            historyDropped: 0,
+            memoryIds: [],
+            memoriesDropped: 0,
+            trimmedSections: [],
+            truncatedMessages: 0
+        };
+
+        // Persona and guidelines always go in
+        const rendered = new Map();
+        sections.filter(section => section.text !== undefined).forEach(section => {
+            rendered.set(section.name, section.text);
+            remaining -= estimateTokens(section.text);
+        });
+
+        // The message being answered comes next, cut down if it's huge
+        const recent = history.slice(-historyMessages);
+        const capMessage = (message, limit) => ({
+            ...message,
+            content: truncateToTokens(message.content, limit),
+            truncated: estimateTokens(message.content) > limit
+        });
+        const latest = recent.length > 0 ?
+            capMessage(recent[recent.length - 1], Math.min(messageTokens, Math.max(remaining, 0))) : null;
+        if (latest) remaining -= estimateTokens(latest.content);
+
+        // Optional sections, each within its own cap
+        sections.filter(section => section.text === undefined).forEach(section => {
+            const cap = Math.min(sectionTokens[section.name] ?? remaining, remaining);
+            const fitted = this.fitSection(section, cap);
+
+            if (fitted.dropped > 0 || fitted.truncated) report.trimmedSections.push(section.name);
+            if (section.name === 'memories') {
+                report.memoryIds = fitted.items.map(item => item.ref).filter(Boolean);
+                report.memoriesDropped = fitted.dropped;
+            }
+            if (fitted.text) {
+                rendered.set(section.name, fitted.text);
+                remaining -= estimateTokens(fitted.text);
+            }
+        });
+
+        // Earlier turns fill what's left, newest first
+        const messages = latest ? [latest] : [];
+        for (let i = recent.length - 2; i >= 0; i--) {
+            const message = capMessage(recent[i], messageTokens);
+            const cost = estimateTokens(message.content);
+            if (cost > remaining) break;
+            messages.unshift(message);
+            remaining -= cost;
+        }
+        report.historyMessages = messages.length;
+        report.historyDropped = history.length - messages.length;
+        report.truncatedMessages = messages.filter(message => message.truncated).length;
+
+        const systemPrompt = sections
+            .filter(section => rendered.has(section.name))
+            .map(section => rendered.get(section.name))
+            .join('');
+        report.estimatedTokens = budgetTokens - remaining;
+
+        return {
+            systemPrompt,
+            messages: messages.map(({ role, content }) => ({ role, content })),
+            report
+        };
+    }
+
+    /**
+     * Keep as many leading items as fit in `cap` tokens. If not even the
+     * first one fits, it is truncated instead of dropping the section.
+     */
+    fitSection({ header = '', items = [], footer = '', numbered = false }, cap) {
+        if (items.length === 0) return { text: '', items: [], dropped: 0, truncated: false };
+
+        const line = (text, index) => `\n${numbered ? `${index + 1}. ` : ''}${text}`;
+        const kept = [];
+        let used = estimateTokens(header + (footer ? `\n${footer}` : ''));
+        let truncated = false;
+
+        for (const item of items) {
+            const cost = estimateTokens(line(item.text, kept.length));
+            if (used + cost <= cap) {
+                kept.push(item);
+                used += cost;
+            } else {
+                if (kept.length === 0 && cap - used > 0) {
+                    kept.push({ ...item, text: truncateToTokens(item.text, cap - used - 1) });
+                    truncated = true;
+                }
+                break;
+            }
+        }
+
+        if (kept.length === 0) return { text: '', items: [], dropped: items.length, truncated: false };
+
+        const text = header + kept.map((item, index) => line(item.text, index)).join('') + (footer ? `\n${footer}` : '');
+        return { text, items: kept, dropped: items.length - kept.length, truncated };
+    }
+}
+
+module.exports = { PromptBuilder, estimateTokens };
@@ -0,0 +1,139 @@
+const OpenAICompatibleProvider = require('./providers/openAICompatibleProvider');
+const OllamaProvider = require('./providers/ollamaProvider');
+const HuggingFaceProvider = require('./providers/huggingFaceProvider');
+const MockProvider = require('./providers/mockProvider');
+
+/**
+ * Registry of LLM provider types and the configured fallback chain.
+ * Tracks the health of every provider so a failing one is skipped for a
+ * cooldown period instead of being retried on every request.
+ */
+class ProviderRegistry {
+    constructor() {
+        this.types = new Map();
+        this.providers = new Map();
+        this.health = new Map();
+        this.chain = [];
+
+        this.registerType('openai', OpenAICompatibleProvider);
+        this.registerType('ollama', OllamaProvider);
+        this.registerType('huggingface', HuggingFaceProvider);
+        this.registerType('mock', MockProvider);
+    }
+
+    /**
+     * Register a provider implementation under a type name
+     */
+    registerType(type, ProviderClass) {
+        this.types.set(type, ProviderClass);
+    }
+
+    /**
+     * Instantiate providers from a resolved config (see config/llm.js)
+     */
+    configure(config) {
+        this.providers.clear();
+        this.health.clear();
+
+        Object.entries(config.providers).forEach(([name, providerConfig]) => {
+            const ProviderClass = this.types.get(providerConfig.type);
+            if (!ProviderClass) {
+                console.error(`Unknown LLM provider type "${providerConfig.type}" for ${name}`);
+                return;
+            }
+            this.register(name, new ProviderClass(name, providerConfig));
+        });
+
+        this.chain = config.chain.filter(name => {
+            if (!this.providers.has(name)) {
+                console.error(`LLM provider "${name}" in chain is not defined, skipping`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Add (or replace) a provider instance
+     */
+    register(name, provider) {
+        this.providers.set(name, provider);
+        this.health.set(name, {
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            lastError: null,
+            lastFailureAt: null,
+            lastSuccessAt: null,
+            skippedUntil: null
+        });
+    }
+
+    get(name) {
+        return this.providers.get(name);
+    }
+
+    /**
+     * Providers from the chain that are configured and not cooling down
+     */
+    getAvailableChain() {
+        const now = Date.now();
+        return this.chain
+            .map(name => this.providers.get(name))
+            .filter(provider => {
+                if (!provider.isConfigured()) return false;
+                const health = this.health.get(provider.name);
+                return !health.skippedUntil || health.skippedUntil <= now;
+            });
+    }
+
+    recordSuccess(name) {
+        const health = this.health.get(name);
+        if (!health) return;
+
+        health.successes += 1;
+        health.consecutiveFailures = 0;
+        health.lastSuccessAt = new Date();
+        health.skippedUntil = null;
+    }
+
+    recordFailure(name, error) {
+        const health = this.health.get(name);
+        if (!health) return;
+
+        const { failureThreshold, cooldownMs } = this.providers.get(name).config;
+
+        health.failures += 1;
+        health.consecutiveFailures += 1;
+        health.lastError = error.response ?
+            `HTTP ${error.response.status}: ${error.message}` : error.message;
+        health.lastFailureAt = new Date();
+
+        if (health.consecutiveFailures >= failureThreshold) {
+            health.skippedUntil = Date.now() + cooldownMs;
+            console.error(`LLM provider ${name} failed ${health.consecutiveFailures} times in a row, skipping for ${cooldownMs}ms`);
+        }
+    }
+
+    /**
+     * Snapshot of chain order and provider health for monitoring
+     */
+    getStatus() {
+        return {
+            chain: this.chain,
+            providers: [...this.providers.values()].map(provider => {
+                const health = this.health.get(provider.name);
+                return {
+                    name: provider.name,
+                    model: provider.model,
+                    inChain: this.chain.includes(provider.name),
+                    configured: provider.isConfigured(),
+                    ...health,
+                    skippedUntil: health.skippedUntil ? new Date(health.skippedUntil) : null
+                };
+            })
+        };
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,84 @@
+/**
+ * Base class for LLM providers.
+ *
+ * A provider receives a normalized request:
+ *   { systemPrompt, messages: [{ role, content }], temperature, maxTokens, topP }
+ * and resolves to { content, model, usage }. Providers that cannot stream
+ * inherit a stream() that emits the whole reply as a single delta.
+ */
+class BaseProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.model = config.model;
+        this.supportsStreaming = false;
+    }
+
+    /**
+     * Whether the provider has everything it needs to be called
+     */
+    isConfigured() {
+        return !this.config.requiresApiKey || !!this.config.apiKey;
+    }
+
+    async generate() {
+        throw new Error(`${this.name} provider does not implement generate()`);
+    }
+
+    async stream(request, onDelta, options = {}) {
+        const response = await this.generate(request, options);
+        onDelta(response.content);
+        return response;
+    }
+
+    /**
+     * Request headers including the bearer token when one is configured
+     */
+    buildHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.config.apiKey && { 'Authorization': `Bearer ${this.config.apiKey}` })
+        };
+    }
+}
+
+/**
+ * Read a line-delimited HTTP stream, calling onLine for each complete line
+ */
+const readLines = (stream, onLine) => new Promise((resolve, reject) => {
+    let buffer = '';
+    let settled = false;
+
+    stream.setEncoding('utf8');
+
+    stream.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the trailing partial line for the next chunk
+
+        for (const line of lines) {
+            try {
+                onLine(line.trim());
+            } catch (error) {
+                settled = true;
+                stream.destroy();
+                return reject(error);
+            }
+        }
+    });
+
+    stream.on('end', () => {
+        if (buffer.trim()) onLine(buffer.trim());
+        settled = true;
+        resolve({ interrupted: false });
+    });
+
+    // A destroyed stream (e.g. aborted request) closes without ending
+    stream.on('close', () => {
+        if (!settled) resolve({ interrupted: true });
+    });
+
+    stream.on('error', reject);
+});
+
+module.exports = { BaseProvider, readLines };
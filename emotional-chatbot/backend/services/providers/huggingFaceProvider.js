@@ -0,0 +1,52 @@
+const axios = require('axios');
+const { BaseProvider } = require('./baseProvider');
+const { estimateTokens } = require('../promptBuilder');
+
+/**
+ * Provider for the Hugging Face Inference API (text generation, no streaming)
+ */
+class HuggingFaceProvider extends BaseProvider {
+    async generate(request, options = {}) {
+        const lastUserMessage = request.messages[request.messages.length - 1]?.content || "";
+        const prompt = `${request.systemPrompt}\n\nUser: ${lastUserMessage}\nAssistant:`;
+
+        const response = await axios.post(
+            `${this.config.baseUrl}/${this.model}`,
+            {
+                inputs: prompt,
+                parameters: {
+                    max_length: request.maxTokens,
+                    temperature: request.temperature,
+                    top_p: request.topP,
+                    do_sample: true,
+                    return_full_text: false
+                }
+            },
+            {
+                headers: this.buildHeaders(),
+                timeout: this.config.timeoutMs,
+                signal: options.signal
+            }
+        );
+
+        const content = response.data[0]?.generated_text || response.data.generated_text;
+
+        // The Inference API doesn't report token counts, so estimate them like the prompt builder does
+        const promptTokens = estimateTokens(prompt);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            content,
+            model: this.model,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens,
+                estimated: true
+            },
+            processingTime: null
+        };
+    }
+}
+
+module.exports = HuggingFaceProvider;
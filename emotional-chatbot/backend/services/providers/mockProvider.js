@@ -0,0 +1,155 @@
+const { BaseProvider } = require('./baseProvider');
+
+const cannedReplies = [
+    "I hear you. Tell me a little more about what's on your mind.",
+    "Thank you for sharing that with me. How has it been sitting with you?",
+    "That sounds important. What feels most pressing about it right now?",
+    "I'm glad you told me. What would help you most in this moment?"
+];
+
+/**
+ * Deterministic offline provider for local development and tests.
+ * The same conversation always produces the same reply.
+ *
+ * Modes (config.mode / LLM_MOCK_MODE):
+ * - `canned` (default): one of the replies above, picked by hashing the last user message
+ * - `echo`: repeats the last user message back
+ *
+ * Tests can script replies and inject faults on the live instance
+ * (`llmService.registry.get('mock')`); every request is kept in `calls`.
+ */
+class MockProvider extends BaseProvider {
+    constructor(name, config) {
+        super(name, config);
+        this.supportsStreaming = true;
+        this.reset();
+    }
+
+    /**
+     * Clear scripted replies, pending faults and recorded calls
+     */
+    reset() {
+        this.mode = this.config.mode || 'canned';
+        this.script = [];
+        this.faults = [];
+        this.latencyMs = 0;
+        this.calls = [];
+    }
+
+    /**
+     * Add scripted replies, checked in order before the mode's default.
+     * Each rule is `{ match, reply, times }`: `match` is a RegExp or
+     * substring tested against the last user message (or a function of the
+     * request), `reply` a string or function of the request, and `times`
+     * how often the rule may fire (unlimited by default).
+     */
+    respondWith(...rules) {
+        rules.forEach(rule => this.script.push({ times: Infinity, ...rule }));
+        return this;
+    }
+
+    /**
+     * Make the next `count` calls fail. `status` is attached as an HTTP
+     * response so the chain treats 429/5xx as retryable and 4xx as fatal;
+     * omit it to simulate a network error.
+     */
+    failNext(count = 1, { status, message = 'Injected mock failure', match } = {}) {
+        this.faults.push({ remaining: count, status, message, match });
+        return this;
+    }
+
+    /**
+     * Delay every reply, for timeout and streaming tests
+     */
+    setLatency(ms) {
+        this.latencyMs = ms;
+        return this;
+    }
+
+    get lastCall() {
+        return this.calls[this.calls.length - 1];
+    }
+
+    async generate(request, options = {}) {
+        this.calls.push(request);
+
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        // Like an HTTP provider, stop once the caller has given up
+        if (options.signal?.aborted) {
+            throw new Error('Request aborted');
+        }
+
+        const fault = this.faults.find(f => f.remaining > 0 && matches(f.match, request));
+        if (fault) {
+            fault.remaining -= 1;
+            const error = new Error(fault.message);
+            if (fault.status) error.response = { status: fault.status };
+            throw error;
+        }
+
+        const content = this.reply(request);
+
+        const promptTokens = estimateTokens(request.systemPrompt) +
+            request.messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            content,
+            model: this.model,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            },
+            processingTime: 0
+        };
+    }
+
+    async stream(request, onDelta, options = {}) {
+        const response = await this.generate(request, options);
+
+        // Emit word by word so streaming clients behave as they would with a real provider
+        response.content.split(/(?<=\s)/).forEach(word => onDelta(word));
+        return response;
+    }
+
+    reply(request) {
+        const rule = this.script.find(r => r.times > 0 && matches(r.match, request));
+        if (rule) {
+            rule.times -= 1;
+            return typeof rule.reply === 'function' ? rule.reply(request) : rule.reply;
+        }
+
+        // JSON instructions (extraction, summaries) get an empty object so callers fall back cleanly
+        if (request.jsonMode) return '{}';
+
+        const lastUserMessage = getLastUserMessage(request);
+        if (this.mode === 'echo') return lastUserMessage;
+        return cannedReplies[hashString(lastUserMessage) % cannedReplies.length];
+    }
+}
+
+const getLastUserMessage = (request) =>
+    [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+
+const matches = (match, request) => {
+    if (!match) return true;
+    if (typeof match === 'function') return match(request);
+    const text = getLastUserMessage(request);
+    return match instanceof RegExp ? match.test(text) : text.includes(match);
+};
+
+const hashString = (text) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+};
+
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+module.exports = MockProvider;
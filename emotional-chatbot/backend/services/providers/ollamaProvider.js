@@ -0,0 +1,99 @@
+const axios = require('axios');
+const { BaseProvider, readLines } = require('./baseProvider');
+
+/**
+ * Provider for a local Ollama server (/api/chat)
+ */
+class OllamaProvider extends BaseProvider {
+    constructor(name, config) {
+        super(name, config);
+        this.supportsStreaming = true;
+    }
+
+    buildBody(request, stream) {
+        return {
+            model: this.model,
+            messages: [
+                { role: 'system', content: request.systemPrompt },
+                ...request.messages
+            ],
+            stream,
+            ...(request.jsonMode && { format: 'json' }),
+            options: {
+                temperature: request.temperature,
+                top_p: request.topP,
+                num_predict: request.maxTokens
+            }
+        };
+    }
+
+    toUsage(data) {
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+        return {
+            prompt_tokens: data.prompt_eval_count || 0,
+            completion_tokens: data.eval_count || 0,
+            total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+        };
+    }
+
+    async generate(request, options = {}) {
+        const response = await axios.post(
+            `${this.config.baseUrl}/api/chat`,
+            this.buildBody(request, false),
+            {
+                headers: this.buildHeaders(),
+                timeout: this.config.timeoutMs,
+                signal: options.signal
+            }
+        );
+
+        return {
+            content: response.data.message?.content || '',
+            model: this.model,
+            usage: this.toUsage(response.data),
+            processingTime: response.data.total_duration ? response.data.total_duration / 1e6 : null
+        };
+    }
+
+    async stream(request, onDelta, options = {}) {
+        const response = await axios.post(
+            `${this.config.baseUrl}/api/chat`,
+            this.buildBody(request, true),
+            {
+                headers: this.buildHeaders(),
+                responseType: 'stream',
+                timeout: this.config.timeoutMs,
+                signal: options.signal
+            }
+        );
+
+        let content = '';
+        let usage = null;
+
+        // Ollama streams newline-delimited JSON objects
+        const { interrupted } = await readLines(response.data, (line) => {
+            if (!line) return;
+
+            const parsed = JSON.parse(line);
+            if (parsed.error) throw new Error(parsed.error);
+
+            const delta = parsed.message?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+
+            if (parsed.done) usage = this.toUsage(parsed);
+        });
+
+        return {
+            content,
+            model: this.model,
+            usage,
+            processingTime: null,
+            ...(interrupted && { interrupted: true })
+        };
+    }
+}
+
+module.exports = OllamaProvider;
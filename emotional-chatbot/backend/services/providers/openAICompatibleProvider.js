@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { BaseProvider, readLines } = require('./baseProvider');
+
+/**
+ * Provider for any OpenAI-compatible chat completions API
+ * (Groq, OpenAI, llama.cpp server, vLLM, ...)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+    constructor(name, config) {
+        super(name, config);
+        this.supportsStreaming = true;
+    }
+
+    buildBody(request, stream) {
+        return {
+            model: this.model,
+            messages: [
+                { role: 'system', content: request.systemPrompt },
+                ...request.messages
+            ],
+            temperature: request.temperature,
+            max_tokens: request.maxTokens,
+            top_p: request.topP,
+            ...(request.jsonMode && { response_format: { type: 'json_object' } }),
+            // Ask for token usage on the final chunk, which is otherwise left out of streams
+            ...(stream && { stream_options: { include_usage: true } }),
+            stream
+        };
+    }
+
+    async generate(request, options = {}) {
+        const response = await axios.post(
+            `${this.config.baseUrl}/chat/completions`,
+            this.buildBody(request, false),
+            {
+                headers: this.buildHeaders(),
+                timeout: this.config.timeoutMs,
+                signal: options.signal
+            }
+        );
+
+        return {
+            content: response.data.choices[0].message.content,
+            model: this.model,
+            usage: response.data.usage,
+            processingTime: response.data.processing_time
+        };
+    }
+
+    async stream(request, onDelta, options = {}) {
+        const response = await axios.post(
+            `${this.config.baseUrl}/chat/completions`,
+            this.buildBody(request, true),
+            {
+                headers: this.buildHeaders(),
+                responseType: 'stream',
+                timeout: this.config.timeoutMs,
+                signal: options.signal
+            }
+        );
+
+        let content = '';
+        let usage = null;
+
+        const { interrupted } = await readLines(response.data, (line) => {
+            if (!line.startsWith('data:')) return;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(payload);
+            } catch (error) {
+                return;
+            }
+
+            const delta = parsed.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+
+            // Token usage arrives on the final chunk (Groq nests it under x_groq)
+            if (parsed.x_groq?.usage || parsed.usage) {
+                usage = parsed.x_groq?.usage || parsed.usage;
+            }
+        });
+
+        return {
+            content,
+            model: this.model,
+            usage,
+            processingTime: usage?.total_time || null,
+            ...(interrupted && { interrupted: true })
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,145 @@
+const { loadQuotaConfig } = require('../config/quota');
+const MongoQuotaStore = require('./quotaStores/mongoQuotaStore');
+const MemoryQuotaStore = require('./quotaStores/memoryQuotaStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tokens a provider reported for one call; providers without usage count nothing
+const tokensOf = (usage) => usage?.total_tokens ?? ((usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0));
+
+/**
+ * Per-user quotas: requests per route bucket in fixed windows, and LLM
+ * tokens per UTC day. Counters are kept in a pluggable store so every
+ * instance enforces the same limits.
+ */
+class QuotaService {
+    constructor() {
+        this.config = loadQuotaConfig();
+        this.stores = new Map();
+
+        this.registerStore('mongo', new MongoQuotaStore());
+        this.registerStore('memory', new MemoryQuotaStore());
+    }
+
+    /**
+     * Register a counter store. It must expose
+     * `async increment(key, amount, expiresAt)`, resolving to the new count,
+     * `async get(key)`, resolving to 0 for missing or expired counters, and
+     * `async deleteMatching(pattern)`, removing counters whose key matches
+     * the RegExp.
+     */
+    registerStore(name, store) {
+        this.stores.set(name, store);
+    }
+
+    /**
+     * The store selected by configuration
+     */
+    getStore() {
+        const store = this.stores.get(this.config.store);
+        if (!store) {
+            throw new Error(`Unknown quota store "${this.config.store}"`);
+        }
+        return store;
+    }
+
+    /**
+     * Start and end of the request window `now` falls in
+     */
+    windowOf(now) {
+        const { windowMs } = this.config;
+        const start = Math.floor(now.getTime() / windowMs) * windowMs;
+        return { start, resetAt: new Date(start + windowMs) };
+    }
+
+    /**
+     * Count a request against the user's bucket. Resolves to the bucket's
+     * state, with `allowed: false` once the limit is passed.
+     */
+    async consumeRequest(userId, bucket, now = new Date()) {
+        const limit = this.config.buckets[bucket];
+        const { start, resetAt } = this.windowOf(now);
+
+        const used = await this.getStore().increment(`requests:${bucket}:${userId}:${start}`, 1, resetAt);
+
+        return { bucket, limit, used, remaining: Math.max(0, limit - used), resetAt, allowed: used <= limit };
+    }
+
+    /**
+     * Add a reply's provider `usage` to the user's tokens for today.
+     * Resolves to today's total, or null when it couldn't be recorded.
+     */
+    async recordUsage(userId, usage, now = new Date()) {
+        const tokens = tokensOf(usage);
+        if (!this.config.enabled || !tokens) return null;
+
+        try {
+            const day = utcDay(now);
+            const expiresAt = new Date(Date.parse(day) + (this.config.tokenHistoryDays + 1) * DAY_MS);
+            return await this.getStore().increment(`tokens:${userId}:${day}`, tokens, expiresAt);
+        } catch (error) {
+            console.error('Error recording token usage:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tokens the user has used today against the daily limit, which resets
+     * at midnight UTC
+     */
+    async checkTokens(userId, now = new Date()) {
+        const day = utcDay(now);
+        const limit = this.config.dailyTokens;
+        const used = await this.getStore().get(`tokens:${userId}:${day}`);
+
+        return {
+            limit,
+            used,
+            remaining: Math.max(0, limit - used),
+            resetAt: new Date(Date.parse(day) + DAY_MS),
+            allowed: used < limit
+        };
+    }
+
+    /**
+     * Remove every request and token counter of a user, when their account
+     * is deleted
+     */
+    async deleteUser(userId) {
+        const id = escapeRegExp(userId);
+        await this.getStore().deleteMatching(new RegExp(`^(requests:[^:]+|tokens):${id}:`));
+    }
+
+    /**
+     * The user's current request buckets, today's tokens and the tokens of
+     * the last few days, oldest first, without counting anything
+     */
+    async status(userId, now = new Date()) {
+        const store = this.getStore();
+        const { start, resetAt } = this.windowOf(now);
+
+        const buckets = {};
+        await Promise.all(Object.entries(this.config.buckets).map(async ([bucket, limit]) => {
+            const used = await store.get(`requests:${bucket}:${userId}:${start}`);
+            buckets[bucket] = { limit, used, remaining: Math.max(0, limit - used), resetAt };
+        }));
+
+        const days = Array.from({ length: this.config.tokenHistoryDays }, (_, i) =>
+            utcDay(now.getTime() - (this.config.tokenHistoryDays - 1 - i) * DAY_MS));
+        const history = await Promise.all(days.map(async day => ({ day, tokens: await store.get(`tokens:${userId}:${day}`) })));
+        const tokens = await this.checkTokens(userId, now);
+
+        return {
+            enabled: this.config.enabled,
+            windowMs: this.config.windowMs,
+            buckets,
+            tokens: { ...tokens, history }
+        };
+    }
+}
+
+module.exports = new QuotaService();
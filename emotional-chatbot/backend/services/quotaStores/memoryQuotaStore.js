@@ -0,0 +1,42 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Quota counters in this process's memory. Each instance counts on its
+ * own, so use the Mongo store when several instances serve the same users.
+ */
+class MemoryQuotaStore {
+    constructor() {
+        this.counters = new Map();
+        this.lastSweep = 0;
+    }
+
+    async increment(key, amount, expiresAt) {
+        this.sweep();
+
+        const counter = this.counters.get(key) || { count: 0, expiresAt };
+        counter.count += amount;
+        this.counters.set(key, counter);
+        return counter.count;
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        return counter && counter.expiresAt > new Date() ? counter.count : 0;
+    }
+
+    async deleteMatching(pattern) {
+        [...this.counters.keys()].filter(key => pattern.test(key)).forEach(key => this.counters.delete(key));
+    }
+
+    // Drop expired counters, at most once a minute
+    sweep(now = Date.now()) {
+        if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+        this.lastSweep = now;
+
+        this.counters.forEach((counter, key) => {
+            if (counter.expiresAt <= now) this.counters.delete(key);
+        });
+    }
+}
+
+module.exports = MemoryQuotaStore;
@@ -0,0 +1,36 @@
+const QuotaCounter = require('../../models/QuotaCounter');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Quota counters in MongoDB, shared by every instance. Increments are
+ * atomic upserts; expired counters are removed by the TTL index.
+ */
+class MongoQuotaStore {
+    async increment(key, amount, expiresAt) {
+        const update = () => QuotaCounter.findOneAndUpdate(
+            { key },
+            { $inc: { count: amount }, $setOnInsert: { expiresAt } },
+            { upsert: true, new: true, lean: true }
+        );
+
+        try {
+            return (await update()).count;
+        } catch (error) {
+            // Two first increments raced to insert the counter; the loser's retry updates it
+            if (error.code !== DUPLICATE_KEY) throw error;
+            return (await update()).count;
+        }
+    }
+
+    async get(key) {
+        const counter = await QuotaCounter.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return counter?.count || 0;
+    }
+
+    async deleteMatching(pattern) {
+        await QuotaCounter.deleteMany({ key: pattern });
+    }
+}
+
+module.exports = MongoQuotaStore;
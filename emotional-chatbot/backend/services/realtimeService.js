@@ -0,0 +1,206 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+const authService = require('./authService');
+const { loadRealtimeConfig } = require('../config/realtime');
+
+// Close codes the client acts on: 4001 means "refresh your token and reconnect"
+const CLOSE_UNAUTHORIZED = 4001;
+const CLOSE_POLICY = 4008;
+
+/**
+ * WebSocket channel next to the Express app. Sockets authenticate with an
+ * access token in their first message (`{ type: 'auth', token }`), then join
+ * one session room at a time (`{ type: 'join', sessionId }`). Rooms are
+ * keyed by userId and sessionId, so a socket can only ever hear about its
+ * own user's sessions.
+ *
+ * The server pushes `{ type, ...payload }` frames: `typing`, `token` and
+ * `reply` for turns, and `message` for user messages from another tab or
+ * server-initiated messages such as check-ins.
+ */
+class RealtimeService {
+    constructor() {
+        this.config = loadRealtimeConfig();
+        this.wss = null;
+        this.users = new Map(); // userId -> Set of sockets
+        this.heartbeat = null;
+    }
+
+    /**
+     * Accept upgrades on the configured path of an http.Server
+     */
+    attach(server) {
+        if (!this.config.enabled || this.wss) return;
+
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: this.config.maxPayloadBytes });
+
+        server.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (pathname !== this.config.path) return; // Leave other upgrades (dev tooling) alone
+
+            const origin = req.headers.origin;
+            if (origin && !this.config.origins.includes(origin)) {
+                socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, ws => this.handleConnection(ws));
+        });
+
+        this.heartbeat = setInterval(() => this.checkHeartbeats(), this.config.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Close every socket and stop accepting new ones
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+
+        if (this.wss) {
+            this.wss.clients.forEach(ws => ws.terminate());
+            this.wss.close();
+            this.wss = null;
+        }
+        this.users.clear();
+    }
+
+    handleConnection(ws) {
+        ws.id = uuidv4();
+        ws.userId = null;
+        ws.sessionId = null;
+        ws.isAlive = true;
+
+        const authTimer = setTimeout(() => ws.close(CLOSE_POLICY, 'Authentication timeout'), this.config.authTimeoutMs);
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        ws.on('message', (raw) => {
+            let frame;
+            try {
+                frame = JSON.parse(raw.toString());
+            } catch (error) {
+                return this.send(ws, { type: 'error', message: 'Invalid JSON' });
+            }
+
+            if (!ws.userId) {
+                clearTimeout(authTimer);
+                return this.authenticate(ws, frame);
+            }
+            this.handleFrame(ws, frame);
+        });
+
+        ws.on('close', () => {
+            clearTimeout(authTimer);
+            this.removeSocket(ws);
+        });
+
+        ws.on('error', (error) => {
+            console.error('Realtime socket error:', error.message);
+        });
+    }
+
+    authenticate(ws, frame) {
+        if (frame?.type !== 'auth' || typeof frame.token !== 'string') {
+            return ws.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+        }
+
+        let userId;
+        try {
+            ({ userId } = authService.verifyAccessToken(frame.token));
+        } catch (error) {
+            return ws.close(CLOSE_UNAUTHORIZED, 'Invalid token');
+        }
+
+        const sockets = this.users.get(userId) || new Set();
+        if (sockets.size >= this.config.maxSocketsPerUser) {
+            return ws.close(CLOSE_POLICY, 'Too many connections');
+        }
+
+        ws.userId = userId;
+        sockets.add(ws);
+        this.users.set(userId, sockets);
+        this.send(ws, { type: 'ready', socketId: ws.id });
+    }
+
+    handleFrame(ws, frame) {
+        switch (frame?.type) {
+            case 'join':
+                if (typeof frame.sessionId !== 'string' || !frame.sessionId.trim() || frame.sessionId.length > 100) {
+                    return this.send(ws, { type: 'error', message: 'Invalid sessionId' });
+                }
+                ws.sessionId = frame.sessionId;
+                return this.send(ws, { type: 'joined', sessionId: ws.sessionId });
+
+            case 'leave':
+                ws.sessionId = null;
+                return;
+
+            case 'ping':
+                return this.send(ws, { type: 'pong' });
+
+            default:
+                return this.send(ws, { type: 'error', message: `Unknown frame type: ${frame?.type}` });
+        }
+    }
+
+    removeSocket(ws) {
+        const sockets = this.users.get(ws.userId);
+        if (!sockets) return;
+
+        sockets.delete(ws);
+        if (sockets.size === 0) this.users.delete(ws.userId);
+    }
+
+    checkHeartbeats() {
+        this.wss?.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    send(ws, frame) {
+        if (ws.readyState !== WebSocket.OPEN) return false;
+        ws.send(JSON.stringify(frame));
+        return true;
+    }
+
+    /**
+     * Push a frame to every socket of a user. Returns how many received it.
+     */
+    toUser(userId, type, payload = {}, { except } = {}) {
+        const sockets = [...(this.users.get(userId) || [])].filter(ws => ws.id !== except);
+        return sockets.filter(ws => this.send(ws, { type, ...payload })).length;
+    }
+
+    /**
+     * Push a frame to the sockets of a user that joined this session.
+     * `except` is the socketId of the client that caused the event, which
+     * already has it from its own request.
+     */
+    toSession(userId, sessionId, type, payload = {}, { except } = {}) {
+        const sockets = [...(this.users.get(userId) || [])]
+            .filter(ws => ws.sessionId === sessionId && ws.id !== except);
+        return sockets.filter(ws => this.send(ws, { type, sessionId, ...payload })).length;
+    }
+
+    isOnline(userId) {
+        return this.users.has(userId);
+    }
+
+    /**
+     * Sessions the user currently has open, most recently connected socket first
+     */
+    activeSessions(userId) {
+        const sessions = [...(this.users.get(userId) || [])].map(ws => ws.sessionId).filter(Boolean);
+        return [...new Set(sessions.reverse())];
+    }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,219 @@
+const EscalationEvent = require('../models/EscalationEvent');
+const { loadCrisisResources } = require('../config/crisisResources');
+
+const CLASSIFIER_VERSION = 'rules-v1';
+
+// Ordered from least to most severe; also used to compare urgency levels
+const riskLevels = ['none', 'low', 'medium', 'high', 'crisis'];
+
+/**
+ * Risk signals. `negatable` signals are ignored when a negation comes just
+ * before them ("I'm not suicidal", "I am not going to kill myself"); signals
+ * that already contain a negation ("don't want to live") are not negatable.
+ * `subject` is who the signal is about when the wording says so: 'self'
+ * (myself, my life) or 'other' (himself, her life).
+ */
+const riskSignals = [
+    // Explicit intent, plan or means
+    { id: 'intent_kill_self', category: 'suicidal_intent', weight: 1.0, negatable: true, subject: 'self', pattern: /\b(kill|killing|hang|hanging|shoot|shooting|drown|drowning) myself\b/ },
+    { id: 'intent_end_life', category: 'suicidal_intent', weight: 1.0, negatable: true, subject: 'self', pattern: /\b(end|ending|take|taking) my (own )?life\b/ },
+    { id: 'intent_commit_suicide', category: 'suicidal_intent', weight: 1.0, negatable: true, pattern: /\bcommit(ting)? suicide\b/ },
+    { id: 'intent_want_to_die', category: 'suicidal_intent', weight: 0.95, negatable: true, subject: 'self', pattern: /\b(want|wanna|going|plan|planning) to die\b/ },
+    { id: 'suicide_plan', category: 'suicidal_intent', weight: 1.0, negatable: true, pattern: /\bsuicide (plan|note|letter)\b/ },
+    { id: 'overdose', category: 'suicidal_intent', weight: 0.95, negatable: true, pattern: /\b(overdose|overdosing|od) on\b|\btake all (my|the) (pills|tablets)\b/ },
+
+    // The same, said about someone else ("she wants to kill herself")
+    { id: 'other_kill_self', category: 'suicidal_intent', weight: 1.0, negatable: true, subject: 'other', pattern: /\b(kill|kills|killing|hang|hangs|hanging|shoot|shoots|shooting|drown|drowns|drowning) (himself|herself|themself|themselves)\b/ },
+    { id: 'other_end_life', category: 'suicidal_intent', weight: 1.0, negatable: true, subject: 'other', pattern: /\b(end|ends|ending|take|takes|taking) (his|her|their) (own )?lives?\b/ },
+    { id: 'other_want_to_die', category: 'suicidal_intent', weight: 0.95, negatable: true, subject: 'other', pattern: /\b(wants|plans) to die\b/ },
+    { id: 'other_self_harm', category: 'self_harm', weight: 0.75, negatable: true, subject: 'other', pattern: /\b(harm|harms|harming) (himself|herself|themself|themselves)\b|\b(keeps?|wants? to|started|on purpose)\b[^.?!]*\b(cut|cutting|burn|burning|hurt|hurting) (himself|herself|themself|themselves)\b|\b(cut|cuts|cutting|burn|burns|burning|hurt|hurts|hurting) (himself|herself|themself|themselves) on purpose\b/ },
+    { id: 'other_hurt_self', category: 'self_harm', weight: 0.5, negatable: true, subject: 'other', pattern: /\b(cut|cuts|cutting|burn|burns|burning|hurt|hurts|hurting) (himself|herself|themself|themselves)\b/ },
+
+    // Ideation and self-harm
+    { id: 'suicidal', category: 'suicidal_ideation', weight: 0.8, negatable: true, pattern: /\bsuicid(e|al)\b/ },
+    { id: 'not_want_to_live', category: 'suicidal_ideation', weight: 0.8, subject: 'self', pattern: /\b(don'?t|do not|no longer) want to (live|be alive|exist|wake up)\b/ },
+    { id: 'better_off_dead', category: 'suicidal_ideation', weight: 0.8, negatable: true, pattern: /\bbetter off (dead|without me)\b/ },
+    { id: 'wish_dead', category: 'suicidal_ideation', weight: 0.8, subject: 'self', pattern: /\bwish (i was|i were|i was never|i had never been) (dead|born)\b/ },
+    { id: 'end_it_all', category: 'suicidal_ideation', weight: 0.8, negatable: true, pattern: /\bend it all\b|\bno reason to live\b/ },
+    { id: 'self_harm', category: 'self_harm', weight: 0.75, negatable: true, subject: 'self', pattern: /\b(harm|harming) myself\b|\bself[- ]harm|\b(keep|want to|wanna|going to|started|on purpose)\b[^.?!]*\b(cut|cutting|burn|burning|hurt|hurting) myself\b|\b(cut|cutting|burn|burning|hurt|hurting) myself on purpose\b/ },
+    // Without an intent cue a cut or burn may just be an injury
+    { id: 'hurt_self', category: 'self_harm', weight: 0.5, negatable: true, subject: 'self', pattern: /\b(cut|cutting|burn|burning|hurt|hurting) myself\b/ },
+
+    // Hopelessness and entrapment
+    { id: 'cant_go_on', category: 'hopelessness', weight: 0.5, negatable: true, pattern: /\bcan'?t (go on|do this anymore|take it anymore|keep going)\b/ },
+    { id: 'no_way_out', category: 'hopelessness', weight: 0.5, pattern: /\bno way out\b|\bgive up on (everything|life)\b/ },
+    { id: 'burden', category: 'hopelessness', weight: 0.5, subject: 'self', pattern: /\b(i'?m|i am) (a|such a) burden\b|\bburden (to|on) (everyone|everybody|my family|them)\b/ },
+    { id: 'disappear', category: 'hopelessness', weight: 0.45, pattern: /\bwant to (disappear|vanish|sleep forever)\b/ },
+    { id: 'hopeless', category: 'hopelessness', weight: 0.4, negatable: true, pattern: /\bhopeless\b|\bnothing matters\b/ },
+
+    // General distress
+    { id: 'worthless', category: 'distress', weight: 0.25, negatable: true, pattern: /\bworthless\b|\bhate myself\b/ }
+];
+
+// A negation up to two words before a signal: "not suicidal", "not going to kill myself"
+const negationPattern = /\b(not|never|no|don'?t|won'?t|wouldn'?t|isn'?t|wasn'?t)\s+(\w+\s+){0,2}$/;
+
+/**
+ * Idioms, titles and topics that contain a signal's words without being
+ * about anyone's safety. They are blanked out before the signals run.
+ */
+const benignPhrases = [
+    /\bcould (just |literally )?kill (myself|(him|her|them)sel(f|ves)) (for|over)\b/, // "I could kill myself for forgetting my keys"
+    /\bkill(ing)? (myself|(him|her|them)sel(f|ves)) laughing\b/,
+    /\bdie (of|from) (embarrassment|boredom|laughter|laughing|cringe|shame)\b/,
+    /\bsuicide (squad|doors?|runs?|sprints?|drills?|bombers?|bombings?|prevention|awareness)\b/,
+    /\bsuicidal (tendencies|grin)\b/, // Band and song titles
+    // Injuries: "I cut myself shaving", "I always burn myself on the oven"
+    /\b(cut|cutting|burn|burning|burnt|burned|hurt|hurting) (myself|(him|her|them)sel(f|ves))\b(?![^.?!]*\bon purpose\b)[^.?!]*\b(shaving|gym|workout|cooking|oven|stove|kitchen|by accident|accidentally)\b/,
+    /\baccidentally (cut|burn|burnt|burned|hurt)s? (myself|(him|her|them)sel(f|ves))\b/
+];
+
+// User messages whose risk still counts towards the conversation's urgency
+const URGENCY_WINDOW = 5;
+
+// "my friend is suicidal", "my brother keeps cutting himself"
+const thirdPartyPattern = /\b(my|a) (friend|best friend|brother|sister|mom|mother|dad|father|son|daughter|partner|boyfriend|girlfriend|husband|wife|roommate|classmate|coworker|cousin)\b[^.?!]*\b(suicid\w*|(him|her|them)sel(f|ves)|self[- ]harm)/;
+
+class SafetyService {
+    constructor() {
+        this.resources = loadCrisisResources();
+        // Minimum level that bypasses the normal persona prompt
+        this.responseLevel = process.env.CRISIS_RESPONSE_LEVEL || 'high';
+    }
+
+    /**
+     * Score a user message for self-harm and suicide risk
+     */
+    assessRisk(text) {
+        const normalized = benignPhrases.reduce(
+            (remaining, phrase) => remaining.replace(new RegExp(phrase.source, 'g'), ' '),
+            (text || '').toLowerCase().replace(/[’]/g, "'")
+        );
+        const signals = [];
+        const subjects = new Set();
+
+        riskSignals.forEach(signal => {
+            // A negated mention doesn't hide a later plain one
+            const pattern = new RegExp(signal.pattern.source, 'g');
+            const affirmed = [...normalized.matchAll(pattern)].some(match => !signal.negatable ||
+                !negationPattern.test(normalized.slice(Math.max(0, match.index - 30), match.index)));
+            if (!affirmed) return;
+
+            signals.push({ id: signal.id, category: signal.category, weight: signal.weight });
+            if (signal.subject) subjects.add(signal.subject);
+        });
+
+        if (signals.length === 0) {
+            return { level: 'none', score: 0, signals, subject: 'self', classifierVersion: CLASSIFIER_VERSION };
+        }
+
+        // Strongest signal dominates; additional signals add a little weight
+        const weights = signals.map(signal => signal.weight).sort((a, b) => b - a);
+        const score = Math.min(1, weights[0] + weights.slice(1).reduce((sum, weight) => sum + weight * 0.1, 0));
+
+        return {
+            level: this.scoreToLevel(score),
+            score: Math.round(score * 100) / 100,
+            signals,
+            // Anything the user says about themselves makes it about them
+            subject: !subjects.has('self') && (subjects.has('other') || thirdPartyPattern.test(normalized)) ? 'other' : 'self',
+            classifierVersion: CLASSIFIER_VERSION
+        };
+    }
+
+    scoreToLevel(score) {
+        if (score >= 0.9) return 'crisis';
+        if (score >= 0.7) return 'high';
+        if (score >= 0.45) return 'medium';
+        if (score >= 0.2) return 'low';
+        return 'none';
+    }
+
+    /**
+     * Whether an assessment should bypass the LLM for the safe-messaging template
+     */
+    requiresCrisisResponse(assessment) {
+        return compareLevels(assessment.level, this.responseLevel) >= 0;
+    }
+
+    /**
+     * Conversation.context.urgency for a message's risk level: the highest
+     * level among it and the user's last few messages, so urgency eases off
+     * again once the conversation has calmed down
+     */
+    toUrgency(level, recentLevels = []) {
+        const highest = [level, ...recentLevels.slice(-(URGENCY_WINDOW - 1))]
+            .reduce((max, recent) => (compareLevels(recent, max) > 0 ? recent : max), 'none');
+        return { none: 'low', low: 'low', medium: 'medium', high: 'high', crisis: 'crisis' }[highest];
+    }
+
+    /**
+     * Safe-messaging reply: acknowledge, ask about immediate safety, point to
+     * real people who can help. Deliberately free of persona role-play.
+     */
+    buildCrisisResponse(userProfile, assessment) {
+        const name = userProfile?.profile?.name;
+        const greeting = name ? `${name}, ` : '';
+        const resourceLines = this.resources
+            .map(resource => `- **${resource.name}**: ${resource.contact}${resource.description ? ` (${resource.description})` : ''}`)
+            .join('\n');
+
+        if (assessment.subject === 'other') {
+            return `${greeting}it sounds like you're really worried about someone you care about, and it means a lot that you're looking out for them.
+
+If they might be in immediate danger, please contact emergency services now and stay with them if you can. It's okay to ask them directly whether they're thinking about suicide - asking doesn't put the idea in their head, and it can help them feel less alone.
+
+These services can support both of you:
+${resourceLines}
+
+How are you holding up with all of this?`;
+        }
+
+        return `${greeting}I'm really glad you told me, and I'm taking what you said seriously. You don't have to go through this alone.
+
+Are you safe right now? If you're thinking about ending your life or might act on these feelings, please reach out to someone who can be with you right now:
+${resourceLines}
+
+If you can, let someone you trust know how you're feeling, and try to stay somewhere safe. I'm here to keep talking with you too - what's happening for you right now?`;
+    }
+
+    /**
+     * Resource list returned to the client for the crisis banner
+     */
+    getResources() {
+        return this.resources;
+    }
+
+    /**
+     * Write an auditable escalation event. Failures are logged but never
+     * block the response to the user.
+     */
+    async recordEscalation({ userId, sessionId, conversationId, messageId, responseMessageId, assessment, action }) {
+        try {
+            console.warn(`Risk escalation: user=${userId} level=${assessment.level} score=${assessment.score} action=${action}`);
+
+            return await EscalationEvent.create({
+                userId,
+                sessionId,
+                conversationId,
+                messageId,
+                responseMessageId,
+                riskLevel: assessment.level,
+                score: assessment.score,
+                subject: assessment.subject,
+                signals: assessment.signals,
+                action,
+                resourcesShown: action === 'safe_messaging_response' ?
+                    this.resources.map(resource => resource.name) : [],
+                classifierVersion: assessment.classifierVersion
+            });
+        } catch (error) {
+            console.error('Error recording escalation event:', error);
+            return null;
+        }
+    }
+}
+
+const compareLevels = (a, b) => riskLevels.indexOf(a) - riskLevels.indexOf(b);
+
+module.exports = new SafetyService();
@@ -0,0 +1,223 @@
+const Joi = require('joi');
+
+const Conversation = require('../models/Conversation');
+const llmService = require('./llmService');
+const { estimateTokens } = require('./promptBuilder');
+const { loadMemoryConfig } = require('../config/memory');
+
+const listOfStrings = (max) => Joi.array().items(Joi.string().trim().max(200)).max(max).default([]);
+
+const summarySchema = Joi.object({
+    narrative: Joi.string().trim().max(2000).required(),
+    mainTopics: listOfStrings(8),
+    emotionalJourney: listOfStrings(8),
+    keyInsights: listOfStrings(10),
+    unresolved: listOfStrings(6),
+    userGoals: listOfStrings(6),
+    nextSteps: listOfStrings(6)
+});
+
+const summaryPrompt = `You maintain a running summary of a conversation between a user and their supportive companion so it can continue naturally after older messages are dropped.
+
+You receive the existing summary (possibly empty) and the next messages to fold into it. Respond with JSON only:
+{
+  "narrative": "3-6 sentences in third person covering what the user shared and how they felt, oldest to newest",
+  "mainTopics": ["short topic", ...],
+  "emotionalJourney": ["how the user's mood moved, e.g. anxious -> calmer", ...],
+  "keyInsights": ["important facts or realizations about the user", ...],
+  "unresolved": ["issues the user raised that were not settled", ...],
+  "userGoals": ["things the user wants to do or achieve", ...],
+  "nextSteps": ["things to follow up on next time", ...]
+}
+
+Merge with the existing summary rather than replacing it: keep what still matters, drop items that were resolved, and never invent details.`;
+
+
+/**
+ * Compresses older conversation turns into Conversation.summary once they
+ * fall outside the prompt window, so long chats and follow-up sessions
+ * keep their continuity.
+ */
+class SummaryService {
+    constructor() {
+        this.config = loadMemoryConfig().summary;
+        this.inFlight = new Set(); // Conversation ids currently being summarized
+    }
+
+    /**
+     * Turns that have left the prompt window but aren't in the summary yet
+     */
+    getPendingMessages(conversation, { includeRecent = false } = {}) {
+        const start = conversation.summary?.summarizedThrough || 0;
+        const end = includeRecent
+            ? conversation.messages.length
+            : Math.max(conversation.messages.length - this.config.keepRecentMessages, 0);
+
+        return { start, end, messages: conversation.messages.slice(start, end) };
+    }
+
+    /**
+     * Whether the pending turns are large enough to be worth summarizing
+     */
+    needsSummary(conversation) {
+        const { messages } = this.getPendingMessages(conversation);
+        const pendingTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+        return pendingTokens >= this.config.triggerTokens;
+    }
+
+    /**
+     * Summarize in the background after a turn has been answered.
+     * Never throws; a failed run is retried after the next turn.
+     */
+    scheduleSummary(conversation) {
+        const id = conversation._id.toString();
+        if (this.inFlight.has(id) || !this.needsSummary(conversation)) return;
+
+        this.inFlight.add(id);
+        this.summarize(id)
+            .catch(error => console.error('Conversation summary error:', error.message))
+            .finally(() => this.inFlight.delete(id));
+    }
+
+    /**
+     * Fold pending turns into the stored summary. `includeRecent` also folds
+     * the recent window, for sessions that have ended. Resolves to null when
+     * the active path changed while the summary was being written.
+     */
+    async summarize(conversationId, { includeRecent = false } = {}) {
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation) return null;
+
+        const { end, messages } = this.getPendingMessages(conversation, { includeRecent });
+        if (messages.length === 0) return conversation.summary;
+
+        let summary;
+        try {
+            summary = await this.generateSummary(conversation.summary, messages, { userId: conversation.userId });
+        } catch (error) {
+            // Keep keyword topics fresh but leave the turns pending so the LLM retries later
+            console.error('LLM summary failed, using keyword summary:', error.message);
+            conversation.generateSummary();
+            await Conversation.updateOne({ _id: conversation._id }, {
+                $set: {
+                    'summary.mainTopics': conversation.summary.mainTopics,
+                    'summary.emotionalJourney': conversation.summary.emotionalJourney
+                }
+            });
+            await this.updateTitle(conversation);
+            return conversation.summary;
+        }
+
+        // Only touch summary fields so concurrent message writes aren't overwritten, and only
+        // while the summarized turns are still the active path: an edit or branch switch
+        // meanwhile resets the summary, which this one mustn't undo
+        const update = {
+            ...Object.fromEntries(Object.entries(summary).map(([key, value]) => [`summary.${key}`, value])),
+            'summary.summarizedThrough': end,
+            'summary.summarizedAt': new Date()
+        };
+        const { matchedCount } = await Conversation.updateOne({
+            _id: conversation._id,
+            [`messages.${end - 1}.id`]: messages[messages.length - 1].id
+        }, { $set: update });
+        if (matchedCount === 0) return null;
+
+        conversation.summary.narrative = summary.narrative;
+        conversation.summary.mainTopics = summary.mainTopics;
+        await this.updateTitle(conversation);
+
+        return { ...summary, summarizedThrough: end };
+    }
+
+    /**
+     * Regenerate the session title from the updated topics, unless the
+     * user has renamed the session (possibly while the summary was running)
+     */
+    async updateTitle(conversation) {
+        const title = conversation.refreshTitle();
+        if (!title || conversation.titleIsCustom) return;
+
+        await Conversation.updateOne({ _id: conversation._id, titleIsCustom: { $ne: true } }, { $set: { title } });
+    }
+
+    /**
+     * Ask the LLM to merge messages into the existing summary, counting its
+     * tokens against the conversation owner's quota
+     */
+    async generateSummary(existingSummary = {}, messages, { userId = null } = {}) {
+        const previous = existingSummary.narrative
+            ? JSON.stringify({
+                narrative: existingSummary.narrative,
+                mainTopics: existingSummary.mainTopics,
+                emotionalJourney: existingSummary.emotionalJourney,
+                keyInsights: existingSummary.keyInsights,
+                unresolved: existingSummary.unresolved,
+                userGoals: existingSummary.userGoals,
+                nextSteps: existingSummary.nextSteps
+            })
+            : '(none yet)';
+
+        const transcript = messages
+            .map(message => `${message.role === 'user' ? 'User' : 'Companion'}: ${message.content}`)
+            .join('\n');
+
+        const { data } = await llmService.generateJSON(
+            summaryPrompt,
+            `Existing summary:\n${previous}\n\nMessages to add:\n${transcript}`,
+            { maxTokens: this.config.maxTokens, userId }
+        );
+
+        const { value, error } = summarySchema.validate(data, { stripUnknown: true });
+        if (error) {
+            throw new Error(`Invalid summary: ${error.message}`);
+        }
+        return value;
+    }
+
+    /**
+     * Summarize the user's most recent other session in full when a new one
+     * starts, so its open threads can carry over
+     */
+    async finalizePreviousSession(userId, currentSessionId) {
+        try {
+            const previous = await Conversation.findOne({
+                userId,
+                sessionId: { $ne: currentSessionId }
+            }).sort({ updatedAt: -1 });
+
+            if (!previous || previous.messages.length < this.config.minSessionMessages) return;
+
+            const { messages } = this.getPendingMessages(previous, { includeRecent: true });
+            if (messages.length === 0) return;
+
+            await this.summarize(previous._id, { includeRecent: true });
+        } catch (error) {
+            console.error('Error finalizing previous session summary:', error.message);
+        }
+    }
+
+    /**
+     * Open threads from the user's last session, for the system prompt
+     */
+    async getPreviousSessionContext(userId, currentSessionId) {
+        try {
+            const previous = await Conversation.findOne({
+                userId,
+                sessionId: { $ne: currentSessionId },
+                'summary.narrative': { $exists: true }
+            })
+                .sort({ updatedAt: -1 })
+                .select('summary updatedAt');
+
+            if (!previous) return null;
+
+            const { narrative, unresolved = [], nextSteps = [] } = previous.summary;
+            return { narrative, unresolved, nextSteps, endedAt: previous.updatedAt };
+        } catch (error) {
+            console.error('Error loading previous session context:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new SummaryService();
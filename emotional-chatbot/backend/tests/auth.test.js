@@ -0,0 +1,178 @@
+/**
+ * Accounts and tokens: registration, login, refresh, revocation and
+ * access to other users' data
+ */
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../server');
+const authService = require('../services/authService');
+const User = require('../models/User');
+const { migrateLegacyAccounts } = require('../migrate-legacy-accounts');
+
+describe('AuthService', () => {
+    const credentials = { username: ' Sam_Jones ', passphrase: 'correct horse battery', name: 'Sam' };
+    const { legacyClaimEnabled } = authService.config;
+
+    afterEach(() => {
+        authService.config.legacyClaimEnabled = legacyClaimEnabled;
+        jest.restoreAllMocks();
+    });
+
+    // Mongoose queries resolve through .select() as well as directly
+    const findOneResolving = (user) => jest.spyOn(User, 'findOne').mockImplementation(() => {
+        const query = Promise.resolve(user);
+        query.select = () => query;
+        return query;
+    });
+
+    test('Registers an account with a normalized username and a token pair', async () => {
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(User.prototype, 'save').mockResolvedValue();
+
+        const { user, tokens } = await authService.register(credentials);
+
+        expect(user.auth.username).toBe('sam_jones');
+        expect(user.profile.name).toBe('Sam');
+        expect(await bcrypt.compare(credentials.passphrase, user.auth.passwordHash)).toBe(true);
+        expect(authService.verifyAccessToken(tokens.accessToken)).toEqual({ userId: user.userId });
+    });
+
+    test('Refuses a taken username, including one taken while registering', async () => {
+        jest.spyOn(User, 'exists').mockResolvedValueOnce({ _id: 'existing' }).mockResolvedValue(null);
+        const duplicateKey = Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            keyPattern: { 'auth.username': 1 }
+        });
+        jest.spyOn(User.prototype, 'save').mockRejectedValue(duplicateKey);
+
+        const taken = { name: 'AuthError', statusCode: 409, message: 'That username is already taken' };
+        await expect(authService.register(credentials)).rejects.toMatchObject(taken);
+        await expect(authService.register(credentials)).rejects.toMatchObject(taken);
+    });
+
+    test('Rejects short passphrases before touching the database', async () => {
+        const exists = jest.spyOn(User, 'exists');
+
+        await expect(authService.register({ ...credentials, passphrase: 'short' })).rejects.toMatchObject({ statusCode: 400 });
+        expect(exists).not.toHaveBeenCalled();
+    });
+
+    test('Logs in with the right passphrase only', async () => {
+        const user = new User({
+            userId: 'user-1',
+            auth: { username: 'sam_jones', passwordHash: await bcrypt.hash(credentials.passphrase, 4) }
+        });
+        jest.spyOn(User.prototype, 'save').mockResolvedValue();
+        const findOne = findOneResolving(user);
+
+        const { tokens } = await authService.login({ username: 'SAM_JONES', passphrase: credentials.passphrase });
+        expect(findOne).toHaveBeenCalledWith({ 'auth.username': 'sam_jones' });
+        expect(authService.verifyAccessToken(tokens.accessToken)).toEqual({ userId: 'user-1' });
+        expect(user.auth.lastLoginAt).toBeInstanceOf(Date);
+
+        await expect(authService.login({ username: 'sam_jones', passphrase: 'wrong passphrase' }))
+            .rejects.toMatchObject({ statusCode: 401, message: 'Invalid username or passphrase' });
+
+        findOneResolving(null);
+        await expect(authService.login(credentials))
+            .rejects.toMatchObject({ statusCode: 401, message: 'Invalid username or passphrase' });
+    });
+
+    test('Refreshing issues a new pair until the user logs out', async () => {
+        const user = new User({ userId: 'user-1', auth: { username: 'sam_jones', tokenVersion: 0 } });
+        findOneResolving(user);
+        const { refreshToken, accessToken } = authService.issueTokens(user);
+
+        const refreshed = await authService.refresh(refreshToken);
+        expect(authService.verifyAccessToken(refreshed.tokens.accessToken)).toEqual({ userId: 'user-1' });
+        expect(refreshed.tokens.refreshToken).toEqual(expect.any(String));
+
+        // An access token can't stand in for a refresh token
+        await expect(authService.refresh(accessToken)).rejects.toMatchObject({ statusCode: 401 });
+
+        // Logging out bumps tokenVersion, revoking every refresh token issued before
+        const logout = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        await authService.logout('user-1');
+        expect(logout).toHaveBeenCalledWith({ userId: 'user-1' }, { $inc: { 'auth.tokenVersion': 1 } });
+        user.auth.tokenVersion = 1;
+
+        await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ message: 'Refresh token has been revoked' });
+        await expect(authService.refresh(refreshed.tokens.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+        await expect(authService.refresh('not-a-token')).rejects.toMatchObject({ message: 'Invalid or expired refresh token' });
+    });
+
+    test('Lets the owner of an account from before passphrase logins claim it once', async () => {
+        const user = new User({
+            userId: 'legacy-1',
+            auth: { legacyKeyHash: await authService.hashLegacyKey('Sam-42-January') },
+            profile: { name: 'Sam' }
+        });
+        const find = jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve([user]) });
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(User.prototype, 'save').mockResolvedValue();
+        const claim = { name: 'sam', personalNumber: 42, birthMonth: 'january', username: 'Sam_Jones', passphrase: credentials.passphrase };
+
+        await expect(authService.claimLegacyAccount({ ...claim, personalNumber: 41 }))
+            .rejects.toMatchObject({ statusCode: 401, message: 'No unclaimed account matches those details' });
+
+        const { tokens } = await authService.claimLegacyAccount(claim);
+
+        expect(find.mock.calls[0][0]).toMatchObject({ 'auth.legacyKeyHash': { $exists: true } });
+        expect(find.mock.calls[0][0]['profile.name'].test('SAM')).toBe(true);
+        expect(user.auth.username).toBe('sam_jones');
+        expect(user.auth.legacyKeyHash).toBeUndefined();
+        expect(await bcrypt.compare(credentials.passphrase, user.auth.passwordHash)).toBe(true);
+        expect(authService.verifyAccessToken(tokens.accessToken)).toEqual({ userId: 'legacy-1' });
+
+        authService.config.legacyClaimEnabled = false;
+        await expect(authService.claimLegacyAccount(claim)).rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    test('Migrates legacy keys into claimable hashes and removes the old fields', async () => {
+        const accounts = [
+            { _id: 'a', uniqueKey: 'Sam-42-January' },
+            { _id: 'b', uniqueKey: 'Alex-7-May', auth: { username: 'alex' } }
+        ];
+        jest.spyOn(User.collection, 'find').mockReturnValue({ toArray: () => Promise.resolve(accounts) });
+        const updateOne = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({});
+        const dropIndex = jest.spyOn(User.collection, 'dropIndex').mockResolvedValue();
+
+        await expect(migrateLegacyAccounts({ dryRun: true })).resolves.toEqual({ claimable: 1, cleaned: 1 });
+        expect(updateOne).not.toHaveBeenCalled();
+
+        await migrateLegacyAccounts();
+
+        const unset = { uniqueKey: '', 'profile.personalNumber': '', 'profile.birthMonth': '' };
+        const [[claimable, claimableUpdate], [cleaned, cleanedUpdate]] = updateOne.mock.calls;
+        expect(claimable).toEqual({ _id: 'a' });
+        expect(claimableUpdate.$unset).toEqual(unset);
+        expect(await bcrypt.compare('sam-42-january', claimableUpdate.$set['auth.legacyKeyHash'])).toBe(true);
+        expect(cleaned).toEqual({ _id: 'b' });
+        expect(cleanedUpdate).toEqual({ $unset: unset });
+        expect(dropIndex).toHaveBeenCalledWith('uniqueKey_1');
+    });
+});
+
+describe('Access to user data', () => {
+    const { accessToken } = authService.issueTokens({ userId: 'user-a', auth: {} });
+
+    test('Requires an access token', async () => {
+        await request(app).get('/api/user/quota/user-a').expect(401);
+
+        const { refreshToken } = authService.issueTokens({ userId: 'user-a', auth: {} });
+        await request(app).get('/api/user/quota/user-a').set('Authorization', `Bearer ${refreshToken}`).expect(401);
+    });
+
+    test('Only lets users reach their own data', async () => {
+        const auth = { Authorization: `Bearer ${accessToken}` };
+
+        const other = await request(app).get('/api/user/quota/user-b').set(auth).expect(403);
+        expect(other.body).toEqual({ success: false, message: 'You can only access your own data' });
+        await request(app).get('/api/chat/history/user-b').set(auth).expect(403);
+        await request(app).get('/api/memory/user-b').set(auth).expect(403);
+
+        const own = await request(app).get('/api/user/quota/user-a').set(auth).expect(200);
+        expect(own.body.data.buckets).toHaveProperty('chat');
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Check-ins: eligibility, scheduling around time zones and quiet hours,
+ * and template messages
+ */
+
+const checkInService = require('../services/checkInService');
+const { detectEventDate } = require('../services/insightExtractor');
+const CheckIn = require('../models/CheckIn');
+
+describe('CheckInService', () => {
+    const now = new Date('2026-10-19T15:00:00Z');
+    const user = {
+        userId: 'user-1',
+        profile: { name: 'Sam', preferences: { timeZone: 'America/New_York' } }
+    };
+    const interview = {
+        type: 'significant_event',
+        content: 'User has a job interview coming up',
+        isActive: true,
+        emotional_context: { importance: 8 },
+        temporal_info: { timeframe: 'future', specificDate: new Date('2026-10-20T12:00:00Z') },
+        createdAt: now
+    };
+
+    test('Dates upcoming events from the message', () => {
+        expect(detectEventDate('I have a job interview tomorrow', now).toISOString()).toBe('2026-10-20T12:00:00.000Z');
+        expect(detectEventDate('My exam is on friday', now).toISOString()).toBe('2026-10-23T12:00:00.000Z');
+        expect(detectEventDate('I had a rough day', now)).toBeNull();
+    });
+
+    test('Only follows up on important goals, concerns and events still ahead', () => {
+        expect(checkInService.isEligible(interview, now)).toBe(true);
+        expect(checkInService.isEligible({ ...interview, type: 'preference' }, now)).toBe(false);
+        expect(checkInService.isEligible({ ...interview, emotional_context: { importance: 3 } }, now)).toBe(false);
+        expect(checkInService.isEligible({
+            ...interview,
+            temporal_info: { timeframe: 'future', specificDate: new Date('2026-10-01T12:00:00Z') }
+        }, now)).toBe(false);
+    });
+
+    test('Schedules the day after the event at the preferred local time', () => {
+        // 18:00 in New York is 22:00 UTC in October
+        expect(checkInService.planDueAt(interview, user, now).toISOString()).toBe('2026-10-21T22:00:00.000Z');
+
+        const goal = { ...interview, type: 'goal', temporal_info: { timeframe: 'future' } };
+        expect(checkInService.planDueAt(goal, user, now).toISOString()).toBe('2026-10-26T22:00:00.000Z');
+    });
+
+    test('Waits for quiet hours to end, including windows past midnight', () => {
+        const lateEvening = new Date('2026-10-21T02:00:00Z'); // 22:00 in New York
+        expect(checkInService.nextAllowedTime(lateEvening, user).toISOString()).toBe('2026-10-21T13:00:00.000Z');
+
+        const afternoon = new Date('2026-10-21T18:00:00Z');
+        expect(checkInService.nextAllowedTime(afternoon, user)).toBe(afternoon);
+
+        const nightOwl = { profile: { preferences: { timeZone: 'America/New_York', quietHours: { start: '02:00', end: '06:00' } } } };
+        expect(checkInService.nextAllowedTime(lateEvening, nightOwl)).toBe(lateEvening);
+    });
+
+    test('Skips users who opted out', async () => {
+        const optedOut = { ...user, profile: { preferences: { checkIns: false } } };
+        expect(await checkInService.scheduleFromMemories(optedOut, [interview], now)).toEqual([]);
+    });
+
+    test('Falls back to the persona template in the second person', async () => {
+        const { config } = checkInService;
+        checkInService.config = { ...config, compose: 'template' };
+
+        try {
+            const message = await checkInService.compose({ kind: 'event' }, interview, user);
+            expect(message).toBe("Hey Sam, I've been thinking about you. Last time you mentioned you have a job interview coming up. How did it go?");
+        } finally {
+            checkInService.config = config;
+        }
+    });
+
+    describe('Scheduler runs', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const runOnce = async ({ attempts = 0, fails }) => {
+            const checkIn = { _id: 'check-in-1', attempts };
+            jest.spyOn(CheckIn, 'updateMany').mockResolvedValue({});
+            jest.spyOn(checkInService, 'claim').mockResolvedValueOnce(checkIn).mockResolvedValue(null);
+            jest.spyOn(checkInService, 'process').mockImplementation(async () => {
+                if (fails) throw new Error('Provider unavailable');
+            });
+            const increment = jest.spyOn(CheckIn, 'findByIdAndUpdate')
+                .mockImplementation(async () => ({ ...checkIn, attempts: checkIn.attempts + 1 }));
+            const cancel = jest.spyOn(checkInService, 'cancel').mockResolvedValue(null);
+
+            await checkInService.runDue(now);
+            return { increment, cancel };
+        };
+
+        test('Claiming a check-in does not count as an attempt', async () => {
+            const claim = jest.spyOn(CheckIn, 'findOneAndUpdate').mockResolvedValue(null);
+            await checkInService.claim({ status: 'scheduled' }, now);
+
+            expect(claim.mock.calls[0][1]).not.toHaveProperty('$inc');
+        });
+
+        test('Only failed runs count toward giving up', async () => {
+            const postponed = await runOnce({ attempts: 2, fails: false });
+            expect(postponed.increment).not.toHaveBeenCalled();
+            expect(postponed.cancel).not.toHaveBeenCalled();
+            jest.restoreAllMocks();
+
+            const retried = await runOnce({ attempts: 1, fails: true });
+            expect(retried.increment).toHaveBeenCalledWith('check-in-1', { $inc: { attempts: 1 } }, { new: true });
+            expect(retried.cancel).not.toHaveBeenCalled();
+            jest.restoreAllMocks();
+
+            const failed = await runOnce({ attempts: 2, fails: true });
+            expect(failed.cancel).toHaveBeenCalledWith(expect.objectContaining({ attempts: 3 }), 'failed');
+        });
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Content policy: generated memories stay off, out of the prompt and
+ * labelled unless a deployment opts in
+ */
+
+const contentPolicyService = require('../services/contentPolicyService');
+const memoryService = require('../services/memoryService');
+const Memory = require('../models/Memory');
+
+describe('ContentPolicyService', () => {
+    const { generatedMemories } = contentPolicyService.config;
+    const learned = { type: 'preference', content: 'User loves tea', context: { source: 'conversation' } };
+    const generated = { type: 'fake_memory', content: 'You once told me about a time when someone believed in you', context: { source: 'generated' } };
+
+    afterEach(() => {
+        contentPolicyService.config.generatedMemories = generatedMemories;
+        jest.restoreAllMocks();
+    });
+
+    test('Recognises generated memories by source or type', () => {
+        expect(contentPolicyService.isGeneratedMemory(generated)).toBe(true);
+        expect(contentPolicyService.isGeneratedMemory({ type: 'fake_memory' })).toBe(true);
+        expect(contentPolicyService.isGeneratedMemory({ type: 'event', context: { source: 'generated' } })).toBe(true);
+        expect(contentPolicyService.isGeneratedMemory(learned)).toBe(false);
+        expect(contentPolicyService.isGeneratedMemory({ type: 'event' })).toBe(false);
+    });
+
+    test('Keeps generated memories out of the prompt by default', () => {
+        expect(contentPolicyService.allowsGeneratedMemories()).toBe(false);
+        expect(contentPolicyService.promptMemoryFilter()).toEqual({
+            'context.source': { $ne: 'generated' },
+            type: { $ne: 'fake_memory' }
+        });
+
+        contentPolicyService.config.generatedMemories = { ...generatedMemories, includeInPrompt: true };
+        expect(contentPolicyService.promptMemoryFilter()).toEqual({});
+    });
+
+    test('Labels the provenance of every memory it serializes', () => {
+        const document = { ...generated, toJSON: () => ({ _id: 'memory-1', type: 'fake_memory' }) };
+        const [labelledLearned, labelledGenerated] = contentPolicyService.labelMemories([learned, document]);
+
+        expect(labelledLearned).toEqual({ ...learned, isGenerated: false, provenanceLabel: null });
+        expect(labelledGenerated).toEqual({
+            _id: 'memory-1',
+            type: 'fake_memory',
+            isGenerated: true,
+            provenanceLabel: generatedMemories.label
+        });
+        expect(labelledGenerated.provenanceLabel).toMatch(/You never said this/);
+    });
+
+    test('Only creates generated memories once the deployment opts in', async () => {
+        const save = jest.spyOn(Memory.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+
+        expect(await memoryService.createFakeMemory('user-1', 'supportive')).toBeNull();
+        expect(save).not.toHaveBeenCalled();
+
+        contentPolicyService.config.generatedMemories = { ...generatedMemories, enabled: true };
+        const memory = await memoryService.createFakeMemory('user-1', 'supportive');
+
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(memory).toMatchObject({ userId: 'user-1', type: 'fake_memory' });
+        expect(contentPolicyService.isGeneratedMemory(memory)).toBe(true);
+    });
+});
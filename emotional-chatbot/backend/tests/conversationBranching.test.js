@@ -0,0 +1,65 @@
+/**
+ * Conversation branching: forking at a message, listing alternatives and
+ * switching the active path
+ */
+
+const Conversation = require('../models/Conversation');
+
+describe('Conversation branches', () => {
+    const conversationWith = (...contents) => new Conversation({
+        userId: 'user-1',
+        sessionId: 'session-1',
+        messages: contents.map((content, i) => ({
+            role: i % 2 === 0 ? 'user' : 'assistant',
+            content,
+            timestamp: new Date(Date.UTC(2026, 9, 19, 12, i))
+        }))
+    });
+
+    const contents = (conversation) => conversation.messages.map(m => m.content);
+
+    test('Forking moves the message and everything after it to a branch', () => {
+        const conversation = conversationWith('Hi', 'Hello!', 'I live in Londn', 'Where is Londn?');
+        conversation.summary.summarizedThrough = 4;
+        const [, greeting, typo] = conversation.messages;
+
+        const abandoned = conversation.forkAt(typo.id);
+
+        expect(abandoned.map(m => m.content)).toEqual(['I live in Londn', 'Where is Londn?']);
+        expect(contents(conversation)).toEqual(['Hi', 'Hello!']);
+        expect(conversation.branches).toHaveLength(1);
+        expect(conversation.branches[0].parentId).toBe(greeting.id);
+        expect(conversation.summary.summarizedThrough).toBe(0); // The summary described the old path
+        expect(conversation.forkAt('missing')).toBeNull();
+    });
+
+    test('Lists the alternatives of branched messages, oldest first', () => {
+        const conversation = conversationWith('Hi', 'Hello!', 'I live in Londn', 'Where is Londn?');
+        const typo = conversation.messages[2];
+        conversation.forkAt(typo.id);
+        conversation.messages.push({ role: 'user', content: 'I live in London', timestamp: new Date(Date.UTC(2026, 9, 19, 13)) });
+        const fixed = conversation.messages[2];
+
+        const info = conversation.getBranchInfo();
+
+        expect(info.get(fixed.id)).toEqual({ index: 1, count: 2, siblingIds: [typo.id, fixed.id] });
+        expect(info.has(conversation.messages[0].id)).toBe(false);
+    });
+
+    test('Switching restores a branch and keeps the current path as one', () => {
+        const conversation = conversationWith('Hi', 'Hello!', 'Tell me a joke', 'A bad joke');
+        const [, , question, badJoke] = conversation.messages;
+        conversation.forkAt(badJoke.id);
+        conversation.messages.push({ role: 'assistant', content: 'A better joke', timestamp: new Date(Date.UTC(2026, 9, 19, 13)) });
+        const betterJoke = conversation.messages[3];
+
+        const { abandoned, restored } = conversation.switchBranch(badJoke.id);
+
+        expect(abandoned.map(m => m.content)).toEqual(['A better joke']);
+        expect(restored.map(m => m.content)).toEqual(['A bad joke']);
+        expect(contents(conversation)).toEqual(['Hi', 'Hello!', 'Tell me a joke', 'A bad joke']);
+        expect(conversation.branches.map(b => b.parentId)).toEqual([question.id]);
+        expect(conversation.getBranchInfo().get(badJoke.id).siblingIds).toEqual([badJoke.id, betterJoke.id]);
+        expect(conversation.validateSync()).toBeUndefined();
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Conversation search: query parsing, locating matches for highlighting,
+ * snippets and message filters
+ */
+
+const conversationSearchService = require('../services/conversationSearchService');
+
+describe('ConversationSearchService', () => {
+    const highlighted = ({ text, highlights }) => highlights.map(([from, to]) => text.slice(from, to));
+
+    test('Parses stemmed terms and quoted phrases, skipping stop words and negations', () => {
+        expect(conversationSearchService.parseQuery('worried about my "Job Interview" -work')).toEqual({
+            terms: ['worri'],
+            phrases: ['job interview']
+        });
+        expect(conversationSearchService.parseQuery('the and of')).toEqual({ terms: [], phrases: [] });
+    });
+
+    test('Finds other forms of the query words and scores how much of the query matched', () => {
+        const query = conversationSearchService.parseQuery('worried classes "job interview"');
+        const content = 'I was worrying about the job interview, and my worries kept me up.';
+
+        const { ranges, coverage } = conversationSearchService.findMatches(content, query);
+
+        expect(ranges.map(([from, to]) => content.slice(from, to))).toEqual(['worrying', 'job interview', 'worries']);
+        expect(coverage).toBeCloseTo(2 / 3);
+        expect(conversationSearchService.findMatches('Nothing to see', query)).toEqual({ ranges: [], coverage: 0 });
+    });
+
+    test('Cuts long messages around the first match on word boundaries', () => {
+        const content = `${'Earlier we talked about the weather. '.repeat(8)}Then my sister called about the wedding. ${'More small talk. '.repeat(10)}`;
+        const { ranges } = conversationSearchService.findMatches(content, conversationSearchService.parseQuery('wedding'));
+
+        const snippet = conversationSearchService.snippet(content, ranges, 80);
+
+        expect(snippet.text.startsWith('…')).toBe(true);
+        expect(snippet.text.endsWith('…')).toBe(true);
+        expect(snippet.text.length).toBeLessThanOrEqual(82);
+        expect(content).toContain(` ${snippet.text.slice(1, -1)} `); // No half words at the edges
+        expect(highlighted(snippet)).toEqual(['wedding']);
+
+        const short = conversationSearchService.snippet('A short wedding note', [[8, 15]]);
+        expect(highlighted(short)).toEqual(['wedding']);
+    });
+
+    test('Filters messages by date, emotion and role', () => {
+        const message = {
+            role: 'user',
+            timestamp: new Date('2026-10-10T12:00:00Z'),
+            metadata: { userSentiment: { emotion: 'anxious' } }
+        };
+        const matches = (filters) => conversationSearchService.messageMatchesFilters(message, filters);
+
+        expect(matches({ from: '2026-10-01', to: '2026-10-31', emotion: 'anxious', role: 'user' })).toBe(true);
+        expect(matches({ from: '2026-10-11' })).toBe(false);
+        expect(matches({ emotion: 'happy' })).toBe(false);
+        expect(matches({ role: 'assistant' })).toBe(false);
+
+        expect(conversationSearchService.conversationFilter('user-1', { conversationType: 'venting', to: '2026-10-31' })).toEqual({
+            userId: 'user-1',
+            isArchived: { $ne: true },
+            'context.conversationType': 'venting',
+            'messages.timestamp': { $lte: new Date('2026-10-31') }
+        });
+    });
+});
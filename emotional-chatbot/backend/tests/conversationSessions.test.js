@@ -0,0 +1,59 @@
+/**
+ * Session list details: generated titles and the dominant mood
+ */
+
+const Conversation = require('../models/Conversation');
+
+describe('Conversation sessions', () => {
+    const message = (content, emotion, role = 'user') => ({
+        role,
+        content,
+        ...(emotion && { metadata: { userSentiment: { emotion } } })
+    });
+
+    test('Titles come from the summary topics, then keyword topics, then the opening message', () => {
+        const conversation = new Conversation({
+            userId: 'user-1',
+            sessionId: 'session-1',
+            messages: [message('Hi   there, long day'), message('How was it?', null, 'assistant')]
+        });
+        expect(conversation.refreshTitle()).toBe('Hi there, long day');
+
+        conversation.messages.push(message('My boss moved my deadline again'));
+        expect(conversation.refreshTitle()).toBe('Work');
+
+        conversation.summary.narrative = 'The user talked about an interview and poor sleep.';
+        conversation.summary.mainTopics = ['job interview', 'sleep', 'weekend plans'];
+        expect(conversation.refreshTitle()).toBe('Job interview, sleep & weekend plans');
+    });
+
+    test('Keeps a title the user chose', () => {
+        const conversation = new Conversation({
+            userId: 'user-1',
+            sessionId: 'session-1',
+            title: 'Interview prep',
+            titleIsCustom: true,
+            messages: [message('My boss moved my deadline again')]
+        });
+
+        expect(conversation.refreshTitle()).toBe('Interview prep');
+    });
+
+    test('The dominant mood prefers any emotion over neutral and breaks ties by recency', () => {
+        const conversation = new Conversation({
+            userId: 'user-1',
+            sessionId: 'session-1',
+            messages: [
+                message('ok', 'neutral'),
+                message('ok', 'neutral'),
+                message('ugh', 'frustrated'),
+                message('sigh', 'sad'),
+                message('meh', 'frustrated'),
+                message('still down', 'sad')
+            ]
+        });
+
+        expect(conversation.getDominantMood()).toBe('sad');
+        expect(new Conversation({ userId: 'user-1', sessionId: 'session-2' }).getDominantMood()).toBeNull();
+    });
+});
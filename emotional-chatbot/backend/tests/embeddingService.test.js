@@ -0,0 +1,130 @@
+/**
+ * Embeddings: the offline local embedder, similarity, which embedder a
+ * stored vector belongs to and the memories retrieved for a turn
+ */
+
+const embeddingService = require('../services/embeddingService');
+const LocalEmbedder = require('../services/embedders/localEmbedder');
+const memoryService = require('../services/memoryService');
+const Memory = require('../models/Memory');
+
+describe('LocalEmbedder', () => {
+    const embedder = new LocalEmbedder({ dimensions: 256 });
+    const similarity = async (a, b) => embeddingService.cosineSimilarity(await embedder.embed(a), await embedder.embed(b));
+
+    test('Related text is closer than unrelated text', async () => {
+        const query = 'How is your sister doing?';
+        const related = await similarity(query, 'User has a sister who is getting married');
+        const unrelated = await similarity(query, 'User prefers coffee in the morning');
+
+        expect(related).toBeGreaterThan(unrelated);
+        expect(await similarity('my wedding is next week', 'engaged and planning the marriage')).toBeGreaterThan(
+            await similarity('my wedding is next week', 'I started a new job'));
+    });
+
+    test('Vectors are unit length with the configured dimensions', async () => {
+        const vector = await embedder.embed('I love hiking with my dog');
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+        expect(vector).toHaveLength(256);
+        expect(norm).toBeCloseTo(1, 6);
+        expect(embedder.model).toBe('local-hash-v1-256');
+        expect(await embedder.embed('I love hiking with my dog')).toEqual(vector);
+    });
+
+    test('Empty and stop-word-only text embeds as the zero vector', async () => {
+        for (const text of ['', null, '   ', 'and the of to']) {
+            const vector = await embedder.embed(text);
+            expect(vector).toHaveLength(256);
+            expect(vector.every(value => value === 0)).toBe(true);
+        }
+    });
+});
+
+describe('EmbeddingService', () => {
+    test('Similarity is 0 for zero, missing and mismatched vectors', () => {
+        expect(embeddingService.cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+        expect(embeddingService.cosineSimilarity([0, 0], [1, 0])).toBe(0);
+        expect(embeddingService.cosineSimilarity([], [])).toBe(0);
+        expect(embeddingService.cosineSimilarity(null, [1, 0])).toBe(0);
+        expect(embeddingService.cosineSimilarity([1, 0, 0], [1, 0])).toBe(0);
+    });
+
+    test('Stored embeddings only count when the active embedder made them', async () => {
+        const memory = { content: 'User loves hiking', metadata: { tags: ['preference'] } };
+        expect(embeddingService.hasCurrentEmbedding(memory)).toBe(false);
+
+        expect(await embeddingService.embedMemory(memory)).toBe(true);
+        expect(memory.embedding_model).toBe(embeddingService.getEmbedder().model);
+        expect(embeddingService.hasCurrentEmbedding(memory)).toBe(true);
+
+        // Switching models makes every stored vector stale until it is re-embedded
+        const { provider } = embeddingService.config;
+        embeddingService.registerEmbedder('wide', new LocalEmbedder({ dimensions: 512 }));
+        embeddingService.config.provider = 'wide';
+        try {
+            expect(embeddingService.hasCurrentEmbedding(memory)).toBe(false);
+            expect(await embeddingService.embed(memory.content)).toMatchObject({ model: 'local-hash-v1-512' });
+        } finally {
+            embeddingService.config.provider = provider;
+            embeddingService.embedders.delete('wide');
+        }
+    });
+
+    test('A failed embedding leaves the memory savable without a vector', async () => {
+        const { provider } = embeddingService.config;
+        embeddingService.registerEmbedder('broken', { model: 'broken-v1', embed: async () => { throw new Error('Embedding API unavailable'); } });
+        embeddingService.config.provider = 'broken';
+        try {
+            const memory = { content: 'User lives in Lisbon' };
+            expect(await embeddingService.embedMemory(memory)).toBe(false);
+            expect(memory.vector_embedding).toBeUndefined();
+        } finally {
+            embeddingService.config.provider = provider;
+            embeddingService.embedders.delete('broken');
+        }
+    });
+});
+
+describe('Memory retrieval', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test("Doesn't recall the memories just taken from the message being answered", async () => {
+        const memory = (content, messageId) => new Memory({
+            userId: 'user-1',
+            type: 'preference',
+            content,
+            context: { messageId },
+            metadata: { tags: ['hiking'] }
+        });
+        const stored = [memory('User loves hiking in the mountains', 'msg-0'), memory('User goes hiking every weekend', 'msg-1')];
+        jest.spyOn(Memory.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+
+        // Applies the message filter the way MongoDB would
+        const queries = [];
+        jest.spyOn(Memory, 'find').mockImplementation((query) => {
+            queries.push(query);
+            const excluded = query['context.messageId']?.$ne;
+            const result = query['metadata.pinned'] ? [] : stored.filter(m => m.context.messageId !== excluded);
+            const chain = { select: () => chain, sort: () => chain, limit: () => Promise.resolve(result) };
+            return chain;
+        });
+
+        const memories = await memoryService.getRelevantMemories('user-1', {
+            topics: ['hiking'],
+            query: 'I went hiking every weekend this month',
+            messageId: 'msg-1'
+        });
+
+        expect(memories.map(m => m.content)).toEqual(['User loves hiking in the mountains']);
+        expect(queries).toHaveLength(3); // Filtered, semantic candidates and pinned
+        queries.forEach(query => expect(query['context.messageId']).toEqual({ $ne: 'msg-1' }));
+
+        // Other callers see every memory
+        queries.length = 0;
+        await memoryService.getRelevantMemories('user-1', { topics: ['hiking'] });
+        queries.forEach(query => expect(query['context.messageId']).toBeUndefined());
+    });
+});
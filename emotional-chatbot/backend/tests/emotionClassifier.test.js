@@ -0,0 +1,100 @@
+/**
+ * Emotion classifier: lexicon rules, label mapping and the LLM path
+ */
+
+const emotionClassifier = require('../services/emotionClassifier');
+const llmService = require('../services/llmService');
+const User = require('../models/User');
+
+const emotionalStates = User.schema.path('profile.emotionalState.current').enumValues;
+
+describe('EmotionClassifier', () => {
+    const classify = (text) => emotionClassifier.classifyWithLexicon(text);
+
+    test('Detects the primary emotion with a confidence', () => {
+        const result = classify('I feel so overwhelmed and burned out, it is all too much');
+
+        expect(result).toMatchObject({ emotion: 'overwhelmed', source: 'lexicon' });
+        expect(result.score).toBeLessThan(0);
+        expect(result.confidence).toBeGreaterThan(0.8);
+    });
+
+    test('Negation flips the emotion instead of matching the word', () => {
+        expect(classify('I am not happy at all').emotion).toBe('sad');
+        expect(classify("I'm not worried anymore").emotion).toBe('content');
+        expect(classify("I'm NOT okay 😭").emotion).toBe('sad');
+    });
+
+    test('Only real contractions negate, not words that end in "nt"', () => {
+        expect(classify("I don't feel happy").emotion).toBe('sad');
+        expect(classify('I dont feel happy').emotion).toBe('sad');
+        expect(classify('I want to be happy').emotion).toBe('happy');
+        expect(classify('I really want to feel calm').emotion).toBe('content');
+        expect(classify('I went home happy').emotion).toBe('happy');
+        expect(classify('My parent is sad').emotion).toBe('sad');
+        expect(classify('at the moment I am sad').emotion).toBe('sad');
+    });
+
+    test('Intensifiers and hedges change the weight', () => {
+        const strong = classify('I am really anxious');
+        const hedged = classify('I am a bit anxious');
+
+        expect(strong.emotion).toBe('anxious');
+        expect(hedged.emotion).toBe('anxious');
+        expect(strong.confidence).toBeGreaterThan(hedged.confidence);
+        expect(strong.score).toBeLessThan(hedged.score);
+    });
+
+    test('Reports secondary emotions', () => {
+        const result = classify('I hate my job and I am so stressed');
+
+        expect(result.emotion).toBe('anxious');
+        expect(result.secondary).toEqual([{ emotion: 'frustrated', confidence: expect.any(Number) }]);
+    });
+
+    test('No emotional words means neutral', () => {
+        expect(classify('Can you tell me about the weather?')).toMatchObject({ emotion: 'neutral', score: 0, secondary: [] });
+    });
+
+    test('Every label maps onto a stored emotional state', () => {
+        Object.values(emotionClassifier.labelMap).forEach(state => expect(emotionalStates).toContain(state));
+    });
+
+    describe('LLM mode', () => {
+        let mock;
+
+        beforeEach(() => {
+            llmService.registry.configure(llmService.config);
+            mock = llmService.registry.get('mock');
+            emotionClassifier.config.mode = 'llm';
+        });
+
+        afterEach(() => {
+            emotionClassifier.config.mode = 'lexicon';
+        });
+
+        test('Maps model labels onto emotional states', async () => {
+            mock.respondWith({
+                match: /grandmother/,
+                reply: JSON.stringify({
+                    emotions: [{ label: 'grief', intensity: 0.9 }, { label: 'loneliness', intensity: 0.5 }, { label: 'anger', intensity: 0.6 }],
+                    valence: -0.8,
+                    confidence: 0.85
+                })
+            });
+
+            const result = await emotionClassifier.classify('My grandmother passed away last week');
+
+            expect(result).toMatchObject({ emotion: 'sad', score: -0.8, confidence: 0.85, source: 'llm' });
+            expect(result.secondary.map(s => s.emotion)).toEqual(['frustrated']);
+        });
+
+        test('Falls back to the lexicon when the reply is unusable', async () => {
+            mock.respondWith({ reply: JSON.stringify({ emotions: [{ label: 'bewildered', intensity: 1 }], confidence: 0.9 }) });
+
+            const result = await emotionClassifier.classify('I am so excited about tomorrow!');
+
+            expect(result).toMatchObject({ emotion: 'excited', source: 'lexicon' });
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Personal data: what the export collects, how the JSON, Markdown and HTML
+ * archives render it, and deleting all of it with the account
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const authService = require('../services/authService');
+const quotaService = require('../services/quotaService');
+const MemoryQuotaStore = require('../services/quotaStores/memoryQuotaStore');
+const exportService = require('../services/exportService');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Memory = require('../models/Memory');
+const EscalationEvent = require('../models/EscalationEvent');
+const CheckIn = require('../models/CheckIn');
+const MessageEmbedding = require('../models/MessageEmbedding');
+
+describe('ExportService', () => {
+    const user = {
+        userId: 'user-1',
+        auth: { username: 'maya', passwordHash: 'secret-hash', tokenVersion: 2, lastLoginAt: new Date('2026-10-18T09:00:00Z') },
+        profile: {
+            name: 'Maya <script>',
+            emotionalState: { current: 'calm', history: [{ state: 'anxious', timestamp: new Date('2026-10-17T20:00:00Z'), context: 'exam | stress' }] },
+            preferences: { persona: 'stan', responseLength: 'short' }
+        },
+        relationships: { trustLevel: 6 },
+        createdAt: new Date('2026-09-01T10:00:00Z')
+    };
+    const records = {
+        conversations: [{
+            createdAt: new Date('2026-10-17T19:00:00Z'),
+            summary: { narrative: 'Talked about exams' },
+            messages: [
+                { role: 'user', content: 'My exam is on friday', timestamp: new Date('2026-10-17T19:00:00Z'), metadata: { userSentiment: { emotion: 'anxious' } } },
+                { role: 'assistant', content: 'That sounds stressful.', timestamp: new Date('2026-10-17T19:00:05Z') }
+            ]
+        }],
+        memories: [
+            { type: 'concern', content: 'User is worried about their exam', emotional_context: { importance: 9 }, context: { source: 'conversation' }, isActive: true, createdAt: new Date('2026-10-17T19:00:01Z') },
+            { type: 'preference', content: 'User loves tea', emotional_context: { importance: 4 }, isActive: false, createdAt: new Date('2026-10-01T12:00:00Z') }
+        ],
+        checkIns: [{ kind: 'event', topic: 'User has an exam coming up', status: 'scheduled', dueAt: new Date('2026-10-24T17:00:00Z') }],
+        messageEmbeddings: [
+            { messageId: 'msg-1', model: 'local-hash-v1-256', vector: new Array(256).fill(0.01) },
+            { messageId: 'msg-2', model: 'local-hash-v1-256', vector: new Array(256).fill(0.02) }
+        ],
+        safetyEvents: [{ riskLevel: 'medium', action: 'monitored', resourcesShown: [], createdAt: new Date('2026-10-17T19:00:02Z') }]
+    };
+
+    // find(...).sort(...).lean() and findOne(...).lean()
+    const resolving = (value) => ({ sort: () => resolving(value), lean: () => Promise.resolve(value) });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findOne').mockReturnValue(resolving(user));
+        jest.spyOn(Conversation, 'find').mockReturnValue(resolving(records.conversations));
+        jest.spyOn(Memory, 'find').mockReturnValue(resolving(records.memories));
+        jest.spyOn(CheckIn, 'find').mockReturnValue(resolving(records.checkIns));
+        jest.spyOn(MessageEmbedding, 'find').mockReturnValue(resolving(records.messageEmbeddings));
+        jest.spyOn(EscalationEvent, 'find').mockReturnValue(resolving(records.safetyEvents));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('Collects everything stored about the user, without credentials', async () => {
+        const data = await exportService.collect('user-1');
+
+        expect(data).toMatchObject({
+            exportVersion: 1,
+            account: { userId: 'user-1', username: 'maya' },
+            moodHistory: user.profile.emotionalState.history,
+            ...records
+        });
+        expect(JSON.stringify(data)).not.toMatch(/secret-hash|tokenVersion/);
+        [Conversation, Memory, CheckIn, MessageEmbedding, EscalationEvent].forEach(model => {
+            expect(model.find).toHaveBeenCalledWith({ userId: 'user-1' });
+        });
+    });
+
+    test('Returns null for an unknown user', async () => {
+        User.findOne.mockReturnValue(resolving(null));
+        expect(await exportService.collect('nobody')).toBeNull();
+    });
+
+    test('Renders JSON with a dated filename', async () => {
+        const data = await exportService.collect('user-1');
+        const { body, contentType, filename } = exportService.render(data, 'json');
+
+        expect(contentType).toBe('application/json; charset=utf-8');
+        expect(filename).toMatch(/^stan-data-export-\d{4}-\d{2}-\d{2}\.json$/);
+        expect(JSON.parse(body).messageEmbeddings[0].vector).toHaveLength(256);
+        expect(exportService.render(data, 'pdf').contentType).toBe('application/json; charset=utf-8');
+    });
+
+    test('Renders a readable Markdown archive with every section', async () => {
+        const { body, filename } = exportService.render(await exportService.collect('user-1'), 'markdown');
+
+        expect(filename).toMatch(/\.md$/);
+        expect(body).toContain('# Your data export');
+        expect(body).toContain('- Username: maya');
+        expect(body).toContain('| 2026-10-17 20:00 UTC | anxious | exam \\| stress |');
+        expect(body).toContain('## Memories (2)');
+        expect(body).toMatch(/\| User loves tea \| 4\/10 \| - \| inactive \|/);
+        expect(body).toContain('## Check-ins (1)');
+        expect(body).toContain('| 2026-10-24 17:00 UTC | event | User has an exam coming up | scheduled | - | - |');
+        expect(body).toContain('| local-hash-v1-256 | 2 | 256 |');
+        expect(body).toContain('- You (2026-10-17 19:00 UTC, anxious): My exam is on friday');
+        expect(body).toContain('- Stan (2026-10-17 19:00 UTC): That sounds stressful.');
+        expect(body).toContain('## Safety events (1)');
+    });
+
+    test('Escapes user text in the HTML archive', async () => {
+        const { body, contentType } = exportService.render(await exportService.collect('user-1'), 'html');
+
+        expect(contentType).toBe('text/html; charset=utf-8');
+        expect(body).toMatch(/^<!DOCTYPE html>/);
+        expect(body).toContain('<li>Name: Maya &lt;script&gt;</li>');
+        expect(body).not.toContain('<script>');
+        expect(body).toContain('<h2>Conversation search index (2)</h2>');
+    });
+});
+
+describe('Account deletion', () => {
+    const { accessToken } = authService.issueTokens({ userId: 'user-1', auth: {} });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('Deletes the account with everything stored about the user', async () => {
+        const store = new MemoryQuotaStore();
+        quotaService.registerStore('memory', store);
+        const expiresAt = new Date(Date.now() + 60000);
+        await Promise.all(['requests:chat:user-1:0', 'tokens:user-1:2026-10-19', 'requests:chat:user-10:0', 'tokens:user-2:2026-10-19']
+            .map(key => store.increment(key, 1, expiresAt)));
+
+        const deleteUser = jest.spyOn(User, 'findOneAndDelete').mockResolvedValue({ userId: 'user-1' });
+        const models = [Conversation, Memory, CheckIn, MessageEmbedding, EscalationEvent];
+        models.forEach(model => jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 1 }));
+
+        await request(app).delete('/api/user/profile/user-1').set('Authorization', `Bearer ${accessToken}`).expect(200);
+
+        expect(deleteUser).toHaveBeenCalledWith({ userId: 'user-1' });
+        models.forEach(model => expect(model.deleteMany).toHaveBeenCalledWith({ userId: 'user-1' }));
+        expect([...store.counters.keys()]).toEqual(['requests:chat:user-10:0', 'tokens:user-2:2026-10-19']);
+    });
+});
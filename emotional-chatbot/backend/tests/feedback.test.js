@@ -0,0 +1,106 @@
+/**
+ * Reply feedback: storing a rating and breaking ratings down by emotional
+ * tone, provider and persona
+ */
+
+const feedbackService = require('../services/feedbackService');
+const Memory = require('../models/Memory');
+
+describe('FeedbackService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const reply = (feedback, metadata, ratedAt = '2026-10-18T12:00:00Z') => ({
+        role: 'assistant',
+        metadata,
+        reactions: feedback && { userFeedback: feedback, ratedAt: new Date(ratedAt) }
+    });
+
+    const conversations = [
+        {
+            messages: [
+                { role: 'user', reactions: { userFeedback: 'helpful' } },
+                reply('helpful', { emotionalTone: 'supportive', provider: 'openai', persona: 'stan' }),
+                reply('not_helpful', { emotionalTone: 'analytical', provider: 'openai', persona: 'stan' }),
+                reply(null, { emotionalTone: 'supportive', provider: 'openai', persona: 'stan' })
+            ],
+            branches: [
+                { messages: [reply('perfect', { emotionalTone: 'supportive', provider: 'mock', persona: 'sage' })] }
+            ]
+        },
+        {
+            messages: [reply('inappropriate', {}, '2026-09-01T12:00:00Z')]
+        }
+    ];
+
+    test('Breaks ratings down by emotional tone, provider and persona', () => {
+        const summary = feedbackService.summarize(conversations);
+
+        expect(summary).toMatchObject({
+            total: 4,
+            feedback: { perfect: 1, helpful: 1, not_helpful: 1, inappropriate: 1 },
+            positiveRate: 0.5
+        });
+        expect(summary.byEmotionalTone.supportive).toMatchObject({ total: 2, positiveRate: 1 });
+        expect(summary.byEmotionalTone.analytical).toMatchObject({ total: 1, positiveRate: 0 });
+        expect(Object.keys(summary.byProvider)).toEqual(['openai', 'mock', 'unknown']);
+        expect(summary.byPersona.sage.feedback.perfect).toBe(1);
+        expect(summary.byPersona.unknown.feedback.inappropriate).toBe(1);
+    });
+
+    test('Only counts ratings given since a date', () => {
+        const summary = feedbackService.summarize(conversations, { since: new Date('2026-10-01T00:00:00Z') });
+
+        expect(summary.total).toBe(3);
+        expect(summary.byPersona.unknown).toBeUndefined();
+        expect(feedbackService.summarize([], {}).positiveRate).toBeNull();
+    });
+
+    test('Stores the rating on the message', async () => {
+        const message = reply(null, { memoryTriggered: [] });
+
+        await expect(feedbackService.rate('user-1', message, { feedback: 'helpful' })).resolves.toBe(0);
+        expect(message.reactions).toMatchObject({ userFeedback: 'helpful', emotionalResponse: '' });
+        expect(message.reactions.ratedAt).toBeInstanceOf(Date);
+    });
+
+    test('Teaches the memories a reply used how well it worked, without counting an access', async () => {
+        const lastAccessed = new Date('2026-10-01T12:00:00Z');
+        const memory = new Memory({
+            userId: 'user-1',
+            type: 'preference',
+            content: 'User loves tea',
+            usage: { accessCount: 3, lastAccessed, effectiveness: 0.5 }
+        });
+        const find = jest.spyOn(Memory, 'find').mockResolvedValue([memory]);
+        const save = jest.spyOn(memory, 'save').mockResolvedValue(memory);
+        const message = reply(null, { memoryTriggered: [memory._id] });
+
+        await expect(feedbackService.rate('user-1', message, { feedback: 'perfect' })).resolves.toBe(1);
+
+        expect(find).toHaveBeenCalledWith({ _id: { $in: [memory._id] }, userId: 'user-1' });
+        expect(save).toHaveBeenCalled();
+        expect(memory.usage.effectiveness).toBeCloseTo(0.6);
+        expect(memory.usage.accessCount).toBe(3);
+        expect(memory.usage.lastAccessed).toEqual(lastAccessed);
+
+        // The same rating again changes nothing
+        await feedbackService.rate('user-1', message, { feedback: 'perfect' });
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    test('A changed rating replaces the old one in memory effectiveness', async () => {
+        const memory = new Memory({ userId: 'user-1', type: 'preference', content: 'User loves tea', usage: { effectiveness: 0.5 } });
+        jest.spyOn(Memory, 'find').mockResolvedValue([memory]);
+        jest.spyOn(memory, 'save').mockResolvedValue(memory);
+        const message = reply(null, { memoryTriggered: [memory._id] });
+
+        await feedbackService.rate('user-1', message, { feedback: 'perfect' });
+        await feedbackService.rate('user-1', message, { feedback: 'not_helpful' });
+
+        // As if the reply had only ever been rated not helpful
+        expect(memory.usage.effectiveness).toBeCloseTo(0.2 * 0.3 + 0.8 * 0.5);
+        expect(memory.usage.accessCount).toBe(0);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Test bootstrap
+ * Runs the real Express app from server.js against an in-memory MongoDB
+ * (or MONGODB_TEST_URI when set) without calling startServer(), and
+ * exposes the mock LLM provider so tests can script replies and faults.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const app = require('../../server');
+const llmService = require('../../services/llmService');
+
+let mongoServer = null;
+
+const startTestDatabase = async () => {
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+        mongoServer = await MongoMemoryServer.create();
+        uri = mongoServer.getUri();
+    }
+
+    await mongoose.connect(uri);
+    // Build unique and text indexes up front so tests don't race them
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+const stopTestDatabase = async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+        await mongoServer.stop();
+        mongoServer = null;
+    }
+};
+
+const clearDatabase = async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Fresh mock provider with clean health, script and call log
+ */
+const resetMockLLM = () => {
+    llmService.registry.configure(llmService.config);
+    return llmService.registry.get('mock');
+};
+
+/**
+ * Register an account and return its userId plus an Authorization header
+ */
+const registerUser = async (overrides = {}) => {
+    const credentials = global.testUtils.generateTestUser(overrides);
+    const response = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+
+    const { userId, tokens } = response.body.data;
+    return {
+        ...credentials,
+        userId,
+        auth: { Authorization: `Bearer ${tokens.accessToken}` }
+    };
+};
+
+/**
+ * Send a chat message as a registered user
+ */
+const sendMessage = (user, message, sessionId) => request(app)
+    .post('/api/chat/message')
+    .set(user.auth)
+    .send({ message, sessionId });
+
+/**
+ * Send a chat message to the streaming endpoint and collect its
+ * Server-Sent Events as `[{ event, data }]`
+ */
+const streamMessage = async (user, message, sessionId) => {
+    const response = await request(app)
+        .post('/api/chat/message/stream')
+        .set(user.auth)
+        .send({ message, sessionId });
+
+    const events = response.text
+        .split('\n\n')
+        .filter(Boolean)
+        .map(block => {
+            const [, event] = block.match(/^event: (.*)$/m);
+            const [, data] = block.match(/^data: (.*)$/m);
+            return { event, data: JSON.parse(data) };
+        });
+
+    return { response, events };
+};
+
+module.exports = {
+    app,
+    startTestDatabase,
+    stopTestDatabase,
+    clearDatabase,
+    resetMockLLM,
+    registerUser,
+    sendMessage,
+    streamMessage
+};
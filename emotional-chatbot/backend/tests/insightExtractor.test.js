@@ -0,0 +1,114 @@
+/**
+ * Insight extraction: the offline rules, dating upcoming events and the
+ * LLM path with its fallback
+ */
+
+const insightExtractor = require('../services/insightExtractor');
+const llmService = require('../services/llmService');
+
+describe('InsightExtractor', () => {
+    const contents = (insights) => insights.map(insight => insight.content);
+
+    describe('Rules', () => {
+        test('Pulls slotted personal facts out of a message', async () => {
+            const insights = await insightExtractor.extract("My name is Maya, I'm 29 years old and I live in Lisbon.");
+
+            expect(insights).toEqual(expect.arrayContaining([
+                expect.objectContaining({ type: 'personal_fact', slot: 'name', content: "User's name is Maya", importance: 9 }),
+                expect.objectContaining({ slot: 'age', content: 'User is 29 years old' }),
+                expect.objectContaining({ slot: 'home_location', content: 'User lives in Lisbon' })
+            ]));
+            // Most important first
+            expect(insights[0].slot).toBe('name');
+        });
+
+        test('Stores what the user said about themselves in the third person', async () => {
+            const insights = await insightExtractor.extract('I love hiking with my dog. I hate waking up early');
+
+            expect(contents(insights)).toEqual(expect.arrayContaining([
+                'User loves hiking with their dog',
+                'User dislikes waking up early'
+            ]));
+            expect(insights.find(insight => insight.content === 'User dislikes waking up early').sentiment).toBeLessThan(0);
+        });
+
+        test('Dates upcoming events and drops the relative phrase', async () => {
+            const [event] = await insightExtractor.extract('I have a job interview tomorrow');
+
+            expect(event).toMatchObject({ type: 'significant_event', timeframe: 'future', content: 'User has a job interview coming up' });
+            expect(event.date).toBeInstanceOf(Date);
+            expect(event.date.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        test('Adds the detected emotion, and nothing for small talk', async () => {
+            const insights = await insightExtractor.extract('Long day today', { emotion: 'tired', sentiment: -0.3 });
+            expect(insights).toEqual([
+                expect.objectContaining({ type: 'emotional_pattern', source: 'inferred', content: 'User expressed tired emotion in conversation' })
+            ]);
+
+            expect(await insightExtractor.extract('ok thanks')).toEqual([]);
+        });
+
+        test('Drops insights below the confidence threshold and caps the count', async () => {
+            const { config } = insightExtractor;
+            insightExtractor.config = { ...config, minConfidence: 0.75, maxInsights: 1 };
+
+            try {
+                const insights = await insightExtractor.extract("Call me Sam. I enjoy chess and I'm worried about my exam");
+                expect(insights).toHaveLength(1);
+                expect(insights[0].confidence).toBeGreaterThanOrEqual(0.75);
+                expect(contents(insights)).not.toContain('User enjoys chess');
+            } finally {
+                insightExtractor.config = config;
+            }
+        });
+    });
+
+    describe('LLM extraction', () => {
+        const { config } = insightExtractor;
+        let mockLLM;
+
+        beforeEach(() => {
+            insightExtractor.config = { ...config, mode: 'llm' };
+            llmService.registry.configure(llmService.config);
+            mockLLM = llmService.registry.get('mock');
+        });
+
+        afterAll(() => {
+            insightExtractor.config = config;
+        });
+
+        test('Keeps valid insights from the model and discards malformed ones', async () => {
+            mockLLM.respondWith({
+                reply: JSON.stringify({
+                    insights: [
+                        { type: 'personal_fact', content: 'User works as a nurse', importance: 7.6, confidence: 0.9, slot: 'occupation' },
+                        { type: 'not_a_type', content: 'Something odd', confidence: 0.9 },
+                        { type: 'preference', content: 'User likes tea', confidence: 0.3 }
+                    ]
+                })
+            });
+
+            const insights = await insightExtractor.extract('I work night shifts as a nurse', { emotion: 'tired' });
+
+            expect(insights).toEqual([
+                expect.objectContaining({ type: 'personal_fact', content: 'User works as a nurse', importance: 8, slot: 'occupation' })
+            ]);
+            expect(mockLLM.lastCall).toMatchObject({ jsonMode: true });
+            expect(mockLLM.lastCall.messages[0].content).toContain('Detected emotion: tired');
+        });
+
+        test('Falls back to the rules when the model fails or answers without insights', async () => {
+            mockLLM.failNext(5, { status: 400 });
+            expect(contents(await insightExtractor.extract('I live in Porto these days'))).toEqual(['User lives in Porto these days']);
+
+            // The mock answers JSON requests with {} unless scripted
+            expect(contents(await insightExtractor.extract('I live in Porto these days'))).toEqual(['User lives in Porto these days']);
+        });
+
+        test('Skips the model for short messages', async () => {
+            expect(contents(await insightExtractor.extract('Call me Al'))).toEqual(["User's name is Al"]);
+            expect(mockLLM.calls).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * LLM service streaming: relaying deltas, the fallback reply and clients
+ * that leave mid-reply
+ */
+
+const llmService = require('../services/llmService');
+
+describe('LLMService streaming', () => {
+    const messages = [{ role: 'user', content: 'I had a long day' }];
+    let mockLLM;
+
+    beforeEach(() => {
+        llmService.registry.configure(llmService.config);
+        mockLLM = llmService.registry.get('mock');
+    });
+
+    const stream = (options) => {
+        const deltas = [];
+        const response = llmService.generateResponseStream(messages, null, [], {}, delta => deltas.push(delta), options);
+        return response.then(result => ({ result, deltas }));
+    };
+
+    test('Relays the reply as it arrives', async () => {
+        mockLLM.respondWith({ reply: 'That sounds tiring.' });
+        const { result, deltas } = await stream();
+
+        expect(deltas.join('')).toBe('That sounds tiring.');
+        expect(result).toMatchObject({ content: 'That sounds tiring.', provider: 'mock' });
+        expect(result.interrupted).toBeUndefined();
+    });
+
+    test('Relays the fallback reply when every provider fails', async () => {
+        mockLLM.failNext(5, { status: 400 });
+        const { result, deltas } = await stream();
+
+        expect(result.provider).toBe('fallback');
+        expect(deltas.join('')).toBe(result.content);
+    });
+
+    test('Returns an empty interrupted reply when the client leaves before the first token', async () => {
+        const controller = new AbortController();
+        mockLLM.setLatency(20);
+        setTimeout(() => controller.abort(), 5);
+
+        const { result, deltas } = await stream({ signal: controller.signal });
+
+        expect(deltas).toEqual([]);
+        expect(result).toMatchObject({ content: '', provider: 'mock', usage: null, interrupted: true });
+    });
+});
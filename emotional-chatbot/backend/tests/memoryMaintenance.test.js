@@ -0,0 +1,115 @@
+/**
+ * Memory maintenance: decay, expiry, staleness and merging duplicates
+ */
+
+const memoryMaintenanceService = require('../services/memoryMaintenanceService');
+const Memory = require('../models/Memory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('MemoryMaintenanceService', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+    let nextId = 0;
+    const memory = (overrides = {}) => ({
+        _id: `m${++nextId}`,
+        type: 'preference',
+        content: 'User loves hiking',
+        emotional_context: { importance: 5, sentiment: 0.6 },
+        context: { confidence: 0.7 },
+        usage: { accessCount: 1, lastAccessed: daysAgo(1), effectiveness: 0.5 },
+        metadata: { tags: ['preference'] },
+        relationships: { connectedMemories: [], reinforces: [], conflictsWith: [] },
+        createdAt: daysAgo(100),
+        updatedAt: daysAgo(1),
+        ...overrides
+    });
+
+    test('Decays once per whole idle period and carries the remainder', () => {
+        expect(memoryMaintenanceService.decay(memory(), now)).toBeNull();
+
+        const idle = memory({ usage: { accessCount: 1, lastAccessed: daysAgo(65), effectiveness: 0.6 } });
+        const decayed = memoryMaintenanceService.decay(idle, now);
+        expect(decayed).toMatchObject({ importance: 4.05, effectiveness: 0.49 });
+        expect(decayed.decayedUntil).toEqual(daysAgo(5));
+
+        // The next run only counts time after the last decay
+        idle.metadata.lastDecayedAt = decayed.decayedUntil;
+        expect(memoryMaintenanceService.decay(idle, now)).toBeNull();
+    });
+
+    test('Expires and archives stale memories, but keeps confirmed facts', () => {
+        expect(memoryMaintenanceService.isExpired(memory({ metadata: { expiresAt: daysAgo(1) } }), now)).toBe(true);
+        expect(memoryMaintenanceService.isExpired(memory(), now)).toBe(false);
+
+        const faded = {
+            emotional_context: { importance: 2.5 },
+            usage: { accessCount: 0, lastAccessed: daysAgo(200), effectiveness: 0.2 }
+        };
+        expect(memoryMaintenanceService.isStale(memory(faded), now)).toBe(true);
+        expect(memoryMaintenanceService.isStale(memory({ ...faded, metadata: { slot: 'home_location' } }), now)).toBe(false);
+        expect(memoryMaintenanceService.isStale(memory({ ...faded, usage: { ...faded.usage, lastAccessed: daysAgo(20) } }), now)).toBe(false);
+    });
+
+    test('Merges restatements into the strongest memory', () => {
+        const strong = memory({ emotional_context: { importance: 8, sentiment: 0.6 }, relationships: { connectedMemories: ['x1'], reinforces: [], conflictsWith: [] } });
+        const weak = memory({ content: 'user loves hiking.', usage: { accessCount: 3, lastAccessed: daysAgo(2), effectiveness: 0.7 }, metadata: { tags: ['outdoors'] } });
+        const other = memory({ content: 'User prefers tea over coffee' });
+        const fake = memory({ type: 'fake_memory' });
+
+        const merges = memoryMaintenanceService.planMerges([weak, other, strong, fake]);
+        expect(merges).toHaveLength(1);
+        expect(merges[0].keep).toBe(strong);
+        expect(merges[0].absorb).toEqual([weak]);
+
+        const fields = memoryMaintenanceService.mergedFields(strong, [weak]);
+        expect(fields).toMatchObject({
+            'emotional_context.importance': 8,
+            'usage.accessCount': 4,
+            'usage.effectiveness': 0.7,
+            'usage.lastAccessed': strong.usage.lastAccessed,
+            'metadata.tags': ['preference', 'outdoors'],
+            'relationships.connectedMemories': ['x1']
+        });
+    });
+
+    test('Never decays or archives pinned memories, and merges keep the user\'s choices', () => {
+        const idle = { usage: { accessCount: 0, lastAccessed: daysAgo(200), effectiveness: 0.2 }, emotional_context: { importance: 2.5 } };
+        const pinned = memory({ ...idle, metadata: { tags: [], pinned: true } });
+        expect(memoryMaintenanceService.decay(pinned, now)).toBeNull();
+        expect(memoryMaintenanceService.isStale(pinned, now)).toBe(false);
+
+        const important = memory({ emotional_context: { importance: 9, sentiment: 0.6 }, metadata: { tags: [], offLimits: true } });
+        const restated = memory({ content: 'user loves hiking.', metadata: { tags: [], pinned: true } });
+
+        const [merge] = memoryMaintenanceService.planMerges([important, restated]);
+        expect(merge.keep).toBe(restated);
+        expect(memoryMaintenanceService.mergedFields(merge.keep, merge.absorb)).toMatchObject({
+            'metadata.pinned': true,
+            'metadata.offLimits': true
+        });
+    });
+
+    test('Returns the run report to the caller instead of logging it', async () => {
+        const stats = { active: 4, decayed: 1, expired: 0, merged: 1, archived: 0, deleted: 0, remaining: 3 };
+        jest.spyOn(Memory, 'distinct').mockResolvedValue(['user-1', 'user-2']);
+        jest.spyOn(memoryMaintenanceService, 'runForUser')
+            .mockResolvedValueOnce({ stats })
+            .mockResolvedValueOnce({ stats: { ...stats, decayed: 0, merged: 0, remaining: 4 } });
+        console.log.mockClear();
+
+        try {
+            const report = await memoryMaintenanceService.runAll({ dryRun: true, now });
+
+            expect(report).toMatchObject({
+                dryRun: true,
+                totals: { users: 2, decayed: 1, merged: 1 },
+                users: [{ userId: 'user-1', ...stats }]
+            });
+            expect(console.log).not.toHaveBeenCalled();
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Memory reconciliation: restatements, contradictions and related memories
+ */
+
+const memoryReconciler = require('../services/memoryReconciler');
+const embeddingService = require('../services/embeddingService');
+const Memory = require('../models/Memory');
+
+describe('MemoryReconciler', () => {
+    let nextId = 0;
+    const stored = async (type, content, { sentiment = 0, slot, tags = [] } = {}) => {
+        const memory = {
+            _id: `m${++nextId}`,
+            type,
+            content,
+            emotional_context: { sentiment },
+            metadata: { slot, tags }
+        };
+        await embeddingService.embedMemory(memory);
+        return memory;
+    };
+
+    // Memory.find(...).select(...).sort(...).limit(...) resolving to the candidates
+    const withCandidates = (candidates) => {
+        const query = { select: () => query, sort: () => query, limit: () => Promise.resolve(candidates) };
+        return jest.spyOn(Memory, 'find').mockReturnValue(query);
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('A new value for a single-valued fact conflicts; the same value restates it', async () => {
+        const porto = await stored('personal_fact', 'User lives in Porto', { slot: 'home_location' });
+        const find = withCandidates([porto]);
+
+        const moved = await memoryReconciler.reconcile('user-1', { type: 'personal_fact', content: 'User lives in Lisbon', slot: 'home_location' });
+        expect(moved.conflicts).toEqual([porto]);
+        expect(moved.duplicate).toBeNull();
+        expect(find.mock.calls[0][0]).toMatchObject({ userId: 'user-1', isActive: true, $or: [{ type: 'personal_fact' }, { 'metadata.slot': 'home_location' }] });
+
+        const again = await memoryReconciler.reconcile('user-1', { type: 'personal_fact', content: 'User lives in Porto.', slot: 'home_location' });
+        expect(again).toMatchObject({ duplicate: porto, conflicts: [] });
+    });
+
+    test('The opposite stance on the same subject conflicts', async () => {
+        const dislikes = await stored('preference', 'User dislikes coffee', { sentiment: -0.8 });
+        const vegetarian = await stored('personal_fact', 'User is vegetarian');
+
+        withCandidates([dislikes]);
+        const loves = await memoryReconciler.reconcile('user-1', { type: 'preference', content: 'User loves coffee', sentiment: 0.8 });
+        expect(loves.conflicts).toEqual([dislikes]);
+
+        withCandidates([vegetarian]);
+        const quit = await memoryReconciler.reconcile('user-1', { type: 'personal_fact', content: 'User is no longer vegetarian' });
+        expect(quit.conflicts).toEqual([vegetarian]);
+    });
+
+    test('Agreeing memories about the same thing reinforce each other; other topics are left alone', async () => {
+        const hiking = await stored('preference', 'User goes hiking every weekend', { sentiment: 0.8, tags: ['outdoors'] });
+        const tea = await stored('preference', 'User likes green tea', { sentiment: 0.6 });
+        withCandidates([hiking, tea]);
+
+        const result = await memoryReconciler.reconcile('user-1', {
+            type: 'preference',
+            content: 'User enjoys hiking on weekends',
+            sentiment: 0.8,
+            tags: ['outdoors']
+        });
+
+        expect(result.duplicate).toBeNull();
+        expect(result.conflicts).toEqual([]);
+        expect(result.reinforces).toEqual([hiking]);
+        expect(result.related).toEqual([]);
+    });
+
+    test('An exact repeat is a duplicate even without embeddings', async () => {
+        const memory = { _id: 'm-plain', type: 'goal', content: 'User wants to run a marathon', metadata: {} };
+
+        expect(memoryReconciler.relate(memory, { ...memory, _id: 'm-copy', content: 'User wants to run a marathon!' })).toBe('duplicate');
+        expect(memoryReconciler.relate(memory, { ...memory, _id: 'm-other', content: 'User wants to learn Spanish' })).toBeNull();
+    });
+
+    test('Skips embedding when there is nothing to compare with', async () => {
+        withCandidates([]);
+        const embed = jest.spyOn(embeddingService, 'embed');
+
+        expect(await memoryReconciler.reconcile('user-1', { type: 'goal', content: 'User wants to learn Spanish' }))
+            .toEqual({ duplicate: null, conflicts: [], reinforces: [], related: [] });
+        expect(embed).not.toHaveBeenCalled();
+    });
+});
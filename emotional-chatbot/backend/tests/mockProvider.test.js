@@ -0,0 +1,93 @@
+/**
+ * Mock LLM provider: canned and echo modes, scripted replies and fault injection
+ */
+
+const MockProvider = require('../services/providers/mockProvider');
+
+const buildRequest = (message, extra = {}) => ({
+    systemPrompt: 'You are a test companion.',
+    messages: [{ role: 'user', content: message }],
+    temperature: 0.7,
+    maxTokens: 100,
+    ...extra
+});
+
+describe('MockProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = new MockProvider('mock', { model: 'mock-deterministic' });
+    });
+
+    test('Canned replies are deterministic per message', async () => {
+        const first = await provider.generate(buildRequest('I had a rough day.'));
+        const second = await provider.generate(buildRequest('I had a rough day.'));
+
+        expect(first.content).toBe(second.content);
+        expect(first.model).toBe('mock-deterministic');
+        expect(first.usage.total_tokens).toBe(first.usage.prompt_tokens + first.usage.completion_tokens);
+    });
+
+    test('Echo mode repeats the last user message', async () => {
+        provider = new MockProvider('mock', { mode: 'echo' });
+        const response = await provider.generate(buildRequest('Hello there'));
+
+        expect(response.content).toBe('Hello there');
+    });
+
+    test('JSON requests get an empty object unless scripted', async () => {
+        const response = await provider.generate(buildRequest('Extract facts', { jsonMode: true }));
+
+        expect(JSON.parse(response.content)).toEqual({});
+    });
+
+    test('Scripted replies match in order and respect times', async () => {
+        provider.respondWith(
+            { match: /weather/, reply: 'Sunny!', times: 1 },
+            { match: 'name', reply: ({ systemPrompt }) => systemPrompt.split(' ')[2] }
+        );
+
+        expect((await provider.generate(buildRequest('How is the weather?'))).content).toBe('Sunny!');
+        expect((await provider.generate(buildRequest('How is the weather?'))).content).not.toBe('Sunny!');
+        expect((await provider.generate(buildRequest("What's your name?"))).content).toBe('a');
+    });
+
+    test('Injected faults carry an HTTP status and run out', async () => {
+        provider.failNext(2, { status: 503 });
+
+        await expect(provider.generate(buildRequest('Hi'))).rejects.toMatchObject({ response: { status: 503 } });
+        await expect(provider.generate(buildRequest('Hi'))).rejects.toThrow('Injected mock failure');
+        await expect(provider.generate(buildRequest('Hi'))).resolves.toHaveProperty('content');
+    });
+
+    test('Faults without a status look like network errors', async () => {
+        provider.failNext(1, { match: /only this/ });
+
+        await expect(provider.generate(buildRequest('Something else'))).resolves.toHaveProperty('content');
+        const error = await provider.generate(buildRequest('only this one')).catch(e => e);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.response).toBeUndefined();
+    });
+
+    test('Every request is recorded and reset clears state', async () => {
+        provider.respondWith({ reply: 'scripted' });
+        await provider.generate(buildRequest('First'));
+        await provider.generate(buildRequest('Second'));
+
+        expect(provider.calls).toHaveLength(2);
+        expect(provider.lastCall.messages[0].content).toBe('Second');
+
+        provider.reset();
+        expect(provider.calls).toHaveLength(0);
+        expect((await provider.generate(buildRequest('Third'))).content).not.toBe('scripted');
+    });
+
+    test('Streaming emits the reply in pieces', async () => {
+        provider = new MockProvider('mock', { mode: 'echo' });
+        const deltas = [];
+        const response = await provider.stream(buildRequest('one two three'), delta => deltas.push(delta));
+
+        expect(deltas).toEqual(['one ', 'two ', 'three']);
+        expect(deltas.join('')).toBe(response.content);
+    });
+});
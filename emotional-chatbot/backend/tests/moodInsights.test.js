@@ -0,0 +1,107 @@
+/**
+ * Mood insights: bucketing by local day and week, heat map and
+ * week-over-week comparison
+ */
+
+const moodInsightsService = require('../services/moodInsightsService');
+
+describe('MoodInsightsService', () => {
+    // A Monday afternoon
+    const now = new Date('2026-10-19T15:00:00Z');
+    const at = (iso, state, sentiment) => ({ state, sentiment, timestamp: new Date(iso) });
+
+    const entries = [
+        at('2026-10-08T10:00:00Z', 'sad', -0.6), // Thursday, two weeks ago
+        at('2026-10-13T09:00:00Z', 'anxious', -0.4), // Tuesday last week
+        at('2026-10-16T21:00:00Z', 'sad', -0.5), // Friday last week
+        at('2026-10-18T23:30:00Z', 'happy', 0.6), // Sunday night UTC, Monday morning in Tokyo
+        at('2026-10-19T08:00:00Z', 'happy', 0.8)
+    ];
+    const user = {
+        profile: { emotionalState: { history: entries.map(({ state, timestamp }) => ({ state, timestamp })) } },
+        conversationMetrics: { sentimentTrend: entries.map(({ sentiment, timestamp }) => ({ sentiment, timestamp })) }
+    };
+
+    test('Buckets by local day, keeping empty days on the axis', () => {
+        const { buckets, distribution } = moodInsightsService.summarize(user, { days: 7, now });
+
+        expect(buckets.map(b => b.start)).toEqual([
+            '2026-10-12', '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19'
+        ]);
+        expect(buckets[1]).toMatchObject({ entries: 1, dominant: 'anxious', moodScore: -0.6, averageSentiment: -0.4 });
+        expect(buckets[2]).toMatchObject({ entries: 0, dominant: null, moodScore: null, averageSentiment: null });
+        expect(distribution).toEqual({ anxious: 1, sad: 1, happy: 2 });
+
+        // In Tokyo the Sunday-night entry lands on Monday
+        const tokyo = moodInsightsService.summarize(user, { days: 7, timeZone: 'Asia/Tokyo', now });
+        expect(tokyo.buckets[tokyo.buckets.length - 1]).toMatchObject({ start: '2026-10-20', entries: 0 });
+        expect(tokyo.buckets.find(b => b.start === '2026-10-19')).toMatchObject({ entries: 2, averageSentiment: 0.7 });
+    });
+
+    test('Buckets by week starting Monday and compares this week with last', () => {
+        const { buckets, weekOverWeek } = moodInsightsService.summarize(user, { interval: 'week', days: 14, now });
+
+        expect(buckets.map(b => [b.start, b.entries])).toEqual([
+            ['2026-10-05', 1], ['2026-10-12', 3], ['2026-10-19', 1]
+        ]);
+        expect(weekOverWeek.previous).toMatchObject({ start: '2026-10-12', entries: 3 });
+        expect(weekOverWeek.current).toMatchObject({ start: '2026-10-19', entries: 1 });
+        expect(weekOverWeek.change).toEqual({ entries: -2, moodScore: 0.97, averageSentiment: 0.9, checkInMoodScore: null });
+    });
+
+    test('Maps moods onto a weekday by hour heat map', () => {
+        const { heatmap } = moodInsightsService.summarize(user, { days: 7, timeZone: 'Asia/Tokyo', now });
+
+        expect(heatmap.entries[1][8]).toBe(1); // Monday 08:30 in Tokyo
+        expect(heatmap.moodScore[1][8]).toBe(0.8);
+        expect(heatmap.moodScore[0][0]).toBeNull();
+        expect(heatmap.entries.flat().reduce((sum, count) => sum + count, 0)).toBe(4);
+    });
+
+    test('Keeps check-ins apart from inferred moods and applies each to one reply', () => {
+        const record = {
+            profile: { emotionalState: { current: 'neutral', history: [...user.profile.emotionalState.history] } },
+            conversationMetrics: { sentimentTrend: [...user.conversationMetrics.sentimentTrend] }
+        };
+        moodInsightsService.recordMood(record, {
+            emotion: 'anxious',
+            context: 'Big presentation',
+            source: 'check_in',
+            timestamp: new Date('2026-10-19T12:00:00Z')
+        });
+
+        const { buckets, distribution, checkInDistribution } = moodInsightsService.summarize(record, { days: 7, now });
+        expect(buckets[buckets.length - 1]).toMatchObject({
+            entries: 1,
+            dominant: 'happy',
+            checkIns: { entries: 1, dominant: 'anxious', moodScore: -0.6 }
+        });
+        expect(distribution).toEqual({ anxious: 1, sad: 1, happy: 2 });
+        expect(checkInDistribution).toEqual({ anxious: 1 });
+        expect(record.conversationMetrics.sentimentTrend).toHaveLength(entries.length);
+
+        expect(moodInsightsService.pendingCheckIn(record, 'msg-1', now)).toMatchObject({ emotion: 'anxious', note: 'Big presentation' });
+        record.profile.emotionalState.lastCheckIn.appliedToMessageId = 'msg-1';
+        expect(moodInsightsService.pendingCheckIn(record, 'msg-1', now)).not.toBeNull(); // Regenerated reply
+        expect(moodInsightsService.pendingCheckIn(record, 'msg-2', now)).toBeNull();
+
+        record.profile.emotionalState.lastCheckIn.appliedToMessageId = undefined;
+        expect(moodInsightsService.pendingCheckIn(record, 'msg-2', new Date('2026-10-20T12:00:00Z'))).toBeNull();
+    });
+
+    test('Caps the stored history', () => {
+        const record = {
+            profile: { emotionalState: { current: 'neutral', history: [] } },
+            conversationMetrics: { sentimentTrend: [] }
+        };
+        const limit = moodInsightsService.config.historyLimit;
+        for (let i = 0; i < limit + 2; i++) {
+            moodInsightsService.recordMood(record, { emotion: 'content', sentiment: 0.3 });
+        }
+        moodInsightsService.recordMood(record, { emotion: 'sad' });
+
+        expect(record.profile.emotionalState.current).toBe('sad');
+        expect(record.profile.emotionalState.history).toHaveLength(limit);
+        expect(record.conversationMetrics.sentimentTrend).toHaveLength(limit);
+    });
+});
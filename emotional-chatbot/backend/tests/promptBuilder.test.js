@@ -0,0 +1,76 @@
+/**
+ * Prompt builder: section budgets, memory trimming and history fitting
+ */
+
+const { PromptBuilder, estimateTokens } = require('../services/promptBuilder');
+
+const config = {
+    contextTokens: 2000,
+    safetyMarginTokens: 0,
+    historyMessages: 10,
+    messageTokens: 300,
+    sectionTokens: { memories: 60, summary: 40 }
+};
+
+const memorySection = (count) => ({
+    name: 'memories',
+    header: '\nMEMORIES:',
+    numbered: true,
+    items: Array.from({ length: count }, (_, i) => ({ text: `Memory ${i} ${'x'.repeat(60)}`, ref: `m${i}` }))
+});
+
+const turn = (role, content) => ({ role, content });
+
+describe('PromptBuilder', () => {
+    const builder = new PromptBuilder(config);
+
+    test('Keeps everything when it fits', () => {
+        const { systemPrompt, messages, report } = builder.build(
+            [{ name: 'persona', text: 'You are Stan.' }, memorySection(1), { name: 'guidelines', text: '\nBe kind.' }],
+            [turn('user', 'Hi'), turn('assistant', 'Hello!'), turn('user', 'How are you?')],
+            { maxTokens: 500 }
+        );
+
+        expect(systemPrompt).toBe(`You are Stan.\nMEMORIES:\n1. Memory 0 ${'x'.repeat(60)}\nBe kind.`);
+        expect(messages).toHaveLength(3);
+        expect(report).toMatchObject({ memoryIds: ['m0'], memoriesDropped: 0, historyDropped: 0, trimmedSections: [] });
+        expect(report.estimatedTokens).toBeLessThanOrEqual(report.budgetTokens);
+    });
+
+    test('Drops the least relevant memories beyond the section budget', () => {
+        const { systemPrompt, report } = builder.build([memorySection(5)], [turn('user', 'Hi')], { maxTokens: 500 });
+
+        expect(report.memoryIds).toEqual(['m0', 'm1', 'm2']);
+        expect(report.memoriesDropped).toBe(2);
+        expect(report.trimmedSections).toEqual(['memories']);
+        expect(systemPrompt).not.toContain('Memory 3');
+    });
+
+    test('Truncates a single oversized item instead of dropping the section', () => {
+        const { systemPrompt, report } = builder.build(
+            [{ name: 'summary', header: '\nEARLIER:', items: [{ text: 'y'.repeat(1000) }] }],
+            [turn('user', 'Hi')],
+            { maxTokens: 500 }
+        );
+
+        expect(systemPrompt).toMatch(/^\nEARLIER:\ny+ \[…\]$/);
+        expect(estimateTokens(systemPrompt)).toBeLessThanOrEqual(config.sectionTokens.summary);
+        expect(report.trimmedSections).toEqual(['summary']);
+    });
+
+    test('Drops the oldest turns first and caps long messages', () => {
+        const history = [
+            turn('user', 'a'.repeat(2000)),
+            turn('assistant', 'b'.repeat(2000)),
+            turn('user', 'c'.repeat(2000)),
+            turn('assistant', 'd'.repeat(2000)),
+            turn('user', 'e'.repeat(20000))
+        ];
+        const { messages, report } = builder.build([{ name: 'persona', text: 'p'.repeat(2000) }], history, { maxTokens: 500 });
+
+        // 1500 budget - 500 persona - 300 latest leaves room for two capped turns
+        expect(messages.map(m => m.content[0])).toEqual(['c', 'd', 'e']);
+        messages.forEach(m => expect(estimateTokens(m.content)).toBeLessThanOrEqual(config.messageTokens));
+        expect(report).toMatchObject({ historyMessages: 3, historyDropped: 2, truncatedMessages: 3 });
+    });
+});
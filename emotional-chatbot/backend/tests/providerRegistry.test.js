@@ -0,0 +1,138 @@
+/**
+ * Provider fallback chain: order, retries with backoff, cooldown of failing
+ * providers and the health they report
+ */
+
+const llmService = require('../services/llmService');
+const ProviderRegistry = require('../services/providerRegistry');
+
+class StubProvider {
+    constructor(name, config) {
+        this.name = name;
+        this.model = `${name}-model`;
+        this.config = config;
+        this.generate = jest.fn();
+    }
+
+    isConfigured() {
+        return this.config.configured !== false;
+    }
+}
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('Provider fallback chain', () => {
+    const policy = { type: 'stub', retries: 0, backoffMs: 100, failureThreshold: 2, cooldownMs: 60000 };
+    const { registry } = llmService;
+    let primary;
+    let secondary;
+
+    const useChain = (providers, chain = Object.keys(providers)) => {
+        const stubs = new ProviderRegistry();
+        stubs.registerType('stub', StubProvider);
+        stubs.configure({ providers, chain });
+        llmService.registry = stubs;
+        return stubs;
+    };
+    const generate = () => llmService.runChain(provider => provider.generate());
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        useChain({ primary: policy, offline: { ...policy, configured: false }, secondary: policy });
+        ({ primary, secondary } = Object.fromEntries(llmService.registry.providers));
+        secondary.generate.mockResolvedValue({ content: 'From the secondary' });
+    });
+
+    afterEach(() => {
+        llmService.registry = registry;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('Falls back in chain order past failing and unconfigured providers', async () => {
+        primary.generate.mockRejectedValue(httpError(400));
+
+        const response = await generate();
+
+        expect(response).toMatchObject({
+            content: 'From the secondary',
+            provider: 'secondary',
+            failedProviders: [{ provider: 'primary', attempt: 1, error: 'Request failed with status code 400' }]
+        });
+        expect(primary.generate).toHaveBeenCalledTimes(1); // A client error isn't retried
+        expect(llmService.getProviderStatus().providers).toEqual([
+            expect.objectContaining({ name: 'primary', failures: 1, consecutiveFailures: 1, lastError: 'HTTP 400: Request failed with status code 400' }),
+            expect.objectContaining({ name: 'offline', configured: false, failures: 0 }),
+            expect.objectContaining({ name: 'secondary', successes: 1, lastSuccessAt: new Date('2026-10-19T12:00:00Z') })
+        ]);
+    });
+
+    test('Retries transient errors with exponential backoff', async () => {
+        useChain({ primary: { ...policy, retries: 2, failureThreshold: 5 } });
+        const retried = llmService.registry.get('primary');
+        retried.generate
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(new Error('socket hang up'))
+            .mockResolvedValue({ content: 'Third time lucky' });
+
+        const response = generate();
+
+        await jest.advanceTimersByTimeAsync(99);
+        expect(retried.generate).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(retried.generate).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(199);
+        expect(retried.generate).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(1);
+
+        await expect(response).resolves.toMatchObject({ content: 'Third time lucky', failedProviders: [{ attempt: 1 }, { attempt: 2 }] });
+        expect(llmService.registry.health.get('primary')).toMatchObject({ failures: 2, consecutiveFailures: 0 });
+    });
+
+    test('Skips a provider that keeps failing until its cooldown is over', async () => {
+        primary.generate.mockRejectedValue(httpError(500));
+
+        await generate();
+        await generate();
+        expect(llmService.registry.health.get('primary').skippedUntil).toBe(Date.now() + 60000);
+
+        await generate();
+        expect(primary.generate).toHaveBeenCalledTimes(2);
+        expect(secondary.generate).toHaveBeenCalledTimes(3);
+
+        jest.advanceTimersByTime(60000);
+        primary.generate.mockResolvedValue({ content: 'Back again' });
+
+        await expect(generate()).resolves.toMatchObject({ provider: 'primary' });
+        expect(llmService.registry.health.get('primary')).toMatchObject({ consecutiveFailures: 0, skippedUntil: null });
+    });
+
+    test('Reports every failure when the whole chain fails', async () => {
+        primary.generate.mockRejectedValue(httpError(400));
+        secondary.generate.mockRejectedValue(httpError(401));
+
+        await expect(generate()).rejects.toMatchObject({
+            message: 'All LLM providers failed: primary, secondary',
+            failures: [{ provider: 'primary' }, { provider: 'secondary' }]
+        });
+
+        useChain({ offline: { ...policy, configured: false } });
+        await expect(generate()).rejects.toThrow('No LLM providers configured or available');
+    });
+
+    test('Stops when the caller can no longer retry or has gone away', async () => {
+        primary.generate.mockRejectedValue(httpError(503));
+        await expect(llmService.runChain(provider => provider.generate(), { canRetry: () => false })).rejects.toThrow('503');
+        expect(secondary.generate).not.toHaveBeenCalled();
+
+        const controller = new AbortController();
+        primary.generate.mockImplementation(() => {
+            controller.abort();
+            return Promise.reject(new Error('Request aborted'));
+        });
+        await expect(llmService.runChain(provider => provider.generate(), { signal: controller.signal })).rejects.toThrow('Request aborted');
+        expect(secondary.generate).not.toHaveBeenCalled();
+        expect(llmService.registry.health.get('primary').failures).toBe(1); // Only the first call
+    });
+});
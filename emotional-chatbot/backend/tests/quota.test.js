@@ -0,0 +1,133 @@
+/**
+ * Per-user quotas: request buckets in fixed windows, daily token usage and
+ * the 429 responses
+ */
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const quotaService = require('../services/quotaService');
+const llmService = require('../services/llmService');
+const OpenAICompatibleProvider = require('../services/providers/openAICompatibleProvider');
+const MemoryQuotaStore = require('../services/quotaStores/memoryQuotaStore');
+const { limitRequests, limitTokens } = require('../middleware/quota');
+
+describe('QuotaService', () => {
+    const now = new Date('2026-10-19T15:05:00Z');
+    const { buckets, dailyTokens } = quotaService.config;
+
+    beforeEach(() => {
+        quotaService.registerStore('memory', new MemoryQuotaStore());
+        quotaService.config.buckets = { ...buckets, chat: 2 };
+        quotaService.config.dailyTokens = 1000;
+    });
+
+    afterAll(() => {
+        quotaService.config.buckets = buckets;
+        quotaService.config.dailyTokens = dailyTokens;
+    });
+
+    test('Counts requests per user and bucket until the window resets', async () => {
+        await quotaService.consumeRequest('user-1', 'chat', now);
+        const second = await quotaService.consumeRequest('user-1', 'chat', now);
+        const third = await quotaService.consumeRequest('user-1', 'chat', now);
+
+        expect(second).toMatchObject({ bucket: 'chat', limit: 2, used: 2, remaining: 0, allowed: true });
+        expect(third).toMatchObject({ used: 3, allowed: false, resetAt: new Date('2026-10-19T15:15:00Z') });
+
+        // Other users, other buckets and the next window start from zero
+        expect(await quotaService.consumeRequest('user-2', 'chat', now)).toMatchObject({ used: 1, allowed: true });
+        expect(await quotaService.consumeRequest('user-1', 'memory', now)).toMatchObject({ used: 1, allowed: true });
+        expect(await quotaService.consumeRequest('user-1', 'chat', third.resetAt)).toMatchObject({ used: 1, allowed: true });
+    });
+
+    test('Tracks provider token usage per UTC day', async () => {
+        await quotaService.recordUsage('user-1', { prompt_tokens: 300, completion_tokens: 100, total_tokens: 400 }, now);
+        await quotaService.recordUsage('user-1', { prompt_tokens: 500, completion_tokens: 200 }, now);
+        expect(await quotaService.recordUsage('user-1', null, now)).toBeNull();
+
+        expect(await quotaService.checkTokens('user-1', now)).toMatchObject({
+            used: 1100,
+            remaining: 0,
+            allowed: false,
+            resetAt: new Date('2026-10-20T00:00:00Z')
+        });
+        expect((await quotaService.checkTokens('user-1', new Date('2026-10-20T00:01:00Z'))).allowed).toBe(true);
+
+        const { tokens } = await quotaService.status('user-1', now);
+        expect(tokens.history).toHaveLength(7);
+        expect(tokens.history[6]).toEqual({ day: '2026-10-19', tokens: 1100 });
+    });
+
+    test('Answers 429 with the reset time once a quota is used up', async () => {
+        const respond = () => {
+            const res = { headers: {} };
+            res.set = (name, value) => Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+            res.status = (code) => Object.assign(res, { statusCode: code });
+            res.json = (body) => Object.assign(res, { body });
+            return res;
+        };
+        const run = async (middleware, req) => {
+            const res = respond();
+            const next = jest.fn();
+            await middleware(req, res, next);
+            return { res, next };
+        };
+
+        const allowed = await run(limitRequests('chat'), { userId: 'user-3' });
+        expect(allowed.next).toHaveBeenCalled();
+        expect(allowed.res.headers).toMatchObject({ 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1' });
+
+        // Counted once even when more than one bucket applies
+        const req = { userId: 'user-3' };
+        await run(limitRequests('analytics'), req);
+        expect((await run(limitRequests('chat'), req)).next).toHaveBeenCalled();
+        expect(req.quotaBucket).toBe('analytics');
+
+        await run(limitRequests('chat'), { userId: 'user-3' });
+        const limited = await run(limitRequests('chat'), { userId: 'user-3' });
+        expect(limited.next).not.toHaveBeenCalled();
+        expect(limited.res.statusCode).toBe(429);
+        expect(limited.res.body).toMatchObject({ success: false, quota: { bucket: 'chat', limit: 2 } });
+        expect(limited.res.body.message).toMatch(/^Too many chat requests\. Please try again in \d+ minutes?\.$/);
+        expect(Number(limited.res.headers['Retry-After'])).toBeGreaterThan(0);
+
+        await quotaService.recordUsage('user-3', { total_tokens: 1000 });
+        const outOfTokens = await run(limitTokens, { userId: 'user-3' });
+        expect(outOfTokens.res.statusCode).toBe(429);
+        expect(outOfTokens.res.body.message).toMatch(/today's message limit/);
+    });
+
+    test('Counts the tokens of background LLM calls made for a user', async () => {
+        await llmService.generateJSON('Extract insights as JSON.', 'I moved to Lisbon', { userId: 'user-4' });
+
+        expect((await quotaService.checkTokens('user-4')).used).toBeGreaterThan(0);
+    });
+});
+
+describe('Provider token usage', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('Asks OpenAI-compatible APIs for usage on streams and reads it from the last chunk', async () => {
+        const chunks = [
+            { choices: [{ delta: { content: 'Hello' } }] },
+            { choices: [{ delta: { content: ' there' } }] },
+            { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 } }
+        ];
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({
+            data: Readable.from([...chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`), 'data: [DONE]\n\n'])
+        });
+
+        const provider = new OpenAICompatibleProvider('openai', { baseUrl: 'http://llm.test', model: 'test-model' });
+        const deltas = [];
+        const response = await provider.stream(
+            { systemPrompt: 'Be kind.', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.7, maxTokens: 100, topP: 1 },
+            delta => deltas.push(delta)
+        );
+
+        expect(post.mock.calls[0][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+        expect(deltas.join('')).toBe('Hello there');
+        expect(response.usage).toEqual({ prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 });
+    });
+});
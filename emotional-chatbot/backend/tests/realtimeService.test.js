@@ -0,0 +1,98 @@
+/**
+ * Realtime channel: token authentication, session rooms and socket exclusion
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+const realtimeService = require('../services/realtimeService');
+const authService = require('../services/authService');
+
+describe('RealtimeService', () => {
+    let server;
+    let url;
+    const sockets = [];
+
+    // Resolves with the next frame matching `type`
+    const nextFrame = (ws, type) => new Promise(resolve => {
+        const onMessage = (raw) => {
+            const frame = JSON.parse(raw.toString());
+            if (frame.type !== type) return;
+            ws.off('message', onMessage);
+            resolve(frame);
+        };
+        ws.on('message', onMessage);
+    });
+
+    const connect = async (userId, sessionId) => {
+        const ws = new WebSocket(url);
+        sockets.push(ws);
+        await new Promise(resolve => ws.once('open', resolve));
+
+        const ready = nextFrame(ws, 'ready');
+        ws.send(JSON.stringify({ type: 'auth', token: authService.issueTokens({ userId }).accessToken }));
+        ws.socketId = (await ready).socketId;
+
+        if (sessionId) {
+            const joined = nextFrame(ws, 'joined');
+            ws.send(JSON.stringify({ type: 'join', sessionId }));
+            await joined;
+        }
+        return ws;
+    };
+
+    beforeAll(async () => {
+        server = http.createServer();
+        realtimeService.attach(server);
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `ws://127.0.0.1:${server.address().port}${realtimeService.config.path}`;
+    });
+
+    afterEach(() => {
+        sockets.splice(0).forEach(ws => ws.terminate());
+    });
+
+    afterAll(async () => {
+        realtimeService.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('Closes sockets that send an invalid token', async () => {
+        const ws = new WebSocket(url);
+        sockets.push(ws);
+        await new Promise(resolve => ws.once('open', resolve));
+
+        const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+        ws.send(JSON.stringify({ type: 'auth', token: 'not-a-token' }));
+
+        expect(await closed).toBe(4001);
+    });
+
+    test('Delivers session frames only to that user and session, except the sender', async () => {
+        const sender = await connect('user-a', 'session-1');
+        const otherTab = await connect('user-a', 'session-1');
+        const otherSession = await connect('user-a', 'session-2');
+        const otherUser = await connect('user-b', 'session-1');
+
+        const received = nextFrame(otherTab, 'token');
+        const delivered = realtimeService.toSession('user-a', 'session-1', 'token', { content: 'Hi' }, { except: sender.socketId });
+
+        expect(delivered).toBe(1);
+        expect(await received).toEqual({ type: 'token', sessionId: 'session-1', content: 'Hi' });
+        expect(realtimeService.isOnline('user-a')).toBe(true);
+        expect(otherSession.readyState).toBe(WebSocket.OPEN);
+        expect(otherUser.readyState).toBe(WebSocket.OPEN);
+    });
+
+    test('Pushes user frames to every socket of the user', async () => {
+        const first = await connect('user-c', 'session-1');
+        const second = await connect('user-c');
+
+        const frames = Promise.all([nextFrame(first, 'message'), nextFrame(second, 'message')]);
+        expect(realtimeService.toUser('user-c', 'message', { message: { content: 'Checking in' } })).toBe(2);
+
+        const [a, b] = await frames;
+        expect(a.message.content).toBe('Checking in');
+        expect(b.message.content).toBe('Checking in');
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Risk screening: who a message is about, negation, idioms and titles
+ */
+
+const safetyService = require('../services/safetyService');
+
+describe('SafetyService', () => {
+    test.each([
+        // About the user
+        ['I want to kill myself', 'crisis', 'self'],
+        ['I want to end my life tonight', 'crisis', 'self'],
+        ["I don't want to live anymore", 'high', 'self'],
+        ['I keep hurting myself when it gets bad', 'high', 'self'],
+        ['I feel hopeless and worthless', 'low', 'self'],
+
+        // About someone else
+        ['My friend said she wants to kill herself', 'crisis', 'other'],
+        ['My brother keeps cutting himself', 'high', 'other'],
+        ['my friend is suicidal', 'high', 'other'],
+        ['My sister wants to kill herself and honestly I want to die too', 'crisis', 'self'],
+
+        // Negated
+        ['I am not going to kill myself', 'none', 'self'],
+        ["I'm not suicidal, just tired", 'none', 'self'],
+        ["I'm not going to kill myself. Actually I want to kill myself", 'crisis', 'self'],
+
+        // Idioms and titles
+        ['I could kill myself for forgetting my keys lol', 'none', 'self'],
+        ['Suicide squad was a great movie', 'none', 'self'],
+        ['I volunteer for suicide prevention', 'none', 'self'],
+        ['I nearly died of embarrassment', 'none', 'self'],
+
+        // Injuries, and cuts or burns without a sign of intent
+        ['I cut myself shaving this morning', 'none', 'self'],
+        ['I hurt myself at the gym today', 'none', 'self'],
+        ['I always burn myself on the oven', 'none', 'self'],
+        ['I accidentally cut myself making dinner', 'none', 'self'],
+        ['I hurt myself yesterday', 'medium', 'self'],
+        ['I cut myself on purpose after cooking', 'high', 'self'],
+        ['I want to burn myself again', 'high', 'self'],
+        ["I'm not going to hurt myself", 'none', 'self'],
+        ['What a great day', 'none', 'self']
+    ])('"%s" is %s risk about %s', (text, level, subject) => {
+        expect(safetyService.assessRisk(text)).toMatchObject({ level, subject });
+    });
+
+    test('Raises conversation urgency and eases it off once recent messages are calm', () => {
+        expect(safetyService.toUrgency('high', ['none', 'low'])).toBe('high');
+        expect(safetyService.toUrgency('none', ['low', 'crisis', 'none'])).toBe('crisis');
+        expect(safetyService.toUrgency('none', ['crisis', 'none', 'none', 'low', 'none'])).toBe('low');
+        expect(safetyService.toUrgency('medium')).toBe('medium');
+    });
+});
@@ -13,12 +13,22 @@ global.console = {
     error: console.error // Keep errors visible
 };
 
-// Set test environment variables
+// Set test environment variables - everything runs offline against the mock LLM
 process.env.NODE_ENV = 'test';
-process.env.MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/chatbot_test';
 process.env.JWT_SECRET = 'test-jwt-secret';
-process.env.GROQ_API_KEY = 'test-groq-key';
-process.env.HUGGINGFACE_API_KEY = 'test-hf-key';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.LLM_PROVIDER_CHAIN = 'mock';
+process.env.LLM_MOCK_BACKOFF_MS = '0';
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.MEMORY_EXTRACTION_MODE = 'rules';
+process.env.RATE_LIMIT_MAX_REQUESTS = '10000';
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '10000';
+process.env.QUOTA_STORE = 'memory';
+process.env.QUOTA_CHAT_MAX_REQUESTS = '10000';
+process.env.QUOTA_MEMORY_MAX_REQUESTS = '10000';
+process.env.QUOTA_ANALYTICS_MAX_REQUESTS = '10000';
+process.env.QUOTA_ACCOUNT_MAX_REQUESTS = '10000';
+process.env.LOG_LEVEL = 'error';
 
 // Extend Jest matchers
 expect.extend({
@@ -43,16 +53,10 @@ global.testUtils = {
     delay: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
 
     generateTestUser: (overrides = {}) => ({
-        userId: `test_${Date.now()}_${Math.random()}`,
-        profile: {
-            name: 'TestUser',
-            personalNumber: 123,
-            birthMonth: 'January',
-            age: 25,
-            interests: 'testing',
-            emotionalState: { current: 'neutral' },
-            ...overrides
-        }
+        username: `test_${Date.now()}_${Math.floor(Math.random() * 1e6)}`,
+        passphrase: 'correct horse battery',
+        name: 'TestUser',
+        ...overrides
     }),
 
     generateTestMessage: (content = 'test message') => ({
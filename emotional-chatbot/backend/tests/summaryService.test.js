@@ -0,0 +1,125 @@
+/**
+ * Running conversation summaries: when turns are folded in, what is written
+ * back, wrapping up the last session and the summary in the prompt
+ */
+
+const summaryService = require('../services/summaryService');
+const llmService = require('../services/llmService');
+const Conversation = require('../models/Conversation');
+
+describe('SummaryService', () => {
+    const { config } = summaryService;
+    const reply = {
+        narrative: 'The user talked about their exam and felt calmer by the end.',
+        mainTopics: ['exams'],
+        emotionalJourney: ['anxious -> calmer'],
+        unresolved: ['Whether to ask for an extension'],
+        nextSteps: ['Ask how the exam went']
+    };
+
+    const conversationWith = (count) => new Conversation({
+        userId: 'user-1',
+        sessionId: 'session-1',
+        messages: Array.from({ length: count }, (_, i) => ({
+            role: i % 2 === 0 ? 'user' : 'assistant',
+            content: `Message ${i} about my exam next friday and how nervous it makes me feel`,
+            timestamp: new Date(Date.UTC(2026, 9, 19, 12, i))
+        }))
+    });
+
+    let generateJSON;
+    let updateOne;
+
+    beforeEach(() => {
+        summaryService.config = { ...config, keepRecentMessages: 2, triggerTokens: 40, minSessionMessages: 4 };
+        generateJSON = jest.spyOn(llmService, 'generateJSON').mockResolvedValue({ data: reply });
+        updateOne = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    });
+
+    afterEach(() => {
+        summaryService.config = config;
+        jest.restoreAllMocks();
+    });
+
+    test('Only summarizes once enough turns have left the prompt window', () => {
+        const conversation = conversationWith(3);
+        expect(summaryService.getPendingMessages(conversation)).toMatchObject({ start: 0, end: 1 });
+        expect(summaryService.needsSummary(conversation)).toBe(false);
+
+        conversation.messages.push(...conversationWith(4).messages);
+        expect(summaryService.needsSummary(conversation)).toBe(true);
+
+        conversation.summary.summarizedThrough = 5;
+        expect(summaryService.getPendingMessages(conversation)).toMatchObject({ start: 5, end: 5, messages: [] });
+        expect(summaryService.needsSummary(conversation)).toBe(false);
+    });
+
+    test('Folds the pending turns into the stored summary', async () => {
+        const conversation = conversationWith(6);
+        jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+
+        const summary = await summaryService.summarize(conversation._id);
+
+        expect(summary).toMatchObject({ ...reply, summarizedThrough: 4 });
+        expect(generateJSON.mock.calls[0][1]).toContain('Existing summary:\n(none yet)');
+        expect(generateJSON.mock.calls[0][1]).toContain('User: Message 0');
+        expect(generateJSON.mock.calls[0][1]).not.toContain('Message 4');
+        expect(generateJSON.mock.calls[0][2]).toMatchObject({ userId: 'user-1' });
+
+        const [filter, { $set }] = updateOne.mock.calls[0];
+        expect(filter).toEqual({ _id: conversation._id, 'messages.3.id': conversation.messages[3].id });
+        expect($set).toMatchObject({ 'summary.narrative': reply.narrative, 'summary.summarizedThrough': 4 });
+    });
+
+    test("Doesn't write a summary for turns that left the active path meanwhile", async () => {
+        const conversation = conversationWith(6);
+        jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+        updateOne.mockResolvedValue({ matchedCount: 0 });
+
+        await expect(summaryService.summarize(conversation._id)).resolves.toBeNull();
+        expect(updateOne).toHaveBeenCalledTimes(1); // No title update either
+    });
+
+    test('Keeps the turns pending when the LLM reply is unusable', async () => {
+        const conversation = conversationWith(6);
+        jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        generateJSON.mockResolvedValue({ data: { mainTopics: ['exams'] } });
+
+        await summaryService.summarize(conversation._id);
+
+        const [, { $set }] = updateOne.mock.calls[0];
+        expect(Object.keys($set)).toEqual(['summary.mainTopics', 'summary.emotionalJourney']);
+        expect(conversation.summary.summarizedThrough).toBe(0);
+    });
+
+    test('Wraps up the previous session in full when a new one starts', async () => {
+        const previous = conversationWith(4);
+        const findOne = jest.spyOn(Conversation, 'findOne').mockReturnValue({ sort: () => Promise.resolve(previous) });
+        jest.spyOn(Conversation, 'findById').mockResolvedValue(previous);
+
+        await summaryService.finalizePreviousSession('user-1', 'session-2');
+
+        expect(findOne).toHaveBeenCalledWith({ userId: 'user-1', sessionId: { $ne: 'session-2' } });
+        expect(generateJSON.mock.calls[0][1]).toContain('Companion: Message 3');
+        expect(updateOne.mock.calls[0][1].$set['summary.summarizedThrough']).toBe(4);
+
+        // Too short to be worth it
+        findOne.mockReturnValue({ sort: () => Promise.resolve(conversationWith(3)) });
+        await summaryService.finalizePreviousSession('user-1', 'session-2');
+        expect(generateJSON).toHaveBeenCalledTimes(1);
+    });
+
+    test('Puts the summary and the last session in the prompt', () => {
+        const { request } = llmService.buildRequest([{ role: 'user', content: 'Hi again' }], null, [], {
+            summary: reply,
+            previousSession: { narrative: 'Talked about work', unresolved: ['A tense meeting'], nextSteps: ['Ask about the meeting'] }
+        });
+
+        expect(request.systemPrompt).toContain('EARLIER IN THIS CONVERSATION');
+        expect(request.systemPrompt).toContain(reply.narrative);
+        expect(request.systemPrompt).toContain('Still open: Whether to ask for an extension');
+        expect(request.systemPrompt).toContain('Unresolved: A tense meeting');
+        expect(request.systemPrompt).toContain('Worth following up: Ask about the meeting');
+    });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import ChatInterface from './components/ChatInterface';
+import InsightsPage from './components/InsightsPage';
 import AnimatedBackground from './components/AnimatedBackground';
 import { ChatProvider } from './context/ChatContext';
 import './App.css';
@@ -14,6 +15,7 @@ function App() {
                 <Router>
                     <Routes>
                         <Route path="/" element={<ChatInterface />} />
+                        <Route path="/insights" element={<InsightsPage />} />
                     </Routes>
                 </Router>
                 <Toaster
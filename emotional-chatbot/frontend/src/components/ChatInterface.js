@@ -1,10 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Send, Heart, Brain, Sparkles, MessageCircle } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Send, Heart, Brain, Sparkles, MessageCircle, LogOut, LineChart } from 'lucide-react';
 import { useChat } from '../context/ChatContext';
 import Message from './Message';
 import TypingIndicator from './TypingIndicator';
 import EmotionalStatus from './EmotionalStatus';
+import CrisisBanner from './CrisisBanner';
+import DataExportMenu from './DataExportMenu';
+import ConversationSearch from './ConversationSearch';
+import SessionSidebar from './SessionSidebar';
+import MemoryManager from './MemoryManager';
+import MoodCheckIn from './MoodCheckIn';
+import PersonaMenu from './PersonaMenu';
+import UserIdentification from './UserIdentification';
+import { isToday } from 'date-fns';
 import toast from 'react-hot-toast';
 
 const ChatInterface = () => {
@@ -17,15 +27,60 @@ const ChatInterface = () => {
         messages,
         isLoading,
         sendMessage,
+        editMessage,
+        regenerateMessage,
+        switchBranch,
+        sendFeedback,
+        openSession,
+        startNewSession,
+        sessionId,
+        focusMessageId,
         userProfile,
         connectionStatus,
+        realtimeStatus,
+        companionTyping,
         isNewUser,
         onboardingComplete,
+        crisisAlert,
+        dismissCrisisAlert,
+        isAuthenticated,
+        authChecked,
+        logout,
+        userId,
+        personas,
+        persona,
+        selectPersona,
+        checkInMood,
+        updateMoodReminder,
     } = useChat();
 
+    const navigate = useNavigate();
+
+    const companionName = persona?.name || 'Stan';
+
+    // Today's mood check-in, shown next to the connection status
+    const lastCheckIn = userProfile?.emotionalState?.lastCheckIn;
+    const checkedInMood = lastCheckIn?.timestamp && isToday(new Date(lastCheckIn.timestamp)) ? lastCheckIn.state : null;
+
+    // Once tokens start arriving the streaming message replaces the typing indicator
+    const isStreamingReply = messages.some(msg => msg.isStreaming);
+
+    // Only saved turns of the regular conversation can be edited or regenerated
+    const canBranch = (msg) => onboardingComplete &&
+        !msg.isStreaming &&
+        !msg.metadata?.isError &&
+        !msg.metadata?.isOnboarding &&
+        !msg.metadata?.isCrisisResponse &&
+        !msg.metadata?.checkInId;
+
+    // A message opened from search stays in view until the user sends the next one
     useEffect(() => {
-        scrollToBottom();
-    }, [messages, isLoading]);
+        if (focusMessageId) {
+            document.getElementById(`message-${focusMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+            scrollToBottom();
+        }
+    }, [messages, isLoading, focusMessageId]);
 
     // Show welcome screen only for returning users with no active conversation
     useEffect(() => {
@@ -40,9 +95,6 @@ const ChatInterface = () => {
         }
     }, [isNewUser, onboardingComplete, messages.length]);
 
-    // Show identification modal only when manually triggered
-    // Removed automatic trigger since we now properly handle new vs returning users in ChatContext
-
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     };
@@ -83,8 +135,28 @@ const ChatInterface = () => {
         "I just need someone to listen without judgment",
     ];
 
+    // Wait for stored tokens to be checked before choosing between login and chat
+    if (!authChecked) {
+        return null;
+    }
+
+    if (!isAuthenticated) {
+        return <UserIdentification />;
+    }
+
     return (
         <div className="chat-container">
+            {/* Past sessions drawer */}
+            {onboardingComplete && (
+                <SessionSidebar
+                    userId={userId}
+                    currentSessionId={sessionId}
+                    isBusy={isLoading}
+                    onOpen={openSession}
+                    onNew={startNewSession}
+                />
+            )}
+
             {/* Header */}
             <motion.div
                 className="chat-header"
@@ -100,12 +172,65 @@ const ChatInterface = () => {
                         <Brain size={32} color="white" />
                     </motion.div>
                     <h1 style={{ fontSize: '2rem', fontWeight: '700', margin: 0 }}>
-                        Stan
+                        {companionName}
                     </h1>
-                    <EmotionalStatus status={connectionStatus} />
+                    <EmotionalStatus status={connectionStatus} emotion={checkedInMood} realtime={realtimeStatus} />
+                    <PersonaMenu personas={personas} currentId={persona?.id} onSelect={selectPersona} />
+                    <ConversationSearch
+                        userId={userId}
+                        companionName={companionName}
+                        onOpen={(result) => openSession(result.sessionId, result.messageId)}
+                    />
+                    {onboardingComplete && (
+                        <MoodCheckIn
+                            userId={userId}
+                            lastCheckIn={lastCheckIn}
+                            preferences={userProfile?.preferences}
+                            onCheckIn={checkInMood}
+                            onReminderChange={updateMoodReminder}
+                        />
+                    )}
+                    <MemoryManager userId={userId} companionName={companionName} />
+                    <motion.button
+                        type="button"
+                        onClick={() => navigate('/insights')}
+                        title="Mood insights"
+                        aria-label="Mood insights"
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.95 }}
+                        style={{
+                            background: 'none',
+                            border: 'none',
+                            color: 'white',
+                            cursor: 'pointer',
+                            opacity: 0.7,
+                            display: 'flex'
+                        }}
+                    >
+                        <LineChart size={20} />
+                    </motion.button>
+                    <DataExportMenu userId={userId} />
+                    <motion.button
+                        type="button"
+                        onClick={logout}
+                        title="Log out"
+                        aria-label="Log out"
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.95 }}
+                        style={{
+                            background: 'none',
+                            border: 'none',
+                            color: 'white',
+                            cursor: 'pointer',
+                            opacity: 0.7,
+                            display: 'flex'
+                        }}
+                    >
+                        <LogOut size={20} />
+                    </motion.button>
                 </div>
                 <p style={{ fontSize: '1rem', opacity: 0.8, margin: 0 }}>
-                    Your emotionally intelligent companion
+                    {persona?.tagline || 'Your emotionally intelligent companion'}
                 </p>
             </motion.div>
 
@@ -150,7 +275,7 @@ const ChatInterface = () => {
                             </motion.div>
 
                             <h2 style={{ fontSize: '1.8rem', marginBottom: '15px', color: 'white' }}>
-                                Hello! I'm Stan 👋
+                                Hello! I'm {companionName} 👋
                             </h2>
 
                             <p style={{
@@ -210,6 +335,13 @@ const ChatInterface = () => {
                 )}
             </AnimatePresence>
 
+            {/* Support resources stay pinned above the chat until dismissed */}
+            <AnimatePresence>
+                {crisisAlert && (
+                    <CrisisBanner alert={crisisAlert} onDismiss={dismissCrisisAlert} />
+                )}
+            </AnimatePresence>
+
             {/* Messages Container */}
             <motion.div
                 className="chat-messages glass"
@@ -227,11 +359,19 @@ const ChatInterface = () => {
                             key={msg.id || index}
                             message={msg}
                             isLast={index === messages.length - 1}
+                            isFocused={msg.id === focusMessageId}
+                            disabled={isLoading}
+                            onEdit={canBranch(msg) && msg.role === 'user' ? editMessage : undefined}
+                            onRegenerate={canBranch(msg) && msg.role === 'assistant' && messages[index - 1]?.role === 'user'
+                                ? regenerateMessage
+                                : undefined}
+                            onSwitchBranch={switchBranch}
+                            onFeedback={msg.isSaved && msg.role === 'assistant' ? sendFeedback : undefined}
                         />
                     ))}
                 </AnimatePresence>
 
-                {isLoading && <TypingIndicator />}
+                {(isLoading || companionTyping) && !isStreamingReply && <TypingIndicator name={companionName} />}
                 <div ref={messagesEndRef} />
             </motion.div>
 
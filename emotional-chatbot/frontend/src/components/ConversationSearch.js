@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Search } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import apiService from '../services/apiService';
+
+const emotions = ['happy', 'sad', 'anxious', 'excited', 'neutral', 'frustrated', 'content', 'overwhelmed'];
+const conversationTypes = ['casual', 'support', 'advice', 'venting', 'celebration', 'problem_solving'];
+
+const fieldStyle = {
+    background: 'rgba(0, 0, 0, 0.2)',
+    color: 'white',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    padding: '6px 8px',
+    fontSize: '0.8rem',
+    minWidth: 0
+};
+
+// Date inputs give local days; the search takes whole days in ISO time
+const startOfDay = (day) => (day ? new Date(`${day}T00:00:00`).toISOString() : undefined);
+const endOfDay = (day) => (day ? new Date(`${day}T23:59:59.999`).toISOString() : undefined);
+
+// Snippet text with the server's [start, end) highlight ranges marked
+const Highlighted = ({ text, highlights }) => {
+    const parts = [];
+    let at = 0;
+    highlights.forEach(([from, to]) => {
+        if (from > at) parts.push(text.slice(at, from));
+        parts.push(
+            <mark key={from} style={{ background: 'rgba(251, 191, 36, 0.35)', color: 'inherit', borderRadius: '3px' }}>
+                {text.slice(from, to)}
+            </mark>
+        );
+        at = to;
+    });
+    parts.push(text.slice(at));
+    return <>{parts}</>;
+};
+
+const ConversationSearch = ({ userId, companionName, onOpen }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [query, setQuery] = useState('');
+    const [filters, setFilters] = useState({ emotion: '', conversationType: '', from: '', to: '' });
+    const [results, setResults] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+
+    const setFilter = (name) => (e) => setFilters(current => ({ ...current, [name]: e.target.value }));
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+
+        setIsSearching(true);
+        try {
+            const data = await apiService.searchConversations(userId, query.trim(), {
+                filters: {
+                    emotion: filters.emotion || undefined,
+                    conversationType: filters.conversationType || undefined,
+                    from: startOfDay(filters.from),
+                    to: endOfDay(filters.to),
+                },
+            });
+            setResults(data.results);
+        } catch (error) {
+            toast.error(error.message || 'Failed to search your conversations');
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    const handleOpen = async (result) => {
+        setIsOpen(false);
+        await onOpen(result);
+    };
+
+    return (
+        <div style={{ position: 'relative', display: 'flex' }}>
+            <motion.button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                disabled={!userId}
+                title="Search conversations"
+                aria-label="Search conversations"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'white',
+                    cursor: 'pointer',
+                    opacity: 0.7,
+                    display: 'flex'
+                }}
+            >
+                <Search size={20} />
+            </motion.button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        className="glass"
+                        role="dialog"
+                        aria-label="Search conversations"
+                        initial={{ opacity: 0, y: -8 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -8 }}
+                        transition={{ duration: 0.2 }}
+                        style={{
+                            position: 'absolute',
+                            top: '32px',
+                            right: 0,
+                            zIndex: 10,
+                            width: '360px',
+                            maxWidth: '90vw',
+                            padding: '12px',
+                            borderRadius: '12px',
+                            color: 'white',
+                            textAlign: 'left'
+                        }}
+                    >
+                        <form onSubmit={handleSearch} style={{ display: 'grid', gap: '8px' }}>
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                                <input
+                                    type="search"
+                                    value={query}
+                                    onChange={(e) => setQuery(e.target.value)}
+                                    placeholder="Search past conversations..."
+                                    maxLength={200}
+                                    autoFocus
+                                    style={{ ...fieldStyle, flex: 1, fontSize: '0.9rem' }}
+                                />
+                                <button
+                                    type="submit"
+                                    disabled={!query.trim() || isSearching}
+                                    className="btn-secondary"
+                                    style={{ padding: '6px 12px', borderRadius: '8px', fontSize: '0.8rem' }}
+                                >
+                                    {isSearching ? 'Searching...' : 'Search'}
+                                </button>
+                            </div>
+
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                                <select value={filters.emotion} onChange={setFilter('emotion')} style={fieldStyle} aria-label="Emotion">
+                                    <option value="">Any emotion</option>
+                                    {emotions.map(emotion => <option key={emotion} value={emotion}>{emotion}</option>)}
+                                </select>
+                                <select value={filters.conversationType} onChange={setFilter('conversationType')} style={fieldStyle} aria-label="Conversation type">
+                                    <option value="">Any conversation</option>
+                                    {conversationTypes.map(type => <option key={type} value={type}>{type.replace('_', ' ')}</option>)}
+                                </select>
+                                <input type="date" value={filters.from} onChange={setFilter('from')} style={fieldStyle} aria-label="From" />
+                                <input type="date" value={filters.to} onChange={setFilter('to')} style={fieldStyle} aria-label="To" />
+                            </div>
+                        </form>
+
+                        {results && (
+                            <div style={{ marginTop: '10px', maxHeight: '50vh', overflowY: 'auto' }}>
+                                {results.length === 0 && (
+                                    <div style={{ fontSize: '0.85rem', opacity: 0.7, padding: '8px' }}>
+                                        No messages found
+                                    </div>
+                                )}
+                                {results.map(result => (
+                                    <button
+                                        key={result.messageId}
+                                        type="button"
+                                        onClick={() => handleOpen(result)}
+                                        style={{
+                                            display: 'block',
+                                            width: '100%',
+                                            padding: '8px',
+                                            marginBottom: '4px',
+                                            background: 'rgba(255, 255, 255, 0.05)',
+                                            border: 'none',
+                                            borderRadius: '8px',
+                                            color: 'inherit',
+                                            cursor: 'pointer',
+                                            textAlign: 'left',
+                                            fontSize: '0.85rem',
+                                            lineHeight: 1.4
+                                        }}
+                                    >
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7rem', opacity: 0.6, marginBottom: '4px' }}>
+                                            <span>{result.role === 'user' ? 'You' : companionName}</span>
+                                            <span>
+                                                {format(new Date(result.timestamp), 'd MMM yyyy')}
+                                                {result.emotion && ` · ${result.emotion}`}
+                                            </span>
+                                        </div>
+                                        <Highlighted text={result.snippet} highlights={result.highlights} />
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default ConversationSearch;
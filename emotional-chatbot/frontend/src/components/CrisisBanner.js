@@ -0,0 +1,74 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { LifeBuoy, X } from 'lucide-react';
+
+const isLink = (contact) => /^https?:\/\//.test(contact);
+
+const CrisisBanner = ({ alert, onDismiss }) => {
+    const resources = alert.resources || [];
+
+    return (
+        <motion.div
+            className="glass"
+            role="alert"
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            transition={{ duration: 0.3 }}
+            style={{
+                margin: '0 0 12px',
+                padding: '16px 20px',
+                borderRadius: '16px',
+                border: '1px solid rgba(255, 183, 77, 0.5)',
+                background: 'rgba(255, 183, 77, 0.12)',
+                color: 'white',
+                position: 'relative'
+            }}
+        >
+            <button
+                type="button"
+                onClick={onDismiss}
+                aria-label="Dismiss support resources"
+                style={{
+                    position: 'absolute',
+                    top: '12px',
+                    right: '12px',
+                    background: 'none',
+                    border: 'none',
+                    color: 'inherit',
+                    cursor: 'pointer',
+                    opacity: 0.7
+                }}
+            >
+                <X size={16} />
+            </button>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', fontWeight: 600 }}>
+                <LifeBuoy size={18} />
+                <span>
+                    {alert.subject === 'other'
+                        ? 'Support is available for the person you are worried about'
+                        : 'You don\'t have to go through this alone'}
+                </span>
+            </div>
+
+            <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '0.9rem', lineHeight: 1.6 }}>
+                {resources.map((resource) => (
+                    <li key={resource.name}>
+                        <strong>{resource.name}</strong>:{' '}
+                        {isLink(resource.contact) ? (
+                            <a href={resource.contact} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit' }}>
+                                {resource.contact}
+                            </a>
+                        ) : resource.contact}
+                        {resource.description && (
+                            <span style={{ opacity: 0.75 }}> ({resource.description})</span>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </motion.div>
+    );
+};
+
+export default CrisisBanner;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download, FileJson, FileText } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiService from '../services/apiService';
+
+const exportOptions = [
+    { format: 'html', label: 'Readable archive (HTML)', icon: FileText },
+    { format: 'markdown', label: 'Readable archive (Markdown)', icon: FileText },
+    { format: 'json', label: 'Machine-readable (JSON)', icon: FileJson },
+];
+
+const saveBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+const DataExportMenu = ({ userId }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const handleExport = async (format) => {
+        setIsOpen(false);
+        setIsExporting(true);
+
+        try {
+            const { blob, filename } = await apiService.exportUserData(userId, format);
+            saveBlob(blob, filename);
+            toast.success('Your data export is ready');
+        } catch (error) {
+            toast.error(error.message || 'Failed to export your data');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div style={{ position: 'relative', display: 'flex' }}>
+            <motion.button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                disabled={isExporting || !userId}
+                title="Download my data"
+                aria-label="Download my data"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'white',
+                    cursor: isExporting ? 'wait' : 'pointer',
+                    opacity: isExporting ? 0.4 : 0.7,
+                    display: 'flex'
+                }}
+            >
+                <Download size={20} />
+            </motion.button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        className="glass"
+                        role="menu"
+                        initial={{ opacity: 0, y: -8 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -8 }}
+                        transition={{ duration: 0.2 }}
+                        style={{
+                            position: 'absolute',
+                            top: '32px',
+                            right: 0,
+                            zIndex: 10,
+                            minWidth: '240px',
+                            padding: '8px',
+                            borderRadius: '12px',
+                            color: 'white',
+                            textAlign: 'left'
+                        }}
+                    >
+                        <div style={{ fontSize: '0.8rem', opacity: 0.7, padding: '4px 8px 8px' }}>
+                            Download my data
+                        </div>
+                        {exportOptions.map(({ format, label, icon: Icon }) => (
+                            <button
+                                key={format}
+                                type="button"
+                                role="menuitem"
+                                onClick={() => handleExport(format)}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '8px',
+                                    width: '100%',
+                                    padding: '8px',
+                                    background: 'none',
+                                    border: 'none',
+                                    borderRadius: '8px',
+                                    color: 'inherit',
+                                    cursor: 'pointer',
+                                    fontSize: '0.9rem'
+                                }}
+                            >
+                                <Icon size={16} />
+                                {label}
+                            </button>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default DataExportMenu;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 
-const EmotionalStatus = ({ status, emotion }) => {
+const EmotionalStatus = ({ status, emotion, realtime }) => {
     const getStatusColor = (status) => {
         switch (status) {
             case 'connected':
@@ -20,7 +20,8 @@ const EmotionalStatus = ({ status, emotion }) => {
     const getStatusText = (status) => {
         switch (status) {
             case 'connected':
-                return 'Ready to listen';
+                // Requests still work while the live channel reconnects
+                return realtime === 'reconnecting' ? 'Ready to listen (reconnecting live updates...)' : 'Ready to listen';
             case 'thinking':
                 return 'Thinking...';
             case 'connecting':
@@ -55,7 +56,7 @@ const EmotionalStatus = ({ status, emotion }) => {
                     ease: "easeInOut"
                 }}
             />
-            <span>{getStatusText(status)}</span>
+            <span title={realtime === 'open' ? 'Live updates on' : undefined}>{getStatusText(status)}</span>
             {emotion && (
                 <span style={{
                     fontSize: '0.7rem',
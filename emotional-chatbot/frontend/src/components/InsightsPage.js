@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useChat } from '../context/ChatContext';
+import apiService from '../services/apiService';
+import { MoodLineChart, EmotionDistribution, MoodHeatmap, WeekComparison } from './MoodCharts';
+
+const ranges = {
+    day: { days: 30, label: 'Last 30 days' },
+    week: { days: 84, label: 'Last 12 weeks' }
+};
+
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const tabStyle = (active) => ({
+    padding: '6px 12px',
+    background: active ? 'rgba(255, 255, 255, 0.2)' : 'none',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '0.8rem'
+});
+
+const Card = ({ title, children }) => (
+    <section className="glass" style={{ padding: '16px', borderRadius: '16px', display: 'grid', gap: '12px' }}>
+        <h2 style={{ margin: 0, fontSize: '1rem' }}>{title}</h2>
+        {children}
+    </section>
+);
+
+const InsightsPage = () => {
+    const { userId, isAuthenticated, authChecked, persona } = useChat();
+    const navigate = useNavigate();
+    const [interval, setSelectedInterval] = useState('day');
+    const [insights, setInsights] = useState(null);
+    const [analytics, setAnalytics] = useState(null);
+    const [feedback, setFeedback] = useState(null);
+
+    useEffect(() => {
+        if (!isAuthenticated || !userId) return;
+
+        Promise.all([
+            apiService.getMoodInsights(userId, { interval, days: ranges[interval].days, timeZone }),
+            apiService.getUserAnalytics(userId),
+            apiService.getFeedbackAnalytics(userId, ranges[interval].days)
+        ])
+            .then(([moodInsights, userAnalytics, feedbackAnalytics]) => {
+                setInsights(moodInsights);
+                setAnalytics(userAnalytics);
+                setFeedback(feedbackAnalytics);
+            })
+            .catch(error => toast.error(error.message || 'Failed to load your insights'));
+    }, [isAuthenticated, userId, interval]);
+
+    if (!authChecked) return null;
+    if (!isAuthenticated) return <Navigate to="/" replace />;
+
+    const conversationTypes = Object.entries(analytics?.conversationTypes || {}).sort((a, b) => b[1] - a[1]);
+    const ratedTones = Object.entries(feedback?.byEmotionalTone || {}).sort((a, b) => b[1].total - a[1].total);
+
+    return (
+        <div style={{ maxWidth: '800px', margin: '0 auto', padding: '20px', color: 'white', textAlign: 'left' }}>
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.6 }}
+                style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px' }}
+            >
+                <button
+                    type="button"
+                    onClick={() => navigate('/')}
+                    aria-label={`Back to ${persona?.name || 'Stan'}`}
+                    title={`Back to ${persona?.name || 'Stan'}`}
+                    style={{ background: 'none', border: 'none', color: 'white', cursor: 'pointer', display: 'flex', opacity: 0.8 }}
+                >
+                    <ArrowLeft size={22} />
+                </button>
+                <h1 style={{ margin: 0, fontSize: '1.6rem', flex: 1 }}>Your mood insights</h1>
+                {Object.entries(ranges).map(([key, range]) => (
+                    <button key={key} type="button" onClick={() => setSelectedInterval(key)} style={tabStyle(interval === key)}>
+                        {range.label}
+                    </button>
+                ))}
+            </motion.div>
+
+            {insights && (
+                <div style={{ display: 'grid', gap: '16px' }}>
+                    <Card title="Mood over time">
+                        <MoodLineChart buckets={insights.buckets} interval={insights.interval} />
+                    </Card>
+
+                    <Card title="Week over week">
+                        <WeekComparison weekOverWeek={insights.weekOverWeek} />
+                    </Card>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '16px' }}>
+                        <Card title="Emotions">
+                            <EmotionDistribution distribution={insights.distribution} />
+                        </Card>
+
+                        <Card title="Your check-ins">
+                            <EmotionDistribution distribution={insights.checkInDistribution || {}} />
+                        </Card>
+
+                        {analytics && (
+                            <Card title="All conversations">
+                                <div style={{ fontSize: '0.85rem', opacity: 0.85 }}>
+                                    {analytics.totalConversations} conversations · {analytics.totalMessages} messages
+                                </div>
+                                {conversationTypes.map(([type, count]) => (
+                                    <div key={type} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem' }}>
+                                        <span style={{ textTransform: 'capitalize' }}>{type.replace('_', ' ')}</span>
+                                        <span style={{ opacity: 0.7 }}>{count}</span>
+                                    </div>
+                                ))}
+                            </Card>
+                        )}
+
+                        {feedback?.total > 0 && (
+                            <Card title="Replies you rated">
+                                <div style={{ fontSize: '0.85rem', opacity: 0.85 }}>
+                                    {feedback.total} rated · {Math.round(feedback.positiveRate * 100)}% helpful
+                                </div>
+                                {ratedTones.map(([tone, tally]) => (
+                                    <div key={tone} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem' }}>
+                                        <span style={{ textTransform: 'capitalize' }}>{tone} replies</span>
+                                        <span style={{ opacity: 0.7 }}>{Math.round(tally.positiveRate * 100)}% of {tally.total}</span>
+                                    </div>
+                                ))}
+                            </Card>
+                        )}
+                    </div>
+
+                    <Card title="When you feel what">
+                        <MoodHeatmap heatmap={insights.heatmap} />
+                        <div style={{ fontSize: '0.7rem', opacity: 0.6 }}>
+                            Times are in {insights.timeZone}. Green is a better mood, red a harder one.
+                        </div>
+                    </Card>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InsightsPage;
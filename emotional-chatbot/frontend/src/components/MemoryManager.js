@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { BrainCircuit, X, Pencil, Pin, PinOff, EyeOff, Eye, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import apiService from '../services/apiService';
+
+const PAGE_SIZE = 100;
+
+// Display order and headings for memory types
+const typeLabels = {
+    personal_fact: 'About you',
+    relationship: 'People in your life',
+    goal: 'Goals',
+    concern: 'Worries',
+    significant_event: 'Important events',
+    achievement: 'Achievements',
+    preference: 'Likes and dislikes',
+    value: 'Values',
+    routine: 'Routines',
+    emotional_pattern: 'Emotional patterns',
+    trigger: 'Things that upset you',
+    coping_mechanism: 'What helps you cope',
+    communication_style: 'How you like to talk',
+    fake_memory: 'Generated'
+};
+
+const sourceLabels = {
+    explicit: 'You told me',
+    inferred: 'I inferred this'
+};
+
+const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: 'inherit',
+    cursor: 'pointer',
+    padding: '2px',
+    display: 'flex',
+    opacity: 0.7
+};
+
+const groupByType = (memories) => Object.keys(typeLabels)
+    .map(type => ({ type, memories: memories.filter(memory => memory.type === type) }))
+    .filter(group => group.memories.length > 0);
+
+const MemoryManager = ({ userId, companionName }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [memories, setMemories] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [draftContent, setDraftContent] = useState('');
+
+    const loadMemories = useCallback(async (page = 1) => {
+        try {
+            const data = await apiService.getUserMemories(userId, { page, limit: PAGE_SIZE });
+            setMemories(current => (page === 1 ? data.memories : [...current, ...data.memories]));
+            setPagination(data.pagination);
+        } catch (error) {
+            toast.error(error.message || 'Failed to load your memories');
+        }
+    }, [userId]);
+
+    useEffect(() => {
+        if (isOpen && userId) loadMemories();
+    }, [isOpen, userId, loadMemories]);
+
+    // Every change is saved right away; the next reply already uses it
+    const saveMemory = async (memoryId, changes, errorMessage) => {
+        try {
+            const updated = await apiService.updateMemory(memoryId, changes);
+            setMemories(current => current.map(m => (m._id === memoryId ? updated : m)));
+            return true;
+        } catch (error) {
+            toast.error(error.message || errorMessage);
+            return false;
+        }
+    };
+
+    const startEditing = (memory) => {
+        setEditingId(memory._id);
+        setDraftContent(memory.content);
+    };
+
+    const handleCorrect = async (e) => {
+        e.preventDefault();
+        const memoryId = editingId;
+        const content = draftContent.trim();
+        setEditingId(null);
+
+        if (!content || content === memories.find(m => m._id === memoryId)?.content) return;
+        if (await saveMemory(memoryId, { content }, 'Failed to correct the memory')) {
+            toast.success('Thanks, I\'ll remember it that way');
+        }
+    };
+
+    const handleDelete = async (memory) => {
+        if (!window.confirm('Forget this? I won\'t bring it up again.')) return;
+
+        try {
+            await apiService.deleteMemory(memory._id);
+            setMemories(current => current.filter(m => m._id !== memory._id));
+            toast.success('Memory deleted');
+        } catch (error) {
+            toast.error(error.message || 'Failed to delete the memory');
+        }
+    };
+
+    return (
+        <>
+            <motion.button
+                type="button"
+                onClick={() => setIsOpen(true)}
+                disabled={!userId}
+                title={`What ${companionName} remembers about me`}
+                aria-label={`What ${companionName} remembers about me`}
+                aria-expanded={isOpen}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'white',
+                    cursor: 'pointer',
+                    opacity: 0.7,
+                    display: 'flex'
+                }}
+            >
+                <BrainCircuit size={20} />
+            </motion.button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.aside
+                        className="glass"
+                        aria-label={`What ${companionName} remembers about me`}
+                        initial={{ x: 380 }}
+                        animate={{ x: 0 }}
+                        exit={{ x: 380 }}
+                        transition={{ type: 'spring', stiffness: 400, damping: 40 }}
+                        style={{
+                            position: 'fixed',
+                            top: 0,
+                            right: 0,
+                            bottom: 0,
+                            zIndex: 1001,
+                            width: '360px',
+                            maxWidth: '90vw',
+                            padding: '16px',
+                            borderRadius: '20px 0 0 20px',
+                            color: 'white',
+                            textAlign: 'left',
+                            display: 'flex',
+                            flexDirection: 'column',
+                            gap: '12px'
+                        }}
+                    >
+                        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                            <h2 style={{ margin: 0, fontSize: '1.1rem' }}>What {companionName} remembers</h2>
+                            <button type="button" onClick={() => setIsOpen(false)} style={iconButtonStyle} aria-label="Close">
+                                <X size={18} />
+                            </button>
+                        </div>
+                        <p style={{ margin: 0, fontSize: '0.75rem', opacity: 0.7 }}>
+                            Pinned memories are always on my mind. Off-limits ones stay saved, but I won't bring them up.
+                        </p>
+
+                        <div style={{ flex: 1, overflowY: 'auto', display: 'grid', alignContent: 'start', gap: '12px' }}>
+                            {memories.length === 0 && (
+                                <div style={{ fontSize: '0.85rem', opacity: 0.7, padding: '8px' }}>
+                                    Nothing yet. I'll remember what matters as we talk.
+                                </div>
+                            )}
+
+                            {groupByType(memories).map(group => (
+                                <section key={group.type} style={{ display: 'grid', gap: '4px' }}>
+                                    <h3 style={{ margin: '0 0 2px', fontSize: '0.8rem', fontWeight: 600, opacity: 0.8 }}>
+                                        {typeLabels[group.type]}
+                                    </h3>
+
+                                    {group.memories.map(memory => {
+                                        const { pinned, offLimits, needsUpdate } = memory.metadata || {};
+                                        const source = memory.isGenerated
+                                            ? memory.provenanceLabel || 'Generated'
+                                            : sourceLabels[memory.context?.source] || sourceLabels.explicit;
+                                        const confidence = Math.round((memory.context?.confidence ?? 0.7) * 100);
+
+                                        return (
+                                            <div
+                                                key={memory._id}
+                                                style={{
+                                                    padding: '8px 10px',
+                                                    borderRadius: '10px',
+                                                    background: pinned ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)',
+                                                    opacity: offLimits ? 0.6 : 1
+                                                }}
+                                            >
+                                                {editingId === memory._id ? (
+                                                    <form onSubmit={handleCorrect} style={{ display: 'grid', gap: '6px' }}>
+                                                        <textarea
+                                                            value={draftContent}
+                                                            onChange={(e) => setDraftContent(e.target.value)}
+                                                            onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                                                            maxLength={1000}
+                                                            rows={3}
+                                                            autoFocus
+                                                            style={{
+                                                                width: '100%',
+                                                                background: 'rgba(0, 0, 0, 0.2)',
+                                                                color: 'white',
+                                                                border: '1px solid rgba(255, 255, 255, 0.3)',
+                                                                borderRadius: '6px',
+                                                                padding: '4px 6px',
+                                                                fontSize: '0.85rem',
+                                                                resize: 'vertical'
+                                                            }}
+                                                        />
+                                                        <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+                                                            <button type="button" onClick={() => setEditingId(null)} className="btn-secondary" style={{ padding: '4px 10px', borderRadius: '6px', fontSize: '0.75rem' }}>
+                                                                Cancel
+                                                            </button>
+                                                            <button type="submit" disabled={!draftContent.trim()} className="btn-secondary" style={{ padding: '4px 10px', borderRadius: '6px', fontSize: '0.75rem' }}>
+                                                                Save
+                                                            </button>
+                                                        </div>
+                                                    </form>
+                                                ) : (
+                                                    <div style={{ fontSize: '0.85rem', lineHeight: 1.4 }}>{memory.content}</div>
+                                                )}
+
+                                                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', fontSize: '0.7rem' }}>
+                                                    <span style={{ opacity: 0.6, flex: 1 }}>
+                                                        {source} · importance {Math.round(memory.emotional_context?.importance || 5)}/10 · {confidence}% sure
+                                                        {needsUpdate && ' · unconfirmed'}
+                                                        {offLimits && ' · off-limits'}
+                                                    </span>
+                                                    <button type="button" onClick={() => startEditing(memory)} style={iconButtonStyle} title="Correct">
+                                                        <Pencil size={12} />
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => saveMemory(memory._id, { pinned: !pinned }, 'Failed to update the memory')}
+                                                        style={iconButtonStyle}
+                                                        title={pinned ? 'Unpin' : 'Pin'}
+                                                    >
+                                                        {pinned ? <PinOff size={12} /> : <Pin size={12} />}
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => saveMemory(memory._id, { offLimits: !offLimits }, 'Failed to update the memory')}
+                                                        style={iconButtonStyle}
+                                                        title={offLimits ? 'Allow bringing this up' : 'Off-limits'}
+                                                    >
+                                                        {offLimits ? <Eye size={12} /> : <EyeOff size={12} />}
+                                                    </button>
+                                                    <button type="button" onClick={() => handleDelete(memory)} style={iconButtonStyle} title="Delete">
+                                                        <Trash2 size={12} />
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </section>
+                            ))}
+
+                            {pagination && pagination.page < pagination.pages && (
+                                <button
+                                    type="button"
+                                    onClick={() => loadMemories(pagination.page + 1)}
+                                    className="btn-secondary"
+                                    style={{ padding: '6px', borderRadius: '8px', fontSize: '0.8rem' }}
+                                >
+                                    Show more
+                                </button>
+                            )}
+                        </div>
+                    </motion.aside>
+                )}
+            </AnimatePresence>
+        </>
+    );
+};
+
+export default MemoryManager;
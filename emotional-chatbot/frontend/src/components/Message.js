@@ -1,25 +1,60 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { Heart, ThumbsUp, ThumbsDown, AlertTriangle } from 'lucide-react';
+import { Heart, ThumbsUp, ThumbsDown, AlertTriangle, Pencil, RefreshCw, ChevronLeft, ChevronRight } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import { formatDistanceToNow } from 'date-fns';
 
-const Message = ({ message, isLast }) => {
+// e.g. "Detected emotion: anxious (72%), also sad"
+const describeSentiment = ({ emotion, confidence, secondary = [] }) => {
+    const certainty = typeof confidence === 'number' ? ` (${Math.round(confidence * 100)}%)` : '';
+    const others = secondary.length > 0 ? `, also ${secondary.map(s => s.emotion).join(', ')}` : '';
+    return `Detected emotion: ${emotion}${certainty}${others}`;
+};
+
+const actionButtonStyle = {
+    background: 'transparent',
+    border: 'none',
+    color: 'inherit',
+    cursor: 'pointer',
+    padding: '2px',
+    display: 'flex',
+    alignItems: 'center'
+};
+
+// onEdit, onRegenerate, onSwitchBranch and onFeedback are left out where the action doesn't apply
+const Message = ({ message, isLast, isFocused, disabled, onEdit, onRegenerate, onSwitchBranch, onFeedback }) => {
     const [showFeedback, setShowFeedback] = useState(false);
-    const [feedbackGiven, setFeedbackGiven] = useState(false);
+    const [isSendingFeedback, setIsSendingFeedback] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState(message.content);
 
     const isUser = message.role === 'user';
     const isAssistant = message.role === 'assistant';
+    const isStreaming = Boolean(message.isStreaming);
+    const { branch } = message;
+    const hasVersions = Boolean(onSwitchBranch && branch && branch.count > 1);
+    const feedbackGiven = Boolean(message.reactions?.userFeedback);
+    const canRate = Boolean(onFeedback) && isAssistant && !isStreaming && !feedbackGiven;
+
+    const startEditing = () => {
+        setDraft(message.content);
+        setIsEditing(true);
+    };
+
+    const submitEdit = (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        setIsEditing(false);
+        if (draft.trim() !== message.content) onEdit(message.id, draft.trim());
+    };
 
     const handleFeedback = async (feedback) => {
-        // Here you would send feedback to the backend
-        try {
-            // await sendFeedback(message.id, feedback);
-            setFeedbackGiven(true);
-            setShowFeedback(false);
-        } catch (error) {
-            console.error('Failed to send feedback:', error);
-        }
+        if (isSendingFeedback) return;
+
+        setIsSendingFeedback(true);
+        const sent = await onFeedback(message.id, feedback);
+        setIsSendingFeedback(false);
+        if (sent) setShowFeedback(false);
     };
 
     const getEmotionalToneColor = (tone) => {
@@ -47,6 +82,7 @@ const Message = ({ message, isLast }) => {
 
     return (
         <motion.div
+            id={`message-${message.id}`}
             className={`message ${isUser ? 'message-user' : 'message-assistant'}`}
             initial={{ opacity: 0, y: 20, scale: 0.95 }}
             animate={{ opacity: 1, y: 0, scale: 1 }}
@@ -60,9 +96,10 @@ const Message = ({ message, isLast }) => {
         >
             <motion.div
                 className={`message-bubble ${isUser ? 'message-bubble-user' : 'message-bubble-assistant'}`}
+                style={isFocused ? { boxShadow: '0 0 0 2px rgba(251, 191, 36, 0.8)' } : undefined}
                 whileHover={{ scale: 1.01 }}
                 transition={{ type: "spring", stiffness: 400 }}
-                onMouseEnter={() => isAssistant && !feedbackGiven && setShowFeedback(true)}
+                onMouseEnter={() => canRate && setShowFeedback(true)}
                 onMouseLeave={() => setShowFeedback(false)}
             >
                 {/* Message Content */}
@@ -77,9 +114,55 @@ const Message = ({ message, isLast }) => {
                         >
                             {message.content}
                         </ReactMarkdown>
+                    ) : isEditing ? (
+                        <form onSubmit={submitEdit}>
+                            <textarea
+                                value={draft}
+                                onChange={(e) => setDraft(e.target.value)}
+                                maxLength={2000}
+                                rows={3}
+                                autoFocus
+                                style={{
+                                    width: '100%',
+                                    minWidth: '220px',
+                                    background: 'rgba(0, 0, 0, 0.2)',
+                                    color: 'inherit',
+                                    border: '1px solid rgba(255, 255, 255, 0.3)',
+                                    borderRadius: '8px',
+                                    padding: '6px 8px',
+                                    font: 'inherit',
+                                    resize: 'vertical'
+                                }}
+                            />
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '6px', fontSize: '0.75rem' }}>
+                                <button type="button" onClick={() => setIsEditing(false)} style={actionButtonStyle}>
+                                    Cancel
+                                </button>
+                                <button type="submit" disabled={!draft.trim()} style={{ ...actionButtonStyle, fontWeight: 600 }}>
+                                    Save &amp; resend
+                                </button>
+                            </div>
+                        </form>
                     ) : (
                         <p style={{ margin: 0 }}>{message.content}</p>
                     )}
+
+                    {/* Streaming Cursor */}
+                    {isStreaming && (
+                        <motion.span
+                            style={{
+                                display: 'inline-block',
+                                width: '8px',
+                                height: '1em',
+                                marginLeft: '2px',
+                                verticalAlign: 'text-bottom',
+                                background: 'rgba(255, 255, 255, 0.8)',
+                                borderRadius: '2px'
+                            }}
+                            animate={{ opacity: [1, 0, 1] }}
+                            transition={{ duration: 1, repeat: Infinity, ease: "easeInOut" }}
+                        />
+                    )}
                 </div>
 
                 {/* Message Metadata */}
@@ -123,6 +206,53 @@ const Message = ({ message, isLast }) => {
                     )}
                 </div>
 
+                {/* Versions and Branch Actions */}
+                {!isStreaming && !isEditing && (hasVersions || onEdit || onRegenerate) && (
+                    <div style={{
+                        marginTop: '6px',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: isUser ? 'flex-end' : 'flex-start',
+                        gap: '6px',
+                        fontSize: '0.7rem',
+                        opacity: 0.7
+                    }}>
+                        {hasVersions && (
+                            <>
+                                <button
+                                    onClick={() => onSwitchBranch(branch.siblingIds[branch.index - 1])}
+                                    disabled={disabled || branch.index === 0}
+                                    style={actionButtonStyle}
+                                    title="Previous version"
+                                >
+                                    <ChevronLeft size={12} />
+                                </button>
+                                <span>{branch.index + 1} / {branch.count}</span>
+                                <button
+                                    onClick={() => onSwitchBranch(branch.siblingIds[branch.index + 1])}
+                                    disabled={disabled || branch.index === branch.count - 1}
+                                    style={actionButtonStyle}
+                                    title="Next version"
+                                >
+                                    <ChevronRight size={12} />
+                                </button>
+                            </>
+                        )}
+
+                        {onEdit && (
+                            <button onClick={startEditing} disabled={disabled} style={actionButtonStyle} title="Edit and resend">
+                                <Pencil size={12} />
+                            </button>
+                        )}
+
+                        {onRegenerate && (
+                            <button onClick={() => onRegenerate(message.id)} disabled={disabled} style={actionButtonStyle} title="Regenerate response">
+                                <RefreshCw size={12} />
+                            </button>
+                        )}
+                    </div>
+                )}
+
                 {/* User Sentiment Indicator */}
                 {isUser && message.metadata?.userSentiment && (
                     <motion.div
@@ -140,12 +270,12 @@ const Message = ({ message, isLast }) => {
                         initial={{ scale: 0 }}
                         animate={{ scale: 1 }}
                         transition={{ delay: 0.3 }}
-                        title={`Detected emotion: ${message.metadata.userSentiment.emotion}`}
+                        title={describeSentiment(message.metadata.userSentiment)}
                     />
                 )}
 
                 {/* Feedback Options */}
-                {isAssistant && showFeedback && !feedbackGiven && (
+                {canRate && showFeedback && (
                     <motion.div
                         style={{
                             position: 'absolute',
@@ -220,6 +350,7 @@ const Message = ({ message, isLast }) => {
                 {/* Feedback Given Indicator */}
                 {feedbackGiven && (
                     <motion.div
+                        title={`You rated this ${message.reactions.userFeedback.replace('_', ' ')}`}
                         style={{
                             position: 'absolute',
                             top: '-8px',
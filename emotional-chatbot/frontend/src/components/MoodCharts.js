@@ -0,0 +1,188 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+
+export const moodColors = {
+    happy: '#22c55e',
+    content: '#10b981',
+    excited: '#f59e0b',
+    neutral: '#6b7280',
+    sad: '#6366f1',
+    anxious: '#ec4899',
+    frustrated: '#ef4444',
+    overwhelmed: '#8b5cf6'
+};
+
+// Heat map rows, Monday first; values are the server's weekday index (0 = Sunday)
+const weekdays = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+
+// -1 (low) to 1 (good) as red through amber to green
+const scoreColor = (score) => `hsl(${Math.round(((score + 1) / 2) * 120)}, 70%, 50%)`;
+
+const formatScore = (score) => (score === null ? '–' : `${score > 0 ? '+' : ''}${score.toFixed(2)}`);
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const PADDING = 24;
+
+const xAt = (index, count) => PADDING + (count > 1 ? index * (CHART_WIDTH - PADDING * 2) / (count - 1) : 0);
+const yAt = (value) => CHART_HEIGHT / 2 - value * (CHART_HEIGHT / 2 - PADDING);
+
+// SVG path through the points that have a value; gaps break the line
+const linePath = (values) => {
+    let path = '';
+    let drawing = false;
+
+    values.forEach((value, index) => {
+        if (value === null) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${xAt(index, values.length).toFixed(1)},${yAt(value).toFixed(1)} `;
+        drawing = true;
+    });
+    return path.trim();
+};
+
+/**
+ * Mood score (from logged emotions) and message sentiment per bucket, on a -1..1 scale
+ */
+export const MoodLineChart = ({ buckets, interval }) => {
+    const labelFormat = interval === 'week' ? "'Week of' d MMM" : 'd MMM';
+    const labelIndexes = [...new Set([0, Math.floor((buckets.length - 1) / 2), buckets.length - 1])];
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Mood over time">
+                {[-1, 0, 1].map(value => (
+                    <g key={value}>
+                        <line x1={PADDING} x2={CHART_WIDTH - PADDING} y1={yAt(value)} y2={yAt(value)} stroke="rgba(255, 255, 255, 0.15)" strokeDasharray={value === 0 ? '' : '4 4'} />
+                        <text x={2} y={yAt(value) + 4} fill="rgba(255, 255, 255, 0.5)" fontSize="10">{value > 0 ? '+1' : value}</text>
+                    </g>
+                ))}
+                <path d={linePath(buckets.map(b => b.averageSentiment))} fill="none" stroke="rgba(255, 255, 255, 0.5)" strokeWidth="2" strokeDasharray="6 4" />
+                <path d={linePath(buckets.map(b => b.moodScore))} fill="none" stroke="#fbbf24" strokeWidth="3" strokeLinejoin="round" />
+                {buckets.map((bucket, index) => bucket.moodScore !== null && (
+                    <circle
+                        key={bucket.start}
+                        cx={xAt(index, buckets.length)}
+                        cy={yAt(bucket.moodScore)}
+                        r="4"
+                        fill={moodColors[bucket.dominant] || moodColors.neutral}
+                    >
+                        <title>{`${format(parseISO(bucket.start), labelFormat)}: mostly ${bucket.dominant} (${bucket.entries})`}</title>
+                    </circle>
+                ))}
+                {labelIndexes.map(index => buckets[index] && (
+                    <text
+                        key={index}
+                        x={xAt(index, buckets.length)}
+                        y={CHART_HEIGHT + 14}
+                        fill="rgba(255, 255, 255, 0.6)"
+                        fontSize="11"
+                        textAnchor={index === 0 ? 'start' : index === buckets.length - 1 ? 'end' : 'middle'}
+                    >
+                        {format(parseISO(buckets[index].start), labelFormat)}
+                    </text>
+                ))}
+            </svg>
+            <div style={{ display: 'flex', gap: '16px', fontSize: '0.75rem', opacity: 0.7 }}>
+                <span><span style={{ color: '#fbbf24' }}>━</span> Mood</span>
+                <span>┅ Message sentiment</span>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * How often each emotion came up, most frequent first
+ */
+export const EmotionDistribution = ({ distribution }) => {
+    const ranked = Object.entries(distribution).sort((a, b) => b[1] - a[1]);
+    const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+
+    if (total === 0) return <div style={{ fontSize: '0.85rem', opacity: 0.7 }}>No moods recorded in this period</div>;
+
+    return (
+        <div style={{ display: 'grid', gap: '6px' }}>
+            {ranked.map(([emotion, count]) => (
+                <div key={emotion} style={{ display: 'grid', gridTemplateColumns: '90px 1fr 40px', alignItems: 'center', gap: '8px', fontSize: '0.8rem' }}>
+                    <span style={{ textTransform: 'capitalize' }}>{emotion}</span>
+                    <div style={{ background: 'rgba(255, 255, 255, 0.1)', borderRadius: '4px', height: '10px' }}>
+                        <div style={{ width: `${(count / total) * 100}%`, height: '100%', borderRadius: '4px', background: moodColors[emotion] || moodColors.neutral }} />
+                    </div>
+                    <span style={{ opacity: 0.7, textAlign: 'right' }}>{Math.round((count / total) * 100)}%</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Average mood by weekday and hour; empty cells are the hours with no entries
+ */
+export const MoodHeatmap = ({ heatmap }) => (
+    <div style={{ overflowX: 'auto' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '32px repeat(24, minmax(12px, 1fr))', gap: '2px', fontSize: '0.65rem', minWidth: '360px' }}>
+            <span />
+            {Array.from({ length: 24 }, (_, hour) => (
+                <span key={hour} style={{ textAlign: 'center', opacity: 0.6 }}>{hour % 6 === 0 ? hour : ''}</span>
+            ))}
+            {weekdays.map(([weekday, label]) => (
+                <React.Fragment key={weekday}>
+                    <span style={{ opacity: 0.7 }}>{label}</span>
+                    {heatmap.moodScore[weekday].map((score, hour) => (
+                        <span
+                            key={hour}
+                            title={score === null ? `${label} ${hour}:00 – nothing recorded` : `${label} ${hour}:00 – mood ${formatScore(score)} (${heatmap.entries[weekday][hour]})`}
+                            style={{
+                                height: '14px',
+                                borderRadius: '3px',
+                                background: score === null ? 'rgba(255, 255, 255, 0.05)' : scoreColor(score)
+                            }}
+                        />
+                    ))}
+                </React.Fragment>
+            ))}
+        </div>
+    </div>
+);
+
+/**
+ * This week so far next to last week, with the week's check-ins under each
+ */
+export const WeekComparison = ({ weekOverWeek }) => {
+    const { current, previous, change } = weekOverWeek;
+    const trend = change.moodScore === null ? null : change.moodScore > 0.05 ? 'up' : change.moodScore < -0.05 ? 'down' : 'steady';
+
+    const column = (title, week) => (
+        <div style={{ flex: 1, padding: '10px', borderRadius: '10px', background: 'rgba(255, 255, 255, 0.05)' }}>
+            <div style={{ fontSize: '0.75rem', opacity: 0.7 }}>{title}</div>
+            <div style={{ fontSize: '1.4rem', fontWeight: 600 }}>{formatScore(week.moodScore)}</div>
+            <div style={{ fontSize: '0.75rem', opacity: 0.8 }}>
+                {week.entries} {week.entries === 1 ? 'entry' : 'entries'}
+                {week.dominant && ` · mostly ${week.dominant}`}
+            </div>
+            {week.checkIns?.entries > 0 && (
+                <div style={{ fontSize: '0.75rem', opacity: 0.7 }}>
+                    {week.checkIns.entries} {week.checkIns.entries === 1 ? 'check-in' : 'check-ins'} · you said {week.checkIns.dominant}
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <div style={{ display: 'grid', gap: '8px' }}>
+            <div style={{ display: 'flex', gap: '8px' }}>
+                {column('Last week', previous)}
+                {column('This week', current)}
+            </div>
+            {trend && (
+                <div style={{ fontSize: '0.85rem', opacity: 0.85 }}>
+                    {trend === 'up' && `Your mood is up ${change.moodScore.toFixed(2)} on last week.`}
+                    {trend === 'down' && `Your mood is down ${Math.abs(change.moodScore).toFixed(2)} on last week.`}
+                    {trend === 'steady' && 'Your mood is about the same as last week.'}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { SmilePlus } from 'lucide-react';
+import { format, isToday } from 'date-fns';
+import toast from 'react-hot-toast';
+
+// Hardest to best, the order they are shown in
+const moodScale = [
+    { emotion: 'overwhelmed', emoji: '😫' },
+    { emotion: 'sad', emoji: '😢' },
+    { emotion: 'anxious', emoji: '😟' },
+    { emotion: 'frustrated', emoji: '😤' },
+    { emotion: 'neutral', emoji: '😐' },
+    { emotion: 'content', emoji: '🙂' },
+    { emotion: 'happy', emoji: '😊' },
+    { emotion: 'excited', emoji: '🤩' }
+];
+
+const DEFAULT_REMINDER_TIME = '20:00';
+
+const fieldStyle = {
+    background: 'rgba(0, 0, 0, 0.2)',
+    color: 'white',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    padding: '6px 8px',
+    fontSize: '0.8rem'
+};
+
+const MoodCheckIn = ({ userId, lastCheckIn, preferences, onCheckIn, onReminderChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [note, setNote] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const reminderEnabled = preferences?.moodReminder !== false;
+    const reminderTime = preferences?.moodReminderTime || DEFAULT_REMINDER_TIME;
+    const checkedInToday = Boolean(lastCheckIn?.timestamp) && isToday(new Date(lastCheckIn.timestamp));
+    const todaysMood = checkedInToday ? moodScale.find(m => m.emotion === lastCheckIn.state) : null;
+
+    // Daily reminder: open the check-in once, after the reminder time, on days without one
+    useEffect(() => {
+        if (!userId || !reminderEnabled || checkedInToday) return undefined;
+
+        const storageKey = `moodReminderShown:${userId}`;
+        const remind = () => {
+            const now = new Date();
+            const today = format(now, 'yyyy-MM-dd');
+            if (format(now, 'HH:mm') < reminderTime || localStorage.getItem(storageKey) === today) return;
+
+            localStorage.setItem(storageKey, today);
+            setIsOpen(true);
+            toast('How are you feeling today?', { icon: '💭' });
+        };
+
+        remind();
+        const timer = setInterval(remind, 60 * 1000);
+        return () => clearInterval(timer);
+    }, [userId, reminderEnabled, reminderTime, checkedInToday]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!selected) return;
+
+        setIsSaving(true);
+        const saved = await onCheckIn(selected, note.trim());
+        setIsSaving(false);
+
+        if (saved) {
+            setIsOpen(false);
+            setSelected(null);
+            setNote('');
+            toast.success('Thanks for checking in');
+        }
+    };
+
+    return (
+        <div style={{ position: 'relative', display: 'flex' }}>
+            <motion.button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                disabled={!userId}
+                title={todaysMood ? `Checked in today: ${todaysMood.emotion}` : 'How are you feeling?'}
+                aria-label="Mood check-in"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'white',
+                    cursor: 'pointer',
+                    opacity: todaysMood ? 1 : 0.7,
+                    display: 'flex',
+                    fontSize: '1.1rem',
+                    lineHeight: 1
+                }}
+            >
+                {todaysMood ? todaysMood.emoji : <SmilePlus size={20} />}
+            </motion.button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        className="glass"
+                        role="dialog"
+                        aria-label="Mood check-in"
+                        initial={{ opacity: 0, y: -8 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -8 }}
+                        transition={{ duration: 0.2 }}
+                        style={{
+                            position: 'absolute',
+                            top: '32px',
+                            right: 0,
+                            zIndex: 10,
+                            width: '300px',
+                            maxWidth: '90vw',
+                            padding: '12px',
+                            borderRadius: '12px',
+                            color: 'white',
+                            textAlign: 'left'
+                        }}
+                    >
+                        <form onSubmit={handleSubmit} style={{ display: 'grid', gap: '10px' }}>
+                            <div style={{ fontSize: '0.85rem' }}>How are you feeling right now?</div>
+
+                            <div role="radiogroup" aria-label="Mood" style={{ display: 'grid', gridTemplateColumns: 'repeat(8, 1fr)', gap: '2px' }}>
+                                {moodScale.map(({ emotion, emoji }) => (
+                                    <button
+                                        key={emotion}
+                                        type="button"
+                                        role="radio"
+                                        aria-checked={selected === emotion}
+                                        aria-label={emotion}
+                                        title={emotion}
+                                        onClick={() => setSelected(emotion)}
+                                        style={{
+                                            background: selected === emotion ? 'rgba(255, 255, 255, 0.25)' : 'none',
+                                            border: 'none',
+                                            borderRadius: '8px',
+                                            padding: '4px 0',
+                                            cursor: 'pointer',
+                                            fontSize: '1.3rem',
+                                            transform: selected === emotion ? 'scale(1.15)' : 'none'
+                                        }}
+                                    >
+                                        {emoji}
+                                    </button>
+                                ))}
+                            </div>
+                            {selected && <div style={{ fontSize: '0.75rem', opacity: 0.8, textAlign: 'center' }}>{selected}</div>}
+
+                            <input
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                placeholder="Anything behind it? (optional)"
+                                maxLength={200}
+                                style={fieldStyle}
+                            />
+
+                            <button
+                                type="submit"
+                                disabled={!selected || isSaving}
+                                className="btn-secondary"
+                                style={{ padding: '8px', borderRadius: '8px', fontSize: '0.85rem' }}
+                            >
+                                {isSaving ? 'Saving...' : 'Check in'}
+                            </button>
+                        </form>
+
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '10px', fontSize: '0.75rem', opacity: 0.85 }}>
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', flex: 1, cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={reminderEnabled}
+                                    onChange={(e) => onReminderChange({ moodReminder: e.target.checked })}
+                                />
+                                Remind me daily at
+                            </label>
+                            <input
+                                type="time"
+                                value={reminderTime}
+                                disabled={!reminderEnabled}
+                                onChange={(e) => e.target.value && onReminderChange({ moodReminderTime: e.target.value })}
+                                aria-label="Reminder time"
+                                style={{ ...fieldStyle, padding: '2px 6px', fontSize: '0.75rem' }}
+                            />
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default MoodCheckIn;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Users, Check } from 'lucide-react';
+
+const PersonaMenu = ({ personas, currentId, onSelect }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSelect = async (personaId) => {
+        setIsOpen(false);
+        if (personaId === currentId) return;
+
+        setIsSaving(true);
+        try {
+            await onSelect(personaId);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Nothing to choose between
+    if (personas.length < 2) {
+        return null;
+    }
+
+    return (
+        <div style={{ position: 'relative', display: 'flex' }}>
+            <motion.button
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                disabled={isSaving}
+                title="Choose your companion"
+                aria-label="Choose your companion"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'white',
+                    cursor: isSaving ? 'wait' : 'pointer',
+                    opacity: isSaving ? 0.4 : 0.7,
+                    display: 'flex'
+                }}
+            >
+                <Users size={20} />
+            </motion.button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        className="glass"
+                        role="menu"
+                        initial={{ opacity: 0, y: -8 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -8 }}
+                        transition={{ duration: 0.2 }}
+                        style={{
+                            position: 'absolute',
+                            top: '32px',
+                            right: 0,
+                            zIndex: 10,
+                            minWidth: '260px',
+                            padding: '8px',
+                            borderRadius: '12px',
+                            color: 'white',
+                            textAlign: 'left'
+                        }}
+                    >
+                        <div style={{ fontSize: '0.8rem', opacity: 0.7, padding: '4px 8px 8px' }}>
+                            Choose your companion
+                        </div>
+                        {personas.map(persona => (
+                            <button
+                                key={persona.id}
+                                type="button"
+                                role="menuitemradio"
+                                aria-checked={persona.id === currentId}
+                                onClick={() => handleSelect(persona.id)}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'flex-start',
+                                    gap: '8px',
+                                    width: '100%',
+                                    padding: '8px',
+                                    background: 'none',
+                                    border: 'none',
+                                    borderRadius: '8px',
+                                    color: 'inherit',
+                                    cursor: 'pointer',
+                                    textAlign: 'left'
+                                }}
+                            >
+                                <span style={{ width: '16px', flexShrink: 0, paddingTop: '2px' }}>
+                                    {persona.id === currentId && <Check size={16} />}
+                                </span>
+                                <span>
+                                    <span style={{ display: 'block', fontSize: '0.9rem', fontWeight: 600 }}>
+                                        {persona.name}
+                                    </span>
+                                    <span style={{ display: 'block', fontSize: '0.8rem', opacity: 0.7 }}>
+                                        {persona.tagline || persona.role}
+                                    </span>
+                                </span>
+                            </button>
+                        ))}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default PersonaMenu;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { PanelLeft, X, Plus, Pencil, Archive, ArchiveRestore, Trash2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import toast from 'react-hot-toast';
+import apiService from '../services/apiService';
+import { moodColors } from './MoodCharts';
+
+const PAGE_SIZE = 20;
+
+const iconButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: 'inherit',
+    cursor: 'pointer',
+    padding: '2px',
+    display: 'flex',
+    opacity: 0.7
+};
+
+const tabStyle = (active) => ({
+    flex: 1,
+    padding: '6px',
+    background: active ? 'rgba(255, 255, 255, 0.15)' : 'none',
+    border: 'none',
+    borderRadius: '8px',
+    color: 'inherit',
+    cursor: 'pointer',
+    fontSize: '0.8rem'
+});
+
+const SessionSidebar = ({ userId, currentSessionId, isBusy, onOpen, onNew }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const [sessions, setSessions] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [renamingId, setRenamingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+
+    const loadSessions = useCallback(async (page = 1) => {
+        try {
+            const data = await apiService.getConversationSessions(userId, page, PAGE_SIZE, showArchived);
+            setSessions(current => (page === 1 ? data.sessions : [...current, ...data.sessions]));
+            setPagination(data.pagination);
+        } catch (error) {
+            toast.error(error.message || 'Failed to load your conversations');
+        }
+    }, [userId, showArchived]);
+
+    // Refresh when opened and after each reply, so new sessions and titles show up
+    useEffect(() => {
+        if (isOpen && userId && !isBusy) loadSessions();
+    }, [isOpen, userId, isBusy, currentSessionId, loadSessions]);
+
+    const handleOpen = async (sessionId) => {
+        if (sessionId !== currentSessionId) await onOpen(sessionId);
+        setIsOpen(false);
+    };
+
+    const handleNew = () => {
+        onNew();
+        setIsOpen(false);
+    };
+
+    const startRenaming = (session) => {
+        setRenamingId(session.sessionId);
+        setDraftTitle(session.title || '');
+    };
+
+    const handleRename = async (e) => {
+        e.preventDefault();
+        const sessionId = renamingId;
+        setRenamingId(null);
+
+        try {
+            const { title } = await apiService.updateSession(userId, sessionId, { title: draftTitle.trim() });
+            setSessions(current => current.map(s => (s.sessionId === sessionId ? { ...s, title } : s)));
+        } catch (error) {
+            toast.error(error.message || 'Failed to rename the conversation');
+        }
+    };
+
+    // Archived and deleted sessions leave the current list; leaving the open one starts a new session
+    const removeFromList = (sessionId) => {
+        setSessions(current => current.filter(s => s.sessionId !== sessionId));
+        if (sessionId === currentSessionId) onNew();
+    };
+
+    const handleArchive = async (session) => {
+        const isArchived = !session.isArchived;
+        try {
+            await apiService.updateSession(userId, session.sessionId, { isArchived });
+            removeFromList(session.sessionId);
+            toast.success(isArchived ? 'Conversation archived' : 'Conversation restored');
+        } catch (error) {
+            toast.error(error.message || 'Failed to update the conversation');
+        }
+    };
+
+    const handleDelete = async (session) => {
+        if (!window.confirm('Delete this conversation permanently? What I learned about you in it stays in your memories.')) return;
+
+        try {
+            await apiService.deleteSession(userId, session.sessionId);
+            removeFromList(session.sessionId);
+            toast.success('Conversation deleted');
+        } catch (error) {
+            toast.error(error.message || 'Failed to delete the conversation');
+        }
+    };
+
+    return (
+        <>
+            <motion.button
+                type="button"
+                onClick={() => setIsOpen(true)}
+                disabled={!userId}
+                title="Your conversations"
+                aria-label="Your conversations"
+                aria-expanded={isOpen}
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.95 }}
+                style={{
+                    position: 'fixed',
+                    top: '20px',
+                    left: '20px',
+                    zIndex: 1000,
+                    background: 'rgba(255, 255, 255, 0.1)',
+                    backdropFilter: 'blur(10px)',
+                    border: '1px solid rgba(255, 255, 255, 0.2)',
+                    borderRadius: '10px',
+                    padding: '8px',
+                    color: 'white',
+                    cursor: 'pointer',
+                    display: 'flex'
+                }}
+            >
+                <PanelLeft size={20} />
+            </motion.button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.aside
+                        className="glass"
+                        aria-label="Your conversations"
+                        initial={{ x: -320 }}
+                        animate={{ x: 0 }}
+                        exit={{ x: -320 }}
+                        transition={{ type: 'spring', stiffness: 400, damping: 40 }}
+                        style={{
+                            position: 'fixed',
+                            top: 0,
+                            left: 0,
+                            bottom: 0,
+                            zIndex: 1001,
+                            width: '300px',
+                            maxWidth: '85vw',
+                            padding: '16px',
+                            borderRadius: '0 20px 20px 0',
+                            color: 'white',
+                            textAlign: 'left',
+                            display: 'flex',
+                            flexDirection: 'column',
+                            gap: '12px'
+                        }}
+                    >
+                        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                            <h2 style={{ margin: 0, fontSize: '1.1rem' }}>Conversations</h2>
+                            <button type="button" onClick={() => setIsOpen(false)} style={iconButtonStyle} aria-label="Close">
+                                <X size={18} />
+                            </button>
+                        </div>
+
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={handleNew}
+                            disabled={isBusy}
+                            style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', padding: '10px', borderRadius: '12px' }}
+                        >
+                            <Plus size={16} />
+                            New conversation
+                        </button>
+
+                        <div style={{ display: 'flex', gap: '4px' }}>
+                            <button type="button" onClick={() => setShowArchived(false)} style={tabStyle(!showArchived)}>
+                                Recent
+                            </button>
+                            <button type="button" onClick={() => setShowArchived(true)} style={tabStyle(showArchived)}>
+                                Archived
+                            </button>
+                        </div>
+
+                        <div style={{ flex: 1, overflowY: 'auto', display: 'grid', alignContent: 'start', gap: '4px' }}>
+                            {sessions.length === 0 && (
+                                <div style={{ fontSize: '0.85rem', opacity: 0.7, padding: '8px' }}>
+                                    {showArchived ? 'No archived conversations' : 'No conversations yet'}
+                                </div>
+                            )}
+
+                            {sessions.map(session => {
+                                const isCurrent = session.sessionId === currentSessionId;
+                                const mood = session.context?.dominantMood;
+
+                                return (
+                                    <div
+                                        key={session.sessionId}
+                                        style={{
+                                            padding: '8px 10px',
+                                            borderRadius: '10px',
+                                            background: isCurrent ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)'
+                                        }}
+                                    >
+                                        {renamingId === session.sessionId ? (
+                                            <form onSubmit={handleRename}>
+                                                <input
+                                                    value={draftTitle}
+                                                    onChange={(e) => setDraftTitle(e.target.value)}
+                                                    onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                                                    onBlur={() => setRenamingId(null)}
+                                                    placeholder="Leave empty for an automatic title"
+                                                    maxLength={80}
+                                                    autoFocus
+                                                    style={{
+                                                        width: '100%',
+                                                        background: 'rgba(0, 0, 0, 0.2)',
+                                                        color: 'white',
+                                                        border: '1px solid rgba(255, 255, 255, 0.3)',
+                                                        borderRadius: '6px',
+                                                        padding: '4px 6px',
+                                                        fontSize: '0.85rem'
+                                                    }}
+                                                />
+                                            </form>
+                                        ) : (
+                                            <button
+                                                type="button"
+                                                onClick={() => handleOpen(session.sessionId)}
+                                                disabled={isBusy}
+                                                style={{
+                                                    display: 'block',
+                                                    width: '100%',
+                                                    padding: 0,
+                                                    background: 'none',
+                                                    border: 'none',
+                                                    color: 'inherit',
+                                                    cursor: 'pointer',
+                                                    textAlign: 'left',
+                                                    fontSize: '0.9rem',
+                                                    fontWeight: isCurrent ? 600 : 400,
+                                                    overflow: 'hidden',
+                                                    textOverflow: 'ellipsis',
+                                                    whiteSpace: 'nowrap'
+                                                }}
+                                            >
+                                                {session.title || 'New conversation'}
+                                            </button>
+                                        )}
+
+                                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', fontSize: '0.7rem' }}>
+                                            {mood && (
+                                                <span style={{ display: 'flex', alignItems: 'center', gap: '4px', opacity: 0.8 }} title="Mood in this conversation">
+                                                    <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: moodColors[mood] || moodColors.neutral }} />
+                                                    {mood}
+                                                </span>
+                                            )}
+                                            <span style={{ opacity: 0.6, flex: 1 }}>
+                                                {formatDistanceToNow(new Date(session.updatedAt), { addSuffix: true })}
+                                            </span>
+                                            <button type="button" onClick={() => startRenaming(session)} style={iconButtonStyle} title="Rename">
+                                                <Pencil size={12} />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleArchive(session)}
+                                                disabled={isBusy && isCurrent}
+                                                style={iconButtonStyle}
+                                                title={session.isArchived ? 'Restore' : 'Archive'}
+                                            >
+                                                {session.isArchived ? <ArchiveRestore size={12} /> : <Archive size={12} />}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDelete(session)}
+                                                disabled={isBusy && isCurrent}
+                                                style={iconButtonStyle}
+                                                title="Delete"
+                                            >
+                                                <Trash2 size={12} />
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+
+                            {pagination && pagination.page < pagination.pages && (
+                                <button
+                                    type="button"
+                                    onClick={() => loadSessions(pagination.page + 1)}
+                                    style={{ ...tabStyle(false), flex: 'none' }}
+                                >
+                                    Show more
+                                </button>
+                            )}
+                        </div>
+                    </motion.aside>
+                )}
+            </AnimatePresence>
+        </>
+    );
+};
+
+export default SessionSidebar;
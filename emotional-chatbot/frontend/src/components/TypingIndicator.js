@@ -1,7 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 
-const TypingIndicator = () => {
+const TypingIndicator = ({ name }) => {
     return (
         <motion.div
             className="message message-assistant"
@@ -10,7 +10,12 @@ const TypingIndicator = () => {
             exit={{ opacity: 0, y: -20 }}
             transition={{ duration: 0.3 }}
         >
-            <div className="typing-indicator">
+            <div
+                className="typing-indicator"
+                role="status"
+                aria-label={`${name} is typing`}
+                title={`${name} is typing`}
+            >
                 <motion.div
                     className="typing-dot"
                     animate={{ opacity: [0.4, 1, 0.4] }}
@@ -1,149 +1,250 @@
 import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Brain, KeyRound, LogIn, UserPlus } from 'lucide-react';
 import { useChat } from '../context/ChatContext';
 
-const UserIdentification = ({ onClose }) => {
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const headings = {
+    login: { title: 'Welcome back', intro: 'Log in to pick up where you left off.' },
+    register: { title: 'Nice to meet you', intro: 'Create an account so Stan can remember your conversations.' },
+    claim: {
+        title: 'Claim your account',
+        intro: 'Chatted with Stan before accounts had passphrases? Enter the name, number and birth month you used, then choose a username and passphrase.'
+    }
+};
+
+const UserIdentification = () => {
+    const [mode, setMode] = useState('login'); // login, register, claim
+    const [username, setUsername] = useState('');
+    const [passphrase, setPassphrase] = useState('');
     const [name, setName] = useState('');
     const [personalNumber, setPersonalNumber] = useState('');
     const [birthMonth, setBirthMonth] = useState('');
+    const [formError, setFormError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
-    const { identifyReturningUser } = useChat();
+    const { login, register, claimAccount } = useChat();
 
-    const months = [
-        'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-        'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
-    ];
+    const isRegister = mode === 'register';
+    const isClaim = mode === 'claim';
+    const choosesPassphrase = isRegister || isClaim;
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        setFormError('');
+
+        if (!username.trim() || !passphrase) {
+            setFormError('Please enter a username and passphrase');
+            return;
+        }
 
-        if (!name || personalNumber === '' || !birthMonth) {
-            alert('Please fill in all fields');
+        if (choosesPassphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            setFormError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
             return;
         }
 
-        if (personalNumber < 0 || personalNumber > 999) {
-            alert('Number must be between 0 and 999');
+        if (isClaim && (!name.trim() || personalNumber === '' || !birthMonth)) {
+            setFormError('Please enter the name, number and birth month you used before');
             return;
         }
 
         setIsLoading(true);
 
-        const result = await identifyReturningUser(name, personalNumber, birthMonth);
+        let result;
+        if (isClaim) {
+            result = await claimAccount({
+                name: name.trim(),
+                personalNumber: Number(personalNumber),
+                birthMonth,
+                username: username.trim(),
+                passphrase
+            });
+        } else if (isRegister) {
+            result = await register({ username: username.trim(), passphrase, name: name.trim() });
+        } else {
+            result = await login(username.trim(), passphrase);
+        }
 
         setIsLoading(false);
 
-        if (result.success) {
-            onClose(); // Close the identification modal
+        if (!result.success) {
+            setFormError(result.message);
         }
     };
 
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setFormError('');
+    };
+
+    const labelStyle = {
+        display: 'block',
+        fontSize: '0.85rem',
+        fontWeight: 600,
+        marginBottom: '6px',
+        opacity: 0.9
+    };
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
-            <div className="bg-gradient-to-br from-white via-purple-50 to-blue-50 rounded-2xl p-8 max-w-md w-full mx-4 shadow-2xl border border-purple-100 transform transition-all duration-300 hover:scale-105">
-                {/* Header */}
-                <div className="text-center mb-8">
-                    <div className="w-16 h-16 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center mx-auto mb-4 shadow-lg">
-                        <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
-                        </svg>
-                    </div>
-                    <h2 className="text-3xl font-bold bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent mb-3">
-                        Welcome Back!
+        <div className="chat-container" style={{ justifyContent: 'center', alignItems: 'center' }}>
+            <motion.div
+                className="glass"
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.4 }}
+                style={{ width: '90%', maxWidth: '420px', padding: '36px 30px', color: 'white' }}
+            >
+                <div style={{ textAlign: 'center', marginBottom: '28px' }}>
+                    <Brain size={40} color="white" style={{ marginBottom: '12px' }} />
+                    <h2 style={{ fontSize: '1.6rem', fontWeight: 700, margin: '0 0 8px' }}>
+                        {headings[mode].title}
                     </h2>
-                    <p className="text-gray-600 leading-relaxed">
-                        Help me recognize you by providing the information you shared during onboarding:
+                    <p style={{ opacity: 0.8, margin: 0, fontSize: '0.95rem' }}>
+                        {headings[mode].intro}
                     </p>
                 </div>
 
-                <form onSubmit={handleSubmit} className="space-y-6">
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700 mb-2">
-                            Your Name
-                        </label>
+                <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+                    {isClaim && (
+                        <>
+                            <div>
+                                <label htmlFor="claim-name" style={labelStyle}>Name you used</label>
+                                <input
+                                    id="claim-name"
+                                    type="text"
+                                    className="input-glass"
+                                    value={name}
+                                    onChange={(e) => setName(e.target.value)}
+                                    placeholder="Your name"
+                                    disabled={isLoading}
+                                    style={{ width: '100%' }}
+                                />
+                            </div>
+
+                            <div style={{ display: 'flex', gap: '12px' }}>
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="claim-number" style={labelStyle}>Your number</label>
+                                    <input
+                                        id="claim-number"
+                                        type="number"
+                                        min="0"
+                                        max="999"
+                                        className="input-glass"
+                                        value={personalNumber}
+                                        onChange={(e) => setPersonalNumber(e.target.value)}
+                                        placeholder="0-999"
+                                        disabled={isLoading}
+                                        style={{ width: '100%' }}
+                                    />
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="claim-month" style={labelStyle}>Birth month</label>
+                                    <select
+                                        id="claim-month"
+                                        className="input-glass"
+                                        value={birthMonth}
+                                        onChange={(e) => setBirthMonth(e.target.value)}
+                                        disabled={isLoading}
+                                        style={{ width: '100%' }}
+                                    >
+                                        <option value="">Month</option>
+                                        {MONTHS.map(month => <option key={month} value={month}>{month}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                        </>
+                    )}
+
+                    <div>
+                        <label htmlFor="auth-username" style={labelStyle}>Username</label>
                         <input
+                            id="auth-username"
                             type="text"
-                            value={name}
-                            onChange={(e) => setName(e.target.value)}
-                            className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-purple-400 focus:ring-4 focus:ring-purple-100 transition-all duration-200 bg-white/80 backdrop-blur-sm"
-                            placeholder="Enter your name"
+                            className="input-glass"
+                            value={username}
+                            onChange={(e) => setUsername(e.target.value)}
+                            placeholder="Choose something only you would use"
+                            autoComplete="username"
                             disabled={isLoading}
+                            style={{ width: '100%' }}
                         />
                     </div>
 
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700 mb-2">
-                            Your Special Number (0-999)
-                        </label>
+                    <div>
+                        <label htmlFor="auth-passphrase" style={labelStyle}>Passphrase</label>
                         <input
-                            type="number"
-                            min="0"
-                            max="999"
-                            value={personalNumber}
-                            onChange={(e) => setPersonalNumber(e.target.value)}
-                            className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-purple-400 focus:ring-4 focus:ring-purple-100 transition-all duration-200 bg-white/80 backdrop-blur-sm"
-                            placeholder="Enter your number"
+                            id="auth-passphrase"
+                            type="password"
+                            className="input-glass"
+                            value={passphrase}
+                            onChange={(e) => setPassphrase(e.target.value)}
+                            placeholder={choosesPassphrase ? `At least ${MIN_PASSPHRASE_LENGTH} characters` : 'Your passphrase'}
+                            autoComplete={choosesPassphrase ? 'new-password' : 'current-password'}
                             disabled={isLoading}
+                            style={{ width: '100%' }}
                         />
                     </div>
 
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700 mb-2">
-                            Your Birth Month
-                        </label>
-                        <div className="relative">
-                            <select
-                                value={birthMonth}
-                                onChange={(e) => setBirthMonth(e.target.value)}
-                                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-purple-400 focus:ring-4 focus:ring-purple-100 transition-all duration-200 bg-white/80 backdrop-blur-sm appearance-none cursor-pointer"
+                    {isRegister && (
+                        <div>
+                            <label htmlFor="auth-name" style={labelStyle}>What should Stan call you? (optional)</label>
+                            <input
+                                id="auth-name"
+                                type="text"
+                                className="input-glass"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                placeholder="Your name"
+                                autoComplete="given-name"
                                 disabled={isLoading}
-                            >
-                                <option value="" className="text-gray-500">Select your birth month</option>
-                                {months.map(month => (
-                                    <option key={month} value={month} className="text-gray-800">{month}</option>
-                                ))}
-                            </select>
-                            {/* Custom dropdown arrow */}
-                            <div className="absolute right-4 top-1/2 transform -translate-y-1/2 pointer-events-none">
-                                <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-                                </svg>
-                            </div>
+                                style={{ width: '100%' }}
+                            />
                         </div>
-                    </div>
+                    )}
 
-                    <div className="flex space-x-4 mt-8">
-                        <button
-                            type="submit"
-                            disabled={isLoading}
-                            className="flex-1 bg-gradient-to-r from-purple-600 to-blue-600 text-white py-3 px-6 rounded-xl hover:from-purple-700 hover:to-blue-700 focus:outline-none focus:ring-4 focus:ring-purple-200 disabled:opacity-50 disabled:cursor-not-allowed transform transition-all duration-200 hover:scale-105 font-semibold shadow-lg"
-                        >
-                            {isLoading ? (
-                                <div className="flex items-center justify-center space-x-2">
-                                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                                    <span>Identifying...</span>
-                                </div>
-                            ) : (
-                                'Identify Me'
-                            )}
-                        </button>
-
-                        <button
-                            type="button"
-                            onClick={onClose}
-                            disabled={isLoading}
-                            className="flex-1 bg-gray-100 text-gray-700 py-3 px-6 rounded-xl hover:bg-gray-200 focus:outline-none focus:ring-4 focus:ring-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transform transition-all duration-200 hover:scale-105 font-semibold border-2 border-gray-200"
-                        >
-                            Start Fresh
-                        </button>
-                    </div>
+                    {formError && (
+                        <div role="alert" style={{ fontSize: '0.85rem', color: '#ffcdd2' }}>
+                            {formError}
+                        </div>
+                    )}
+
+                    <button
+                        type="submit"
+                        className="btn-primary"
+                        disabled={isLoading}
+                        style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}
+                    >
+                        {isClaim ? <KeyRound size={18} /> : isRegister ? <UserPlus size={18} /> : <LogIn size={18} />}
+                        {isLoading
+                            ? (isClaim ? 'Claiming account...' : isRegister ? 'Creating account...' : 'Logging in...')
+                            : (isClaim ? 'Claim account' : isRegister ? 'Create account' : 'Log in')}
+                    </button>
                 </form>
 
-                <div className="mt-6 p-4 bg-blue-50 rounded-xl border border-blue-100">
-                    <p className="text-sm text-blue-700 text-center font-medium">
-                        💡 Don't remember your details? Click "Start Fresh" to begin a new conversation.
-                    </p>
-                </div>
-            </div>
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => switchMode(mode === 'login' ? 'register' : 'login')}
+                    disabled={isLoading}
+                    style={{ width: '100%', marginTop: '12px' }}
+                >
+                    {mode === 'login' ? 'New here? Create an account' : 'I already have an account'}
+                </button>
+
+                {!isClaim && (
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => switchMode('claim')}
+                        disabled={isLoading}
+                        style={{ width: '100%', marginTop: '8px' }}
+                    >
+                        Used Stan before passphrases? Claim your account
+                    </button>
+                )}
+            </motion.div>
         </div>
     );
 };
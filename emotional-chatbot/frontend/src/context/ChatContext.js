@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import { v4 as uuidv4 } from 'uuid';
-import apiService from '../services/apiService';
+import apiService, { authTokens, onSessionExpired } from '../services/apiService';
+import realtimeService from '../services/realtimeService';
 import toast from 'react-hot-toast';
 
 // Initial state
@@ -8,12 +9,20 @@ const initialState = {
     messages: [],
     isLoading: false,
     userProfile: null,
+    personas: [], // Companions the user can pick from; the deployment default comes first
     connectionStatus: 'connecting', // connecting, connected, error, thinking
+    realtimeStatus: 'offline', // WebSocket channel: offline, connecting, open, reconnecting
+    companionTyping: false, // A reply is being generated for this session from another tab or the server
     sessionId: null,
     userId: null,
+    username: null,
+    isAuthenticated: false,
+    authChecked: false, // False until stored tokens have been validated
     error: null,
     isNewUser: false,
     onboardingComplete: false,
+    crisisAlert: null, // { level, subject, resources } from the safety pipeline
+    focusMessageId: null, // Message opened from search, scrolled to and highlighted
 };
 
 // Action types
@@ -22,16 +31,43 @@ const ActionTypes = {
     ADD_MESSAGE: 'ADD_MESSAGE',
     SET_MESSAGES: 'SET_MESSAGES',
     SET_USER_PROFILE: 'SET_USER_PROFILE',
+    SET_PERSONAS: 'SET_PERSONAS',
     SET_CONNECTION_STATUS: 'SET_CONNECTION_STATUS',
     SET_SESSION_ID: 'SET_SESSION_ID',
     SET_USER_ID: 'SET_USER_ID',
     SET_ERROR: 'SET_ERROR',
     CLEAR_ERROR: 'CLEAR_ERROR',
     UPDATE_MESSAGE: 'UPDATE_MESSAGE',
+    APPEND_MESSAGE_CONTENT: 'APPEND_MESSAGE_CONTENT',
     SET_NEW_USER: 'SET_NEW_USER',
     SET_ONBOARDING_COMPLETE: 'SET_ONBOARDING_COMPLETE',
+    SET_CRISIS_ALERT: 'SET_CRISIS_ALERT',
+    SET_FOCUS_MESSAGE: 'SET_FOCUS_MESSAGE',
+    SET_AUTH: 'SET_AUTH',
+    SET_REALTIME_STATUS: 'SET_REALTIME_STATUS',
+    RECEIVE_TYPING: 'RECEIVE_TYPING',
+    RECEIVE_MESSAGE: 'RECEIVE_MESSAGE',
+    RECEIVE_TOKEN: 'RECEIVE_TOKEN',
+    RECEIVE_REPLY: 'RECEIVE_REPLY',
+    LOGOUT: 'LOGOUT',
 };
 
+// Realtime frames for another session are ignored; user-wide frames carry no sessionId
+const isForSession = (state, sessionId) => !sessionId || sessionId === state.sessionId;
+
+// Messages from the history and branch endpoints, which carry server ids and branch info.
+// Only messages with a server id (`isSaved`) can be rated.
+const formatServerMessage = (msg) => ({
+    id: msg.id || uuidv4(),
+    isSaved: Boolean(msg.id),
+    role: msg.role,
+    content: msg.content,
+    timestamp: msg.timestamp,
+    metadata: msg.metadata,
+    reactions: msg.reactions,
+    branch: msg.branch, // { index, count, siblingIds } when there are other versions
+});
+
 // Reducer
 const chatReducer = (state, action) => {
     switch (action.type) {
@@ -62,12 +98,26 @@ const chatReducer = (state, action) => {
                 ),
             };
 
+        case ActionTypes.APPEND_MESSAGE_CONTENT:
+            return {
+                ...state,
+                messages: state.messages.map(msg =>
+                    msg.id === action.payload.id ? { ...msg, content: msg.content + action.payload.content } : msg
+                ),
+            };
+
         case ActionTypes.SET_USER_PROFILE:
             return {
                 ...state,
                 userProfile: action.payload,
             };
 
+        case ActionTypes.SET_PERSONAS:
+            return {
+                ...state,
+                personas: action.payload,
+            };
+
         case ActionTypes.SET_CONNECTION_STATUS:
             return {
                 ...state,
@@ -111,11 +161,115 @@ const chatReducer = (state, action) => {
                 onboardingComplete: action.payload,
             };
 
+        case ActionTypes.SET_AUTH:
+            return {
+                ...state,
+                isAuthenticated: action.payload.isAuthenticated,
+                username: action.payload.username || null,
+                authChecked: true,
+            };
+
+        case ActionTypes.LOGOUT:
+            return {
+                ...initialState,
+                authChecked: true,
+                connectionStatus: state.connectionStatus,
+                realtimeStatus: state.realtimeStatus,
+            };
+
+        case ActionTypes.SET_REALTIME_STATUS:
+            return {
+                ...state,
+                realtimeStatus: action.payload,
+                // An open socket proves the server is up, so the health poll can pause
+                connectionStatus: action.payload === 'open' && state.connectionStatus !== 'thinking'
+                    ? 'connected'
+                    : state.connectionStatus,
+            };
+
+        case ActionTypes.RECEIVE_TYPING:
+            if (!isForSession(state, action.payload.sessionId)) return state;
+            return {
+                ...state,
+                companionTyping: action.payload.isTyping,
+            };
+
+        case ActionTypes.RECEIVE_MESSAGE:
+            if (!isForSession(state, action.payload.sessionId)) return state;
+            return {
+                ...state,
+                messages: [...state.messages, action.payload.message],
+            };
+
+        case ActionTypes.RECEIVE_TOKEN: {
+            const { sessionId, turnId, content } = action.payload;
+            if (!isForSession(state, sessionId)) return state;
+
+            const exists = state.messages.some(msg => msg.id === turnId);
+            return {
+                ...state,
+                messages: exists
+                    ? state.messages.map(msg => msg.id === turnId ? { ...msg, content: msg.content + content } : msg)
+                    : [...state.messages, {
+                        id: turnId,
+                        role: 'assistant',
+                        content,
+                        timestamp: new Date().toISOString(),
+                        isStreaming: true,
+                    }],
+            };
+        }
+
+        case ActionTypes.RECEIVE_REPLY: {
+            const { sessionId, turnId, messageId, userMessageId, message, metadata } = action.payload;
+            if (!isForSession(state, sessionId)) return state;
+
+            // Mirrored messages take their server ids once the turn is saved
+            const messages = userMessageId
+                ? state.messages.map(msg => msg.id === `${turnId}-user` ? { ...msg, id: userMessageId } : msg)
+                : state.messages;
+            const reply = {
+                id: messageId || turnId,
+                isSaved: Boolean(messageId),
+                role: 'assistant',
+                content: message,
+                timestamp: new Date().toISOString(),
+                metadata,
+                isStreaming: false,
+            };
+            const exists = messages.some(msg => msg.id === turnId);
+            return {
+                ...state,
+                companionTyping: false,
+                messages: exists
+                    ? messages.map(msg => msg.id === turnId ? { ...msg, ...reply } : msg)
+                    : [...messages, reply],
+            };
+        }
+
+        case ActionTypes.SET_CRISIS_ALERT:
+            return {
+                ...state,
+                crisisAlert: action.payload,
+            };
+
+        case ActionTypes.SET_FOCUS_MESSAGE:
+            return {
+                ...state,
+                focusMessageId: action.payload,
+            };
+
         default:
             return state;
     }
 };
 
+// The user's chosen persona, or the deployment default
+const findPersona = (personas, userProfile) =>
+    personas.find(persona => persona.id === userProfile?.preferences?.persona) ||
+    personas.find(persona => persona.isDefault) ||
+    null;
+
 // Create context
 const ChatContext = createContext();
 
@@ -123,38 +277,129 @@ const ChatContext = createContext();
 export const ChatProvider = ({ children }) => {
     const [state, dispatch] = useReducer(chatReducer, initialState);
 
-    const initializeSession = useCallback(async () => {
+    // Replace the messages with the session's active path from the server
+    const loadSessionPath = useCallback(async (userId, sessionId) => {
+        const history = await apiService.getSessionHistory(userId, sessionId);
+        dispatch({ type: ActionTypes.SET_MESSAGES, payload: history.messages.map(formatServerMessage) });
+    }, []);
+
+    // Load the chat for an authenticated account (from login, register, a claimed account or stored tokens)
+    const startAuthenticatedSession = useCallback(async ({ userId, username, userProfile, onboardingComplete }) => {
+        let personas = [];
         try {
-            // Always generate a new temporary user ID for session
-            const userId = uuidv4();
-            dispatch({ type: ActionTypes.SET_USER_ID, payload: userId });
+            personas = await apiService.getPersonas();
+        } catch (error) {
+            console.error('Failed to load personas:', error);
+        }
 
-            // Create session
-            const sessionId = uuidv4();
-            dispatch({ type: ActionTypes.SET_SESSION_ID, payload: sessionId });
+        dispatch({ type: ActionTypes.SET_PERSONAS, payload: personas });
+        dispatch({ type: ActionTypes.SET_USER_ID, payload: userId });
+        dispatch({ type: ActionTypes.SET_USER_PROFILE, payload: userProfile });
+        dispatch({ type: ActionTypes.SET_SESSION_ID, payload: uuidv4() });
+        dispatch({ type: ActionTypes.SET_NEW_USER, payload: !onboardingComplete });
+        dispatch({ type: ActionTypes.SET_ONBOARDING_COMPLETE, payload: onboardingComplete });
+        dispatch({ type: ActionTypes.SET_AUTH, payload: { isAuthenticated: true, username } });
+
+        if (onboardingComplete) {
+            await loadConversationHistory(userId);
+        } else {
+            await startOnboarding(findPersona(personas, userProfile));
+        }
+    }, []);
 
+    const initializeSession = useCallback(async () => {
+        try {
             // Initial health check
             await apiService.checkHealth();
             dispatch({ type: ActionTypes.SET_CONNECTION_STATUS, payload: 'connected' });
-
-            // Always start with onboarding - let the 3 questions determine if returning user
-            dispatch({ type: ActionTypes.SET_NEW_USER, payload: true });
-            dispatch({ type: ActionTypes.SET_ONBOARDING_COMPLETE, payload: false });
-            await startOnboarding();
-
         } catch (error) {
             console.error('Failed to initialize session:', error);
             dispatch({ type: ActionTypes.SET_ERROR, payload: 'Failed to connect to server' });
         }
-    }, []);
+
+        // Resume the previous login if its tokens are still valid
+        if (!authTokens.get()) {
+            dispatch({ type: ActionTypes.SET_AUTH, payload: { isAuthenticated: false } });
+            return;
+        }
+
+        try {
+            const account = await apiService.getCurrentUser();
+            await startAuthenticatedSession(account);
+        } catch (error) {
+            console.error('Failed to restore login:', error);
+            authTokens.clear();
+            dispatch({ type: ActionTypes.SET_AUTH, payload: { isAuthenticated: false } });
+        }
+    }, [startAuthenticatedSession]);
+
+    // Drop back to the login screen when the refresh token is rejected
+    useEffect(() => onSessionExpired(() => {
+        dispatch({ type: ActionTypes.LOGOUT });
+        toast.error('Your session has expired. Please log in again.');
+    }), []);
 
     // Initialize user session
     useEffect(() => {
         initializeSession();
     }, [initializeSession]);
 
-    // Check connection status periodically
+    // Live channel for typing, replies from other tabs and server-pushed messages
+    useEffect(() => {
+        if (!state.isAuthenticated) return undefined;
+
+        const unsubscribers = [
+            realtimeService.onStatusChange(status => dispatch({ type: ActionTypes.SET_REALTIME_STATUS, payload: status })),
+            realtimeService.on('typing', ({ sessionId, isTyping }) => dispatch({
+                type: ActionTypes.RECEIVE_TYPING,
+                payload: { sessionId, isTyping },
+            })),
+            realtimeService.on('message', ({ sessionId, turnId, message }) => dispatch({
+                type: ActionTypes.RECEIVE_MESSAGE,
+                payload: {
+                    sessionId,
+                    message: {
+                        id: message.id || `${turnId || uuidv4()}-${message.role}`,
+                        isSaved: Boolean(message.id),
+                        role: message.role,
+                        content: message.content,
+                        timestamp: message.timestamp || new Date().toISOString(),
+                        metadata: message.metadata,
+                    },
+                },
+            })),
+            realtimeService.on('token', ({ sessionId, turnId, content }) => dispatch({
+                type: ActionTypes.RECEIVE_TOKEN,
+                payload: { sessionId, turnId, content },
+            })),
+            realtimeService.on('reply', ({ sessionId, turnId, messageId, userMessageId, message, metadata }) => dispatch({
+                type: ActionTypes.RECEIVE_REPLY,
+                payload: { sessionId, turnId, messageId, userMessageId, message, metadata },
+            })),
+            // Another tab edited, regenerated or switched branches: reload the active path
+            realtimeService.on('branch', ({ sessionId }) => {
+                if (sessionId !== realtimeService.sessionId) return;
+                loadSessionPath(state.userId, sessionId).catch(error => {
+                    console.error('Failed to reload conversation:', error);
+                });
+            }),
+        ];
+        realtimeService.connect();
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            realtimeService.disconnect();
+        };
+    }, [state.isAuthenticated, state.userId, loadSessionPath]);
+
+    useEffect(() => {
+        if (state.sessionId) realtimeService.join(state.sessionId);
+    }, [state.sessionId]);
+
+    // Check connection status periodically while the live channel is down
     useEffect(() => {
+        if (state.realtimeStatus === 'open') return undefined;
+
         const checkConnection = async () => {
             try {
                 await apiService.checkHealth();
@@ -170,20 +415,17 @@ export const ChatProvider = ({ children }) => {
         checkConnection(); // Initial check
 
         return () => clearInterval(interval);
-    }, [state.connectionStatus]);
+    }, [state.connectionStatus, state.realtimeStatus]);
 
     const loadConversationHistory = async (userId) => {
         try {
             const history = await apiService.getConversationHistory(userId);
+            if (history && history.sessionId) {
+                // Continue the most recent conversation instead of opening a new one
+                dispatch({ type: ActionTypes.SET_SESSION_ID, payload: history.sessionId });
+            }
             if (history && history.messages && history.messages.length > 0) {
-                const formattedMessages = history.messages.map(msg => ({
-                    id: msg.id || uuidv4(),
-                    role: msg.role,
-                    content: msg.content,
-                    timestamp: msg.timestamp,
-                    metadata: msg.metadata,
-                }));
-                dispatch({ type: ActionTypes.SET_MESSAGES, payload: formattedMessages });
+                dispatch({ type: ActionTypes.SET_MESSAGES, payload: history.messages.map(formatServerMessage) });
             }
         } catch (error) {
             console.error('Failed to load conversation history:', error);
@@ -191,11 +433,11 @@ export const ChatProvider = ({ children }) => {
         }
     };
 
-    const startOnboarding = async () => {
+    const startOnboarding = async (persona) => {
         const welcomeMessage = {
             id: uuidv4(),
             role: 'assistant',
-            content: "Hello! I'm here to chat, listen, and get to know you better. I'd love to learn a bit about you so I can provide more personalized conversations. What's your name?",
+            content: persona?.welcome || "Hello! I'm here to chat, listen, and get to know you better. I'd love to learn a bit about you so I can provide more personalized conversations. What's your name?",
             timestamp: new Date().toISOString(),
             metadata: { isOnboarding: true, step: 1 },
         };
@@ -203,8 +445,11 @@ export const ChatProvider = ({ children }) => {
         dispatch({ type: ActionTypes.ADD_MESSAGE, payload: welcomeMessage });
     };
 
-    const sendMessage = async (content) => {
-        if (!content.trim() || state.isLoading) return;
+    // Send a message, or with editMessageId / regenerateMessageId answer on a
+    // new branch from that message. Regenerating sends no new content.
+    const runTurn = async (content, { editMessageId, regenerateMessageId } = {}) => {
+        const isBranch = Boolean(editMessageId || regenerateMessageId);
+        if ((!regenerateMessageId && !content.trim()) || state.isLoading) return;
 
         const { userId, sessionId, isNewUser, onboardingComplete } = state;
         if (!userId || !sessionId) {
@@ -212,38 +457,99 @@ export const ChatProvider = ({ children }) => {
             return;
         }
 
+        // The edited message or regenerated reply, and everything after it, leave the path
+        if (isBranch) {
+            const index = state.messages.findIndex(msg => msg.id === (editMessageId || regenerateMessageId));
+            dispatch({ type: ActionTypes.SET_MESSAGES, payload: state.messages.slice(0, Math.max(index, 0)) });
+        }
+
         // Add user message immediately
-        const userMessage = {
+        const userMessage = regenerateMessageId ? null : {
             id: uuidv4(),
             role: 'user',
             content: content.trim(),
             timestamp: new Date().toISOString(),
         };
 
-        dispatch({ type: ActionTypes.ADD_MESSAGE, payload: userMessage });
+        if (userMessage) dispatch({ type: ActionTypes.ADD_MESSAGE, payload: userMessage });
+        dispatch({ type: ActionTypes.SET_FOCUS_MESSAGE, payload: null });
         dispatch({ type: ActionTypes.SET_LOADING, payload: true });
 
+        // The assistant message is added on the first streamed token so the
+        // typing indicator stays visible until the reply actually starts
+        const assistantMessageId = uuidv4();
+        let streamStarted = false;
+
         try {
-            // Send message to API with onboarding context
-            const response = await apiService.sendMessage({
-                message: content,
-                userId,
+            // Stream the reply from the API with onboarding context
+            const response = await apiService.streamMessage({
+                message: userMessage?.content,
                 sessionId,
                 isNewUser,
                 onboardingComplete,
                 currentMessages: state.messages,
+                socketId: realtimeService.socketId || undefined, // This tab already gets the stream
+                editMessageId,
+                regenerateMessageId,
+            }, {
+                onToken: (token) => {
+                    if (!streamStarted) {
+                        streamStarted = true;
+                        dispatch({
+                            type: ActionTypes.ADD_MESSAGE,
+                            payload: {
+                                id: assistantMessageId,
+                                role: 'assistant',
+                                content: token,
+                                timestamp: new Date().toISOString(),
+                                isStreaming: true,
+                            },
+                        });
+                    } else {
+                        dispatch({
+                            type: ActionTypes.APPEND_MESSAGE_CONTENT,
+                            payload: { id: assistantMessageId, content: token },
+                        });
+                    }
+                },
             });
 
-            // Add assistant response
+            // Replace the streamed text with the saved reply and attach its metadata and server id
             const assistantMessage = {
-                id: uuidv4(),
+                id: response.messageId || assistantMessageId,
+                isSaved: Boolean(response.messageId),
                 role: 'assistant',
                 content: response.message,
                 timestamp: new Date().toISOString(),
                 metadata: response.metadata,
+                isStreaming: false,
             };
 
-            dispatch({ type: ActionTypes.ADD_MESSAGE, payload: assistantMessage });
+            if (streamStarted) {
+                dispatch({
+                    type: ActionTypes.UPDATE_MESSAGE,
+                    payload: { id: assistantMessageId, updates: assistantMessage },
+                });
+            } else {
+                dispatch({ type: ActionTypes.ADD_MESSAGE, payload: assistantMessage });
+            }
+
+            if (isBranch) {
+                // Pick up the server ids and the new "1 of 2" counters
+                await loadSessionPath(userId, response.sessionId || sessionId).catch(error => {
+                    console.error('Failed to reload conversation:', error);
+                });
+            } else if (userMessage && response.userMessageId) {
+                dispatch({
+                    type: ActionTypes.UPDATE_MESSAGE,
+                    payload: { id: userMessage.id, updates: { id: response.userMessageId, isSaved: true } },
+                });
+            }
+
+            // Surface support resources when the safety pipeline flagged the message
+            if (response.metadata && response.metadata.crisis) {
+                dispatch({ type: ActionTypes.SET_CRISIS_ALERT, payload: response.metadata.crisis });
+            }
 
             // Update user profile if provided
             if (response.userProfile) {
@@ -256,49 +562,45 @@ export const ChatProvider = ({ children }) => {
                 toast.success('Great! Now I know you better. Let\'s chat!');
             }
 
-            // Check if this is a returning user detection
-            if (response.metadata && response.metadata.isReturningUser) {
-                // Update context for returning user
-                dispatch({ type: ActionTypes.SET_NEW_USER, payload: false });
-                dispatch({ type: ActionTypes.SET_ONBOARDING_COMPLETE, payload: true });
-
-                // Update to use the actual user ID for returning users
-                const actualUserId = response.metadata.actualUserId || state.userId;
-                dispatch({ type: ActionTypes.SET_USER_ID, payload: actualUserId });
-
-                // Store the actual user ID in localStorage for future sessions
-                localStorage.setItem('chatbot_user_id', actualUserId);
-
-                // Load conversation history for returning user
-                await loadConversationHistory(actualUserId);
-
-                toast.success('Welcome back! I remember you now.');
-            }
-
             dispatch({ type: ActionTypes.SET_CONNECTION_STATUS, payload: 'connected' });
         } catch (error) {
             console.error('Failed to send message:', error);
 
+            // Keep any partial reply that already arrived, but stop the cursor
+            if (streamStarted) {
+                dispatch({
+                    type: ActionTypes.UPDATE_MESSAGE,
+                    payload: { id: assistantMessageId, updates: { isStreaming: false, metadata: { interrupted: true } } },
+                });
+            }
+
+            // A used-up quota says when to try again; show that as it is
+            const isOverQuota = error.status === 429;
+
             // Check if this might be a cold start (server sleeping)
-            const isColdStart = error.message.includes('timeout') ||
+            const isColdStart = !isOverQuota && (error.message.includes('timeout') ||
                 error.message.includes('ECONNREFUSED') ||
-                error.message.includes('500');
+                error.message.includes('500'));
 
             // Add appropriate error message
             const errorMessage = {
                 id: uuidv4(),
                 role: 'assistant',
-                content: isColdStart
-                    ? "I'm just waking up! The server was sleeping, but I'm ready now. Please try sending your message again."
-                    : "I'm sorry, I'm having trouble connecting right now. Please try again in a moment. Your feelings and thoughts are important to me, and I want to make sure I can give you the attention you deserve.",
+                content: isOverQuota
+                    ? error.message
+                    : isColdStart
+                        ? "I'm just waking up! The server was sleeping, but I'm ready now. Please try sending your message again."
+                        : "I'm sorry, I'm having trouble connecting right now. Please try again in a moment. Your feelings and thoughts are important to me, and I want to make sure I can give you the attention you deserve.",
                 timestamp: new Date().toISOString(),
-                metadata: { isError: true, isColdStart },
+                metadata: { isError: true, isColdStart, isOverQuota },
             };
 
             dispatch({ type: ActionTypes.ADD_MESSAGE, payload: errorMessage });
             dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
 
-            if (isColdStart) {
+            if (isOverQuota) {
+                toast.error(error.message);
+            } else if (isColdStart) {
                 toast.error('Server was sleeping. Please try again!');
             } else {
                 toast.error('Failed to send message. Please try again.');
@@ -308,10 +610,59 @@ export const ChatProvider = ({ children }) => {
         }
     };
 
+    const sendMessage = (content) => runTurn(content);
+
+    const editMessage = (messageId, content) => runTurn(content, { editMessageId: messageId });
+
+    const regenerateMessage = (messageId) => runTurn(null, { regenerateMessageId: messageId });
+
+    // messageId is the first message of the version to show
+    const switchBranch = async (messageId) => {
+        if (state.isLoading) return;
+
+        try {
+            const { messages } = await apiService.switchBranch(
+                state.userId,
+                state.sessionId,
+                messageId,
+                realtimeService.socketId || undefined
+            );
+            dispatch({ type: ActionTypes.SET_MESSAGES, payload: messages.map(formatServerMessage) });
+        } catch (error) {
+            console.error('Failed to switch branch:', error);
+            toast.error('Failed to switch to that version. Please try again.');
+        }
+    };
+
+    // Switch to a past session; with focusMessageId (from search) it is
+    // scrolled to and highlighted
+    const openSession = async (sessionId, focusMessageId = null) => {
+        if (state.isLoading) return;
+
+        try {
+            const history = await apiService.getSessionHistory(state.userId, sessionId, 50, focusMessageId || undefined);
+            dispatch({ type: ActionTypes.SET_SESSION_ID, payload: sessionId });
+            dispatch({ type: ActionTypes.SET_MESSAGES, payload: history.messages.map(formatServerMessage) });
+            dispatch({ type: ActionTypes.SET_FOCUS_MESSAGE, payload: focusMessageId });
+        } catch (error) {
+            console.error('Failed to open conversation:', error);
+            toast.error('Failed to open that conversation. Please try again.');
+        }
+    };
+
+    // The conversation is created on the server with its first message
+    const startNewSession = () => {
+        if (state.isLoading) return;
+
+        dispatch({ type: ActionTypes.SET_MESSAGES, payload: [] });
+        dispatch({ type: ActionTypes.SET_FOCUS_MESSAGE, payload: null });
+        dispatch({ type: ActionTypes.SET_SESSION_ID, payload: uuidv4() });
+    };
+
+    // messageId must be the server id of a saved reply
     const sendFeedback = async (messageId, feedback, emotionalResponse) => {
         try {
-            await apiService.sendFeedback({
-                userId: state.userId,
+            const { reactions } = await apiService.sendFeedback({
                 sessionId: state.sessionId,
                 messageId,
                 feedback,
@@ -321,26 +672,21 @@ export const ChatProvider = ({ children }) => {
             // Update the message to show feedback was given
             dispatch({
                 type: ActionTypes.UPDATE_MESSAGE,
-                payload: {
-                    id: messageId,
-                    updates: {
-                        reactions: {
-                            userFeedback: feedback,
-                            emotionalResponse: emotionalResponse || '',
-                        },
-                    },
-                },
+                payload: { id: messageId, updates: { reactions } },
             });
 
             toast.success('Thank you for your feedback!');
+            return true;
         } catch (error) {
             console.error('Failed to send feedback:', error);
             toast.error('Failed to send feedback. Please try again.');
+            return false;
         }
     };
 
     const clearChat = () => {
         dispatch({ type: ActionTypes.SET_MESSAGES, payload: [] });
+        dispatch({ type: ActionTypes.SET_FOCUS_MESSAGE, payload: null });
 
         // Generate new session ID
         const newSessionId = uuidv4();
@@ -360,77 +706,126 @@ export const ChatProvider = ({ children }) => {
         }
     };
 
-    const identifyReturningUser = async (name, personalNumber, birthMonth) => {
+    const selectPersona = async (personaId) => {
         try {
-            const result = await apiService.identifyUser({
-                name,
-                personalNumber: parseInt(personalNumber),
-                birthMonth
-            });
-
-            if (result.success) {
-                // User found! Update context with their info
-                const { userId, userProfile } = result.data;
+            const preferences = await apiService.updateUserPreferences(state.userId, { persona: personaId });
+            dispatch({ type: ActionTypes.SET_USER_PROFILE, payload: { ...state.userProfile, preferences } });
 
-                // Store the userId for this session
-                localStorage.setItem('chatbot_user_id', userId);
+            const persona = state.personas.find(p => p.id === personaId);
+            toast.success(`You're now talking with ${persona?.name || 'your new companion'}`);
+        } catch (error) {
+            console.error('Failed to change persona:', error);
+            toast.error('Failed to change companion. Please try again.');
+        }
+    };
 
-                dispatch({ type: ActionTypes.SET_USER_ID, payload: userId });
-                dispatch({ type: ActionTypes.SET_USER_PROFILE, payload: userProfile });
-                dispatch({ type: ActionTypes.SET_NEW_USER, payload: false });
-                dispatch({ type: ActionTypes.SET_ONBOARDING_COMPLETE, payload: true });
+    // Manual mood check-in; the next reply takes it into account
+    const checkInMood = async (emotion, note = '') => {
+        try {
+            const { currentEmotion, lastCheckIn } = await apiService.updateUserMood(state.userId, emotion, note);
+            const emotionalState = { ...state.userProfile?.emotionalState, current: currentEmotion, lastCheckIn };
+            dispatch({ type: ActionTypes.SET_USER_PROFILE, payload: { ...state.userProfile, emotionalState } });
+            return true;
+        } catch (error) {
+            console.error('Failed to save mood check-in:', error);
+            toast.error('Failed to save your check-in. Please try again.');
+            return false;
+        }
+    };
 
-                // Load their conversation history
-                await loadConversationHistory(userId);
+    const updateMoodReminder = async (settings) => {
+        try {
+            const preferences = await apiService.updateUserPreferences(state.userId, settings);
+            dispatch({ type: ActionTypes.SET_USER_PROFILE, payload: { ...state.userProfile, preferences } });
+        } catch (error) {
+            console.error('Failed to update mood reminder:', error);
+            toast.error('Failed to update your reminder. Please try again.');
+        }
+    };
 
-                // Add welcome back message
-                const welcomeBackMessage = {
-                    id: uuidv4(),
-                    role: 'assistant',
-                    content: result.data.message,
-                    timestamp: new Date().toISOString(),
-                    metadata: { isWelcomeBack: true },
-                };
+    const login = async (username, passphrase) => {
+        try {
+            const account = await apiService.login({ username, passphrase });
+            await startAuthenticatedSession(account);
+            toast.success(`Welcome back${account.userProfile?.name ? `, ${account.userProfile.name}` : ''}!`);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to log in:', error);
+            toast.error(error.message || 'Failed to log in. Please try again.');
+            return { success: false, message: error.message };
+        }
+    };
 
-                dispatch({ type: ActionTypes.ADD_MESSAGE, payload: welcomeBackMessage });
-                toast.success('Welcome back! I remember you now.');
+    const register = async ({ username, passphrase, name }) => {
+        try {
+            const account = await apiService.register({ username, passphrase, name });
+            await startAuthenticatedSession(account);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to register:', error);
+            toast.error(error.message || 'Failed to create account. Please try again.');
+            return { success: false, message: error.message };
+        }
+    };
 
-                return { success: true };
-            } else {
-                toast.error(result.message);
-                return { success: false, message: result.message };
-            }
+    const claimAccount = async (details) => {
+        try {
+            const account = await apiService.claimAccount(details);
+            await startAuthenticatedSession(account);
+            toast.success(`Welcome back${account.userProfile?.name ? `, ${account.userProfile.name}` : ''}!`);
+            return { success: true };
         } catch (error) {
-            console.error('Failed to identify user:', error);
-            toast.error('Failed to identify user. Please try again.');
+            console.error('Failed to claim account:', error);
+            toast.error(error.message || 'Failed to claim account. Please try again.');
             return { success: false, message: error.message };
         }
     };
 
+    const logout = async () => {
+        await apiService.logout();
+        dispatch({ type: ActionTypes.LOGOUT });
+    };
+
     const contextValue = {
         // State
         messages: state.messages,
         isLoading: state.isLoading,
         userProfile: state.userProfile,
+        personas: state.personas,
+        persona: findPersona(state.personas, state.userProfile),
         connectionStatus: state.connectionStatus,
+        realtimeStatus: state.realtimeStatus,
+        companionTyping: state.companionTyping,
         sessionId: state.sessionId,
         userId: state.userId,
+        username: state.username,
+        isAuthenticated: state.isAuthenticated,
+        authChecked: state.authChecked,
         error: state.error,
         isNewUser: state.isNewUser,
         onboardingComplete: state.onboardingComplete,
+        crisisAlert: state.crisisAlert,
+        focusMessageId: state.focusMessageId,
 
         // Actions
         sendMessage,
+        editMessage,
+        regenerateMessage,
+        switchBranch,
+        openSession,
+        startNewSession,
         sendFeedback,
         clearChat,
         updateUserProfile,
-        identifyReturningUser,
+        selectPersona,
+        checkInMood,
+        updateMoodReminder,
+        login,
+        register,
+        claimAccount,
+        logout,
         clearError: () => dispatch({ type: ActionTypes.CLEAR_ERROR }),
-        // Utility function to reset session (for testing)
-        resetSession: () => {
-            localStorage.removeItem('chatbot_user_id');
-            window.location.reload();
-        },
+        dismissCrisisAlert: () => dispatch({ type: ActionTypes.SET_CRISIS_ALERT, payload: null }),
     };
 
     return (
@@ -1,8 +1,64 @@
 import axios from 'axios';
 
+export const API_BASE_URL = process.env.REACT_APP_API || '/api';
+const AUTH_STORAGE_KEY = 'chatbot_auth';
+
+// Access/refresh tokens persisted across reloads
+export const authTokens = {
+    get() {
+        try {
+            return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    },
+    set(tokens) {
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(tokens));
+    },
+    clear() {
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+    },
+};
+
+// Listeners notified when the session can no longer be refreshed
+const sessionExpiredListeners = new Set();
+export const onSessionExpired = (listener) => {
+    sessionExpiredListeners.add(listener);
+    return () => sessionExpiredListeners.delete(listener);
+};
+
+// Single in-flight refresh shared by every request that hit a 401
+let refreshPromise = null;
+export const refreshTokens = () => {
+    if (!refreshPromise) {
+        const refreshToken = authTokens.get()?.refreshToken;
+        refreshPromise = (refreshToken
+            ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+                .then(response => {
+                    authTokens.set(response.data.data.tokens);
+                    return response.data.data.tokens;
+                })
+            : Promise.reject(new Error('No refresh token')))
+            .catch(error => {
+                authTokens.clear();
+                sessionExpiredListeners.forEach(listener => listener());
+                throw error;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+const authHeader = () => {
+    const accessToken = authTokens.get()?.accessToken;
+    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+};
+
 // Create axios instance with default config
 const api = axios.create({
-    baseURL: process.env.REACT_APP_API || '/api',
+    baseURL: API_BASE_URL,
     timeout: 30000, // 30 seconds timeout
     headers: {
         'Content-Type': 'application/json',
@@ -16,6 +72,7 @@ api.interceptors.request.use(
         if (process.env.NODE_ENV === 'development') {
             console.log(`🚀 ${config.method?.toUpperCase()} ${config.url}`, config.data);
         }
+        Object.assign(config.headers, authHeader());
         return config;
     },
     (error) => {
@@ -33,7 +90,19 @@ api.interceptors.response.use(
         }
         return response;
     },
-    (error) => {
+    async (error) => {
+        // Retry once with a refreshed access token
+        const { config, response } = error;
+        if (response?.status === 401 && config && !config._retried && !config.url.startsWith('/auth/')) {
+            config._retried = true;
+            try {
+                await refreshTokens();
+                return api(config);
+            } catch (refreshError) {
+                // Fall through and report the original 401
+            }
+        }
+
         // Enhanced error handling
         console.error('API Error:', error);
 
@@ -63,6 +132,57 @@ const apiService = {
         }
     },
 
+    // Auth endpoints
+    async register({ username, passphrase, name }) {
+        try {
+            const response = await api.post('/auth/register', { username, passphrase, name: name || undefined });
+            authTokens.set(response.data.data.tokens);
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to create account');
+        }
+    },
+
+    async login({ username, passphrase }) {
+        try {
+            const response = await api.post('/auth/login', { username, passphrase });
+            authTokens.set(response.data.data.tokens);
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to log in');
+        }
+    },
+
+    // Set a username and passphrase on an account from before passphrase logins
+    async claimAccount({ name, personalNumber, birthMonth, username, passphrase }) {
+        try {
+            const response = await api.post('/auth/claim', { name, personalNumber, birthMonth, username, passphrase });
+            authTokens.set(response.data.data.tokens);
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to claim account');
+        }
+    },
+
+    async logout() {
+        try {
+            await api.post('/auth/logout');
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        } finally {
+            authTokens.clear();
+        }
+    },
+
+    async getCurrentUser() {
+        try {
+            const response = await api.get('/auth/me');
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to load account');
+        }
+    },
+
     // Chat endpoints
     async sendMessage(messageData) {
         try {
@@ -73,13 +193,88 @@ const apiService = {
         }
     },
 
-    async identifyUser(identificationData) {
+    // Streams the reply over Server-Sent Events. axios cannot read a response
+    // body incrementally in the browser, so this uses fetch directly.
+    async streamMessage(messageData, { onToken, signal } = {}) {
+        const openStream = () => fetch(`${API_BASE_URL}/chat/message/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                ...authHeader(),
+            },
+            body: JSON.stringify(messageData),
+            signal,
+        });
+
+        let response;
         try {
-            const response = await api.post('/chat/identify', identificationData);
-            return response.data;
+            response = await openStream();
+            if (response.status === 401) {
+                await refreshTokens();
+                response = await openStream();
+            }
         } catch (error) {
-            throw new Error(error.message || 'Failed to identify user');
+            if (error.name === 'AbortError') throw error;
+            throw new Error(response?.status === 401
+                ? 'Your session has expired. Please log in again.'
+                : 'Unable to connect to server. Please check your internet connection.');
         }
+
+        if (!response.ok || !response.body) {
+            let message = `Server error (${response.status})`;
+            try {
+                const data = await response.json();
+                message = data?.message || message;
+            } catch (error) {
+                // Non-JSON error body - keep the status message
+            }
+            const error = new Error(message);
+            error.status = response.status; // 429 when a quota is used up
+            throw error;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        const handleEvent = (rawEvent) => {
+            let event = 'message';
+            let data = '';
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (!data) return;
+
+            const payload = JSON.parse(data);
+            if (event === 'token') {
+                onToken?.(payload.content);
+            } else if (event === 'done') {
+                result = payload;
+            } else if (event === 'error') {
+                throw new Error(payload.message || 'Failed to send message');
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop(); // Keep the incomplete event for the next chunk
+            events.forEach(handleEvent);
+        }
+
+        if (buffer.trim()) handleEvent(buffer);
+
+        if (!result) {
+            throw new Error('Connection closed before the reply finished');
+        }
+
+        return result;
     },
 
     async getConversationHistory(userId, limit = 50) {
@@ -96,10 +291,48 @@ const apiService = {
         }
     },
 
-    async getConversationSessions(userId, page = 1, limit = 20) {
+    // Active path of one session, with the alternatives of branched messages
+    // With `around`, the messages start a little before that message id
+    async getSessionHistory(userId, sessionId, limit = 50, around) {
+        try {
+            const response = await api.get(`/chat/history/${userId}/${sessionId}`, {
+                params: { limit, around }
+            });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to load conversation history');
+        }
+    },
+
+    // messageId is the first message of the branch to switch to
+    async switchBranch(userId, sessionId, messageId, socketId) {
+        try {
+            const response = await api.post(`/chat/branch/${userId}/${sessionId}`, { messageId, socketId });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to switch branch');
+        }
+    },
+
+    // filters: { from, to, emotion, conversationType, role }
+    async searchConversations(userId, query, { filters = {}, semantic = true, limit = 20 } = {}) {
+        try {
+            const response = await api.post(`/chat/search/${userId}`, {
+                query,
+                filters,
+                semantic,
+                limit
+            });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to search conversations');
+        }
+    },
+
+    async getConversationSessions(userId, page = 1, limit = 20, archived = false) {
         try {
             const response = await api.get(`/chat/sessions/${userId}`, {
-                params: { page, limit }
+                params: { page, limit, archived }
             });
             return response.data.data;
         } catch (error) {
@@ -107,15 +340,36 @@ const apiService = {
         }
     },
 
+    // updates: { title } (empty for the generated title) and/or { isArchived }
+    async updateSession(userId, sessionId, updates) {
+        try {
+            const response = await api.patch(`/chat/session/${userId}/${sessionId}`, updates);
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to update session');
+        }
+    },
+
     async sendFeedback(feedbackData) {
         try {
             const response = await api.post('/chat/feedback', feedbackData);
-            return response.data;
+            return response.data.data;
         } catch (error) {
             throw new Error(error.message || 'Failed to send feedback');
         }
     },
 
+    async getFeedbackAnalytics(userId, days) {
+        try {
+            const response = await api.get(`/chat/feedback/${userId}`, {
+                params: { days }
+            });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to load feedback analytics');
+        }
+    },
+
     async deleteSession(userId, sessionId) {
         try {
             const response = await api.delete(`/chat/session/${userId}/${sessionId}`);
@@ -147,6 +401,15 @@ const apiService = {
         }
     },
 
+    async getPersonas() {
+        try {
+            const response = await api.get('/user/personas');
+            return response.data.data.personas;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to load personas');
+        }
+    },
+
     async updateUserPreferences(userId, preferences) {
         try {
             const response = await api.post(`/user/preferences/${userId}`, preferences);
@@ -167,6 +430,18 @@ const apiService = {
         }
     },
 
+    async getMoodInsights(userId, { interval = 'day', days = 30, timeZone } = {}) {
+        try {
+            const params = { interval, days };
+            if (timeZone) params.timeZone = timeZone;
+
+            const response = await api.get(`/user/mood/${userId}`, { params });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to load mood insights');
+        }
+    },
+
     async updateUserMood(userId, emotion, context) {
         try {
             const response = await api.post(`/user/mood/${userId}`, {
@@ -179,6 +454,22 @@ const apiService = {
         }
     },
 
+    // Returns the export file as a Blob plus the filename suggested by the server
+    async exportUserData(userId, format = 'json') {
+        try {
+            const response = await api.get(`/user/export/${userId}`, {
+                params: { format },
+                responseType: 'blob',
+                timeout: 120000, // Large histories take a while to bundle
+            });
+            const disposition = response.headers['content-disposition'] || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `stan-data-export.${format === 'markdown' ? 'md' : format}`;
+            return { blob: response.data, filename };
+        } catch (error) {
+            throw new Error(error.message || 'Failed to export your data');
+        }
+    },
+
     async deleteUserProfile(userId) {
         try {
             const response = await api.delete(`/user/profile/${userId}`);
@@ -245,6 +536,7 @@ const apiService = {
     async getRelevantMemories(userId, context) {
         try {
             const params = {};
+            if (context.query) params.query = context.query;
             if (context.emotion) params.emotion = context.emotion;
             if (context.topics) params.topics = Array.isArray(context.topics) ? context.topics.join(',') : context.topics;
             if (context.conversationType) params.conversationType = context.conversationType;
@@ -257,9 +549,37 @@ const apiService = {
         }
     },
 
-    async cleanupMemories(userId) {
+    async purgeGeneratedMemories(userId) {
+        try {
+            const response = await api.delete(`/memory/${userId}/generated`);
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to delete generated memories');
+        }
+    },
+
+    async getMemoryConflicts(userId) {
+        try {
+            const response = await api.get(`/memory/${userId}/conflicts`);
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to load memory conflicts');
+        }
+    },
+
+    async resolveMemoryConflict(userId, memoryId, action = 'keep') {
+        try {
+            const response = await api.post(`/memory/${userId}/conflicts/${memoryId}/resolve`, { action });
+            return response.data.data;
+        } catch (error) {
+            throw new Error(error.message || 'Failed to resolve memory conflict');
+        }
+    },
+
+    // With dryRun the report lists what would be expired, merged and archived
+    async cleanupMemories(userId, { dryRun = false } = {}) {
         try {
-            const response = await api.post(`/memory/${userId}/cleanup`);
+            const response = await api.post(`/memory/${userId}/cleanup`, { dryRun });
             return response.data;
         } catch (error) {
             throw new Error(error.message || 'Failed to cleanup memories');
@@ -0,0 +1,126 @@
+import { API_BASE_URL, authTokens, refreshTokens } from './apiService';
+
+const CLOSE_UNAUTHORIZED = 4001;
+const MAX_RECONNECT_DELAY = 30000;
+
+// ws(s)://host/api/realtime from the REST base URL, relative or absolute
+const buildSocketUrl = () => {
+    const base = new URL(API_BASE_URL, window.location.href);
+    base.protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${base.href.replace(/\/$/, '')}/realtime`;
+};
+
+/**
+ * WebSocket client for typing, streamed replies and server-pushed messages.
+ * Authenticates with the stored access token, re-joins the current session
+ * after every reconnect and backs off exponentially while the server is away.
+ * Status is one of: offline, connecting, open, reconnecting.
+ */
+const realtimeService = {
+    socket: null,
+    socketId: null,
+    sessionId: null,
+    status: 'offline',
+    attempts: 0,
+    reconnectTimer: null,
+    listeners: new Map(), // type -> Set of handlers
+    statusListeners: new Set(),
+
+    connect() {
+        if (this.socket || typeof WebSocket === 'undefined') return;
+
+        this.setStatus(this.attempts > 0 ? 'reconnecting' : 'connecting');
+        const socket = new WebSocket(buildSocketUrl());
+        this.socket = socket;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ type: 'auth', token: authTokens.get()?.accessToken }));
+        };
+
+        socket.onmessage = (event) => {
+            let frame;
+            try {
+                frame = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+
+            if (frame.type === 'ready') {
+                this.socketId = frame.socketId;
+                this.attempts = 0;
+                if (this.sessionId) this.send({ type: 'join', sessionId: this.sessionId });
+                this.setStatus('open');
+            }
+
+            this.listeners.get(frame.type)?.forEach(handler => handler(frame));
+        };
+
+        socket.onclose = async (event) => {
+            if (this.socket !== socket) return; // Replaced or disconnected on purpose
+            this.socket = null;
+            this.socketId = null;
+
+            // Expired access token: refresh it once, then reconnect straight away
+            if (event.code === CLOSE_UNAUTHORIZED) {
+                try {
+                    await refreshTokens();
+                } catch (error) {
+                    this.disconnect(); // The session is over; apiService tells the app
+                    return;
+                }
+            }
+            this.scheduleReconnect(event.code === CLOSE_UNAUTHORIZED);
+        };
+    },
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        const socket = this.socket;
+        this.socket = null;
+        this.socketId = null;
+        this.attempts = 0;
+        if (socket) socket.close();
+        this.setStatus('offline');
+    },
+
+    scheduleReconnect(immediately = false) {
+        this.attempts += 1;
+        this.setStatus('reconnecting');
+
+        const delay = immediately ? 0 : Math.min(MAX_RECONNECT_DELAY, 1000 * 2 ** (this.attempts - 1));
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    },
+
+    // Session room to receive typing, replies and messages for
+    join(sessionId) {
+        this.sessionId = sessionId;
+        if (this.status === 'open') this.send({ type: 'join', sessionId });
+    },
+
+    send(frame) {
+        if (this.socket?.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(frame));
+        return true;
+    },
+
+    // Subscribe to a frame type; returns an unsubscribe function
+    on(type, handler) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(handler);
+        return () => this.listeners.get(type).delete(handler);
+    },
+
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    },
+
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.statusListeners.forEach(listener => listener(status));
+    },
+};
+
+export default realtimeService;